@@ -15,45 +15,218 @@
   'use strict';
 
   // ---------------------------------------------------------------------------
-  // Audio buffer cache with simple LRU eviction
+  // Audio buffer cache — LRU bounded by entry count and decoded bytes
+  //
+  // Decoded size is length * numberOfChannels * 4 (Float32 PCM). Eviction
+  // walks from the least recently used entry and skips pinned srcs and
+  // buffers still used by a loaded WebAudio Howl (_refreshBuffer reads the
+  // buffer back from here on every play). If everything left is protected
+  // the cache stays over budget until something is released.
+  // Public surface: Howler.cache (see _cacheApi below).
   // ---------------------------------------------------------------------------
-  var CACHE_MAX = 100;
-  var _audioCache = new Map(); // key -> AudioBuffer
+  var CACHE_MAX       = 100;
+  var CACHE_MAX_BYTES = 256 * 1024 * 1024;
+  var _audioCache  = new Map(); // key -> AudioBuffer
+  var _cachePinned = new Set(); // keys exempt from eviction
+  var _cacheState  = {
+    maxEntries: CACHE_MAX,
+    maxBytes:   CACHE_MAX_BYTES,
+    bytes:      0,
+    hits:       0,
+    misses:     0,
+    evictions:  0,
+    onevict:    []
+  };
+
+  function _bufferBytes(buffer) {
+    return buffer && buffer.length ? buffer.length * buffer.numberOfChannels * 4 : 0;
+  }
 
   function cacheSet(key, value) {
     if (_audioCache.has(key)) {
+      _cacheState.bytes -= _bufferBytes(_audioCache.get(key));
       _audioCache.delete(key); // refresh position
-    } else if (_audioCache.size >= CACHE_MAX) {
-      // Evict oldest entry (first in insertion order)
-      _audioCache.delete(_audioCache.keys().next().value);
     }
     _audioCache.set(key, value);
+    _cacheState.bytes += _bufferBytes(value);
+    _cacheTrim(key);
   }
 
-  function cacheGet(key) {
-    if (!_audioCache.has(key)) return undefined;
+  // `load` marks a lookup made for a Howl's load; only those count as hits
+  // and misses in stats(). Internal reads (playback, sprites) just refresh.
+  function cacheGet(key, load) {
+    if (!_audioCache.has(key)) {
+      if (load) _cacheState.misses++;
+      return undefined;
+    }
     var val = _audioCache.get(key);
     // Refresh to "most recently used" position
     _audioCache.delete(key);
     _audioCache.set(key, val);
+    if (load) _cacheState.hits++;
     return val;
   }
 
-  function cacheDelete(key) {
+  // Removes an entry; reason ('lru' | 'manual' | 'unload' | 'error') is passed to
+  // 'evict' handlers. Only 'lru' and 'manual' removals count as evictions in
+  // stats(); 'unload' and 'error' are releases.
+  function cacheDelete(key, reason) {
+    if (!_audioCache.has(key)) return;
+
+    reason = reason || 'manual';
+    var bytes = _bufferBytes(_audioCache.get(key));
     _audioCache.delete(key);
+    _cacheState.bytes -= bytes;
+    if (reason === 'lru' || reason === 'manual') _cacheState.evictions++;
+
+    _cacheState.onevict.forEach(function (fn) {
+      queueMicrotask(function () { fn(key, bytes, reason); });
+    });
+  }
+
+  // Evicts least recently used entries until both limits hold. `keep` is
+  // the entry just written, never evicted by its own insertion.
+  function _cacheTrim(keep) {
+    var keys = Array.from(_audioCache.keys());
+    for (var i = 0; i < keys.length; i++) {
+      if (_audioCache.size <= _cacheState.maxEntries && _cacheState.bytes <= _cacheState.maxBytes) {
+        return;
+      }
+      if (keys[i] !== keep && _cacheEvictable(keys[i])) {
+        cacheDelete(keys[i], 'lru');
+      }
+    }
+  }
+
+  function _cacheEvictable(key) {
+    if (_cachePinned.has(key)) return false;
+    var howls = (typeof Howler !== 'undefined' && Howler._howls) || [];
+    for (var i = 0; i < howls.length; i++) {
+      if (howls[i]._src === key && howls[i]._webAudio && howls[i]._state === 'loaded') {
+        return false;
+      }
+    }
+    return true;
   }
 
+  // Howler.cache
+  var _cacheApi = {
+    // maxBytes(bytes) / maxEntries(count) — getters without an argument.
+    // Lowering a limit evicts immediately.
+    maxBytes: function (bytes) {
+      if (typeof bytes === 'undefined') return _cacheState.maxBytes;
+      bytes = parseFloat(bytes);
+      if (isNaN(bytes) || bytes < 0) return _cacheApi;
+      _cacheState.maxBytes = bytes;
+      _cacheTrim(null);
+      return _cacheApi;
+    },
+
+    maxEntries: function (count) {
+      if (typeof count === 'undefined') return _cacheState.maxEntries;
+      count = parseInt(count, 10);
+      if (isNaN(count) || count < 0) return _cacheApi;
+      _cacheState.maxEntries = count;
+      _cacheTrim(null);
+      return _cacheApi;
+    },
+
+    // Pins a src (loaded or not yet loaded) so it is never evicted, not even
+    // when its last Howl is unloaded.
+    pin: function (src) {
+      _cachePinned.add(src);
+      return _cacheApi;
+    },
+
+    unpin: function (src) {
+      _cachePinned.delete(src);
+      _cacheTrim(null);
+      return _cacheApi;
+    },
+
+    // evict(src) removes one entry, evict() every evictable entry. Pinned
+    // and in-use buffers are kept; returns the number of entries removed.
+    evict: function (src) {
+      var keys    = typeof src === 'undefined' ? Array.from(_audioCache.keys()) : [src];
+      var removed = 0;
+      keys.forEach(function (key) {
+        if (_audioCache.has(key) && _cacheEvictable(key)) {
+          cacheDelete(key, 'manual');
+          removed++;
+        }
+      });
+      return removed;
+    },
+
+    has: function (src) {
+      return _audioCache.has(src);
+    },
+
+    stats: function () {
+      var entries = [];
+      _audioCache.forEach(function (buffer, key) {
+        entries.push({
+          src:      key,
+          bytes:    _bufferBytes(buffer),
+          duration: buffer.duration,
+          pinned:   _cachePinned.has(key),
+          inUse:    !_cachePinned.has(key) && !_cacheEvictable(key)
+        });
+      });
+      return {
+        count:      _audioCache.size,
+        bytes:      _cacheState.bytes,
+        maxBytes:   _cacheState.maxBytes,
+        maxEntries: _cacheState.maxEntries,
+        hits:       _cacheState.hits,
+        misses:     _cacheState.misses,
+        evictions:  _cacheState.evictions,
+        entries:    entries   // least recently used first
+      };
+    },
+
+    // on('evict', fn(src, bytes, reason)) / off('evict', fn)
+    on: function (event, fn) {
+      if (event === 'evict' && typeof fn === 'function') _cacheState.onevict.push(fn);
+      return _cacheApi;
+    },
+
+    off: function (event, fn) {
+      if (event !== 'evict') return _cacheApi;
+      _cacheState.onevict = fn ? _cacheState.onevict.filter(function (h) { return h !== fn; }) : [];
+      return _cacheApi;
+    }
+  };
+
   // ---------------------------------------------------------------------------
-  // Codec detection helper
-  // Tests multiple MIME strings; returns true on the first supported one.
-  // Uses a loop instead of || to avoid DOMString short-circuit ambiguity.
+  // Codec detection helpers
+  // _canPlay tests multiple MIME strings and returns the best canPlayType()
+  // answer: 'probably' | 'maybe' | ''. Uses a loop instead of || to avoid
+  // DOMString short-circuit ambiguity.
   // ---------------------------------------------------------------------------
+  var CODEC_LEVELS = { '': 0, maybe: 1, probably: 2 };
+
   function _canPlay(audioTest) {
+    var best = '';
     for (var i = 1; i < arguments.length; i++) {
-      var result = audioTest.canPlayType(arguments[i]).replace(/^no$/, '');
-      if (result) return true;
+      best = _bestLevel(best, audioTest.canPlayType(arguments[i]).replace(/^no$/, ''));
     }
-    return false;
+    return best;
+  }
+
+  function _bestLevel(a, b) {
+    return (CODEC_LEVELS[b] || 0) > (CODEC_LEVELS[a] || 0) ? b : a;
+  }
+
+  // Native support level for a registerCodec() definition: the best of its
+  // MIME strings and its test(), where true counts as 'probably'.
+  function _codecLevel(audioTest, def) {
+    var level = def.mime ? _canPlay.apply(null, [audioTest].concat(def.mime)) : '';
+    if (typeof def.test === 'function') {
+      var result = def.test();
+      level = _bestLevel(level, result === true ? 'probably' : (typeof result === 'string' ? result : ''));
+    }
+    return level;
   }
 
   // ---------------------------------------------------------------------------
@@ -71,7 +244,26 @@
       self._html5AudioPool = [];
       self.html5PoolSize   = 10;
       self._codecs         = {};
+      self._decoders       = {};   // registerDecoder() ext -> impl
+      self._codecDefs      = {};   // registerCodec() ext -> { mime, test, decoder }
       self._howls          = [];
+      self._buses          = {};   // name -> Bus
+      self._duckRules      = [];   // Howler.duck() rules
+      self._effects        = [];   // Howler.effects() descriptors
+      self._effectChain    = null; // built nodes between masterGain and destination
+      self._width          = 1;    // Howler.width(); 0 = mono downmix
+      self._widthStage     = null; // mid/side stage ahead of the destination
+      self._analyser       = null; // Howler.analyser() on the master output
+      self._rendering      = null; // saved live state while renderOffline() schedules
+      self.cache           = _cacheApi; // decoded-buffer cache controls
+      // Opt-in cross-session store: { store, maxBytes, version } (see
+      // _persistentStore). null = disabled.
+      self.persistentCache = null;
+      self._assets         = {};   // preload() id -> { howl, group, registry }
+      // Cap on simultaneous voices across all Howls; each Howl's `steal`
+      // policy decides what gives way (see _claimVoice).
+      self.maxVoices       = Infinity;
+      self._voiceSeq       = 0;    // start order of voices, for 'oldest'
       self._muted          = false;
       self._volume         = 1;
       self._canPlayEvent   = 'canplaythrough';
@@ -114,7 +306,7 @@
             for (var j = 0; j < ids.length; j++) {
               var sound = self._howls[i]._soundById(ids[j]);
               if (sound && sound._node) {
-                sound._node.volume = sound._volume * vol;
+                sound._node.volume = sound._volume * vol * _outputGain(self._howls[i]);
               }
             }
           }
@@ -164,6 +356,8 @@
       for (var i = self._howls.length - 1; i >= 0; i--) {
         self._howls[i].unload();
       }
+      // Also stops the loudness timer of the master analyser.
+      if (self._analyser) self._analyser.destroy();
       if (self.usingWebAudio && self.ctx && typeof self.ctx.close !== 'undefined') {
         self.ctx.close();
         self.ctx = null;
@@ -172,8 +366,280 @@
       return self;
     },
 
+    // 'probably' | 'maybe' | ''. A registered decoder that can run makes an
+    // extension 'probably' on WebAudio, whatever the element would say.
     codecs: function (ext) {
-      return (this || Howler)._codecs[ext.replace(/^x-/, '')];
+      var self    = this || Howler;
+      ext         = ext.replace(/^x-/, '');
+      // true: a boolean set directly on _codecs by older code.
+      var native  = self._codecs[ext] === true ? 'probably' : (self._codecs[ext] || '');
+      var decoder = self._decoders[ext];
+
+      if (native !== 'probably' && decoder && self.usingWebAudio &&
+          (typeof decoder.test !== 'function' || decoder.test())) {
+        return 'probably';
+      }
+      return native;
+    },
+
+    // -------------------------------------------------------------------------
+    // registerCodec(ext, options) — additive (v2.6.0)
+    // options: { mime: [...], test, decoder }. mime strings are tried with
+    // canPlayType(); test() returns 'probably' | 'maybe' | '' (or a boolean)
+    // for checks MIME sniffing can't express; decoder is passed to
+    // registerDecoder(). The result is merged with the built-in table, keeping
+    // the better answer.
+    // -------------------------------------------------------------------------
+    registerCodec: function (ext, options) {
+      var self = this || Howler;
+      options  = options || {};
+
+      [].concat(ext).forEach(function (key) {
+        key = String(key).toLowerCase().replace(/^\.|^x-/g, '');
+        self._codecDefs[key] = options;
+        if (options.decoder) self.registerDecoder(key, options.decoder);
+      });
+
+      if (!self.noAudio) self._setupCodecs();
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // registerDecoder(ext, impl) — additive (v2.6.0)
+    // impl: { decode(bytes, options), test(), accepts(bytes) }. decode
+    // receives the file's ArrayBuffer and { signal, sampleRate, src, ext } and
+    // resolves to an AudioBuffer or { sampleRate, channelData: [Float32Array,
+    // ...] }. The optional test() returns false where the decoder can't run;
+    // the optional accepts() gets the bytes as a Uint8Array and returns false
+    // for files it does not handle (decodeAudioData reads them). Registered
+    // decoders take precedence over the built-in WebCodecs ones; null removes.
+    // -------------------------------------------------------------------------
+    registerDecoder: function (ext, impl) {
+      var self = this || Howler;
+
+      if (impl && typeof impl.decode !== 'function') {
+        console.warn('Howler: registerDecoder() needs an object with a decode() method - ignoring.');
+        return self;
+      }
+
+      [].concat(ext).forEach(function (key) {
+        key = String(key).toLowerCase().replace(/^\.|^x-/g, '');
+        if (impl) {
+          self._decoders[key] = impl;
+        } else {
+          delete self._decoders[key];
+        }
+      });
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // createBus(name, options) / bus(name) — additive (v2.6.0)
+    // Mixer groups between Howls and masterGain. options: { parent, volume,
+    // mute, stereo }; parent is a bus name or Bus. Route a Howl with
+    // new Howl({ bus: name }). Creating an existing name returns that bus.
+    // -------------------------------------------------------------------------
+    createBus: function (name, options) {
+      var self = this || Howler;
+      self.ctx || _initCtx();
+
+      if (self._buses[name]) {
+        console.warn('Howler: bus "' + name + '" already exists.');
+        return self._buses[name];
+      }
+
+      self._buses[name] = new Bus(name, options);
+      return self._buses[name];
+    },
+
+    bus: function (name) {
+      return (this || Howler)._buses[name] || null;
+    },
+
+    // -------------------------------------------------------------------------
+    // duck(options) / unduck(rule) — additive (v2.6.0)
+    // options: { trigger, target, amount, attack, release }. trigger and
+    // target are Howls, Bus objects or bus names. amount is the gain applied
+    // to the target while any trigger sound plays (0.3 = 30 %); attack and
+    // release are ramp times in ms. Returns the rule for unduck().
+    // -------------------------------------------------------------------------
+    duck: function (options) {
+      var self = this || Howler;
+      options  = options || {};
+      self.ctx || _initCtx();
+
+      var trigger = options.trigger instanceof Howl ? options.trigger : _resolveBus(options.trigger);
+      var target  = options.target  instanceof Howl ? options.target  : _resolveBus(options.target);
+      if (!trigger || !target) {
+        console.warn('Howler: duck() needs a trigger and a target (Howl, Bus or bus name).');
+        return null;
+      }
+
+      var rule = {
+        trigger: trigger,
+        target:  target,
+        amount:  options.amount  !== undefined ? Math.min(Math.max(0, parseFloat(options.amount)), 1) : 0.3,
+        attack:  options.attack  !== undefined ? parseFloat(options.attack)  : 100,
+        release: options.release !== undefined ? parseFloat(options.release) : 600,
+        _active: new Set()
+      };
+      self._duckRules.push(rule);
+
+      // Seed with trigger sounds that are already playing.
+      for (var i = 0; i < self._howls.length; i++) {
+        var howl = self._howls[i];
+        if (!_duckTriggeredBy(trigger, howl)) continue;
+        for (var j = 0; j < howl._sounds.length; j++) {
+          if (!howl._sounds[j]._paused) rule._active.add(howl._sounds[j]._id);
+        }
+      }
+      if (rule._active.size) _duckApply(target, rule.attack);
+
+      return rule;
+    },
+
+    unduck: function (rule) {
+      var self  = this || Howler;
+      var index = self._duckRules.indexOf(rule);
+      if (index < 0) return self;
+
+      self._duckRules.splice(index, 1);
+      if (rule._active.size) {
+        rule._active.clear();
+        _duckApply(rule.target, rule.release);
+      }
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // effects(list) / rampEffect(name, param, to, duration) — additive (v2.6.0)
+    // Global effects chain between masterGain and the destination; see
+    // _createEffect() for descriptors. HTML5 Howls bypass it.
+    // -------------------------------------------------------------------------
+    effects: function (list) {
+      var self = this || Howler;
+      if (typeof list === 'undefined') return self._effects.slice();
+
+      self._effects = _effectDescs(list);
+      self.ctx || _initCtx();
+      if (self.ctx) _applyMasterEffects();
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // width(value) — additive (v2.6.0)
+    // Stereo width of the whole WebAudio mix, after the global effects:
+    // 0 folds it down to mono (for single-ear listeners and mono speakers),
+    // 1 leaves it as is, above 1 widens it. HTML5 Howls bypass it.
+    // -------------------------------------------------------------------------
+    width: function (value) {
+      var self = this || Howler;
+      if (typeof value !== 'number') return self._width;
+
+      self._width = Math.max(0, value);
+      self.ctx || _initCtx();
+      if (!self.ctx) return self;
+
+      if (self._widthStage && self._widthStage.input.context === self.ctx) {
+        _setWidth(self._widthStage, self._width);
+      } else {
+        _applyMasterEffects();
+      }
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // analyser(options) — additive (v2.6.0)
+    // Analyser on the master output; see Analyser for options and methods.
+    // Repeated calls return the same analyser.
+    // -------------------------------------------------------------------------
+    analyser: function (options) {
+      var self = this || Howler;
+      self.ctx || _initCtx();
+      if (!self.ctx) return null;
+
+      if (!self._analyser) {
+        self._analyser = new Analyser(options, self);
+        self._analyser._tap(_masterOutput());
+      }
+      return self._analyser;
+    },
+
+    // -------------------------------------------------------------------------
+    // preload(manifest, options) / get(id) — additive (v2.6.0)
+    // manifest: [{ id, src, sprite, html5, volume, group, ... }] (or
+    // { assets: [...] }). options: { concurrency (default 6), onProgress }.
+    // Resolves to an AssetRegistry ({ get, ids, unload(group), failed })
+    // once every entry has loaded or failed.
+    // -------------------------------------------------------------------------
+    preload: function (manifest, options) {
+      return _preloadManifest(manifest, options);
+    },
+
+    get: function (id) {
+      var asset = (this || Howler)._assets[id];
+      return asset ? asset.howl : null;
+    },
+
+    // -------------------------------------------------------------------------
+    // renderOffline(options, scheduleFn) — additive (v2.6.0)
+    // options: { duration (s), sampleRate, channels }. scheduleFn(ctx) runs
+    // synchronously and uses the normal Howl API against an
+    // OfflineAudioContext (ctx.currentTime is 0, so play(sprite, { when })
+    // places sounds on the timeline). Resolves to { buffer, toWav(bitDepth) }
+    // where toWav() returns a 16- (default) or 24-bit PCM WAV ArrayBuffer.
+    // -------------------------------------------------------------------------
+    renderOffline: function (options, scheduleFn) {
+      var self = this || Howler;
+      options  = options || {};
+
+      var duration = parseFloat(options.duration);
+      if (!(duration > 0)) {
+        return Promise.reject(_asyncError('renderOffline', 'options.duration must be > 0 seconds'));
+      }
+      if (self._rendering) {
+        return Promise.reject(_asyncError('renderOffline', 'called from inside scheduleFn'));
+      }
+
+      self.ctx || _initCtx();
+      if (!self.usingWebAudio || typeof OfflineAudioContext === 'undefined') {
+        return Promise.reject(_asyncError('renderOffline', 'OfflineAudioContext is not available'));
+      }
+
+      var sampleRate = options.sampleRate || (self.ctx ? self.ctx.sampleRate : 44100);
+      var ctx = new OfflineAudioContext(options.channels || 2, Math.ceil(duration * sampleRate), sampleRate);
+
+      var saved = _enterRender(ctx);
+      try {
+        if (typeof scheduleFn === 'function') scheduleFn(ctx);
+      } catch (err) {
+        _leaveRender(saved);
+        return Promise.reject(err);
+      }
+      _leaveRender(saved);
+
+      return ctx.startRendering().then(function (buffer) {
+        return {
+          buffer: buffer,
+          toWav:  function (bitDepth) { return _encodeWav(buffer, bitDepth); }
+        };
+      });
+    },
+
+    rampEffect: function (name, param, to, duration) {
+      var self  = this || Howler;
+      var index = _effectIndex(self._effects, name);
+      if (index < 0) {
+        console.warn('Howler: no effect "' + name + '" in the chain.');
+        return self;
+      }
+
+      self._effects[index][param] = to;
+      if (self._effectChain &&
+          !_setEffectParam(self._effectChain[index], param, to, parseFloat(duration) || 0)) {
+        console.warn('Howler: effect "' + name + '" has no parameter "' + param + '".');
+      }
+      return self;
     },
 
     _setup: function () {
@@ -223,26 +689,32 @@
 
       // Use _canPlay() helper for multi-MIME checks to avoid || short-circuit
       // ambiguity on DOMStrings returned by canPlayType().
-      var mpegTest = audioTest.canPlayType('audio/mpeg;').replace(/^no$/, '');
-
       self._codecs = {
-        mp3:   !!(mpegTest || audioTest.canPlayType('audio/mp3;').replace(/^no$/, '')),
-        mpeg:  !!mpegTest,
-        opus:  !!audioTest.canPlayType('audio/ogg; codecs="opus"').replace(/^no$/, ''),
-        ogg:   !!audioTest.canPlayType('audio/ogg; codecs="vorbis"').replace(/^no$/, ''),
-        oga:   !!audioTest.canPlayType('audio/ogg; codecs="vorbis"').replace(/^no$/, ''),
+        mp3:   _canPlay(audioTest, 'audio/mpeg;', 'audio/mp3;'),
+        mpeg:  _canPlay(audioTest, 'audio/mpeg;'),
+        opus:  _canPlay(audioTest, 'audio/ogg; codecs="opus"'),
+        ogg:   _canPlay(audioTest, 'audio/ogg; codecs="vorbis"'),
+        oga:   _canPlay(audioTest, 'audio/ogg; codecs="vorbis"'),
         wav:   _canPlay(audioTest, 'audio/wav; codecs="1"', 'audio/wav'),
-        aac:   !!audioTest.canPlayType('audio/aac;').replace(/^no$/, ''),
-        caf:   !!audioTest.canPlayType('audio/x-caf;').replace(/^no$/, ''),
+        aac:   _canPlay(audioTest, 'audio/aac;'),
+        caf:   _canPlay(audioTest, 'audio/x-caf;'),
         m4a:   _canPlay(audioTest, 'audio/x-m4a;', 'audio/m4a;', 'audio/aac;'),
         m4b:   _canPlay(audioTest, 'audio/x-m4b;', 'audio/m4b;', 'audio/aac;'),
         mp4:   _canPlay(audioTest, 'audio/x-mp4;', 'audio/mp4;', 'audio/aac;'),
-        weba:  !!audioTest.canPlayType('audio/webm; codecs="vorbis"').replace(/^no$/, ''),
-        webm:  !!audioTest.canPlayType('audio/webm; codecs="vorbis"').replace(/^no$/, ''),
-        dolby: !!audioTest.canPlayType('audio/mp4; codecs="ec-3"').replace(/^no$/, ''),
-        flac:  _canPlay(audioTest, 'audio/x-flac;', 'audio/flac;')
+        weba:  _canPlay(audioTest, 'audio/webm; codecs="vorbis"'),
+        webm:  _canPlay(audioTest, 'audio/webm; codecs="vorbis"'),
+        dolby: _canPlay(audioTest, 'audio/mp4; codecs="ec-3"'),
+        flac:  _canPlay(audioTest, 'audio/x-flac;', 'audio/flac;'),
+        // Native HLS (Safari, iOS). Browsers without it can still play HLS
+        // stream Howls through HlsStream (Media Source Extensions).
+        m3u8:  _canPlay(audioTest, 'application/vnd.apple.mpegurl', 'audio/mpegurl')
       };
 
+      // registerCodec() definitions, merged keeping the better answer.
+      Object.keys(self._codecDefs).forEach(function (ext) {
+        self._codecs[ext] = _bestLevel(self._codecs[ext] || '', _codecLevel(audioTest, self._codecDefs[ext]));
+      });
+
       return self;
     },
 
@@ -359,17 +831,17 @@
 
     _autoSuspend: function () {
       var self = this;
-      if (!self.autoSuspend || !self.ctx ||
+      if (!self.autoSuspend || !self.ctx || self._rendering ||
           typeof self.ctx.suspend === 'undefined' || !Howler.usingWebAudio) {
         return self;
       }
 
       // Don't suspend if any sound is actively playing
       for (var i = 0; i < self._howls.length; i++) {
-        if (self._howls[i]._webAudio) {
-          for (var j = 0; j < self._howls[i]._sounds.length; j++) {
-            if (!self._howls[i]._sounds[j]._paused) return self;
-          }
+        var howl = self._howls[i];
+        for (var j = 0; j < howl._sounds.length; j++) {
+          var sound = howl._sounds[j];
+          if (!sound._paused && (howl._webAudio || _ctxRouted(sound))) return self;
         }
       }
 
@@ -404,7 +876,8 @@
       if (!self.ctx || typeof self.ctx.resume === 'undefined' || !Howler.usingWebAudio) {
         return self;
       }
-      if (self.ctx.state === 'closed') {
+      // renderOffline(): the offline context is started by startRendering().
+      if (self.ctx.state === 'closed' || self._rendering) {
         return self;
       }
 
@@ -458,7 +931,7 @@
   // Howl
   // ---------------------------------------------------------------------------
   var Howl = function (options) {
-    if (!options.src || options.src.length === 0) {
+    if ((!options.src || options.src.length === 0) && !options.spriteSrc) {
       console.error('An array of source files must be passed with any new Howl.');
       return;
     }
@@ -481,12 +954,18 @@
                            ? true : options.preload;
       self._rate       = options.rate      || 1;
       self._sprite     = options.sprite    || {};
-      self._src        = (typeof options.src !== 'string') ? options.src : [options.src];
+      self._sections   = {};   // intro/loop/outro sprites, see _splitSections()
+      _splitSections(self);
+      self._src        = (typeof options.src !== 'string') ? (options.src || []) : [options.src];
       // Preserve the original src array so _streamReconnect can rotate between
       // fallback URLs. After load() resolves _src to a single string, _srcList
       // retains all candidate URLs in their original order.
-      self._srcList    = (typeof options.src !== 'string') ? options.src.slice() : [options.src];
+      self._srcList    = self._src.slice();
       self._volume     = options.volume !== undefined ? options.volume : 1;
+      self._width      = typeof options.width === 'number' ? Math.max(0, options.width) : 1;
+      self._bus        = _resolveBus(options.bus);
+      self._duckLevel  = 1;    // Howler.duck() attenuation (HTML5 multiplier)
+      self._duckNode   = null; // WebAudio duck gain, inserted on first duck
       self._xhr        = {
         method:          (options.xhr && options.xhr.method)          ? options.xhr.method : 'GET',
         headers:         (options.xhr && options.xhr.headers)         ? options.xhr.headers : null,
@@ -526,6 +1005,8 @@
           // AudioWorklet tap for metering / processing
           workletUrl:       s.workletUrl       || null,
           onWorkletMessage: typeof s.onWorkletMessage === 'function' ? s.onWorkletMessage : null,
+          // Opt-in in-band ICY metadata ('metadata' event + MediaSession)
+          icyMetadata:      !!s.icyMetadata,
           // Internal state
           _retryDelay:         1000,
           _retryCount:         0,       // cumulative reconnect attempts per source
@@ -550,10 +1031,14 @@
           // Network quality tracking for smarter reconnect gating
           _lastEffectiveType:  null,
           _lastRtt:            null,
+          // Mbps estimate; drives HLS variant selection
+          _lastDownlink:       null,
           // offline suppression flag
           _offline:            false,
           // ramp interval handle for concurrent-ramp cancellation
-          _rampInterval:       null
+          _rampInterval:       null,
+          // set when the server does not expose icy-metaint; cleared on rotation
+          _icyUnavailable:     false
         };
         // Enforce html5 for all stream Howls
         self._html5    = true;
@@ -576,6 +1061,29 @@
       self._queue            = [];
       self._playLock         = false;
       self._fetchControllers = {}; // AbortControllers keyed by src
+      // Stream Howls fed through Media Source Extensions: 'hls' | 'icy' | null,
+      // chosen by load(), and the HlsStream / IcyStream feeding the node.
+      self._mseType          = null;
+      self._mse              = null;
+      // Per-sound effects chain descriptors (see effects()).
+      self._effects          = _effectDescs(options.effects);
+      self._analyser         = null;  // see analyser()
+      // (loaded, total) byte callback while _fetchNetwork streams the body.
+      self._fetchProgress    = null;
+      // Decode long WebAudio files piece by piece (see ProgressiveLoader).
+      self._progressive      = !!options.progressive;
+      self._prog             = null;
+      self._ext              = null;  // extension of the chosen src (load())
+      self._sniffed          = {};    // url -> sniffed extension ('' = unknown)
+      // Sprite manifest (JSON / WebVTT / CUE) merged into _sprite before 'load'.
+      self._spriteSrc        = options.spriteSrc || null;
+      self._spriteFetch      = null;  // Promise<boolean> once load() starts it
+      self._spriteReady      = false;
+      self._detected         = [];    // sprite names added by detectSprites()
+      // Polyphony limits (see _claimVoice).
+      self._maxVoices        = typeof options.maxVoices === 'number' ? options.maxVoices : Infinity;
+      self._spriteVoices     = options.spriteVoices || {};  // sprite -> max voices
+      self._steal            = options.steal || 'oldest';
 
       // Event handler arrays
       self._onend        = options.onend        ? [{ fn: options.onend }]        : [];
@@ -591,6 +1099,10 @@
       self._onrate       = options.onrate       ? [{ fn: options.onrate }]       : [];
       self._onseek       = options.onseek       ? [{ fn: options.onseek }]       : [];
       self._onunlock     = options.onunlock     ? [{ fn: options.onunlock }]     : [];
+      self._onmetadata   = options.onmetadata   ? [{ fn: options.onmetadata }]   : [];
+      self._onprogress   = options.onprogress   ? [{ fn: options.onprogress }]   : [];
+      self._onsteal      = options.onsteal      ? [{ fn: options.onsteal }]      : [];
+      self._onwidth      = options.onwidth      ? [{ fn: options.onwidth }]      : [];
       self._onresume     = [];
 
       self._webAudio = Howler.usingWebAudio && !self._html5;
@@ -708,6 +1220,14 @@
           var prevRtt  = cfg._lastRtt;
           cfg._lastEffectiveType = conn.effectiveType || null;
           cfg._lastRtt           = conn.rtt           || null;
+          cfg._lastDownlink      = conn.downlink      || null;
+
+          // HLS: segment requests are short-lived, so a network switch only
+          // needs a bitrate re-evaluation, not a full reconnect.
+          if (self._mseType === 'hls' && self._mse) {
+            self._mse.selectVariant();
+            return;
+          }
 
           var typeChanged = prevType && prevType !== cfg._lastEffectiveType;
           var rttJump     = prevRtt  && cfg._lastRtt && (cfg._lastRtt - prevRtt) > 500;
@@ -720,6 +1240,7 @@
         if (navigator.connection) {
           cfg._lastEffectiveType = navigator.connection.effectiveType || null;
           cfg._lastRtt           = navigator.connection.rtt           || null;
+          cfg._lastDownlink      = navigator.connection.downlink      || null;
         }
         navigator.connection.addEventListener('change', cfg._networkHandler);
       }
@@ -950,8 +1471,14 @@
       // Ramp volume down quickly to mask the reconnect click
       var prevVolume = node.volume;
       _rampNodeVolume(cfg, node, prevVolume, 0, 40, function () {
-        node.src = fresh;
-        node.load();
+        if (self._mse) {
+          // MSE-fed streams: rebuild the MediaSource and re-fetch from the
+          // live edge instead of reassigning node.src.
+          self._mse.attach(node);
+        } else {
+          node.src = fresh;
+          node.load();
+        }
 
         var playPromise = node.play();
         if (playPromise instanceof Promise) {
@@ -1006,6 +1533,7 @@
           self._srcList && self._srcList.length > 1) {
         cfg._srcIndex    = (cfg._srcIndex + 1) % self._srcList.length;
         cfg._srcFailCount = 0;
+        cfg._icyUnavailable = false;
         cfg._retryCount  = 0;
         cfg._retryDelay  = 1000;
         // Overwrite the resolved _src so load() picks up the new URL.
@@ -1055,6 +1583,29 @@
         self._src = [self._src];
       }
 
+      if (self._spriteSrc && !self._spriteFetch) {
+        self._spriteFetch = _loadSpriteSrc(self);
+      }
+
+      // No src of its own: the manifest's resources are used.
+      if (!self._src.length && self._spriteFetch) {
+        self._state = 'loading';
+        self._spriteFetch.then(function (ok) {
+          if (!ok || self._state === 'unloaded') return;
+          if (!self._src.length) {
+            self._emit('loaderror', null, 'The sprite manifest lists no audio sources.');
+            return;
+          }
+          self.load();
+        });
+        return self;
+      }
+
+      var hlsMse = false;
+      var maybe   = null;  // first 'maybe' match, used unless a 'probably' one follows
+      var unknown = [];    // urls with no extension, not yet sniffed
+      self._ext   = null;
+
       for (var i = 0; i < self._src.length; i++) {
         var ext, url;
 
@@ -1068,30 +1619,72 @@
           url = self._src[i];
           ext = /^data:audio\/([^;,]+);/i.exec(url);
           if (!ext) {
-            ext = /\.([^.]+)$/.exec(url.split('?', 1)[0]);
+            ext = /\.([^./]+)$/.exec(url.split('?', 1)[0]);
           }
           if (ext) {
             ext = ext[1].toLowerCase();
+          } else if (self._sniffed[url]) {
+            ext = self._sniffed[url];
           }
         }
 
+        if (!ext && url && self._sniffed[url] === undefined && typeof fetch === 'function') {
+          unknown.push(url);
+          continue;
+        }
+
         if (!ext) {
           console.warn('No file extension was found. Consider using the "format" property or specify an extension.');
         }
 
-        if (ext && Howler.codecs(ext)) {
-          src = self._src[i];
+        var support = ext ? Howler.codecs(ext) : '';
+        if (support === 'probably') {
+          src       = self._src[i];
+          self._ext = ext;
+          break;
+        }
+        if (support) {
+          maybe = maybe || { src: self._src[i], ext: ext };
+          continue;
+        }
+
+        // HLS on browsers without native support: stream Howls only, since
+        // the WebAudio path cannot consume a playlist.
+        if (!maybe && ext === 'm3u8' && self._stream && HlsStream.isSupported()) {
+          src    = self._src[i];
+          hlsMse = true;
           break;
         }
       }
 
+      // Extensionless sources are sniffed before settling for a 'maybe' match;
+      // load() runs again once they are identified.
+      if (!src && unknown.length) {
+        _sniffSources(self, unknown);
+        return self;
+      }
+
+      if (!src && maybe) {
+        src       = maybe.src;
+        self._ext = maybe.ext;
+      }
+
       if (!src) {
         self._emit('loaderror', null, 'No codec support for selected audio sources.');
         return;
       }
 
-      self._src   = src;
-      self._state = 'loading';
+      self._src     = src;
+      self._state   = 'loading';
+      self._mseType = hlsMse ? 'hls'
+                    : (self._stream && self._stream.icyMetadata &&
+                       !self._stream._icyUnavailable && IcyStream.isSupported()) ? 'icy'
+                    : null;
+      if (self._mse && self._mse.type !== self._mseType) {
+        // Source rotation moved to a URL that needs a different feeder.
+        self._mse.detach();
+        self._mse = null;
+      }
 
       // Upgrade http -> html5 on https pages
       if (window.location.protocol === 'https:' && src.slice(0, 5) === 'http:') {
@@ -1111,6 +1704,27 @@
         self._webAudio = false;
       }
 
+      // Formats only a registered decoder can read need the WebAudio path.
+      if (!self._webAudio && !self._stream && Howler.usingWebAudio &&
+          self._ext && !Howler._codecs[self._ext] && Howler._decoders[self._ext]) {
+        console.warn('Howler: "' + self._ext + '" needs its registered decoder - using WebAudio instead of html5.');
+        self._html5    = false;
+        self._webAudio = true;
+      }
+
+      // Sounds created while the sources were being sniffed.
+      self._sounds.forEach(function (sound) {
+        if (!sound._node || !sound._node._awaitingSrc) return;
+        sound._node._awaitingSrc = false;
+        if (self._mseType) {
+          if (!self._mse) self._mse = self._mseType === 'hls' ? new HlsStream(self) : new IcyStream(self);
+          self._mse.attach(sound._node);
+        } else {
+          sound._node.src = src;
+          sound._node.load();
+        }
+      });
+
       new Sound(self);
 
       if (self._webAudio) {
@@ -1120,9 +1734,25 @@
       return self;
     },
 
+    // play(sprite, options) — options.when (v2.6.0) schedules the start on the
+    // AudioContext clock (Howler.ctx.currentTime); options.priority ranks the
+    // voice for the 'lowest-priority' steal policy. The second argument is
+    // still the boolean `internal` flag for library-internal calls.
     play: function (sprite, internal) {
       var self    = this;
       var soundId = null;
+      var options = null;
+
+      if (internal && typeof internal === 'object') {
+        options  = internal;
+        internal = false;
+      }
+      var when = (options && typeof options.when === 'number') ? options.when : 0;
+
+      if (Howler._rendering && (!self._webAudio || self._state !== 'loaded' || _progressivePending(self))) {
+        console.warn('Howler: renderOffline() can only play loaded WebAudio Howls - skipping.');
+        return null;
+      }
 
       if (typeof sprite === 'number') {
         soundId = sprite;
@@ -1158,25 +1788,42 @@
         sound._sprite = sprite;
         sound._ended  = false;
         var waitId    = sound._id;
-        self._queue.push({ event: 'play', action: function () { self.play(waitId); } });
+        self._queue.push({ event: 'play', action: function () { self.play(waitId, options); } });
         return waitId;
       }
 
-      if (soundId && !sound._paused) {
+      if (soundId && !sound._paused && !sound._stolen) {
         if (!internal) self._loadQueue('play');
         return sound._id;
       }
 
-      if (self._webAudio) Howler._autoResume();
+      // Taking back a voice that is still fading out after a steal: halt it
+      // (which also drops the pending stop) and lift the fade.
+      if (sound._stolen && !sound._paused) {
+        self.pause(sound._id, true);
+        if (self._webAudio) sound._node.gain.cancelScheduledValues(Howler.ctx.currentTime);
+      }
+
+      if (!internal && !sound._keepVoice &&
+          !_claimVoice(self, sound, sprite, options ? options.priority : undefined)) {
+        if (!sound._seek) sound._ended = true;  // never started: back to the pool
+        self._loadQueue('play');
+        return null;
+      }
+
+      if (self._webAudio || _ctxRouted(sound)) Howler._autoResume();
 
       var seek     = Math.max(0, sound._seek > 0 ? sound._seek : self._sprite[sprite][0] / 1000);
       var duration = Math.max(0, (self._sprite[sprite][0] + self._sprite[sprite][1]) / 1000 - seek);
       var timeout  = (duration * 1000) / Math.abs(sound._rate);
-      var startPos = self._sprite[sprite][0] / 1000;
+      // Sectioned sprites play the intro once; later iterations loop from the
+      // loop section's start.
+      var startPos = (self._sections[sprite] ? self._sections[sprite].loop[0] : self._sprite[sprite][0]) / 1000;
       var stopPos  = (self._sprite[sprite][0] + self._sprite[sprite][1]) / 1000;
 
       sound._sprite = sprite;
       sound._ended  = false;
+      _cancelScheduled(sound);
 
       var setProps = function () {
         sound._paused = false;
@@ -1184,6 +1831,8 @@
         sound._start  = startPos;
         sound._stop   = stopPos;
         sound._loop   = !!(sound._loop || self._sprite[sprite][2]);
+        sound._graceful = false;
+        sound._stolen   = false;
       };
 
       if (seek >= stopPos) {
@@ -1197,27 +1846,46 @@
         var startPlay = function () {
           self._playLock = false;
           setProps();
-          self._refreshBuffer(sound);
 
-          var vol = (sound._muted || self._muted) ? 0 : sound._volume;
-          node.gain.setValueAtTime(vol, Howler.ctx.currentTime);
-          sound._playStart = Howler.ctx.currentTime;
+          // Progressive Howls still downloading play from decoded pieces.
+          var chunked = _progressivePending(self);
+          if (!chunked) self._refreshBuffer(sound);
 
-          if (sound._loop) {
-            node.bufferSource.start(0, seek, 86400);
+          var vol = (sound._muted || self._muted) ? 0 : sound._volume;
+          var now = Howler.ctx.currentTime;
+          node.gain.setValueAtTime(vol, now);
+
+          // A future `when` starts the source sample-accurately; _playStart
+          // then lies ahead of currentTime until the sound is audible, which
+          // playing()/seek() treat as pending.
+          var startAt = when > now ? when : 0;
+          var delay   = startAt ? (startAt - now) * 1000 : 0;
+          sound._playStart = startAt || now;
+
+          if (chunked) {
+            _startChunks(self, sound, sound._playStart);
+          } else if (sound._loop) {
+            node.bufferSource.start(startAt, seek, 86400);
           } else {
-            node.bufferSource.start(0, seek, duration);
+            node.bufferSource.start(startAt, seek, duration);
           }
 
-          if (timeout !== Infinity) {
-            self._endTimers[sound._id] = setTimeout(self._ended.bind(self, sound), timeout);
+          // Piece playback arms its own end timer once the end is scheduled.
+          if (timeout !== Infinity && !chunked) {
+            self._endTimers[sound._id] = setTimeout(self._ended.bind(self, sound), delay + timeout);
           }
 
-          if (!internal) {
-            queueMicrotask(function () {
+          if (!internal && !Howler._rendering) {
+            var emitPlay = function () {
               self._emit('play', sound._id);
               self._loadQueue();
-            });
+            };
+            if (delay > 0) {
+              sound._startAt = startAt;
+              _awaitStart(sound, emitPlay);
+            } else {
+              queueMicrotask(emitPlay);
+            }
           }
         };
 
@@ -1229,11 +1897,16 @@
           self._clearTimer(sound._id);
         }
       } else {
+        // stop() detaches the MediaSource along with the live node's src.
+        if (self._mse && !self._mse.attached) {
+          self._mse.attach(node);
+        }
+
         // HTML5 Audio path
         var startHtml5 = function () {
           node.currentTime  = seek;
           node.muted        = sound._muted || self._muted || Howler._muted || node.muted;
-          node.volume       = sound._volume * Howler.volume();
+          node.volume       = sound._volume * Howler.volume() * _outputGain(self);
           node.playbackRate = sound._rate;
 
           try {
@@ -1287,20 +1960,32 @@
           }
         };
 
-        var isReady = node.readyState >= 3;
-        if (isReady) {
-          startHtml5();
-        } else {
-          self._playLock = true;
-          self._state    = 'loading';
-
-          var listener = function () {
-            self._state = 'loaded';
+        var beginHtml5 = function () {
+          var isReady = node.readyState >= 3;
+          if (isReady) {
             startHtml5();
-            node.removeEventListener(Howler._canPlayEvent, listener, false);
-          };
-          node.addEventListener(Howler._canPlayEvent, listener, false);
-          self._clearTimer(sound._id);
+          } else {
+            self._playLock = true;
+            self._state    = 'loading';
+
+            var listener = function () {
+              self._state = 'loaded';
+              startHtml5();
+              node.removeEventListener(Howler._canPlayEvent, listener, false);
+            };
+            node.addEventListener(Howler._canPlayEvent, listener, false);
+            self._clearTimer(sound._id);
+          }
+        };
+
+        // HTML5 has no sample-accurate clock: `when` is honoured with a timer
+        // against Howler.ctx.currentTime (best effort).
+        var html5Delay = (when && Howler.ctx) ? (when - Howler.ctx.currentTime) * 1000 : 0;
+        if (html5Delay > 0) {
+          sound._startAt = when;
+          _awaitStart(sound, beginHtml5);
+        } else {
+          beginHtml5();
         }
       }
 
@@ -1319,7 +2004,9 @@
       for (var i = 0; i < ids.length; i++) {
         self._clearTimer(ids[i]);
 
-        var sound = self._soundById(ids[i]);
+        var sound   = self._soundById(ids[i]);
+        var pending = !!sound && _hasPendingStart(sound);
+        if (sound) _cancelScheduled(sound);
         if (sound && !sound._paused) {
           sound._seek     = self.seek(ids[i]);
           sound._rateSeek = 0;
@@ -1339,7 +2026,7 @@
           }
         }
 
-        if (!arguments[1]) {
+        if (!arguments[1] && !pending) {
           self._emit('pause', sound ? sound._id : null);
         }
       }
@@ -1347,21 +2034,40 @@
       return self;
     },
 
+    // stop(id, options) — options.when (v2.6.0) stops on the AudioContext
+    // clock. The source is stopped sample-accurately on WebAudio; state and
+    // the 'stop' event follow when that time is reached.
     stop: function (id, internal) {
-      var self = this;
+      var self    = this;
+      var options = null;
+
+      if (internal && typeof internal === 'object') {
+        options  = internal;
+        internal = false;
+      }
 
       if (self._state !== 'loaded' || self._playLock) {
-        self._queue.push({ event: 'stop', action: function () { self.stop(id); } });
+        self._queue.push({ event: 'stop', action: function () { self.stop(id, options); } });
         return self;
       }
 
       var ids = self._getSoundIds(id);
+      var when = (options && typeof options.when === 'number') ? options.when : 0;
+      if (Howler.ctx && when > Howler.ctx.currentTime) {
+        self._scheduleStop(ids, when);
+        return self;
+      }
+
       for (var i = 0; i < ids.length; i++) {
         self._clearTimer(ids[i]);
 
         var sound = self._soundById(ids[i]);
+        if (sound) _cancelScheduled(sound);
         if (sound) {
-          sound._seek     = sound._start || 0;
+          // A later play(id) starts over, intro included; the HTML5 loop
+          // restart (internal) resumes at the loop start.
+          var entry       = self._sprite[sound._sprite];
+          sound._seek     = (!internal && entry) ? entry[0] / 1000 : (sound._start || 0);
           sound._rateSeek = 0;
           sound._paused   = true;
           sound._ended    = true;
@@ -1385,6 +2091,7 @@
                     sound._node.removeEventListener(Howler._canPlayEvent, sound._loadFn, false);
                     sound._loadFn = null;
                   }
+                  if (self._mse) self._mse.detach();
                   self._clearSound(sound._node);
                 }
               }
@@ -1400,31 +2107,92 @@
       return self;
     },
 
-    mute: function (muted, id) {
+    _scheduleStop: function (ids, when) {
       var self = this;
 
-      if (self._state !== 'loaded' || self._playLock) {
-        self._queue.push({ event: 'mute', action: function () { self.mute(muted, id); } });
-        return self;
-      }
+      ids.forEach(function (soundId) {
+        var sound = self._soundById(soundId);
+        if (!sound || sound._paused) return;
 
-      if (typeof id === 'undefined') {
-        if (typeof muted === 'boolean') {
-          self._muted = muted;
-        } else {
-          return self._muted;
+        if (self._webAudio && sound._node && sound._node._chunks) {
+          _stopChunks(sound._node, when);
+        } else if (self._webAudio && sound._node && sound._node.bufferSource) {
+          sound._node.bufferSource.stop(when);
         }
+        clearTimeout(sound._stopTimer);
+        _awaitStop(sound, when, function () {
+          self.stop(soundId);
+        });
+      });
+
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // stopGracefully(id) — additive (v2.6.0)
+    // Lets looping sounds finish the current loop iteration, then plays the
+    // sprite's outro section (if any) and ends with 'end'. Seamless on
+    // WebAudio; HTML5 seeks to the outro on a timer. pause() or stop() cancels
+    // it. Paused sounds are stopped at once.
+    // -------------------------------------------------------------------------
+    stopGracefully: function (id) {
+      var self = this;
+
+      if (self._state !== 'loaded' || self._playLock) {
+        self._queue.push({ event: 'stopGracefully', action: function () { self.stopGracefully(id); } });
+        return self;
       }
 
       var ids = self._getSoundIds(id);
       for (var i = 0; i < ids.length; i++) {
         var sound = self._soundById(ids[i]);
-        if (sound) {
-          sound._muted = muted;
-          if (sound._interval) self._stopFade(sound._id);
+        if (!sound || sound._graceful) continue;
 
-          if (self._webAudio && sound._node) {
-            sound._node.gain.setValueAtTime(muted ? 0 : sound._volume, Howler.ctx.currentTime);
+        if (sound._paused) {
+          self.stop(ids[i]);
+          continue;
+        }
+
+        sound._graceful = true;
+        if (!sound._loop && !self._sprite[sound._sprite][2]) continue;  // ends by itself
+
+        var section = self._sections[sound._sprite];
+        var outro   = section ? section.outro : null;
+        if (self._webAudio) {
+          _gracefulWebAudio(self, sound, outro);
+        } else {
+          _gracefulHtml5(self, sound, outro);
+        }
+      }
+
+      return self;
+    },
+
+    mute: function (muted, id) {
+      var self = this;
+
+      if (self._state !== 'loaded' || self._playLock) {
+        self._queue.push({ event: 'mute', action: function () { self.mute(muted, id); } });
+        return self;
+      }
+
+      if (typeof id === 'undefined') {
+        if (typeof muted === 'boolean') {
+          self._muted = muted;
+        } else {
+          return self._muted;
+        }
+      }
+
+      var ids = self._getSoundIds(id);
+      for (var i = 0; i < ids.length; i++) {
+        var sound = self._soundById(ids[i]);
+        if (sound) {
+          sound._muted = muted;
+          if (sound._interval) self._stopFade(sound._id);
+
+          if (self._webAudio && sound._node) {
+            sound._node.gain.setValueAtTime(muted ? 0 : sound._volume, Howler.ctx.currentTime);
           } else if (sound._node) {
             sound._node.muted = Howler._muted || muted;
           }
@@ -1478,7 +2246,7 @@
           if (self._webAudio && sound._node && !sound._muted) {
             sound._node.gain.setValueAtTime(vol, Howler.ctx.currentTime);
           } else if (sound._node && !sound._muted) {
-            sound._node.volume = vol * Howler.volume();
+            sound._node.volume = vol * Howler.volume() * _outputGain(self);
           }
           self._emit('volume', sound._id);
         }
@@ -1613,6 +2381,143 @@
       return self;
     },
 
+    // -------------------------------------------------------------------------
+    // effects(list) / rampEffect(name, param, to, duration, id) — additive
+    // (v2.6.0)
+    // Replaces the per-sound effects chain of every sound (and of sounds
+    // created later). rampEffect() ramps one parameter like fade() ramps
+    // volume; `name` is the effect's name, type or index. WebAudio only.
+    // -------------------------------------------------------------------------
+    effects: function (list) {
+      var self = this;
+      if (typeof list === 'undefined') return self._effects.slice();
+
+      self._effects = _effectDescs(list);
+      if (self._webAudio) {
+        for (var i = 0; i < self._sounds.length; i++) {
+          _applySoundEffects(self._sounds[i], self._effects);
+        }
+      }
+      return self;
+    },
+
+    rampEffect: function (name, param, to, duration, id) {
+      var self  = this;
+      var index = _effectIndex(self._effects, name);
+      if (index < 0) {
+        console.warn('Howler: no effect "' + name + '" in the chain.');
+        return self;
+      }
+
+      // A Howl-wide ramp also becomes the starting value for new sounds.
+      if (typeof id === 'undefined') self._effects[index][param] = to;
+      if (!self._webAudio) return self;
+
+      var ids = self._getSoundIds(id);
+      for (var i = 0; i < ids.length; i++) {
+        var sound = self._soundById(ids[i]);
+        if (!sound || !sound._effects) continue;
+        if (!_setEffectParam(sound._effects[index], param, to, parseFloat(duration) || 0)) {
+          console.warn('Howler: effect "' + name + '" has no parameter "' + param + '".');
+          break;
+        }
+      }
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // width(value, id) — additive (v2.6.0)
+    // Stereo width through a mid/side stage ahead of the panner: 0 = mono,
+    // 1 = original, above 1 = wider. Without an id it also becomes the width
+    // of sounds created later. Emits 'width'. WebAudio only.
+    // -------------------------------------------------------------------------
+    width: function (value, id) {
+      var self = this;
+
+      if (typeof value !== 'number') {
+        var found = typeof id === 'undefined' ? null : self._soundById(id);
+        return found ? found._width : self._width;
+      }
+
+      if (!self._webAudio) return self;
+
+      if (self._state !== 'loaded' || self._playLock) {
+        self._queue.push({ event: 'width', action: function () { self.width(value, id); } });
+        return self;
+      }
+
+      if (typeof id === 'undefined') self._width = Math.max(0, value);
+
+      var ids = self._getSoundIds(id);
+      for (var i = 0; i < ids.length; i++) {
+        var sound = self._soundById(ids[i]);
+        if (!sound) continue;
+
+        sound._width = Math.max(0, value);
+        if (sound._node) _applySoundWidth(sound);
+        self._emit('width', sound._id);
+      }
+
+      return self;
+    },
+
+    // -------------------------------------------------------------------------
+    // analyser(options) — additive (v2.6.0)
+    // Levels, spectrum, waveform and (with { loudness: true }) LUFS for this
+    // Howl's sounds; options: { fftSize, smoothing, loudness }. Works for
+    // WebAudio, HTML5 and stream Howls. Repeated calls return the same
+    // analyser; it is destroyed by unload().
+    // -------------------------------------------------------------------------
+    analyser: function (options) {
+      var self = this;
+      Howler.ctx || _initCtx();
+      if (!Howler.ctx) return null;
+
+      if (!self._analyser) {
+        self._analyser = new Analyser(options, self);
+        for (var i = 0; i < self._sounds.length; i++) {
+          _analyserTap(self, self._sounds[i]);
+        }
+      }
+      return self._analyser;
+    },
+
+    // -------------------------------------------------------------------------
+    // detectSprites(options) — additive (v2.6.0)
+    // Splits the decoded buffer at silences and adds the regions to the sprite
+    // map as 'sprite1', 'sprite2', …; options: { thresholdDb (-50),
+    // minSilenceMs (250) }. Returns the new regions, or null when the Howl has
+    // no decoded buffer (HTML5, not loaded yet). Calling it again replaces the
+    // regions of the previous call.
+    // -------------------------------------------------------------------------
+    detectSprites: function (options) {
+      var self   = this;
+      var buffer = (self._webAudio && self._state === 'loaded') ? cacheGet(self._src) : null;
+      options = options || {};
+
+      if (!buffer) {
+        console.warn('Howler: detectSprites() needs a fully loaded WebAudio Howl.');
+        return null;
+      }
+
+      var thresholdDb  = typeof options.thresholdDb  === 'number' ? options.thresholdDb  : -50;
+      var minSilenceMs = typeof options.minSilenceMs === 'number' ? options.minSilenceMs : 250;
+      var regions      = _silenceRegions(buffer, Math.pow(10, thresholdDb / 20), minSilenceMs);
+      var sprites      = {};
+
+      self._detected.forEach(function (name) { delete self._sprite[name]; });
+      self._detected = [];
+
+      regions.forEach(function (region, i) {
+        var name = 'sprite' + (i + 1);
+        sprites[name] = region;
+        self._sprite[name] = region;
+        self._detected.push(name);
+      });
+
+      return sprites;
+    },
+
     loop: function () {
       var self = this;
       var args = arguments;
@@ -1638,7 +2543,14 @@
         sound = self._soundById(ids[i]);
         if (sound) {
           sound._loop = loop;
-          if (self._webAudio && sound._node && sound._node.bufferSource) {
+          if (self._webAudio && sound._node && sound._node._chunks) {
+            // Piece playback reads _loop at the sprite end; re-lay the
+            // schedule in case that end is already queued.
+            if (self.playing(ids[i])) {
+              self.pause(ids[i], true);
+              self.play(ids[i], true);
+            }
+          } else if (self._webAudio && sound._node && sound._node.bufferSource) {
             sound._node.bufferSource.loop = loop;
             if (loop) {
               sound._node.bufferSource.loopStart = sound._start || 0;
@@ -1689,6 +2601,14 @@
       var ids = self._getSoundIds(id);
       for (var i = 0; i < ids.length; i++) {
         var sound = self._soundById(ids[i]);
+        if (sound && self._webAudio && sound._node && sound._node._chunks && self.playing(ids[i])) {
+          // Pieces are laid out for a single rate: restart from the current position.
+          self.pause(ids[i], true);
+          sound._rate = rate;
+          self.play(ids[i], true);
+          self._emit('rate', sound._id);
+          continue;
+        }
         if (sound) {
           if (self.playing(ids[i])) {
             sound._rateSeek  = self.seek(ids[i]);
@@ -1752,7 +2672,7 @@
         // Get current position
         if (self._webAudio) {
           var playing  = self.playing(id);
-          var elapsed  = playing ? Howler.ctx.currentTime - sound._playStart : 0;
+          var elapsed  = playing ? Math.max(0, Howler.ctx.currentTime - sound._playStart) : 0;
           var rateAdj  = sound._rateSeek ? sound._rateSeek - sound._seek : 0;
           return sound._seek + (rateAdj + elapsed * Math.abs(sound._rate));
         }
@@ -1760,7 +2680,8 @@
       }
 
       var isPlaying = self.playing(id);
-      if (isPlaying) self.pause(id, true);
+      var startAt   = _hasPendingStart(sound) ? sound._startAt : 0;
+      if (isPlaying || startAt) self.pause(id, true);
 
       sound._seek   = seek;
       sound._ended  = false;
@@ -1771,7 +2692,11 @@
       }
 
       var resume = function () {
-        if (isPlaying) self.play(id, true);
+        if (startAt) {
+          self.play(id, { when: startAt });
+        } else if (isPlaying) {
+          self.play(id, true);
+        }
         self._emit('seek', id);
       };
 
@@ -1799,14 +2724,16 @@
       return self;
     },
 
+    // Sounds scheduled with play(sprite, { when }) report false until the
+    // AudioContext clock reaches their start.
     playing: function (id) {
       var self = this;
       if (typeof id === 'number') {
         var sound = self._soundById(id);
-        return !!(sound && !sound._paused);
+        return !!(sound && !sound._paused && !_isPendingStart(sound));
       }
       for (var i = 0; i < self._sounds.length; i++) {
-        if (!self._sounds[i]._paused) return true;
+        if (!self._sounds[i]._paused && !_isPendingStart(self._sounds[i])) return true;
       }
       return false;
     },
@@ -1833,6 +2760,7 @@
         self._fetchControllers[src].abort();
       });
       self._fetchControllers = {};
+      self._prog = null;
 
       // Stream mode teardown: cancel all timers and remove external listeners
       if (self._stream) {
@@ -1877,8 +2805,13 @@
 
         // Disconnect AudioWorklet nodes. Without this the Web Audio graph
         // keeps them alive, preventing GC of the Howl and its <audio> element.
+        // The element keeps its source for good (_mediaElementSource), so
+        // it goes back to the destination rather than going silent.
         if (cfg._workletSource) {
-          try { cfg._workletSource.disconnect(); } catch (e) {}
+          try {
+            cfg._workletSource.disconnect(cfg._workletNode);
+            cfg._workletSource.connect(cfg._workletSource.context.destination);
+          } catch (e) {}
           cfg._workletSource = null;
         }
         if (cfg._workletNode) {
@@ -1890,6 +2823,12 @@
           cfg._workletNode = null;
         }
 
+        // Abort HLS / ICY fetches and drop the MediaSource.
+        if (self._mse) {
+          self._mse.detach();
+          self._mse = null;
+        }
+
         // Cancel any in-progress volume ramp.
         if (cfg._rampInterval) {
           clearInterval(cfg._rampInterval);
@@ -1907,6 +2846,8 @@
         Howler.autoSuspend = true;
       }
 
+      if (self._analyser) self._analyser.destroy();
+
       var sounds = self._sounds;
       for (var i = 0; i < sounds.length; i++) {
         if (!sounds[i]._paused) {
@@ -1917,8 +2858,11 @@
           sounds[i]._node.removeEventListener('error',               sounds[i]._errorFn, false);
           sounds[i]._node.removeEventListener(Howler._canPlayEvent,  sounds[i]._loadFn,  false);
           sounds[i]._node.removeEventListener('ended',               sounds[i]._endFn,   false);
+          sounds[i]._node.removeEventListener('progress',            sounds[i]._progressFn, false);
           Howler._releaseHtml5Audio(sounds[i]._node);
         }
+        _cancelScheduled(sounds[i]);
+        _teardownEffects(sounds[i]._effects);
         // Break circular reference so orphaned Sound objects can be GC'd even
         // if external code still holds a Sound reference.
         sounds[i]._parent = null;
@@ -1938,8 +2882,8 @@
           break;
         }
       }
-      if (canDelete) {
-        cacheDelete(self._src);
+      if (canDelete && !_cachePinned.has(self._src)) {
+        cacheDelete(self._src, 'unload');
       }
 
       Howler.noAudio = false;
@@ -1998,6 +2942,106 @@
       return self;
     },
 
+    // -------------------------------------------------------------------------
+    // Promise wrappers — additive (v2.6.0)
+    // Each wraps the callback API and settles from the same _emit path, so
+    // existing on()/once() listeners and the _queue keep working unchanged.
+    // options.signal (AbortSignal) rejects with the signal's reason and
+    // detaches the internal listeners; playAsync also stops the sound.
+    // -------------------------------------------------------------------------
+    loadAsync: function (options) {
+      var self = this;
+
+      return _awaitEvents(self, options, function (settle) {
+        if (self._state === 'loaded') {
+          settle.resolve(self);
+          return {};
+        }
+        return {
+          load:      function () { settle.resolve(self); },
+          loaderror: function (id, err) { settle.reject(_asyncError('load', err)); }
+        };
+      }, function () {
+        // preload:false Howls have not started loading yet.
+        if (self._state === 'unloaded') self.load();
+      });
+    },
+
+    // Resolves with the sound id on 'end' (the first iteration for looping
+    // sounds) or 'stop'; rejects on 'playerror' / 'loaderror'.
+    playAsync: function (sprite, options) {
+      var self    = this;
+      var soundId = null;
+
+      // Handlers are attached before play() runs because the HTML5 path can
+      // emit 'playerror' synchronously. Handler calls are always deferred by
+      // _emit, so soundId is assigned by the time they execute.
+      var isOwn = function (id) { return soundId !== null && id === soundId; };
+
+      return _awaitEvents(self, options, function (settle) {
+        return {
+          end:       function (id) { if (isOwn(id)) settle.resolve(id); },
+          stop:      function (id) { if (isOwn(id)) settle.resolve(id); },
+          playerror: function (id, err) { if (isOwn(id)) settle.reject(_asyncError('play', err)); },
+          loaderror: function (id, err) { settle.reject(_asyncError('load', err)); }
+        };
+      }, function (settle) {
+        soundId = self.play(sprite);
+        if (soundId === null) {
+          settle.reject(_asyncError('play', 'Unknown sprite or no inactive sound available.'));
+        } else if (typeof soundId === 'undefined') {
+          // play() short-circuits to _ended() when seek is past the sprite end.
+          settle.resolve(null);
+        } else {
+          settle.onAbort(function () { self.stop(soundId); });
+        }
+      });
+    },
+
+    // Resolves once every targeted sound has emitted 'fade'.
+    fadeAsync: function (from, to, duration, id, options) {
+      var self    = this;
+      var pending = null;
+
+      return _awaitEvents(self, options, function (settle) {
+        return {
+          fade: function (soundId) {
+            if (!pending) return;
+            pending.delete(soundId);
+            if (pending.size === 0) settle.resolve(self);
+          }
+        };
+      }, function (settle) {
+        _runQueued(self, 'fade', function () {
+          pending = _pendingIds(self, id);
+          self.fade(from, to, duration, id);
+          if (pending.size === 0) settle.resolve(self);
+        });
+      });
+    },
+
+    // Resolves once every targeted sound has emitted 'stop'.
+    stopAsync: function (id, options) {
+      var self    = this;
+      var pending = null;
+
+      return _awaitEvents(self, options, function (settle) {
+        return {
+          stop: function (soundId) {
+            if (!pending) return;
+            pending.delete(soundId);
+            if (pending.size === 0) settle.resolve(self);
+          }
+        };
+      }, function (settle) {
+        _runQueued(self, 'stop', function () {
+          pending = _pendingIds(self, id);
+          self.stop(id);
+          if (pending.size === 0) settle.resolve(self);
+        });
+      });
+    },
+
     _emit: function (event, id, msg) {
       var self     = this;
       var handlers = self['_on' + event];
@@ -2025,6 +3069,10 @@
         }
       }
 
+      if (Howler._duckRules.length) {
+        _duckObserve(self, event, id);
+      }
+
       self._loadQueue(event);
       return self;
     },
@@ -2062,11 +3110,14 @@
         return self;
       }
 
-      var isLoop = !!(sound._loop || self._sprite[sprite][2]);
+      var isLoop = !sound._graceful && !!(sound._loop || self._sprite[sprite][2]);
       self._emit('end', sound._id);
 
       if (!self._webAudio && isLoop) {
+        // The restart keeps its voice; limits only apply to new plays.
+        sound._keepVoice = true;
         self.stop(sound._id, true).play(sound._id);
+        sound._keepVoice = false;
       }
 
       if (self._webAudio && isLoop) {
@@ -2092,6 +3143,9 @@
         self.stop(sound._id, true);
       }
 
+      // After an outro, a later play(id) starts the sprite over.
+      if (sound._graceful) sound._seek = 0;
+
       return self;
     },
 
@@ -2141,8 +3195,10 @@
       for (var j = self._sounds.length - 1; j >= 0; j--) {
         if (ended <= limit) break;
         if (self._sounds[j]._ended) {
+          _analyserUntap(self, self._sounds[j]);
           if (self._webAudio && self._sounds[j]._node) {
             self._sounds[j]._node.disconnect(0);
+            _teardownEffects(self._sounds[j]._effects);
           }
           // Remove from Map too
           self._soundMap.delete(self._sounds[j]._id);
@@ -2164,11 +3220,11 @@
       sound._node.bufferSource = Howler.ctx.createBufferSource();
       sound._node.bufferSource.buffer = cacheGet(self._src);
 
-      if (sound._panner) {
-        sound._node.bufferSource.connect(sound._panner);
-      } else {
-        sound._node.bufferSource.connect(sound._node);
-      }
+      // The spatial panner may have been created or dropped since the chain
+      // was built, so the tail is re-targeted on every new source.
+      if (sound._widthStage) _routeWidth(sound);
+      if (sound._effects) _routeEffects(sound._effects, _chainOutput(sound));
+      sound._node.bufferSource.connect(_soundInput(sound));
 
       sound._node.bufferSource.loop = sound._loop;
       if (sound._loop) {
@@ -2180,6 +3236,11 @@
     },
 
     _cleanBuffer: function (node) {
+      _stopChunks(node);
+      if (node._outroSource) {
+        node._outroSource.disconnect(0);
+        node._outroSource = null;
+      }
       if (!node.bufferSource) return this;
 
       if (Howler._scratchBuffer && node.bufferSource) {
@@ -2222,6 +3283,7 @@
       self._loop   = parent._loop;
       self._volume = parent._volume;
       self._rate   = parent._rate;
+      self._width  = parent._width;
       self._seek   = 0;
       self._paused = true;
       self._ended  = true;
@@ -2244,7 +3306,9 @@
         self._node = Howler.ctx.createGain();
         self._node.gain.setValueAtTime(vol, Howler.ctx.currentTime);
         self._node.paused = true;
-        self._node.connect(Howler.masterGain);
+        self._node.connect(_howlOutput(parent));
+        if (parent._effects.length) _applySoundEffects(self, parent._effects);
+        _applySoundWidth(self);
       } else if (!Howler.noAudio) {
         self._node = Howler._obtainHtml5Audio();
 
@@ -2257,9 +3321,28 @@
         self._endFn = self._endListener.bind(self);
         self._node.addEventListener('ended', self._endFn, false);
 
-        self._node.src     = parent._src;
+        // Live streams have no finite length to report progress against.
+        if (!parent._stream) {
+          self._progressFn = self._progressListener.bind(self);
+          self._node.addEventListener('progress', self._progressFn, false);
+        }
+
+        if (parent._mseType) {
+          // HLS / ICY via Media Source Extensions: the feeder owns node.src
+          // (a MediaSource object URL) and fetches the stream itself.
+          if (!parent._mse) {
+            parent._mse = parent._mseType === 'hls' ? new HlsStream(parent) : new IcyStream(parent);
+          }
+          parent._mse.attach(self._node);
+        } else if (typeof parent._src === 'string') {
+          self._node.src = parent._src;
+        } else {
+          // Created by play() while load() sniffs the sources; load() sets
+          // the src once one is chosen.
+          self._node._awaitingSrc = true;
+        }
         self._node.preload = parent._preload === true ? 'auto' : parent._preload;
-        self._node.volume  = vol * Howler.volume();
+        self._node.volume  = vol * Howler.volume() * _outputGain(parent);
 
         // Set crossOrigin on stream nodes so the browser sends the Origin header
         // and enforces CORS. Without this, credentials are never sent even with
@@ -2274,7 +3357,10 @@
             : 'anonymous';
         }
 
-        self._node.load();
+        // load() would restart resource selection and orphan the MediaSource.
+        if (!parent._mseType && !self._node._awaitingSrc) {
+          self._node.load();
+        }
 
         // Stream mode: attach stall/waiting/playing listeners and set
         // preservesPitch=false to eliminate pitch-correction DSP overhead.
@@ -2285,6 +3371,8 @@
         }
       }
 
+      if (parent._analyser && !Howler._rendering) _analyserTap(parent, self);
+
       return self;
     },
 
@@ -2296,11 +3384,16 @@
       self._loop     = parent._loop;
       self._volume   = parent._volume;
       self._rate     = parent._rate;
+      self._width    = parent._width;
       self._seek     = 0;
       self._rateSeek = 0;
       self._paused   = true;
       self._ended    = true;
       self._sprite   = '__default';
+      self._graceful = false;
+      self._stolen   = false;
+      self._priority = 0;
+      if (parent._webAudio && self._node) _applySoundWidth(self);
 
       var oldId = self._id;
       self._id  = ++Howler._counter;
@@ -2324,6 +3417,13 @@
       var parent = self._parent;
 
       parent._duration = Math.ceil(self._node.duration * 10) / 10;
+      if (parent._spriteFetch && !parent._spriteReady) {
+        parent._spriteFetch.then(function (ok) {
+          if (ok && parent._state !== 'unloaded') self._loadListener();
+        });
+        return;
+      }
+      _closeSprites(parent);
       if (Object.keys(parent._sprite).length === 0) {
         parent._sprite = { __default: [0, parent._duration * 1000] };
       }
@@ -2349,108 +3449,4095 @@
         parent._ended(self);
       }
       self._node.removeEventListener('ended', self._endFn, false);
+    },
+
+    // HTML5 counterpart of the fetch progress: the element only exposes
+    // buffered time ranges, so loaded/total are in seconds, not bytes.
+    _progressListener: function () {
+      var self     = this;
+      var parent   = self._parent;
+      var node     = self._node;
+      var duration = node.duration;
+      var loaded   = 0;
+
+      if (!parent || !parent._onprogress.length || !isFinite(duration) || !duration) return;
+
+      for (var i = 0; i < node.buffered.length; i++) {
+        loaded += node.buffered.end(i) - node.buffered.start(i);
+      }
+      parent._emit('progress', self._id, { loaded: Math.min(loaded, duration), total: duration });
+
+      if (loaded >= duration) {
+        node.removeEventListener('progress', self._progressFn, false);
+      }
     }
   };
 
   // ---------------------------------------------------------------------------
-  // WebAudio fetch helper (replaces XHR)
+  // Scheduled playback helpers (play/stop with { when })
   // ---------------------------------------------------------------------------
-  function _fetchAudio(howl) {
-    var src = howl._src;
 
-    // Already cached?
-    var cached = cacheGet(src);
-    if (cached) {
-      howl._duration = cached.duration;
-      _initFromBuffer(howl);
+  // A scheduled start is pending from play(sprite, { when }) until the 'play'
+  // emission (WebAudio) or the delayed start (HTML5) at sound._startAt on the
+  // AudioContext clock. A sound that is still pending has never started:
+  // pause() cancels it silently and seek() moves the scheduled start.
+  function _hasPendingStart(sound) {
+    return !!sound._startTimer;
+  }
+
+  // Pending and not yet audible, by the audio clock.
+  function _isPendingStart(sound) {
+    return _hasPendingStart(sound) && !!Howler.ctx && Howler.ctx.currentTime < sound._startAt;
+  }
+
+  // Runs fn once the audio clock reaches sound._startAt. Timers drift from
+  // the clock (and the clock stops while suspended), so the wait is re-armed
+  // until the clock is there.
+  function _awaitStart(sound, fn) {
+    var left = Howler.ctx ? sound._startAt - Howler.ctx.currentTime : 0;
+    if (left > 0.001) {
+      sound._startTimer = setTimeout(function () {
+        _awaitStart(sound, fn);
+      }, Math.max(10, left * 1000));
       return;
     }
+    sound._startTimer = null;
+    sound._startAt    = 0;
+    fn();
+  }
 
-    // Base64 data URI — decode inline without a network request
-    if (/^data:[^;]+;base64,/.test(src)) {
-      var b64    = src.split(',')[1];
-      var binary = atob(b64);
-      var bytes  = Uint8Array.from(binary, function (c) { return c.charCodeAt(0); });
-      _decodeAudio(bytes.buffer, howl);
+  // Runs fn once the audio clock reaches `when`, re-armed like _awaitStart so
+  // a suspended or late clock does not cut the sound short.
+  function _awaitStop(sound, when, fn) {
+    var left = Howler.ctx ? when - Howler.ctx.currentTime : 0;
+    if (left > 0.001) {
+      sound._stopTimer = setTimeout(function () {
+        _awaitStop(sound, when, fn);
+      }, Math.max(10, left * 1000));
       return;
     }
+    sound._stopTimer = null;
+    fn();
+  }
 
-    // Build fetch options
-    var fetchOptions = {
-      method:      howl._xhr.method,
-      credentials: howl._xhr.withCredentials ? 'include' : 'same-origin'
-    };
+  // Cancels a pending scheduled start and/or stop.
+  function _cancelScheduled(sound) {
+    if (sound._startTimer) {
+      clearTimeout(sound._startTimer);
+      sound._startTimer = null;
+      sound._startAt    = 0;
+    }
+    if (sound._stopTimer) {
+      clearTimeout(sound._stopTimer);
+      sound._stopTimer = null;
+    }
+  }
 
-    if (howl._xhr.headers) {
-      try {
-        fetchOptions.headers = new Headers(howl._xhr.headers);
-      } catch (e) {
-        console.warn('Howler: Invalid XHR headers - ignoring.', e);
+  // ---------------------------------------------------------------------------
+  // Intro / loop / outro sprites
+  //
+  // A sprite entry may be { intro: [ms, ms], loop: [ms, ms], outro: [ms, ms] }
+  // (intro and outro optional). It is stored as a regular looping region from
+  // the intro's start to the loop's end, so the intro must end where the loop
+  // starts; play() then loops from the loop section (sound._start) while the
+  // first pass includes the intro. The outro is kept in howl._sections and
+  // only played by stopGracefully().
+  // ---------------------------------------------------------------------------
+  function _splitSections(howl) {
+    Object.keys(howl._sprite).forEach(function (name) {
+      var entry = howl._sprite[name];
+      if (!entry || Array.isArray(entry)) return;
+
+      // Without a loop there is nothing to play the sections around.
+      if (!Array.isArray(entry.loop)) {
+        console.warn('Howler: sprite "' + name + '" is an object without a loop section - ignoring it.');
+        delete howl._sprite[name];
+        return;
       }
-    }
 
-    // AbortController for cancellation on unload()
-    var controller  = new AbortController();
-    fetchOptions.signal = controller.signal;
-    howl._fetchControllers[src] = controller;
+      var loop  = entry.loop;
+      var intro = entry.intro || null;
+      if (intro && Math.abs(intro[0] + intro[1] - loop[0]) > 1) {
+        console.warn('Howler: the intro of sprite "' + name + '" must end where its loop starts - ignoring it.');
+        intro = null;
+      }
 
-    fetch(src, fetchOptions)
-      .then(function (response) {
-        if (response.status < 200 || response.status >= 400) {
-          throw new Error('HTTP ' + response.status);
-        }
-        return response.arrayBuffer();
-      })
-      .then(function (buffer) {
-        delete howl._fetchControllers[src];
-        _decodeAudio(buffer, howl);
-      })
-      .catch(function (err) {
-        delete howl._fetchControllers[src];
-        if (err.name === 'AbortError') return; // unload() called — ignore
-        // Fall back to HTML5 audio
-        howl._webAudio  = false;
-        howl._html5     = true;
-        howl._sounds    = [];
-        cacheDelete(src);
-        howl.load();
-      });
+      var start = intro ? intro[0] : loop[0];
+      howl._sections[name] = { loop: loop, outro: entry.outro || null };
+      howl._sprite[name]   = [start, loop[0] + loop[1] - start, true];
+    });
   }
 
-  function _decodeAudio(arrayBuffer, howl) {
-    var onError = function () {
-      howl._emit('loaderror', null, 'Decoding audio data failed.');
-    };
+  // The current pass runs to sound._stop; the loop source stops there
+  // sample-accurately and the outro source starts at the same time. The
+  // sound's position state moves to the outro once that time is reached.
+  function _gracefulWebAudio(howl, sound, outro) {
+    var node = sound._node;
+    var rate = Math.abs(sound._rate);
+    var now  = Howler.ctx.currentTime;
+    var pos  = howl.seek(sound._id);
+    var span = sound._stop - sound._start;
+
+    // The source may have wrapped before the _ended timer caught up.
+    if (pos >= sound._stop && span > 0) pos = sound._start + (pos - sound._start) % span;
+    var endAt = Math.max(now, sound._playStart) + (sound._stop - pos) / rate;
+
+    if (node._chunks) {
+      // Pieces of a progressive download: no outro, just stop at the boundary.
+      howl._scheduleStop([sound._id], endAt);
+      return;
+    }
 
-    var onSuccess = function (buffer) {
-      if (buffer && howl._sounds.length > 0) {
-        cacheSet(howl._src, buffer);
-        _initFromBuffer(howl, buffer);
-      } else {
-        onError();
+    node.bufferSource.stop(endAt);
+    if (outro) {
+      var source = Howler.ctx.createBufferSource();
+      source.buffer = cacheGet(howl._src);
+      source.connect(_soundInput(sound));
+      source.playbackRate.setValueAtTime(sound._rate, now);
+      source.start(endAt, outro[0] / 1000, outro[1] / 1000);
+      node._outroSource = source;
+    }
+
+    howl._clearTimer(sound._id);
+    howl._endTimers[sound._id] = setTimeout(function () {
+      if (!outro) {
+        howl._ended(sound);
+        return;
       }
-    };
+      node.bufferSource.disconnect(0);
+      node.bufferSource = node._outroSource;
+      node._outroSource = null;
+      _enterOutro(howl, sound, outro, endAt);
+    }, (endAt - now) * 1000);
+  }
 
-    // All browsers in scope implement the Promise-based single-argument form.
-    Howler.ctx.decodeAudioData(arrayBuffer).then(onSuccess).catch(onError);
+  // Best effort: the element is seeked to the outro when the pass ends.
+  function _gracefulHtml5(howl, sound, outro) {
+    var node      = sound._node;
+    var remaining = (sound._stop - node.currentTime) / Math.abs(sound._rate);
+
+    howl._clearTimer(sound._id);
+    howl._endTimers[sound._id] = setTimeout(function () {
+      if (!outro) {
+        howl._ended(sound);
+        return;
+      }
+      node.currentTime = outro[0] / 1000;
+      _enterOutro(howl, sound, outro, Howler.ctx ? Howler.ctx.currentTime : 0);
+    }, Math.max(0, remaining * 1000));
   }
 
-  function _initFromBuffer(howl, buffer) {
-    if (buffer && !howl._duration) {
-      howl._duration = buffer.duration;
-    }
-    if (Object.keys(howl._sprite).length === 0) {
-      howl._sprite = { __default: [0, howl._duration * 1000] };
-    }
-    if (howl._state !== 'loaded') {
-      howl._state = 'loaded';
-      howl._emit('load');
-      howl._loadQueue();
-    }
+  function _enterOutro(howl, sound, outro, playStart) {
+    sound._start     = outro[0] / 1000;
+    sound._stop      = (outro[0] + outro[1]) / 1000;
+    sound._seek      = sound._start;
+    sound._rateSeek  = 0;
+    sound._playStart = playStart;
+    howl._endTimers[sound._id] = setTimeout(howl._ended.bind(howl, sound), outro[1] / Math.abs(sound._rate));
   }
 
   // ---------------------------------------------------------------------------
-  // AudioContext initialisation
+  // Voice limits — Howl { maxVoices, spriteVoices, steal }, Howler.maxVoices
+  //
+  // _pool only bounds how many ended sounds _drain keeps; these bound how many
+  // play at once. play() claims a voice against the sprite's limit, the
+  // Howl's and the global one, in that order. When a scope is full the Howl's
+  // `steal` policy picks a playing voice in it to give way:
+  //   'oldest'           earliest started (default)
+  //   'quietest'         lowest volume (muted counts as 0)
+  //   'lowest-priority'  lowest play(sprite, { priority }) value (default 0);
+  //                      only a voice of equal or lower priority is taken
+  //   'reject'           nothing; the new play() returns null
+  // A stolen voice emits 'steal', fades out over STEAL_FADE on WebAudio and
+  // is then stopped with a 'stop' event, so ducking, stopAsync() and
+  // playlists see it end. HTML5 voices stop at once. play(id) during the fade
+  // takes the voice back where it was. Internal replays (HTML5 loop restarts,
+  // panner swaps) keep their voice and are not limited again.
+  // ---------------------------------------------------------------------------
+  var STEAL_FADE = 0.03;  // s
+
+  function _claimVoice(howl, sound, sprite, priority) {
+    sound._priority = typeof priority === 'number' ? priority : (sound._priority || 0);
+
+    var scopes = [
+      { limit: howl._spriteVoices[sprite], howls: [howl], test: function (s) { return s._sprite === sprite; } },
+      { limit: howl._maxVoices,            howls: [howl] },
+      { limit: Howler.maxVoices,           howls: Howler._howls }
+    ];
+
+    for (var i = 0; i < scopes.length; i++) {
+      var scope = scopes[i];
+      if (typeof scope.limit !== 'number' || scope.limit === Infinity) continue;
+
+      var voices = _activeVoices(scope.howls, sound, scope.test);
+      while (voices.length >= scope.limit) {
+        var victim = _pickVictim(voices, howl._steal, sound._priority);
+        if (!victim) return false;
+        _stealVoice(victim);
+        voices.splice(voices.indexOf(victim), 1);
+      }
+    }
+
+    sound._voiceSeq = ++Howler._voiceSeq;
+    return true;
+  }
+
+  function _activeVoices(howls, except, test) {
+    var voices = [];
+    howls.forEach(function (howl) {
+      howl._sounds.forEach(function (s) {
+        if (s !== except && !s._paused && !s._stolen && (!test || test(s))) voices.push(s);
+      });
+    });
+    return voices;
+  }
+
+  function _pickVictim(voices, policy, priority) {
+    if (policy === 'reject' || !voices.length) return null;
+
+    var rank = function (s) {
+      if (policy === 'quietest') return (s._muted || s._parent._muted) ? 0 : s._volume;
+      if (policy === 'lowest-priority') return s._priority || 0;
+      return 0;
+    };
+
+    var victim = voices.reduce(function (best, s) {
+      var diff = rank(s) - rank(best);
+      return (diff < 0 || (diff === 0 && s._voiceSeq < best._voiceSeq)) ? s : best;
+    });
+
+    if (policy === 'lowest-priority' && rank(victim) > priority) return null;
+    return victim;
+  }
+
+  function _stealVoice(sound) {
+    var howl = sound._parent;
+
+    sound._stolen = true;
+    howl._clearTimer(sound._id);
+    howl._stopFade(sound._id);
+    howl._emit('steal', sound._id);
+
+    if (!howl._webAudio || !Howler.ctx) {
+      howl.stop(sound._id);
+      return;
+    }
+
+    var gain = sound._node.gain;
+    var now  = Howler.ctx.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + STEAL_FADE);
+
+    clearTimeout(sound._stopTimer);
+    sound._stopTimer = setTimeout(function () {
+      sound._stopTimer = null;
+      howl.stop(sound._id);
+    }, STEAL_FADE * 1000);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bus (mixer group) — created via Howler.createBus(name, { parent })
+  //
+  // Signal path:
+  //   Sound gain → bus gain → duck gain → [StereoPannerNode] → parent bus …
+  //     → masterGain
+  //
+  // Howls join a bus with the `bus` option (name or Bus instance). Buses nest
+  // through `parent`, so "sfx/ui" under "sfx" is scaled by both.
+  //
+  // HTML5 Howls have no gain node; their node.volume is multiplied by the
+  // bus chain's effective volume (_busGain), and the bus refreshes them when
+  // its volume or mute state changes. stereo() is WebAudio-only, as for Howls.
+  // ---------------------------------------------------------------------------
+  var Bus = function (name, options) {
+    this.init(name, options);
+  };
+
+  Bus.prototype = {
+    init: function (name, options) {
+      var self = this;
+      options = options || {};
+
+      self.name      = name;
+      self._parent   = _resolveBus(options.parent);
+      self._volume   = options.volume !== undefined ? options.volume : 1;
+      self._muted    = options.mute || false;
+      self._stereo   = typeof options.stereo === 'number' ? options.stereo : null;
+      self._ctx      = null;
+      self._node     = null;   // input gain (volume + mute)
+      self._duck     = null;   // ducking gain, driven by Howler.duck() rules
+      self._duckLevel = 1;
+      self._panner   = null;   // created on the first stereo() call
+      self._interval = null;   // rAF handle for an in-progress fade
+
+      self._build();
+      return self;
+    },
+
+    volume: function (vol) {
+      var self = this;
+      vol = parseFloat(vol);
+
+      if (isNaN(vol) || vol < 0 || vol > 1) {
+        return self._volume;
+      }
+
+      self._stopFade();
+      self._volume = vol;
+      self._applyGain();
+      return self;
+    },
+
+    mute: function (muted) {
+      var self = this;
+      if (typeof muted !== 'boolean') return self._muted;
+
+      // A running fade would ramp the gain back up under the mute.
+      self._stopFade();
+      self._muted = muted;
+      self._applyGain();
+      return self;
+    },
+
+    // Ramps the bus volume from -> to over duration ms. WebAudio buses use an
+    // AudioParam ramp; the rAF tick keeps _volume (and HTML5 members) in step.
+    fade: function (from, to, duration) {
+      var self = this;
+
+      from     = Math.min(Math.max(0, parseFloat(from)), 1);
+      to       = Math.min(Math.max(0, parseFloat(to)), 1);
+      duration = Math.max(0, parseFloat(duration) || 0);
+
+      self._stopFade();
+      self._volume = from;
+
+      if (self._node && !self._muted) {
+        var now = Howler.ctx.currentTime;
+        self._node.gain.cancelScheduledValues(now);
+        self._node.gain.setValueAtTime(from, now);
+        self._node.gain.linearRampToValueAtTime(to, now + duration / 1000);
+      }
+
+      var start = performance.now();
+      var tick  = function (time) {
+        var t = duration > 0 ? Math.min(1, (time - start) / duration) : 1;
+        self._volume = from + (to - from) * t;
+        self._refreshHtml5();
+        if (t >= 1) {
+          self._interval = null;
+          self._volume   = to;
+          return;
+        }
+        self._interval = requestAnimationFrame(tick);
+      };
+      self._interval = requestAnimationFrame(tick);
+
+      return self;
+    },
+
+    stereo: function (pan) {
+      var self = this;
+      if (typeof pan !== 'number') return self._stereo;
+
+      self._stereo = Math.min(Math.max(-1, pan), 1);
+      if (!self._node || typeof Howler.ctx.createStereoPanner === 'undefined') return self;
+
+      if (!self._panner) {
+        self._panner = Howler.ctx.createStereoPanner();
+        self._duck.disconnect();
+        self._duck.connect(self._panner);
+        self._panner.connect(_busInput(self._parent));
+      }
+      self._panner.pan.setValueAtTime(self._stereo, Howler.ctx.currentTime);
+      return self;
+    },
+
+    // (Re)creates the bus nodes on the current AudioContext. Called from
+    // init() and from _initCtx() when Howler rebuilds the context.
+    _build: function () {
+      var self = this;
+      if (!Howler.usingWebAudio || !Howler.ctx) return self;
+
+      if (self._parent && self._parent._ctx !== Howler.ctx) {
+        self._parent._build();
+      }
+
+      self._ctx    = Howler.ctx;
+      self._node   = Howler.ctx.createGain();
+      self._duck   = Howler.ctx.createGain();
+      self._panner = null;
+      self._node.gain.setValueAtTime(self._muted ? 0 : self._volume, Howler.ctx.currentTime);
+      self._duck.gain.setValueAtTime(self._duckLevel, Howler.ctx.currentTime);
+      self._node.connect(self._duck);
+      self._duck.connect(_busInput(self._parent));
+
+      if (self._stereo !== null) {
+        self.stereo(self._stereo);
+      }
+      return self;
+    },
+
+    _applyGain: function () {
+      var self = this;
+      if (self._node) {
+        var now = Howler.ctx.currentTime;
+        self._node.gain.cancelScheduledValues(now);
+        self._node.gain.setValueAtTime(self._muted ? 0 : self._volume, now);
+      }
+      self._refreshHtml5();
+    },
+
+    _stopFade: function () {
+      var self = this;
+      if (self._interval) {
+        cancelAnimationFrame(self._interval);
+        self._interval = null;
+        if (self._node) {
+          self._node.gain.cancelScheduledValues(Howler.ctx.currentTime);
+        }
+      }
+    },
+
+    // Re-applies node.volume on HTML5 sounds routed through this bus or any
+    // of its descendants.
+    _refreshHtml5: function () {
+      var self = this;
+      for (var i = 0; i < Howler._howls.length; i++) {
+        var howl = Howler._howls[i];
+        if (howl._webAudio || !_busInChain(howl._bus, self)) continue;
+
+        var gain = Howler.volume() * _outputGain(howl);
+        for (var j = 0; j < howl._sounds.length; j++) {
+          var sound = howl._sounds[j];
+          if (sound._node) sound._node.volume = sound._volume * gain;
+        }
+      }
+    }
+  };
+
+  // Accepts a Bus, a bus name, or nothing. Unknown names warn and resolve to
+  // null (route to masterGain).
+  function _resolveBus(bus) {
+    if (!bus) return null;
+    if (bus instanceof Bus) return bus;
+    if (Howler._buses[bus]) return Howler._buses[bus];
+    console.warn('Howler: unknown bus "' + bus + '" - routing to master.');
+    return null;
+  }
+
+  // The node a Sound or child bus connects to.
+  function _busInput(bus) {
+    return (bus && bus._node) ? bus._node : Howler.masterGain;
+  }
+
+  // Effective volume multiplier of a bus chain (0 if any bus is muted).
+  function _busGain(bus) {
+    var gain = 1;
+    for (; bus; bus = bus._parent) {
+      gain *= bus._muted ? 0 : bus._volume * bus._duckLevel;
+    }
+    return gain;
+  }
+
+  function _busInChain(bus, target) {
+    for (; bus; bus = bus._parent) {
+      if (bus === target) return true;
+    }
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ducking (sidechain) — Howler.duck({ trigger, target, amount, attack,
+  // release })
+  //
+  // While any sound of the trigger (a Howl, or any Howl routed through a
+  // trigger bus) is playing, the target (Howl or bus) is attenuated to
+  // `amount`. Active trigger sound ids are reference-counted from _emit, so
+  // overlapping voice lines keep the music ducked until the last one ends.
+  //
+  // The attenuation is a separate gain stage and never touches volume(),
+  // fade() or mute() state:
+  //   - WebAudio: the bus's _duck gain, or a per-Howl _duckNode inserted
+  //     between its sounds and the bus/master, ramped via AudioParam.
+  //   - HTML5: a _duckLevel multiplier (see _outputGain) applied to
+  //     node.volume through the _rampNodeVolume step-ramp.
+  // With several rules on one target the deepest active duck wins.
+  // ---------------------------------------------------------------------------
+
+  // Called from Howl.prototype._emit for every event while rules exist.
+  function _duckObserve(howl, event, id) {
+    if (typeof id !== 'number') return;
+
+    var rules = Howler._duckRules;
+    for (var i = 0; i < rules.length; i++) {
+      var rule = rules[i];
+      if (!_duckTriggeredBy(rule.trigger, howl)) continue;
+
+      if (event === 'play') {
+        if (!rule._active.has(id)) {
+          rule._active.add(id);
+          if (rule._active.size === 1) _duckApply(rule.target, rule.attack);
+        }
+      } else if (event === 'end') {
+        // Looping sounds emit 'end' every iteration, and _ended() only marks
+        // one-shots as paused after emitting, so re-check once it returns.
+        _duckReleaseIfStopped(rule, howl, id);
+      } else if (event === 'stop' || event === 'pause' || event === 'playerror') {
+        _duckRelease(rule, id);
+      }
+    }
+  }
+
+  function _duckReleaseIfStopped(rule, howl, id) {
+    queueMicrotask(function () {
+      if (!howl.playing(id)) _duckRelease(rule, id);
+    });
+  }
+
+  function _duckRelease(rule, id) {
+    if (rule._active.delete(id) && rule._active.size === 0) {
+      _duckApply(rule.target, rule.release);
+    }
+  }
+
+  function _duckTriggeredBy(trigger, howl) {
+    return trigger === howl || (trigger instanceof Bus && _busInChain(howl._bus, trigger));
+  }
+
+  // Lowest `amount` among the target's engaged rules, or 1.
+  function _duckLevel(target) {
+    var level = 1;
+    var rules = Howler._duckRules;
+    for (var i = 0; i < rules.length; i++) {
+      if (rules[i].target === target && rules[i]._active.size) {
+        level = Math.min(level, rules[i].amount);
+      }
+    }
+    return level;
+  }
+
+  // Ramps the target to its current duck level over ms.
+  function _duckApply(target, ms) {
+    target._duckLevel = _duckLevel(target);
+
+    if (target instanceof Bus) {
+      if (target._duck) _rampParam(target._duck.gain, target._duckLevel, ms);
+      for (var i = 0; i < Howler._howls.length; i++) {
+        var howl = Howler._howls[i];
+        if (!howl._webAudio && _busInChain(howl._bus, target)) _duckHtml5(howl, ms);
+      }
+    } else if (target._webAudio) {
+      _rampParam(_howlDuckNode(target).gain, target._duckLevel, ms);
+    } else {
+      _duckHtml5(target, ms);
+    }
+  }
+
+  function _duckHtml5(howl, ms) {
+    var gain = Howler.volume() * _outputGain(howl);
+    for (var i = 0; i < howl._sounds.length; i++) {
+      var sound = howl._sounds[i];
+      if (!sound._node) continue;
+      // One ramp state per node so concurrent ramps cancel each other.
+      sound._duckRamp = sound._duckRamp || { _rampInterval: null };
+      _rampNodeVolume(sound._duckRamp, sound._node, sound._node.volume, sound._volume * gain, ms, null);
+    }
+  }
+
+  // Inserts the Howl's duck gain between its sounds and the bus/master on
+  // first use; later sounds connect to it from Sound.create().
+  function _howlDuckNode(howl) {
+    if (howl._duckNode) return howl._duckNode;
+
+    howl._duckNode = Howler.ctx.createGain();
+    howl._duckNode.gain.setValueAtTime(howl._duckLevel, Howler.ctx.currentTime);
+    howl._duckNode.connect(_busInput(howl._bus));
+
+    // Only the output link moves: analyser taps and zone sends on the sound
+    // gain stay connected.
+    // Sounds still on an earlier context are left alone.
+    var output = _busInput(howl._bus);
+    for (var i = 0; i < howl._sounds.length; i++) {
+      var node = howl._sounds[i]._node;
+      if (!node || node.context !== Howler.ctx) continue;
+      try { node.disconnect(output); } catch (e) {}
+      node.connect(howl._duckNode);
+    }
+    return howl._duckNode;
+  }
+
+  // Where a Howl's sounds connect: its duck gain if present, else its bus.
+  function _howlOutput(howl) {
+    return howl._duckNode || _busInput(howl._bus);
+  }
+
+  // Effective HTML5 volume multiplier of a Howl: its duck level times the
+  // bus chain gain.
+  function _outputGain(howl) {
+    return howl._duckLevel * _busGain(howl._bus);
+  }
+
+  // Linear ramp from the parameter's current (possibly mid-ramp) value.
+  function _rampParam(param, value, ms) {
+    var now = Howler.ctx.currentTime;
+    if (typeof param.cancelAndHoldAtTime === 'function') {
+      param.cancelAndHoldAtTime(now);
+    } else {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(param.value, now);
+    }
+    param.linearRampToValueAtTime(value, now + Math.max(0, ms) / 1000);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Playlist — new Howler.Playlist(items, options)
+  //
+  // Plays a sequence of Howls. Each item is a src string, an array of srcs, or
+  // Howl options plus optional MediaSession fields ({ src, title, artist,
+  // album, artwork, ... }); options.howl holds options shared by every item.
+  // Only the current item, the next one and any item still fading out are
+  // kept loaded.
+  //
+  // The handoff to the next item is armed from the current sound's 'play'
+  // event (and re-armed on seek):
+  //   - crossfade > 0: `crossfade` ms before the end, the next item fades in
+  //     while the current one fades out. Works on both backends.
+  //   - gapless (WebAudio, default): PLAYLIST_LOOKAHEAD s before the end, the
+  //     next item is scheduled with play(sprite, { when }) at the exact end
+  //     time of the current one.
+  //   - otherwise (HTML5, or the next buffer is not decoded yet) the next
+  //     item starts from the current one's 'end' event.
+  // ---------------------------------------------------------------------------
+  var PLAYLIST_LOOKAHEAD = 1; // s before the end at which a gapless start is scheduled
+  var PLAYLIST_META      = { title: 1, artist: 1, album: 1, artwork: 1 };
+  var PLAYLIST_REPEAT    = { none: 1, one: 1, all: 1 };
+
+  var Playlist = function (items, options) {
+    this.init(items, options);
+  };
+
+  Playlist.prototype = {
+    init: function (items, options) {
+      var self = this;
+      options = options || {};
+
+      self._items        = (items || []).map(_playlistItem);
+      self._howlOptions  = options.howl || {};
+      self._crossfade    = Math.max(0, parseFloat(options.crossfade) || 0);
+      self._gapless      = options.gapless !== false;
+      self._repeat       = PLAYLIST_REPEAT[options.repeat] ? options.repeat : 'none';
+      self._shuffle      = !!options.shuffle;
+      self._mediaSession = options.mediaSession !== false;
+      self._howls        = {};    // item index -> Howl
+      self._order        = [];    // play order (item indices), shuffled in shuffle mode
+      self._pos          = 0;     // position of the current item in _order
+      self._id           = null;  // sound id of the current item
+      self._next         = null;  // { index, howl, id } of a gapless start scheduled ahead
+      self._fading       = [];    // { howl, id, timer } of items fading out
+      self._timer        = null;  // handoff timer
+      self._playing      = false;
+      self._failed       = 0;     // consecutive items that failed to load
+
+      // Event handler arrays
+      self._ontrack     = options.ontrack     ? [{ fn: options.ontrack }]     : [];
+      self._onend       = options.onend       ? [{ fn: options.onend }]       : [];
+      self._onloaderror = options.onloaderror ? [{ fn: options.onloaderror }] : [];
+
+      self._buildOrder(options.index || 0);
+      return self;
+    },
+
+    // play() resumes or starts the current item; play(index) jumps to an item.
+    play: function (index) {
+      var self = this;
+      if (!self._items.length) return self;
+
+      if (typeof index === 'number') {
+        var pos = self._order.indexOf(index);
+        if (pos < 0) return self;
+        self._playing = true;
+        self._failed  = 0;
+        self._go(pos);
+        return self;
+      }
+      if (self._playing) return self;
+
+      self._playing = true;
+      self._failed  = 0;
+      var howl = self._howls[self._order[self._pos]];
+      if (howl && self._id !== null) {
+        howl.play(self._id);
+        _playlistPlaybackState(self, 'playing');
+      } else {
+        self._start(self._pos, 0);
+      }
+      return self;
+    },
+
+    pause: function () {
+      var self = this;
+      var howl = self.howl();
+
+      self._playing = false;
+      self._disarm();
+      self._stopFading();
+      if (howl && self._id !== null) howl.pause(self._id);
+      _playlistPlaybackState(self, 'paused');
+      return self;
+    },
+
+    // Stops the current item; the next play() starts it from the beginning.
+    stop: function () {
+      var self = this;
+      var howl = self.howl();
+
+      self._playing = false;
+      self._disarm();
+      self._stopFading();
+      if (howl && self._id !== null) howl.stop(self._id);
+      self._id = null;
+      _playlistPlaybackState(self, 'none');
+      return self;
+    },
+
+    next: function () {
+      var self = this;
+      var pos  = self._pos + 1;
+      if (pos >= self._order.length) {
+        if (self._repeat === 'none') return self;
+        pos = 0;
+      }
+      self._go(pos);
+      return self;
+    },
+
+    prev: function () {
+      var self = this;
+      var pos  = self._pos - 1;
+      if (pos < 0) {
+        pos = self._repeat === 'none' ? 0 : self._order.length - 1;
+      }
+      self._go(pos);
+      return self;
+    },
+
+    // Index of the current item in the items list.
+    index: function () {
+      return this._items.length ? this._order[this._pos] : -1;
+    },
+
+    // The Howl of the current item (null until it has been loaded).
+    howl: function () {
+      return this._howls[this.index()] || null;
+    },
+
+    playing: function () {
+      return this._playing;
+    },
+
+    shuffle: function (shuffle) {
+      var self = this;
+      if (typeof shuffle !== 'boolean') return self._shuffle;
+
+      self._shuffle = shuffle;
+      self._buildOrder(self.index());
+      self._rearm();
+      return self;
+    },
+
+    // 'none' | 'one' | 'all'
+    repeat: function (mode) {
+      var self = this;
+      if (mode === undefined) return self._repeat;
+      if (!PLAYLIST_REPEAT[mode]) {
+        console.warn('Howler: unknown playlist repeat mode "' + mode + '".');
+        return self;
+      }
+
+      self._repeat = mode;
+      self._rearm();
+      return self;
+    },
+
+    // Crossfade length in ms; 0 selects the gapless / 'end' handoff.
+    crossfade: function (ms) {
+      var self = this;
+      if (ms === undefined) return self._crossfade;
+
+      self._crossfade = Math.max(0, parseFloat(ms) || 0);
+      self._rearm();
+      return self;
+    },
+
+    unload: function () {
+      var self = this;
+
+      self.stop();
+      Object.keys(self._howls).forEach(function (index) {
+        self._howls[index].unload();
+      });
+      self._howls = {};
+      return self;
+    },
+
+    on: function (event, fn, once) {
+      var handlers = this['_on' + event];
+      if (handlers && typeof fn === 'function') {
+        handlers.push(once ? { fn: fn, once: once } : { fn: fn });
+      }
+      return this;
+    },
+
+    off: function (event, fn) {
+      var self     = this;
+      var handlers = self['_on' + event];
+      if (!handlers) return self;
+
+      if (fn) {
+        for (var i = 0; i < handlers.length; i++) {
+          if (handlers[i].fn === fn) {
+            handlers.splice(i, 1);
+            break;
+          }
+        }
+      } else {
+        self['_on' + event] = [];
+      }
+      return self;
+    },
+
+    once: function (event, fn) {
+      return this.on(event, fn, true);
+    },
+
+    _emit: function (event, a, b) {
+      var self     = this;
+      var handlers = self['_on' + event];
+
+      for (var i = handlers.length - 1; i >= 0; i--) {
+        (function (fn) {
+          queueMicrotask(function () { fn.call(self, a, b); });
+        })(handlers[i].fn);
+        if (handlers[i].once) handlers.splice(i, 1);
+      }
+    },
+
+    // Rebuilds the play order with item `first` at the current position.
+    _buildOrder: function (first) {
+      var self  = this;
+      var order = self._items.map(function (item, i) { return i; });
+
+      if (self._shuffle) {
+        for (var i = order.length - 1; i > 0; i--) {
+          var j   = Math.floor(Math.random() * (i + 1));
+          var tmp = order[i];
+          order[i] = order[j];
+          order[j] = tmp;
+        }
+        // Keep the current item playing at the head of the new order.
+        var at = order.indexOf(first);
+        if (at > 0) order.unshift(order.splice(at, 1)[0]);
+        self._pos = 0;
+      } else {
+        self._pos = Math.max(0, order.indexOf(first));
+      }
+      self._order = order;
+    },
+
+    // Position of the item that follows the current one, or -1 at the end.
+    _nextPos: function () {
+      var self = this;
+      if (self._repeat === 'one') return self._pos;
+      if (self._pos + 1 < self._order.length) return self._pos + 1;
+      return self._repeat === 'all' ? 0 : -1;
+    },
+
+    // Returns the Howl for an item, creating (and preloading) it on demand.
+    _load: function (index) {
+      var self = this;
+      if (self._howls[index]) return self._howls[index];
+
+      var options = Object.assign({}, self._howlOptions, self._items[index].options);
+      options.autoplay = false;
+      options.preload  = true;
+
+      var howl = new Howl(options);
+      howl.on('load', function () {
+        self._failed = 0;
+      });
+      howl.on('play', function (id) {
+        if (self._next && id === self._next.id) self._promote();
+        if (id === self._id) self._arm();
+      });
+      howl.on('seek', function (id) {
+        if (id === self._id && self._playing) self._arm();
+      });
+      howl.on('pause', function (id) {
+        if (id === self._id) self._disarm();
+      });
+      howl.on('end', function (id) {
+        if (id !== self._id || howl.loop(id)) return;
+        if (self._next) {
+          self._promote();
+        } else {
+          self._advance();
+        }
+      });
+      howl.on('loaderror', function (id, msg) {
+        self._emit('loaderror', index, msg);
+        if (!self._playing || index !== self.index()) return;
+
+        // Give up after a full pass (or one retry with repeat 'one') without
+        // a single item loading, instead of skipping around forever.
+        self._failed++;
+        if (self._failed >= (self._repeat === 'one' ? 1 : self._order.length)) {
+          self._failed = 0;
+          self.stop();
+          self._emit('loaderror', null, 'No playlist item could be loaded.');
+          return;
+        }
+        self._advance();
+      });
+
+      self._howls[index] = howl;
+      return howl;
+    },
+
+    // Starts the item at `pos`, optionally fading it in over fadeIn ms.
+    _start: function (pos, fadeIn) {
+      var self  = this;
+      var index = self._order[pos];
+      var howl  = self._load(index);
+
+      self._pos = pos;
+      self._id  = howl.play();
+      if (fadeIn) howl.fade(0, howl.volume(), fadeIn, self._id);
+      self._trackChanged();
+    },
+
+    // Moves to the item at `pos` (next/prev/play(index)).
+    _go: function (pos) {
+      var self = this;
+      var howl = self.howl();
+
+      self._disarm();
+      if (!self._playing || self._id === null) {
+        if (howl && self._id !== null) howl.stop(self._id);
+        self._id  = null;
+        self._pos = pos;
+        self._release();
+        if (self._playing) self._start(pos, 0);
+        return;
+      }
+
+      if (self._crossfade) {
+        self._fadeOut(howl, self._id, self._crossfade);
+        self._start(pos, self._crossfade);
+      } else {
+        howl.stop(self._id);
+        self._start(pos, 0);
+      }
+      self._release();
+    },
+
+    // Called when the current item ends without a handoff already in flight.
+    _advance: function () {
+      var self = this;
+      var pos  = self._nextPos();
+
+      self._disarm();
+      if (pos < 0) {
+        self._playing = false;
+        self._id      = null;
+        self._pos     = 0;
+        _playlistPlaybackState(self, 'none');
+        self._emit('end');
+        return;
+      }
+      self._start(pos, 0);
+      self._release();
+    },
+
+    // Makes a scheduled gapless start the current item.
+    _promote: function () {
+      var self = this;
+      var next = self._next;
+
+      // Resolve the position again: shuffle() may have rebuilt _order since
+      // the start was scheduled.
+      self._next = null;
+      self._pos  = Math.max(0, self._order.indexOf(next.index));
+      self._id   = next.id;
+      self._trackChanged();
+    },
+
+    // Preloads the next item and sets the handoff timer for the current one.
+    _arm: function () {
+      var self = this;
+      var howl = self.howl();
+
+      self._disarm();
+      if (!howl || howl.loop(self._id)) return;
+
+      var pos = self._nextPos();
+      if (pos < 0) return;
+      self._load(self._order[pos]);
+
+      var lead = self._crossfade / 1000;
+      if (!lead) {
+        if (!self._gapless || !howl._webAudio) return; // handoff on 'end'
+        lead = PLAYLIST_LOOKAHEAD;
+      }
+
+      var remaining = _playlistRemaining(howl, self._id);
+      self._timer = setTimeout(function () {
+        self._timer = null;
+        self._handoff(pos);
+      }, Math.max(0, remaining - lead) * 1000);
+    },
+
+    _disarm: function () {
+      var self = this;
+
+      clearTimeout(self._timer);
+      self._timer = null;
+      if (self._next) {
+        self._next.howl.stop(self._next.id);
+        self._next = null;
+      }
+    },
+
+    _rearm: function () {
+      var self = this;
+      if (self._playing && self._id !== null) self._arm();
+    },
+
+    _handoff: function (pos) {
+      var self = this;
+      var howl = self.howl();
+      var next = self._load(self._order[pos]);
+
+      if (self._crossfade) {
+        self._fadeOut(howl, self._id, self._crossfade);
+        self._start(pos, self._crossfade);
+        self._release();
+        return;
+      }
+
+      // Gapless: the next buffer must be decoded to start on time; if it is
+      // not, the 'end' handler falls back to a plain start.
+      if (next.state() !== 'loaded') return;
+
+      var when = Howler.ctx.currentTime + _playlistRemaining(howl, self._id);
+      self._next = {
+        index: self._order[pos],
+        howl:  next,
+        id:    next.play(undefined, { when: when })
+      };
+      self._release();
+    },
+
+    _fadeOut: function (howl, id, ms) {
+      var self  = this;
+      var entry = { howl: howl, id: id, timer: null };
+
+      howl.fade(howl.volume(id), 0, ms, id);
+      entry.timer = setTimeout(function () {
+        self._fading.splice(self._fading.indexOf(entry), 1);
+        howl.stop(id);
+        self._release();
+      }, ms);
+      self._fading.push(entry);
+    },
+
+    _stopFading: function () {
+      var self = this;
+
+      self._fading.forEach(function (entry) {
+        clearTimeout(entry.timer);
+        entry.howl.stop(entry.id);
+      });
+      self._fading = [];
+      self._release();
+    },
+
+    // Unloads Howls that are not current, next, or fading out.
+    _release: function () {
+      var self = this;
+      var keep = [self.howl()];
+
+      var pos = self._nextPos();
+      if (pos >= 0) keep.push(self._howls[self._order[pos]]);
+      self._fading.forEach(function (entry) { keep.push(entry.howl); });
+
+      Object.keys(self._howls).forEach(function (index) {
+        var howl = self._howls[index];
+        if (keep.indexOf(howl) < 0) {
+          howl.unload();
+          delete self._howls[index];
+        }
+      });
+    },
+
+    _trackChanged: function () {
+      var self  = this;
+      var index = self.index();
+
+      if (self._mediaSession) {
+        _bindPlaylistMediaSession(self);
+        if (self._items[index].meta.title) {
+          self.howl().mediaSession(self._items[index].meta);
+        }
+        _playlistPlaybackState(self, 'playing');
+      }
+      self._emit('track', index, self.howl());
+    }
+  };
+
+  HowlerGlobal.prototype.Playlist = Playlist;
+
+  // Splits an item into Howl options and MediaSession metadata.
+  function _playlistItem(item) {
+    if (typeof item === 'string' || Array.isArray(item)) {
+      item = { src: item };
+    }
+    var options = {};
+    var meta    = {};
+    Object.keys(item).forEach(function (key) {
+      (PLAYLIST_META[key] ? meta : options)[key] = item[key];
+    });
+    return { options: options, meta: meta };
+  }
+
+  // Seconds of audio left in a sound at its current rate.
+  function _playlistRemaining(howl, id) {
+    var rate = Math.abs(howl.rate(id)) || 1;
+    return Math.max(0, howl.duration(id) - howl.seek(id)) / rate;
+  }
+
+  // MediaSession handlers for a playlist — the play/pause/stop set of
+  // _bindMediaSessionActions, with previoustrack/nexttrack stepping the list.
+  function _bindPlaylistMediaSession(playlist) {
+    if (typeof navigator === 'undefined' || !navigator.mediaSession) return;
+
+    var setHandler = function (action, fn) {
+      try { navigator.mediaSession.setActionHandler(action, fn); } catch (e) {}
+    };
+
+    setHandler('play',          function () { playlist.play(); });
+    setHandler('pause',         function () { playlist.pause(); });
+    setHandler('stop',          function () { playlist.stop(); });
+    setHandler('previoustrack', function () { playlist.prev(); });
+    setHandler('nexttrack',     function () { playlist.next(); });
+  }
+
+  function _playlistPlaybackState(playlist, state) {
+    if (!playlist._mediaSession || typeof navigator === 'undefined' ||
+        !navigator.mediaSession) {
+      return;
+    }
+    try { navigator.mediaSession.playbackState = state; } catch (e) {}
+  }
+
+  // ---------------------------------------------------------------------------
+  // Effects chain — howl.effects([...]) / Howler.effects([...])
+  //
+  // Howl chains are built per Sound and sit between the buffer source and
+  // the sound's gain node, ahead of the spatial plugin's panner:
+  //   bufferSource → effect … effect → [width] → [_panner] → sound gain → bus/master
+  // _refreshBuffer connects each new source to the chain head and re-targets
+  // the chain tail, so panners created later are picked up. The global chain
+  // sits between masterGain and the destination.
+  //
+  // Descriptors ({ type, name, ...params }):
+  //   filter     { filterType, frequency, Q, gain, detune }  (BiquadFilterNode)
+  //   eq         { bands: 3 | 5, low, lowMid, mid, highMid, high }  (dB)
+  //   compressor { threshold, knee, ratio, attack, release }
+  //   reverb     { src | buffer, mix }  (ConvolverNode, impulse response)
+  //   delay      { time, feedback, mix }
+  // Every numeric parameter can be ramped with rampEffect().
+  // ---------------------------------------------------------------------------
+  var EFFECT_TYPES = { filter: 1, eq: 1, compressor: 1, reverb: 1, delay: 1 };
+
+  var EQ_BANDS = {
+    3: [['low', 'lowshelf', 250], ['mid', 'peaking', 1000], ['high', 'highshelf', 4000]],
+    5: [['low', 'lowshelf', 100], ['lowMid', 'peaking', 300], ['mid', 'peaking', 1000],
+        ['highMid', 'peaking', 3000], ['high', 'highshelf', 8000]]
+  };
+
+  var _impulseLoads = {}; // src -> in-flight Promise<AudioBuffer>
+  // Decoded impulse responses, kept apart from the byte-budgeted buffer
+  // cache so they neither count against it nor evict audio.
+  var _impulses     = {}; // src -> AudioBuffer
+
+  // Copies descriptors, dropping unknown types.
+  function _effectDescs(list) {
+    return (list || []).filter(function (desc) {
+      if (desc && EFFECT_TYPES[desc.type]) return true;
+      console.warn('Howler: unknown effect type "' + (desc && desc.type) + '" - skipping.');
+      return false;
+    }).map(function (desc) {
+      return Object.assign({}, desc);
+    });
+  }
+
+  // Resolves an effect by index, name, or (first match) type.
+  function _effectIndex(descs, name) {
+    if (typeof name === 'number') return name < descs.length ? name : -1;
+    for (var i = 0; i < descs.length; i++) {
+      if (descs[i].name === name) return i;
+    }
+    for (i = 0; i < descs.length; i++) {
+      if (descs[i].type === name) return i;
+    }
+    return -1;
+  }
+
+  // Builds the nodes for one descriptor: { input, output, params, nodes },
+  // where params maps a parameter name to the AudioParams it drives (and
+  // how) and nodes lists every node for teardown. `howl` (null for the global
+  // chain) supplies the xhr options for impulse response fetches.
+  function _createEffect(desc, howl) {
+    var ctx = Howler.ctx;
+    var fx  = { input: null, output: null, params: {}, nodes: [] };
+    var bind = function (name, param, map) {
+      (fx.params[name] = fx.params[name] || []).push({ param: param, map: map || null });
+    };
+    var own = function (node) {
+      fx.nodes.push(node);
+      return node;
+    };
+
+    switch (desc.type) {
+      case 'filter':
+        var filter = own(ctx.createBiquadFilter());
+        filter.type = desc.filterType || 'lowpass';
+        bind('frequency', filter.frequency);
+        bind('Q',         filter.Q);
+        bind('gain',      filter.gain);
+        bind('detune',    filter.detune);
+        fx.input = fx.output = filter;
+        break;
+
+      case 'eq':
+        (EQ_BANDS[desc.bands] || EQ_BANDS[3]).forEach(function (band) {
+          var node = own(ctx.createBiquadFilter());
+          node.type = band[1];
+          node.frequency.setValueAtTime(band[2], ctx.currentTime);
+          bind(band[0], node.gain);
+          if (fx.output) fx.output.connect(node);
+          fx.input  = fx.input || node;
+          fx.output = node;
+        });
+        break;
+
+      case 'compressor':
+        var comp = own(ctx.createDynamicsCompressor());
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(function (name) {
+          bind(name, comp[name]);
+        });
+        fx.input = fx.output = comp;
+        break;
+
+      case 'reverb':
+        var convolver = own(ctx.createConvolver());
+        _wetDry(ctx, fx, convolver, convolver, bind);
+        if (desc.buffer) {
+          convolver.buffer = desc.buffer;
+        } else if (desc.src) {
+          _loadImpulse(desc.src, howl).then(function (buffer) {
+            convolver.buffer = buffer;
+          }).catch(function (err) {
+            console.warn('Howler: impulse response "' + desc.src + '" failed to load.', err);
+          });
+        }
+        if (desc.mix === undefined) desc.mix = 0.3;
+        break;
+
+      case 'delay':
+        var delay    = own(ctx.createDelay(5));
+        var feedback = own(ctx.createGain());
+        delay.connect(feedback);
+        feedback.connect(delay);
+        _wetDry(ctx, fx, delay, delay, bind);
+        bind('time',     delay.delayTime);
+        bind('feedback', feedback.gain);
+        if (desc.feedback === undefined) desc.feedback = 0.3;
+        if (desc.mix === undefined) desc.mix = 0.3;
+        break;
+    }
+
+    Object.keys(fx.params).forEach(function (name) {
+      if (typeof desc[name] === 'number') _setEffectParam(fx, name, desc[name], 0);
+    });
+    return fx;
+  }
+
+  // input → dry → output and input → wetIn … wetOut → wet → output; `mix`
+  // drives both gains.
+  function _wetDry(ctx, fx, wetIn, wetOut, bind) {
+    var input  = ctx.createGain();
+    var dry    = ctx.createGain();
+    var wet    = ctx.createGain();
+    var output = ctx.createGain();
+    fx.nodes.push(input, dry, wet, output);
+
+    input.connect(dry);
+    input.connect(wetIn);
+    wetOut.connect(wet);
+    dry.connect(output);
+    wet.connect(output);
+
+    bind('mix', wet.gain);
+    bind('mix', dry.gain, function (v) { return 1 - v; });
+    fx.input  = input;
+    fx.output = output;
+  }
+
+  // Sets (ms = 0) or ramps a parameter. Returns false for unknown names.
+  function _setEffectParam(fx, name, value, ms) {
+    var targets = fx.params[name];
+    if (!targets) return false;
+
+    targets.forEach(function (t) {
+      var v = t.map ? t.map(value) : value;
+      if (ms > 0) {
+        _rampParam(t.param, v, ms);
+      } else {
+        t.param.setValueAtTime(v, Howler.ctx.currentTime);
+      }
+    });
+    return true;
+  }
+
+  function _loadImpulse(src, howl) {
+    if (_impulses[src]) return Promise.resolve(_impulses[src]);
+
+    if (!_impulseLoads[src]) {
+      _impulseLoads[src] = fetch(src, howl ? _fetchOptions(howl) : undefined)
+        .then(function (response) {
+          if (response.status < 200 || response.status >= 400) {
+            throw new Error('HTTP ' + response.status);
+          }
+          return response.arrayBuffer();
+        })
+        .then(function (buffer) {
+          return Howler.ctx.decodeAudioData(buffer);
+        })
+        .then(function (buffer) {
+          delete _impulseLoads[src];
+          _impulses[src] = buffer;
+          return buffer;
+        }, function (err) {
+          delete _impulseLoads[src];
+          throw err;
+        });
+    }
+    return _impulseLoads[src];
+  }
+
+  // Builds a chain from descriptors and links it up to (not including) the
+  // destination. Returns null for an empty list.
+  function _buildEffects(descs, howl) {
+    if (!descs.length) return null;
+
+    var chain = descs.map(function (desc) {
+      return _createEffect(desc, howl || null);
+    });
+    for (var i = 1; i < chain.length; i++) {
+      chain[i - 1].output.connect(chain[i].input);
+    }
+    return chain;
+  }
+
+  // (Re)points the chain tail at dest.
+  function _routeEffects(chain, dest) {
+    var tail = chain[chain.length - 1].output;
+    tail.disconnect();
+    tail.connect(dest);
+  }
+
+  function _teardownEffects(chain) {
+    if (!chain) return;
+    // Every node, so internal loops (the delay feedback) are released too.
+    chain.forEach(function (fx) {
+      fx.nodes.forEach(function (node) {
+        try { node.disconnect(); } catch (e) {}
+      });
+    });
+  }
+
+  // Where a Sound's buffer source connects.
+  function _soundInput(sound) {
+    if (sound._effects) return sound._effects[0].input;
+    return _chainOutput(sound);
+  }
+
+  // Where the chain tail connects: the width stage, the panner or the gain.
+  function _chainOutput(sound) {
+    if (sound._widthStage) return sound._widthStage.input;
+    return sound._panner || sound._node;
+  }
+
+  // Replaces a Sound's chain and reconnects a live buffer source.
+  function _applySoundEffects(sound, descs) {
+    _teardownEffects(sound._effects);
+    sound._effects = _buildEffects(descs, sound._parent);
+    if (sound._effects) _routeEffects(sound._effects, _chainOutput(sound));
+    _reconnectSources(sound);
+  }
+
+  function _reconnectSources(sound) {
+    var sources = sound._node._chunks ? sound._node._chunks.sources : [sound._node.bufferSource];
+    if (sound._node._outroSource) sources = sources.concat(sound._node._outroSource);
+    sources.forEach(function (source) {
+      if (!source) return;
+      source.disconnect();
+      source.connect(_soundInput(sound));
+    });
+  }
+
+  // Re-inserts the global chain (and width stage) between masterGain and the
+  // destination.
+  function _applyMasterEffects() {
+    // Only the link into the old chain (or width stage, or the destination)
+    // is cut, so other masterGain outputs stay connected.
+    var chain = Howler._effectChain;
+    var stage = Howler._widthStage;
+    var link  = Howler.ctx.destination;
+    if (stage && stage.input.context !== Howler.ctx) stage = null;
+    if (chain && chain[0].input.context === Howler.ctx) {
+      link = chain[0].input;
+    } else if (stage) {
+      link = stage.input;
+    }
+    try { Howler.masterGain.disconnect(link); } catch (e) {}
+    _teardownEffects(chain);
+
+    var dest = Howler.ctx.destination;
+    if (!stage && Howler._width !== 1) {
+      stage = _createWidth();
+      stage.output.connect(dest);
+    }
+    Howler._widthStage = stage;
+    if (stage) {
+      _setWidth(stage, Howler._width);
+      dest = stage.input;
+    }
+
+    Howler._effectChain = _buildEffects(Howler._effects);
+    if (Howler._effectChain) {
+      Howler.masterGain.connect(Howler._effectChain[0].input);
+      _routeEffects(Howler._effectChain, dest);
+    } else {
+      Howler.masterGain.connect(dest);
+    }
+
+    if (Howler._analyser) {
+      Howler._analyser._untap();
+      Howler._analyser._tap(_masterOutput());
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Stereo width — howl.width(value, id) / Howler.width(value)
+  //
+  // A mid/side matrix: M = (L + R) / 2, S = (L - R) / 2, then
+  // L' = M + w·S, R' = M - w·S, so w = 0 is mono and w = 1 passes the input
+  // through unchanged:
+  //   input (forced to 2 channels) → splitter → mid / side (·w) → merger
+  // A sound's stage is created the first time its width is not 1 and then
+  // stays, between the effects chain and the spatial plugin's panner:
+  //   bufferSource → effects → width → [_panner] → sound gain
+  // The global stage sits after the global effects, in front of the
+  // destination.
+  // ---------------------------------------------------------------------------
+  function _createWidth() {
+    var ctx      = Howler.ctx;
+    var input    = ctx.createGain();
+    var splitter = ctx.createChannelSplitter(2);
+    var merger   = ctx.createChannelMerger(2);
+    var mid      = ctx.createGain();
+    var side     = ctx.createGain();
+    var flipR    = ctx.createGain();
+    var flipS    = ctx.createGain();
+
+    // Mono sources are copied to both channels rather than left on the left.
+    input.channelCount          = 2;
+    input.channelCountMode      = 'explicit';
+    input.channelInterpretation = 'speakers';
+
+    mid.gain.setValueAtTime(0.5, ctx.currentTime);
+    flipR.gain.setValueAtTime(-1, ctx.currentTime);
+    flipS.gain.setValueAtTime(-1, ctx.currentTime);
+
+    input.connect(splitter);
+    splitter.connect(mid, 0);
+    splitter.connect(mid, 1);
+    splitter.connect(side, 0);
+    splitter.connect(flipR, 1);
+    flipR.connect(side);
+
+    mid.connect(merger, 0, 0);
+    mid.connect(merger, 0, 1);
+    side.connect(merger, 0, 0);
+    side.connect(flipS);
+    flipS.connect(merger, 0, 1);
+
+    return { input: input, output: merger, side: side };
+  }
+
+  function _setWidth(stage, width) {
+    var ctx = stage.side.context;
+    stage.side.gain.setValueAtTime(width / 2, ctx.currentTime);
+  }
+
+  // Points a Sound's width stage at the panner or, without one, the gain node.
+  function _routeWidth(sound) {
+    var output = sound._widthStage.output;
+    output.disconnect();
+    output.connect(sound._panner || sound._node);
+  }
+
+  // Brings a Sound's stage in line with sound._width, inserting it if needed.
+  // Ambisonic beds (spatial plugin) keep all four channels for the decoder.
+  function _applySoundWidth(sound) {
+    if (sound._parent._ambisonic) return;
+
+    if (!sound._widthStage) {
+      if (sound._width === 1) return;
+      sound._widthStage = _createWidth();
+      _routeWidth(sound);
+      if (sound._effects) _routeEffects(sound._effects, _chainOutput(sound));
+      _reconnectSources(sound);
+    }
+    _setWidth(sound._widthStage, sound._width);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Analyser — howl.analyser(options) / Howler.analyser(options)
+  //
+  // Taps audio without changing the output path:
+  //   - WebAudio Howls: every sound gain node also feeds the analyser.
+  //   - HTML5 Howls (including streams): each <audio> element is routed
+  //     through createMediaElementSource() to the destination and tapped.
+  //     An element can only ever have one source node, so the routing is
+  //     kept on the (pooled) element for good. Cross-origin media needs CORS
+  //     (crossOrigin), otherwise the browser outputs silence.
+  //   - Howler.analyser(): the master output (after the global effects).
+  //
+  // Levels and LUFS read per-channel AnalyserNodes behind a 2-channel
+  // splitter. The loudness meter follows BS.1770: K-weighting (shelf + high
+  // pass), 100 ms mean-square blocks sampled on a timer, momentary = last
+  // 400 ms, short-term = last 3 s. It is an approximation — the blocks are
+  // read from an AnalyserNode, not from a sample-exact worklet.
+  // ---------------------------------------------------------------------------
+  var LUFS_BLOCK_MS    = 100;
+  var LUFS_MOMENTARY   = 4;   // blocks
+  var LUFS_SHORT_TERM  = 30;  // blocks
+
+  var Analyser = function (options, owner) {
+    this.init(options, owner);
+  };
+
+  Analyser.prototype = {
+    init: function (options, owner) {
+      var self = this;
+      options = options || {};
+
+      self._owner     = owner; // the Howl or Howler holding it as _analyser
+      self._fftSize   = options.fftSize || 2048;
+      self._smoothing = options.smoothing !== undefined ? options.smoothing : 0.8;
+      self._loudness  = !!options.loudness;
+      self._sources   = [];    // nodes feeding _input
+      self._blocks    = [];    // K-weighted mean-square blocks (loudness)
+      self._interval  = null;  // loudness block timer
+
+      self._build();
+      return self;
+    },
+
+    // Peak and RMS (linear, 0..1) per channel over the last fftSize samples.
+    // A mono Howl reports one channel.
+    getLevels: function () {
+      var self = this;
+      var buf  = self._buf;
+      var peak = [];
+      var rms  = [];
+
+      self._channels.slice(0, _analyserChannels(self._owner)).forEach(function (node) {
+        node.getFloatTimeDomainData(buf);
+        var max = 0;
+        var sum = 0;
+        for (var i = 0; i < buf.length; i++) {
+          var v = Math.abs(buf[i]);
+          if (v > max) max = v;
+          sum += buf[i] * buf[i];
+        }
+        peak.push(max);
+        rms.push(Math.sqrt(sum / buf.length));
+      });
+
+      return { peak: peak, rms: rms };
+    },
+
+    // Magnitudes in dB (mono mix). With `bins`, adjacent FFT bins are
+    // averaged down to that many bands.
+    getSpectrum: function (bins) {
+      var self = this;
+      var data = new Float32Array(self._node.frequencyBinCount);
+      self._node.getFloatFrequencyData(data);
+      if (!bins || bins >= data.length) return data;
+
+      var out  = new Float32Array(bins);
+      var step = data.length / bins;
+      for (var i = 0; i < bins; i++) {
+        var from = Math.floor(i * step);
+        var to   = Math.max(from + 1, Math.floor((i + 1) * step));
+        var sum  = 0;
+        for (var j = from; j < to; j++) sum += data[j];
+        out[i] = sum / (to - from);
+      }
+      return out;
+    },
+
+    // Time-domain samples (mono mix), fftSize long.
+    getWaveform: function () {
+      var data = new Float32Array(this._node.fftSize);
+      this._node.getFloatTimeDomainData(data);
+      return data;
+    },
+
+    // { momentary, shortTerm } in LUFS (-Infinity when silent), or null when
+    // the analyser was created without { loudness: true }.
+    getLoudness: function () {
+      var self = this;
+      if (!self._loudness) return null;
+
+      return {
+        momentary: _lufs(self._blocks.slice(-LUFS_MOMENTARY)),
+        shortTerm: _lufs(self._blocks.slice(-LUFS_SHORT_TERM))
+      };
+    },
+
+    // Stops metering and detaches from every tapped node. The owner lets go
+    // of it, so a later analyser() call creates a new one.
+    destroy: function () {
+      var self = this;
+
+      clearInterval(self._interval);
+      self._interval = null;
+      self._untap();
+      self._blocks = [];
+      if (self._owner && self._owner._analyser === self) self._owner._analyser = null;
+      return self;
+    },
+
+    // Creates the nodes on the current AudioContext.
+    _build: function () {
+      var self = this;
+      var ctx  = Howler.ctx;
+
+      clearInterval(self._interval);
+      self._sources = [];
+      self._blocks  = [];
+
+      self._input = ctx.createGain();
+      self._node  = ctx.createAnalyser();
+      self._node.fftSize = self._fftSize;
+      self._node.smoothingTimeConstant = self._smoothing;
+      self._input.connect(self._node);
+
+      self._channels = _splitToAnalysers(ctx, self._input, self._fftSize);
+      self._buf      = new Float32Array(self._fftSize);
+
+      if (self._loudness) self._buildLoudness(ctx);
+    },
+
+    _buildLoudness: function (ctx) {
+      var self  = this;
+      var shelf = ctx.createBiquadFilter();
+      var hpf   = ctx.createBiquadFilter();
+
+      // BS.1770 K-weighting: +4 dB high shelf, then a 38 Hz high pass.
+      shelf.type = 'highshelf';
+      shelf.frequency.setValueAtTime(1681.97, ctx.currentTime);
+      shelf.gain.setValueAtTime(4, ctx.currentTime);
+      hpf.type = 'highpass';
+      hpf.frequency.setValueAtTime(38.13, ctx.currentTime);
+      hpf.Q.setValueAtTime(0.5, ctx.currentTime);
+      self._input.connect(shelf);
+      shelf.connect(hpf);
+
+      var blockLen = Math.round(ctx.sampleRate * LUFS_BLOCK_MS / 1000);
+      var fftSize  = 256;
+      while (fftSize < blockLen && fftSize < 32768) fftSize *= 2;
+
+      var meters = _splitToAnalysers(ctx, hpf, fftSize);
+      var buf    = new Float32Array(fftSize);
+      var start  = fftSize - Math.min(blockLen, fftSize);
+
+      self._interval = setInterval(function () {
+        var sum = 0;
+        meters.forEach(function (node) {
+          node.getFloatTimeDomainData(buf);
+          var ms = 0;
+          for (var i = start; i < buf.length; i++) ms += buf[i] * buf[i];
+          sum += ms / (buf.length - start);
+        });
+        self._blocks.push(sum);
+        if (self._blocks.length > LUFS_SHORT_TERM) self._blocks.shift();
+      }, LUFS_BLOCK_MS);
+    },
+
+    _tap: function (node) {
+      node.connect(this._input);
+      this._sources.push(node);
+    },
+
+    // Detaches one node, e.g. a sound's gain dropped from the pool.
+    _untapNode: function (node) {
+      var self  = this;
+      var index = self._sources.indexOf(node);
+      if (index < 0) return;
+      try { node.disconnect(self._input); } catch (e) {}
+      self._sources.splice(index, 1);
+    },
+
+    _untap: function () {
+      var self = this;
+      self._sources.forEach(function (node) {
+        // The node may already have been disconnected by a rebuild.
+        try { node.disconnect(self._input); } catch (e) {}
+      });
+      self._sources = [];
+    }
+  };
+
+  // input → 2-channel splitter → one AnalyserNode per channel.
+  function _splitToAnalysers(ctx, input, fftSize) {
+    var splitter = ctx.createChannelSplitter(2);
+    input.connect(splitter);
+
+    return [0, 1].map(function (channel) {
+      var node = ctx.createAnalyser();
+      node.fftSize = fftSize;
+      node.smoothingTimeConstant = 0;
+      splitter.connect(node, channel);
+      return node;
+    });
+  }
+
+  // Channels behind a Howl's analyser: its buffer's, up to two, unless a
+  // panner, effects chain or width stage makes a sound stereo. HTML5 Howls and the master
+  // output report two.
+  function _analyserChannels(owner) {
+    if (!(owner instanceof Howl) || !owner._webAudio) return 2;
+
+    var buffer = _audioCache.get(owner._src);
+    var count  = buffer ? Math.min(2, buffer.numberOfChannels) : 2;
+    for (var i = 0; i < owner._sounds.length && count < 2; i++) {
+      var sound = owner._sounds[i];
+      if (sound._panner || sound._effects || sound._widthStage) count = 2;
+    }
+    return count;
+  }
+
+  function _lufs(blocks) {
+    if (!blocks.length) return -Infinity;
+    var sum = 0;
+    for (var i = 0; i < blocks.length; i++) sum += blocks[i];
+    var mean = sum / blocks.length;
+    return mean > 0 ? -0.691 + 10 * Math.log10(mean) : -Infinity;
+  }
+
+  // Connects a Sound to its Howl's analyser.
+  function _analyserTap(howl, sound) {
+    if (!sound._node) return;
+    var node = howl._webAudio ? sound._node : _mediaElementSource(sound._node);
+    if (node) howl._analyser._tap(node);
+  }
+
+  function _analyserUntap(howl, sound) {
+    if (!howl._analyser || !sound._node) return;
+    howl._analyser._untapNode(howl._webAudio ? sound._node : sound._node._mediaSource);
+  }
+
+  // The element's MediaElementAudioSourceNode, created once and routed to
+  // the destination. HTML5 volume still applies on the element itself.
+  // Browsers allow a single source per element, ever, so this is the only
+  // place one is created (the stream worklet tap reroutes it). Returns null
+  // when the element's source belongs to an earlier AudioContext.
+  function _mediaElementSource(node) {
+    if (node._mediaSource) {
+      return node._mediaSource.context === Howler.ctx ? node._mediaSource : null;
+    }
+
+    if (!node.crossOrigin && node.src && typeof location !== 'undefined' &&
+        !/^(blob|data):/.test(node.src)) {
+      try {
+        if (new URL(node.src, location.href).origin !== location.origin) {
+          console.warn('Howler: analysing a cross-origin HTML5 sound without crossOrigin - ' +
+            'the browser will output silence.');
+        }
+      } catch (e) {}
+    }
+
+    try {
+      node._mediaSource = Howler.ctx.createMediaElementSource(node);
+    } catch (e) {
+      return null;
+    }
+    node._mediaSource.connect(Howler.ctx.destination);
+    return node._mediaSource;
+  }
+
+  // True when an HTML5 sound plays through the AudioContext (analysed), so
+  // the context must stay running for it to be heard.
+  function _ctxRouted(sound) {
+    return !!(sound._node && sound._node._mediaSource);
+  }
+
+  // The node feeding the destination: the width stage, the global effects
+  // tail or masterGain.
+  function _masterOutput() {
+    var chain = Howler._effectChain;
+    if (Howler._widthStage) return Howler._widthStage.output;
+    return chain ? chain[chain.length - 1].output : Howler.masterGain;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Offline rendering — Howler.renderOffline(options, scheduleFn)
+  //
+  // For the synchronous run of scheduleFn, Howler.ctx, masterGain, the global
+  // effects chain and every bus point at an OfflineAudioContext, and each
+  // Howl shows an empty sound pool. The normal API (play/stop with { when },
+  // fade, rate, volume, stereo/pos, effects) therefore builds fresh sounds
+  // in the offline graph. Afterwards the real context, pools and Howl
+  // settings are put back. The rendered sounds are detached from their Howls,
+  // so they emit no further events and their timers are cancelled.
+  //
+  // The render runs at unity master gain (global volume/mute are not
+  // applied); Howler.width() is. Only loaded WebAudio Howls can play; ducking rules and
+  // analysers are live-only.
+  // ---------------------------------------------------------------------------
+  var RENDER_HOWL_STATE = [
+    '_volume', '_muted', '_loop', '_rate', '_effects',
+    '_stereo', '_pos', '_orientation', '_pannerAttr', '_width'
+  ];
+
+  function _enterRender(ctx) {
+    var saved = {
+      ctx:         Howler.ctx,
+      masterGain:  Howler.masterGain,
+      state:       Howler.state,
+      effectChain: Howler._effectChain,
+      widthStage:  Howler._widthStage,
+      buses:       {},
+      howls:       []
+    };
+
+    Howler.ctx        = ctx;
+    Howler.state      = 'running';
+    Howler.masterGain = ctx.createGain();
+
+    // Howler.width() applies to exports too, so a mono downmix stays mono.
+    var dest = ctx.destination;
+    Howler._widthStage = null;
+    if (Howler._width !== 1) {
+      Howler._widthStage = _createWidth();
+      _setWidth(Howler._widthStage, Howler._width);
+      Howler._widthStage.output.connect(dest);
+      dest = Howler._widthStage.input;
+    }
+
+    Howler._effectChain = _buildEffects(Howler._effects);
+    if (Howler._effectChain) {
+      Howler.masterGain.connect(Howler._effectChain[0].input);
+      _routeEffects(Howler._effectChain, dest);
+    } else {
+      Howler.masterGain.connect(dest);
+    }
+
+    var names = Object.keys(Howler._buses);
+    names.forEach(function (name) {
+      var bus = Howler._buses[name];
+      saved.buses[name] = {
+        _ctx: bus._ctx, _node: bus._node, _duck: bus._duck, _panner: bus._panner,
+        _volume: bus._volume, _muted: bus._muted, _stereo: bus._stereo
+      };
+    });
+    names.forEach(function (name) {
+      if (Howler._buses[name]._ctx !== ctx) Howler._buses[name]._build();
+    });
+
+    Howler._howls.forEach(function (howl) {
+      var state = {
+        howl:     howl,
+        sounds:   howl._sounds,
+        soundMap: howl._soundMap,
+        duckNode: howl._duckNode
+      };
+      RENDER_HOWL_STATE.forEach(function (key) { state[key] = howl[key]; });
+
+      howl._sounds   = [];
+      howl._soundMap = new Map();
+      howl._duckNode = null;
+      saved.howls.push(state);
+    });
+
+    Howler._rendering = saved;
+    return saved;
+  }
+
+  function _leaveRender(saved) {
+    var ctx = Howler.ctx;
+
+    // Detach every sound built on the render context, including those of
+    // Howls created inside scheduleFn.
+    Howler._howls.forEach(function (howl) {
+      howl._sounds.forEach(function (sound) {
+        if (!sound._node || sound._node.context !== ctx) return;
+        howl._clearTimer(sound._id);
+        _cancelScheduled(sound);
+        if (sound._intervalType === 'raf') {
+          cancelAnimationFrame(sound._interval);
+        } else if (sound._interval) {
+          clearTimeout(sound._interval);
+        }
+        sound._interval = null;
+      });
+    });
+
+    saved.howls.forEach(function (state) {
+      var howl = state.howl;
+      howl._sounds   = state.sounds;
+      howl._soundMap = state.soundMap;
+      howl._duckNode = state.duckNode;
+      RENDER_HOWL_STATE.forEach(function (key) { howl[key] = state[key]; });
+    });
+    Howler._howls.forEach(function (howl) {
+      if (saved.howls.some(function (state) { return state.howl === howl; })) return;
+      howl._sounds = howl._sounds.filter(function (sound) {
+        if (!sound._node || sound._node.context !== ctx) return true;
+        howl._soundMap.delete(sound._id);
+        return false;
+      });
+    });
+
+    Howler._rendering   = null;
+    Howler.ctx          = saved.ctx;
+    Howler.masterGain   = saved.masterGain;
+    Howler.state        = saved.state;
+    Howler._effectChain = saved.effectChain;
+    Howler._widthStage  = saved.widthStage;
+
+    Object.keys(Howler._buses).forEach(function (name) {
+      var bus = Howler._buses[name];
+      if (saved.buses[name]) {
+        Object.assign(bus, saved.buses[name]);
+      } else if (Howler.ctx) {
+        bus._build();   // created inside scheduleFn
+      }
+    });
+  }
+
+  // Interleaved little-endian PCM WAV (16- or 24-bit) as an ArrayBuffer.
+  function _encodeWav(buffer, bitDepth) {
+    bitDepth = bitDepth === 24 ? 24 : 16;
+
+    var channels   = buffer.numberOfChannels;
+    var frames     = buffer.length;
+    var bytes      = bitDepth / 8;
+    var blockAlign = channels * bytes;
+    var dataSize   = frames * blockAlign;
+    var view       = new DataView(new ArrayBuffer(44 + dataSize));
+
+    var writeString = function (offset, str) {
+      for (var i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);             // fmt chunk size
+    view.setUint16(20, 1, true);              // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    var data = [];
+    for (var c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+
+    var max    = bitDepth === 24 ? 0x7FFFFF : 0x7FFF;
+    var offset = 44;
+    for (var i = 0; i < frames; i++) {
+      for (c = 0; c < channels; c++) {
+        var sample = Math.max(-1, Math.min(1, data[c][i]));
+        var v      = Math.round(sample < 0 ? sample * (max + 1) : sample * max);
+        if (bitDepth === 24) {
+          view.setUint8(offset,     v & 0xFF);
+          view.setUint8(offset + 1, (v >> 8) & 0xFF);
+          view.setUint8(offset + 2, (v >> 16) & 0xFF);
+        } else {
+          view.setInt16(offset, v, true);
+        }
+        offset += bytes;
+      }
+    }
+
+    return view.buffer;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Asset manifest preloader — Howler.preload(manifest, options)
+  //
+  // Builds a Howl per manifest entry ({ id, src, sprite, html5, volume,
+  // group, ...Howl options }) with preload off, then calls load() on at most
+  // `concurrency` of them at a time. Each Howl settles on 'load' or
+  // 'loaderror'. Byte progress comes from the streamed body reader in
+  // _fetchNetwork (via howl._fetchProgress); totalBytes grows as responses
+  // report a Content-Length, and HTML5 entries count as items only.
+  // Resolves to an AssetRegistry; ids are also reachable through Howler.get().
+  // ---------------------------------------------------------------------------
+  var PRELOAD_CONCURRENCY = 6;
+
+  var AssetRegistry = function () {
+    this._assets = {};   // id -> { howl, group }
+    this.failed  = [];   // ids whose Howl emitted 'loaderror'
+  };
+
+  AssetRegistry.prototype = {
+    get: function (id) {
+      var asset = this._assets[id];
+      return asset ? asset.howl : null;
+    },
+
+    // Ids in a group, or every id without an argument.
+    ids: function (group) {
+      var self = this;
+      return Object.keys(self._assets).filter(function (id) {
+        return typeof group === 'undefined' || self._assets[id].group === group;
+      });
+    },
+
+    // Unloads and forgets a group, or every asset without an argument.
+    unload: function (group) {
+      var self = this;
+      self.ids(group).forEach(function (id) {
+        self._assets[id].howl.unload();
+        delete self._assets[id];
+        if (Howler._assets[id] && Howler._assets[id].registry === self) {
+          delete Howler._assets[id];
+        }
+      });
+      return self;
+    }
+  };
+
+  function _preloadManifest(manifest, options) {
+    options = options || {};
+
+    var entries     = Array.isArray(manifest) ? manifest : (manifest && manifest.assets) || [];
+    var concurrency = Math.max(1, parseInt(options.concurrency, 10) || PRELOAD_CONCURRENCY);
+    var onProgress  = typeof options.onProgress === 'function' ? options.onProgress : null;
+    var registry    = new AssetRegistry();
+    var queue       = [];
+    var bytes       = {};   // id -> { loaded, total }
+    var settled     = 0;
+    var active      = 0;
+
+    entries.forEach(function (entry) {
+      if (!entry || entry.id === undefined || !entry.src || ![].concat(entry.src).length) {
+        console.warn('Howler: preload() entries need an id and a src - skipping.', entry);
+        return;
+      }
+      if (registry._assets[entry.id]) {
+        console.warn('Howler: duplicate preload() id "' + entry.id + '" - skipping.');
+        return;
+      }
+      if (Howler._assets[entry.id]) {
+        console.warn('Howler: preload() id "' + entry.id + '" is already in use by another batch - skipping.');
+        return;
+      }
+
+      var howlOptions = Object.assign({}, entry);
+      delete howlOptions.id;
+      delete howlOptions.group;
+      howlOptions.preload = false;
+
+      var howl  = new Howl(howlOptions);
+      var asset = { howl: howl, group: entry.group, registry: registry };
+      registry._assets[entry.id] = asset;
+      Howler._assets[entry.id]   = asset;
+      queue.push(entry.id);
+    });
+
+    var report = function (id) {
+      if (!onProgress) return;
+
+      var loadedBytes = 0;
+      var totalBytes  = 0;
+      Object.keys(bytes).forEach(function (key) {
+        loadedBytes += bytes[key].loaded;
+        totalBytes  += bytes[key].total;
+      });
+      onProgress({
+        id:          id,
+        loadedItems: settled,
+        totalItems:  queue.length,
+        failedItems: registry.failed.length,
+        loadedBytes: loadedBytes,
+        totalBytes:  totalBytes
+      });
+    };
+
+    return new Promise(function (resolve) {
+      var next = 0;
+
+      var pump = function () {
+        while (active < concurrency && next < queue.length) {
+          start(queue[next++]);
+        }
+        if (settled === queue.length) resolve(registry);
+      };
+
+      var start = function (id) {
+        var howl = registry.get(id);
+        var done = false;
+        var settle = function (ok) {
+          if (done) return;
+          done = true;
+          active--;
+          settled++;
+          howl._fetchProgress = null;
+          howl.off('load', onLoad);
+          howl.off('loaderror', onError);
+          if (!ok) registry.failed.push(id);
+          report(id);
+          pump();
+        };
+        var onLoad  = function () { settle(true); };
+        var onError = function () { settle(false); };
+
+        active++;
+        howl.once('load', onLoad);
+        howl.once('loaderror', onError);
+        howl._fetchProgress = function (loaded, total) {
+          bytes[id] = { loaded: loaded, total: Math.max(total, loaded) };
+          report(id);
+        };
+        // Entries were built with preload off; restore the default so HTML5
+        // elements actually buffer.
+        howl._preload = true;
+        howl.load();
+      };
+
+      pump();
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebAudio fetch helper (replaces XHR)
+  // ---------------------------------------------------------------------------
+  function _fetchAudio(howl) {
+    var src = howl._src;
+
+    // Already cached?
+    var cached = cacheGet(src, true);
+    if (cached) {
+      howl._duration = cached.duration;
+      _initFromBuffer(howl);
+      return;
+    }
+
+    // Base64 data URI — decode inline without a network request
+    if (/^data:[^;]+;base64,/.test(src)) {
+      var b64    = src.split(',')[1];
+      var binary = atob(b64);
+      var bytes  = Uint8Array.from(binary, function (c) { return c.charCodeAt(0); });
+      _decodeAudio(bytes.buffer, howl);
+      return;
+    }
+
+    // AbortController for cancellation on unload()
+    var controller = new AbortController();
+    howl._fetchControllers[src] = controller;
+
+    if (!_persistentStore()) {
+      _fetchNetwork(howl, src, controller);
+      return;
+    }
+
+    // Opt-in persistent cache (Howler.persistentCache) before the network.
+    _persistentGet(src).then(function (bytes) {
+      if (controller.signal.aborted) return;
+      if (!bytes) {
+        _fetchNetwork(howl, src, controller);
+        return;
+      }
+
+      delete howl._fetchControllers[src];
+      _decodeAudio(bytes, howl, function () {
+        // Corrupt or stale entry: drop it and go to the network.
+        if (howl._state === 'unloaded') return;
+        _persistentDelete(src);
+        howl._fetchControllers[src] = controller;
+        _fetchNetwork(howl, src, controller);
+      });
+    });
+  }
+
+  function _fetchNetwork(howl, src, controller) {
+    fetch(src, _fetchOptions(howl, controller.signal))
+      .then(function (response) {
+        if (response.status < 200 || response.status >= 400) {
+          throw new Error('HTTP ' + response.status);
+        }
+        if (howl._progressive && response.body && typeof response.body.getReader === 'function') {
+          howl._prog = new ProgressiveLoader(howl, response);
+          return howl._prog.read();
+        }
+        return _readBody(response, howl);
+      })
+      .then(function (buffer) {
+        delete howl._fetchControllers[src];
+        if (_persistentStore()) _persistentPut(src, buffer.slice(0));
+        // A ProgressiveLoader decodes as the bytes arrive.
+        if (!howl._prog) _decodeAudio(buffer, howl);
+      })
+      .catch(function (err) {
+        delete howl._fetchControllers[src];
+        if (err.name === 'AbortError') return; // unload() called — ignore
+        if (howl._prog) {
+          // Interrupted mid-download: drop the partial timeline.
+          howl._prog = null;
+          if (howl._state === 'loaded') howl.stop();
+        }
+        // Fall back to HTML5 audio
+        howl._webAudio  = false;
+        howl._html5     = true;
+        howl._sounds    = [];
+        cacheDelete(src, 'error');
+        howl.load();
+      });
+  }
+
+  // Reads a response body to an ArrayBuffer. When anything is listening for
+  // progress ('progress' handlers or a preload() batch) the body is streamed
+  // chunk by chunk so (loaded, total) can be reported; total is the
+  // Content-Length, or 0 until the body is complete when the server omits it.
+  function _readBody(response, howl) {
+    var wanted = howl._fetchProgress || howl._onprogress.length;
+    if (!wanted || !response.body || typeof response.body.getReader !== 'function') {
+      return response.arrayBuffer().then(function (buffer) {
+        if (wanted) _reportProgress(howl, buffer.byteLength, buffer.byteLength);
+        return buffer;
+      });
+    }
+
+    var total  = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    var reader = response.body.getReader();
+    var chunks = [];
+    var loaded = 0;
+
+    var read = function () {
+      return reader.read().then(function (result) {
+        if (result.done) {
+          // Unknown or wrong Content-Length (e.g. compressed transfer): the
+          // final report always has loaded === total.
+          if (loaded !== total) _reportProgress(howl, loaded, loaded);
+          return _concatBytes(chunks).buffer;
+        }
+        chunks.push(result.value);
+        loaded += result.value.byteLength;
+        _reportProgress(howl, loaded, total);
+        return read();
+      });
+    };
+    return read();
+  }
+
+  function _reportProgress(howl, loaded, total) {
+    if (howl._state === 'unloaded') return;
+    if (howl._fetchProgress) howl._fetchProgress(loaded, total);
+    if (howl._onprogress.length) howl._emit('progress', null, { loaded: loaded, total: total });
+  }
+
+  // Builds fetch() options from the Howl's xhr settings (method, headers,
+  // withCredentials). Shared by every request the library makes for a Howl.
+  function _fetchOptions(howl, signal) {
+    var fetchOptions = {
+      method:      howl._xhr.method,
+      credentials: howl._xhr.withCredentials ? 'include' : 'same-origin'
+    };
+
+    if (howl._xhr.headers) {
+      try {
+        fetchOptions.headers = new Headers(howl._xhr.headers);
+      } catch (e) {
+        console.warn('Howler: Invalid XHR headers - ignoring.', e);
+      }
+    }
+
+    if (signal) fetchOptions.signal = signal;
+    return fetchOptions;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Content sniffing for sources without an extension (load())
+  //
+  // Signed CDN URLs such as /media/abc123?sig=... carry no extension and no
+  // format. load() hands them to _sniffSources, which asks the server with a
+  // HEAD request for the Content-Type and, if that is missing, generic or
+  // refused, makes a ranged GET for the first SNIFF_BYTES. That response's
+  // Content-Type is checked the same way, and then the bytes for container
+  // magic. Results land in howl._sniffed (url -> ext, '' when unknown) and
+  // load() runs again. Requests use the Howl's xhr headers and credentials
+  // (_fetchOptions) and are registered in _fetchControllers for unload().
+  // ---------------------------------------------------------------------------
+  var SNIFF_BYTES = 64;
+
+  // Generic types (application/octet-stream, text/plain, ...) are absent on
+  // purpose so the bytes decide.
+  var MIME_EXTENSIONS = {
+    'audio/mpeg':                    'mp3',
+    'audio/mp3':                     'mp3',
+    'audio/opus':                    'opus',
+    'audio/wav':                     'wav',
+    'audio/wave':                    'wav',
+    'audio/x-wav':                   'wav',
+    'audio/vnd.wave':                'wav',
+    'audio/flac':                    'flac',
+    'audio/x-flac':                  'flac',
+    'audio/aac':                     'aac',
+    'audio/aacp':                    'aac',
+    'audio/x-aac':                   'aac',
+    'audio/mp4':                     'm4a',
+    'audio/m4a':                     'm4a',
+    'audio/x-m4a':                   'm4a',
+    'video/mp4':                     'mp4',
+    'audio/webm':                    'webm',
+    'video/webm':                    'webm',
+    'audio/x-matroska':              'mka',
+    'audio/x-caf':                   'caf',
+    'application/vnd.apple.mpegurl': 'm3u8',
+    'application/x-mpegurl':         'm3u8',
+    'audio/mpegurl':                 'm3u8',
+    'audio/x-mpegurl':               'm3u8'
+  };
+
+  function _sniffSources(howl, urls) {
+    howl._state = 'loading';
+
+    Promise.all(urls.map(function (url) {
+      return _sniffFormat(howl, url).then(function (ext) {
+        howl._sniffed[url] = ext || '';
+      });
+    })).then(function () {
+      if (howl._state === 'unloaded') return;
+      howl.load();
+    });
+  }
+
+  // Resolves to an extension, or null. Never rejects.
+  function _sniffFormat(howl, url) {
+    var controller = new AbortController();
+    howl._fetchControllers[url] = controller;
+
+    var release = function (ext) {
+      if (howl._fetchControllers[url] === controller) delete howl._fetchControllers[url];
+      return ext;
+    };
+
+    var options = _fetchOptions(howl, controller.signal);
+    options.method = 'HEAD';
+
+    return fetch(url, options)
+      .then(function (response) {
+        return response.status >= 200 && response.status < 300
+          ? _mimeExt(response.headers.get('Content-Type'))
+          : null;
+      }, function (err) {
+        // HEAD is often refused by CORS or the server; the GET still may not be.
+        if (err.name === 'AbortError') throw err;
+        return null;
+      })
+      .then(function (ext) {
+        return ext || _sniffBytes(howl, url, controller.signal);
+      })
+      .then(release, function () {
+        return release(null);
+      });
+  }
+
+  function _sniffBytes(howl, url, signal) {
+    var options = _fetchOptions(howl, signal);
+    var headers = new Headers(options.headers || {});
+    headers.set('Range', 'bytes=0-' + (SNIFF_BYTES - 1));
+    options.method  = 'GET';
+    options.headers = headers;
+
+    return fetch(url, options).then(function (response) {
+      if (response.status < 200 || response.status >= 300) return null;
+
+      var ext = _mimeExt(response.headers.get('Content-Type'));
+      if (ext) {
+        if (response.body && typeof response.body.cancel === 'function') response.body.cancel();
+        return ext;
+      }
+      return _readPrefix(response, SNIFF_BYTES).then(_magicExt);
+    });
+  }
+
+  // First `size` bytes of a body. Servers that ignore Range would send the
+  // whole file (or an endless stream), so the reader is cancelled early.
+  function _readPrefix(response, size) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      return response.arrayBuffer().then(function (buffer) {
+        return new Uint8Array(buffer, 0, Math.min(size, buffer.byteLength));
+      });
+    }
+
+    var reader = response.body.getReader();
+    var chunks = [];
+    var length = 0;
+
+    var read = function () {
+      return reader.read().then(function (result) {
+        if (!result.done) {
+          chunks.push(result.value);
+          length += result.value.byteLength;
+        }
+        if (result.done || length >= size) {
+          if (!result.done) reader.cancel();
+          return _concatBytes(chunks).subarray(0, size);
+        }
+        return read();
+      });
+    };
+    return read();
+  }
+
+  function _mimeExt(contentType) {
+    var type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (type === 'audio/ogg' || type === 'application/ogg') {
+      return /codecs\s*=\s*"?opus/i.test(contentType) ? 'opus' : 'ogg';
+    }
+    return MIME_EXTENSIONS[type] || null;
+  }
+
+  // Container magic: ID3 / MPEG sync, OggS, RIFF/WAVE, fLaC, ftyp, EBML, M3U.
+  function _magicExt(bytes) {
+    var ascii = function (start, end) {
+      return String.fromCharCode.apply(null, bytes.subarray(start, end));
+    };
+
+    if (ascii(0, 3) === 'ID3') return 'mp3';
+    if (ascii(0, 4) === 'OggS') return ascii(28, 36) === 'OpusHead' ? 'opus' : 'ogg';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+    if (ascii(4, 8) === 'ftyp') return 'm4a';
+    if (ascii(0, 7) === '#EXTM3U') return 'm3u8';
+    if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+      // EBML: the DocType string sits in the first bytes of the header.
+      return ascii(4, bytes.byteLength).indexOf('webm') >= 0 ? 'webm' : 'mka';
+    }
+    if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+      // Layer bits 00 are ADTS AAC; anything else is MPEG audio.
+      return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sprite manifests — new Howl({ spriteSrc })
+  //
+  // load() fetches spriteSrc alongside the audio and holds back 'load' until
+  // the sprites are merged into _sprite (manifest entries win over the
+  // `sprite` option). The format comes from the extension, else the content:
+  //   .json  audiosprite: { resources, spritemap: { name: { start, end, loop } } }
+  //          in seconds, or its howler export { urls, sprite: { name: [ms, ms] } }
+  //   .vtt   WebVTT: one sprite per cue, named by the cue id, else its text
+  //   .cue   CUE sheet: one sprite per TRACK, named by its TITLE, from INDEX 01
+  //          to the next track's INDEX 00 / 01; the last ends with the file
+  // A Howl without `src` plays the manifest's resources / urls, resolved
+  // against the manifest URL. A manifest that fails to load or parse is a
+  // 'loaderror'.
+  // ---------------------------------------------------------------------------
+  var CUE_FRAMES = 75;  // CUE sheet frames per second
+
+  // Resolves to true once the sprites are merged. Never rejects.
+  function _loadSpriteSrc(howl) {
+    var url        = howl._spriteSrc;
+    var controller = new AbortController();
+    var options    = _fetchOptions(howl, controller.signal);
+    options.method = 'GET';
+    howl._fetchControllers[url] = controller;
+
+    var release = function () {
+      if (howl._fetchControllers[url] === controller) delete howl._fetchControllers[url];
+    };
+
+    return fetch(url, options)
+      .then(function (response) {
+        if (response.status < 200 || response.status >= 300) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.text();
+      })
+      .then(function (text) {
+        release();
+        var manifest = _parseSpriteManifest(text, url);
+        if (!manifest) throw new Error('unrecognised format');
+
+        Object.keys(manifest.sprite).forEach(function (name) {
+          howl._sprite[name] = manifest.sprite[name];
+        });
+        _splitSections(howl);
+        if (!howl._src.length && manifest.src) {
+          var base = _resolveUrl(url, window.location.href);
+          howl._src     = manifest.src.map(function (src) { return _resolveUrl(src, base); });
+          howl._srcList = howl._src.slice();
+        }
+        howl._spriteReady = true;
+        return true;
+      })
+      .catch(function (err) {
+        release();
+        if (err.name === 'AbortError' || howl._state === 'unloaded') return false;
+        howl._emit('loaderror', null, 'Loading sprite manifest failed: ' + err.message);
+        return false;
+      });
+  }
+
+  function _parseSpriteManifest(text, url) {
+    var ext  = /\.([^./]+)$/.exec(String(url).split('?', 1)[0]);
+    var body = text.replace(/^\uFEFF/, '').trim();
+    ext = ext ? ext[1].toLowerCase() : null;
+
+    if (ext === 'json' || (!ext && body.charAt(0) === '{')) {
+      try {
+        return _parseSpriteJson(JSON.parse(body));
+      } catch (e) {
+        return null;
+      }
+    }
+    if (ext === 'vtt' || (!ext && body.indexOf('WEBVTT') === 0)) return _parseVtt(body);
+    if (ext === 'cue' || (!ext && /^\s*TRACK\s/im.test(body))) return _parseCue(body);
+    return null;
+  }
+
+  function _parseSpriteJson(data) {
+    var sprite = {};
+
+    if (data && data.spritemap) {
+      Object.keys(data.spritemap).forEach(function (name) {
+        var entry = data.spritemap[name];
+        sprite[name] = [entry.start * 1000, (entry.end - entry.start) * 1000, !!entry.loop];
+      });
+    } else if (data && data.sprite) {
+      sprite = data.sprite;
+    } else {
+      return null;
+    }
+
+    var src = data.resources || data.urls || null;
+    return { sprite: sprite, src: (typeof src === 'string') ? [src] : src };
+  }
+
+  function _parseVtt(text) {
+    var sprite = {};
+    var count  = 0;
+
+    text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(function (block) {
+      var lines = block.split('\n');
+      var at    = lines[0].indexOf('-->') >= 0 ? 0 : 1;
+      if (!lines[at] || lines[at].indexOf('-->') < 0) return;  // header, NOTE, STYLE
+
+      var times = lines[at].split('-->');
+      var start = _vttTime(times[0]);
+      var end   = _vttTime(times[1].trim().split(/\s+/)[0]);
+      if (isNaN(start) || isNaN(end) || end < start) return;
+
+      var name = (at === 1 ? lines[0] : lines[at + 1] || '').trim();
+      count++;
+      sprite[_spriteName(sprite, name || 'cue' + count)] = [start, end - start];
+    });
+
+    return count ? { sprite: sprite, src: null } : null;
+  }
+
+  // 'hh:mm:ss.ttt' or 'mm:ss.ttt' -> ms.
+  function _vttTime(value) {
+    var parts = value.trim().split(':');
+    if (parts.length < 2 || parts.length > 3) return NaN;
+    return parts.reduce(function (total, part) {
+      return total * 60 + parseFloat(part);
+    }, 0) * 1000;
+  }
+
+  function _parseCue(text) {
+    var tracks = [];
+    var track  = null;
+
+    text.split(/\r\n?|\n/).forEach(function (line) {
+      var m;
+      line = line.trim();
+      if ((m = /^TRACK\s+(\d+)/i.exec(line))) {
+        track = { number: parseInt(m[1], 10), title: null, pregap: null, start: null };
+        tracks.push(track);
+      } else if (track && (m = /^TITLE\s+"?(.*?)"?$/i.exec(line))) {
+        track.title = m[1];
+      } else if (track && (m = /^INDEX\s+(\d+)\s+(\d+):(\d+):(\d+)/i.exec(line))) {
+        var ms = (parseInt(m[2], 10) * 60 + parseInt(m[3], 10) + parseInt(m[4], 10) / CUE_FRAMES) * 1000;
+        if (parseInt(m[1], 10) === 0) track.pregap = ms;
+        if (parseInt(m[1], 10) === 1) track.start  = ms;
+      }
+    });
+
+    tracks = tracks.filter(function (t) { return t.start !== null; });
+    if (!tracks.length) return null;
+
+    var sprite = {};
+    tracks.forEach(function (t, i) {
+      var next = tracks[i + 1];
+      var end  = next ? (next.pregap !== null ? next.pregap : next.start) : null;
+      var name = t.title || 'track' + (t.number < 10 ? '0' : '') + t.number;
+      // null duration: runs to the end of the file, filled in by _closeSprites.
+      sprite[_spriteName(sprite, name)] = [t.start, end === null ? null : Math.max(0, end - t.start)];
+    });
+
+    return { sprite: sprite, src: null };
+  }
+
+  function _spriteName(sprite, name) {
+    var unique = name;
+    for (var n = 2; sprite[unique]; n++) unique = name + ' (' + n + ')';
+    return unique;
+  }
+
+  // Open-ended sprites (the last CUE track) end with the file.
+  function _closeSprites(howl) {
+    Object.keys(howl._sprite).forEach(function (name) {
+      var entry = howl._sprite[name];
+      if (entry && entry[1] === null) {
+        entry[1] = Math.max(0, howl._duration * 1000 - entry[0]);
+      }
+    });
+  }
+
+  // [offset, duration] in ms for each run of sound in `buffer`. The RMS of
+  // every 10 ms window (all channels) is compared with `threshold`; quiet
+  // runs shorter than minSilenceMs do not split a region.
+  function _silenceRegions(buffer, threshold, minSilenceMs) {
+    var size     = Math.max(1, Math.round(buffer.sampleRate / 100));
+    var windows  = Math.ceil(buffer.length / size);
+    var channels = [];
+    var regions  = [];
+    var limit    = threshold * threshold;
+    var minQuiet = Math.max(1, Math.ceil(minSilenceMs / 10));
+    var start    = -1;
+    var last     = -1;
+
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+
+    var toMs = function (w) {
+      return Math.round(Math.min(w * size, buffer.length) / buffer.sampleRate * 1000);
+    };
+
+    for (var w = 0; w < windows; w++) {
+      var from = w * size;
+      var to   = Math.min(from + size, buffer.length);
+      var sum  = 0;
+      for (c = 0; c < channels.length; c++) {
+        for (var i = from; i < to; i++) sum += channels[c][i] * channels[c][i];
+      }
+
+      if (sum / ((to - from) * channels.length) < limit) continue;
+      if (start >= 0 && w - last - 1 >= minQuiet) {
+        regions.push([toMs(start), toMs(last + 1) - toMs(start)]);
+        start = -1;
+      }
+      if (start < 0) start = w;
+      last = w;
+    }
+    if (start >= 0) regions.push([toMs(start), toMs(last + 1) - toMs(start)]);
+
+    return regions;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Persistent cache — Howler.persistentCache = { store, maxBytes, version }
+  //
+  // Opt-in, cross-session store for the compressed bytes _fetchAudio
+  // downloads. It is checked after the in-memory cache and before the
+  // network. Fetched bytes are written as a copy (decodeAudioData detaches
+  // its input) without delaying the decode. A stored entry that fails to
+  // decode is deleted and the src refetched.
+  //
+  // store is 'cache-storage' (default), 'indexeddb', 'memory', or an adapter:
+  //   get(key)        -> Promise<ArrayBuffer | undefined>
+  //   put(key, bytes) -> Promise  (rejects with QuotaExceededError when full)
+  //   delete(key)     -> Promise
+  //   entries()       -> Promise<[{ key, bytes, time }]>
+  // time is the entry's last read or write; get() is expected to refresh it.
+  // Keys are prefixed with the version; entries of other versions are deleted
+  // the first time the store is used. Over maxBytes the least recently used
+  // entries are evicted; on a quota error room is made and the write retried
+  // once.
+  // ---------------------------------------------------------------------------
+  var PERSISTENT_NAME      = 'howler-audio';
+  var PERSISTENT_MAX_BYTES = 100 * 1024 * 1024;
+  var _persistent = null; // { config, store, prefix, maxBytes, ready }
+
+  // The active store for Howler.persistentCache, or null when disabled.
+  function _persistentStore() {
+    var config = Howler.persistentCache;
+    if (!config) return null;
+    if (_persistent && _persistent.config === config) return _persistent.store ? _persistent : null;
+
+    var store = config.store && typeof config.store === 'object'
+      ? config.store
+      : _builtinStore(config.store || 'cache-storage');
+    _persistent = { config: config, store: store };
+    if (!store) {
+      console.warn('Howler: persistent cache store "' + config.store + '" is not available - disabled.');
+      return null;
+    }
+
+    var prefix = 'v' + (config.version !== undefined ? config.version : 1) + ':';
+    _persistent.prefix   = prefix;
+    _persistent.maxBytes = config.maxBytes || PERSISTENT_MAX_BYTES;
+    _persistent.ready    = store.entries().then(function (entries) {
+      return Promise.all(entries.filter(function (entry) {
+        return entry.key.indexOf(prefix) !== 0;
+      }).map(function (entry) {
+        return store.delete(entry.key);
+      }));
+    }).catch(function () {});
+
+    return _persistent;
+  }
+
+  // data: and blob: URLs are session-bound or inline — never persisted.
+  function _persistable(src) {
+    return typeof src === 'string' && !/^(data|blob):/.test(src);
+  }
+
+  function _persistentGet(src) {
+    var p = _persistentStore();
+    if (!p || !_persistable(src)) return Promise.resolve(undefined);
+
+    return p.ready.then(function () {
+      return p.store.get(p.prefix + src);
+    }).catch(function () {
+      return undefined;
+    });
+  }
+
+  function _persistentPut(src, bytes) {
+    var p = _persistentStore();
+    if (!p || !_persistable(src) || bytes.byteLength > p.maxBytes) return Promise.resolve();
+
+    var key = p.prefix + src;
+    return p.ready.then(function () {
+      return p.store.put(key, bytes).catch(function (err) {
+        if (!err || (err.name !== 'QuotaExceededError' && err.code !== 22)) throw err;
+        return _persistentTrim(p, bytes.byteLength, key).then(function () {
+          return p.store.put(key, bytes);
+        });
+      });
+    }).then(function () {
+      return _persistentTrim(p, 0, key);
+    }).catch(function (err) {
+      console.warn('Howler: persistent cache write failed for "' + src + '".', err);
+    });
+  }
+
+  function _persistentDelete(src) {
+    var p = _persistentStore();
+    if (!p) return Promise.resolve();
+    return p.store.delete(p.prefix + src).catch(function () {});
+  }
+
+  // Deletes the least recently used entries (never `keep`) until the store
+  // fits maxBytes and at least `need` bytes were freed.
+  function _persistentTrim(p, need, keep) {
+    return p.store.entries().then(function (entries) {
+      entries.sort(function (a, b) { return a.time - b.time; });
+
+      var total = 0;
+      var freed = 0;
+      var deletions = [];
+      entries.forEach(function (entry) { total += entry.bytes; });
+
+      for (var i = 0; i < entries.length; i++) {
+        if (total <= p.maxBytes && freed >= need) break;
+        if (entries[i].key === keep) continue;
+        deletions.push(p.store.delete(entries[i].key));
+        total -= entries[i].bytes;
+        freed += entries[i].bytes;
+      }
+      return Promise.all(deletions);
+    });
+  }
+
+  function _builtinStore(type) {
+    if (type === 'memory') return _memoryStore();
+    if (type === 'cache-storage' && typeof caches !== 'undefined') return _cacheStorageStore();
+    if (type === 'indexeddb' && typeof indexedDB !== 'undefined') return _indexedDbStore();
+    return null;
+  }
+
+  // Per-page store; useful as a stand-in under tests.
+  function _memoryStore() {
+    var map = new Map(); // key -> { data, time }
+    return {
+      get: function (key) {
+        var entry = map.get(key);
+        if (!entry) return Promise.resolve(undefined);
+        entry.time = Date.now();
+        return Promise.resolve(entry.data.slice(0));
+      },
+      put: function (key, data) {
+        map.set(key, { data: data, time: Date.now() });
+        return Promise.resolve();
+      },
+      delete: function (key) {
+        map.delete(key);
+        return Promise.resolve();
+      },
+      entries: function () {
+        var out = [];
+        map.forEach(function (entry, key) {
+          out.push({ key: key, bytes: entry.data.byteLength, time: entry.time });
+        });
+        return Promise.resolve(out);
+      }
+    };
+  }
+
+  // Cache Storage is keyed by request URL, so keys are wrapped in a
+  // synthetic URL. Sizes and access times live in one index record, so
+  // entries() reads a single response instead of every stored one.
+  function _cacheStorageStore() {
+    var base  = 'https://howler.invalid/';
+    var index = base + '.index';
+    var queue = Promise.resolve();
+    var open  = function () { return caches.open(PERSISTENT_NAME); };
+    var url   = function (key) { return base + encodeURIComponent(key); };
+
+    // key -> { bytes, time }. A missing index is rebuilt once from the
+    // stored responses' Content-Length.
+    var readIndex = function (cache) {
+      return cache.match(index).then(function (response) {
+        if (response) return response.json();
+
+        var meta = {};
+        return cache.keys().then(function (requests) {
+          return Promise.all(requests.map(function (request) {
+            return cache.match(request).then(function (stored) {
+              meta[decodeURIComponent(request.url.slice(base.length))] = {
+                bytes: parseInt(stored.headers.get('Content-Length'), 10) || 0,
+                time:  0
+              };
+            });
+          }));
+        }).then(function () {
+          return meta;
+        });
+      });
+    };
+
+    // Runs fn(cache, meta) and writes the index back. Updates are chained so
+    // concurrent calls on this page do not overwrite each other's changes.
+    var update = function (fn) {
+      var next = queue.then(open).then(function (cache) {
+        return readIndex(cache).then(function (meta) {
+          return Promise.resolve(fn(cache, meta)).then(function () {
+            return cache.put(index, new Response(JSON.stringify(meta), {
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          });
+        });
+      });
+      queue = next.catch(function () {});
+      return next;
+    };
+
+    return {
+      get: function (key) {
+        return open().then(function (cache) {
+          return cache.match(url(key));
+        }).then(function (response) {
+          if (!response) return undefined;
+          return response.arrayBuffer().then(function (data) {
+            update(function (cache, meta) {
+              if (meta[key]) meta[key].time = Date.now();
+            }).catch(function () {});
+            return data;
+          });
+        });
+      },
+      put: function (key, data) {
+        return update(function (cache, meta) {
+          return cache.put(url(key), new Response(data, {
+            headers: { 'Content-Length': String(data.byteLength) }
+          })).then(function () {
+            meta[key] = { bytes: data.byteLength, time: Date.now() };
+          });
+        });
+      },
+      delete: function (key) {
+        return update(function (cache, meta) {
+          delete meta[key];
+          return cache.delete(url(key));
+        });
+      },
+      entries: function () {
+        return queue.then(open).then(readIndex).then(function (meta) {
+          return Object.keys(meta).map(function (key) {
+            return { key: key, bytes: meta[key].bytes, time: meta[key].time };
+          });
+        });
+      }
+    };
+  }
+
+  // Bytes live in 'data'; { key, bytes, time } in 'meta' so entries() does
+  // not read every blob.
+  function _indexedDbStore() {
+    var db = null;
+    var open = function () {
+      if (!db) {
+        db = new Promise(function (resolve, reject) {
+          var req = indexedDB.open(PERSISTENT_NAME, 1);
+          req.onupgradeneeded = function () {
+            req.result.createObjectStore('data');
+            req.result.createObjectStore('meta');
+          };
+          req.onsuccess = function () { resolve(req.result); };
+          req.onerror   = function () {
+            db = null;
+            reject(req.error);
+          };
+        });
+      }
+      return db;
+    };
+    var transact = function (mode, fn) {
+      return open().then(function (database) {
+        return new Promise(function (resolve, reject) {
+          var tx = database.transaction(['data', 'meta'], mode);
+          var result;
+          fn(tx.objectStore('data'), tx.objectStore('meta'), function (value) { result = value; });
+          tx.oncomplete = function () { resolve(result); };
+          tx.onerror = tx.onabort = function () { reject(tx.error); };
+        });
+      });
+    };
+
+    return {
+      get: function (key) {
+        return transact('readwrite', function (data, meta, done) {
+          data.get(key).onsuccess = function (e) { done(e.target.result); };
+          meta.get(key).onsuccess = function (e) {
+            var entry = e.target.result;
+            if (!entry) return;
+            entry.time = Date.now();
+            meta.put(entry, key);
+          };
+        });
+      },
+      put: function (key, bytes) {
+        return transact('readwrite', function (data, meta) {
+          data.put(bytes, key);
+          meta.put({ key: key, bytes: bytes.byteLength, time: Date.now() }, key);
+        });
+      },
+      delete: function (key) {
+        return transact('readwrite', function (data, meta) {
+          data.delete(key);
+          meta.delete(key);
+        });
+      },
+      entries: function () {
+        return transact('readonly', function (data, meta, done) {
+          meta.getAll().onsuccess = function (e) { done(e.target.result); };
+        });
+      }
+    };
+  }
+
+  // onFail, when given, replaces the 'loaderror' emission (used to retry a
+  // persistent-cache entry from the network).
+  function _decodeAudio(arrayBuffer, howl, onFail) {
+    var src = howl._src;
+
+    // Registered alongside the fetch controllers so unload() cancels decoders
+    // that support it (WebCodecs, custom decoders honouring the signal).
+    var controller = new AbortController();
+    howl._fetchControllers[src] = controller;
+
+    var release = function () {
+      if (howl._fetchControllers[src] === controller) delete howl._fetchControllers[src];
+    };
+
+    var onError = function (err) {
+      release();
+      if (err && err.name === 'AbortError') return;
+      if (onFail) {
+        onFail();
+        return;
+      }
+      howl._emit('loaderror', null, 'Decoding audio data failed.');
+    };
+
+    var onSuccess = function (buffer) {
+      release();
+      if (buffer && howl._sounds.length > 0) {
+        cacheSet(howl._src, buffer);
+        _initFromBuffer(howl, buffer);
+      } else {
+        onError();
+      }
+    };
+
+    _decodeBytes(arrayBuffer, howl, controller.signal).then(onSuccess).catch(onError);
+  }
+
+  function _initFromBuffer(howl, buffer) {
+    if (buffer && !howl._duration) {
+      howl._duration = buffer.duration;
+    }
+    if (howl._spriteFetch && !howl._spriteReady) {
+      howl._spriteFetch.then(function (ok) {
+        if (ok && howl._state !== 'unloaded') _initFromBuffer(howl);
+      });
+      return;
+    }
+    _closeSprites(howl);
+    if (Object.keys(howl._sprite).length === 0) {
+      howl._sprite = { __default: [0, howl._duration * 1000] };
+    }
+    if (howl._state !== 'loaded') {
+      howl._state = 'loaded';
+      howl._emit('load');
+      howl._loadQueue();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Progressive decode — new Howl({ progressive: true })
+  //
+  // For long WebAudio files: _fetchNetwork hands the response to a
+  // ProgressiveLoader, which cuts the body into frame/page-aligned pieces as
+  // it arrives (WAV: block-aligned PCM behind a patched copy of the header;
+  // Ogg: whole pages behind the stream's header pages; MP3: whole frames),
+  // decodes them in order and appends them to a timeline of AudioBuffers.
+  // 'load' fires after the first piece. Sounds played before the download
+  // completes are scheduled piece by piece (node._chunks, _pumpChunks) and
+  // wait silently when they catch up with the download. Once complete, the
+  // pieces are merged into one AudioBuffer in the regular cache and later
+  // plays take the normal single-source path.
+  //
+  // duration() is exact for WAV and estimated from Content-Length for
+  // compressed formats until the download completes. Compressed formats may
+  // lose a few milliseconds of priming at piece boundaries; WAV is
+  // sample-exact. Anything unrecognised is decoded whole, as without the
+  // option.
+  // ---------------------------------------------------------------------------
+  var PROGRESSIVE_FIRST_BYTES = 64 * 1024;   // small first piece: fast 'load'
+  var PROGRESSIVE_CHUNK_BYTES = 512 * 1024;
+  var PROGRESSIVE_LOOKAHEAD   = 1;           // s of audio scheduled ahead
+
+  var MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],   // MPEG-1 layer III
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]         // MPEG-2/2.5 layer III
+  };
+  var MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+  var ProgressiveLoader = function (howl, response) {
+    var self = this;
+
+    self._howl     = howl;
+    self._bytes    = [];        // every received chunk, for the persistent cache and fallback
+    self._pending  = new Uint8Array(0);
+    self._received = 0;
+    self._consumed = 0;         // media bytes already cut into pieces
+    self._total    = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    self._format   = null;      // 'wav' | 'ogg' | 'mp3' | 'whole' once sniffed
+    self._header   = null;      // bytes prepended to every piece (WAV / Ogg)
+    self._wav      = null;
+    self._decoding = Promise.resolve();
+    self._response = response;
+
+    self.chunks   = [];         // { buffer, start, duration } in media order
+    self.decoded  = 0;          // s of audio in chunks
+    self.done     = false;
+    self.failed   = false;
+    self.exact    = 0;          // exact duration when the container states it
+  };
+
+  ProgressiveLoader.prototype = {
+    // Reads the body to the end, resolving to the complete file bytes. The
+    // pieces keep decoding in the background; _finish() runs after the last.
+    read: function () {
+      var self   = this;
+      var reader = self._response.body.getReader();
+
+      var read = function () {
+        return reader.read().then(function (result) {
+          if (result.done) {
+            var all = _concatBytes(self._bytes).buffer;
+            self._bytes = null;
+            if (self._received !== self._total) _reportProgress(self._howl, self._received, self._received);
+            self._cut(true);
+            self._queue(function () { return self._finish(all); });
+            return all;
+          }
+          self._bytes.push(result.value);
+          self._received += result.value.byteLength;
+          _reportProgress(self._howl, self._received, self._total);
+          self._pending = _concatBytes([self._pending, result.value]);
+          self._cut(false);
+          return read();
+        });
+      };
+      return read();
+    },
+
+    // Cuts as many pieces as the pending bytes allow (everything on flush).
+    _cut: function (flush) {
+      var self = this;
+
+      if (!self._format && !self._sniff(flush)) return;
+      if (self._format === 'whole') return;
+
+      var target = self._consumed ? PROGRESSIVE_CHUNK_BYTES : PROGRESSIVE_FIRST_BYTES;
+      while (self._pending.byteLength >= target || (flush && self._pending.byteLength)) {
+        var size = self._boundary(Math.min(target, self._pending.byteLength), flush);
+        if (!size) break;
+
+        var media = self._pending.subarray(0, size);
+        self._pending  = self._pending.slice(size);
+        self._consumed += size;
+        self._decode(self._wrap(media), size);
+        target = PROGRESSIVE_CHUNK_BYTES;
+      }
+    },
+
+    // Detects the container and strips the header. False until enough bytes
+    // have arrived to tell.
+    _sniff: function (flush) {
+      var self  = this;
+      var bytes = self._pending;
+      if (bytes.byteLength < 12 && !flush) return false;
+
+      var tag = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+      if (tag === 'RIFF' && String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === 'WAVE') {
+        var wav = _parseWavHeader(bytes);
+        if (!wav) {
+          if (flush || bytes.byteLength > PROGRESSIVE_CHUNK_BYTES) self._format = 'whole';
+          return !!self._format;
+        }
+        self._format  = 'wav';
+        self._wav     = wav;
+        self._header  = bytes.slice(0, wav.dataOffset);
+        self._pending = bytes.slice(wav.dataOffset);
+        if (wav.dataSize && wav.byteRate) self.exact = wav.dataSize / wav.byteRate;
+      } else if (tag === 'OggS') {
+        var headerEnd = _oggHeaderEnd(bytes);
+        if (headerEnd < 0) {
+          if (flush || bytes.byteLength > PROGRESSIVE_CHUNK_BYTES) self._format = 'whole';
+          return !!self._format;
+        }
+        self._format  = 'ogg';
+        self._header  = bytes.slice(0, headerEnd);
+        self._pending = bytes.slice(headerEnd);
+      } else if (tag.slice(0, 3) === 'ID3' || _mp3FrameLength(bytes, 0)) {
+        self._format = 'mp3';
+      } else {
+        self._format = 'whole';
+      }
+      return true;
+    },
+
+    // Largest piece size <= max that ends on a frame/page/block boundary.
+    _boundary: function (max, flush) {
+      var self  = this;
+      var bytes = self._pending;
+
+      if (self._format === 'wav') {
+        var align = self._wav.blockAlign || 1;
+        return flush ? bytes.byteLength - bytes.byteLength % align : max - max % align;
+      }
+
+      var pos  = 0;
+      var last = 0;
+      while (pos < bytes.byteLength) {
+        var len = self._format === 'ogg' ? _oggPageLength(bytes, pos) : _mp3Skip(bytes, pos);
+        if (!len || pos + len > bytes.byteLength) break;
+        pos += len;
+        if (pos > max) break;
+        last = pos;
+      }
+      if (flush) return bytes.byteLength;
+      // A single frame/page larger than max still has to go out whole.
+      return last || pos;
+    },
+
+    // Makes a piece decodable on its own.
+    _wrap: function (media) {
+      var self = this;
+      if (!self._header) return media.slice().buffer;
+
+      var out = new Uint8Array(self._header.byteLength + media.byteLength);
+      out.set(self._header, 0);
+      out.set(media, self._header.byteLength);
+
+      if (self._format === 'wav') {
+        var view = new DataView(out.buffer);
+        view.setUint32(4, out.byteLength - 8, true);
+        view.setUint32(self._wav.dataOffset - 4, media.byteLength, true);
+      }
+      return out.buffer;
+    },
+
+    // Serialises decode work so pieces join the timeline in order.
+    _queue: function (fn) {
+      var self = this;
+      self._decoding = self._decoding.then(function () {
+        if (self._howl._prog !== self) return null;
+        return fn();
+      }).catch(function (err) {
+        console.warn('Howler: progressive decode step failed.', err);
+      });
+    },
+
+    _decode: function (piece, mediaBytes) {
+      var self = this;
+      self._queue(function () {
+        if (self.failed) return null;
+        return _decodeBytes(piece, self._howl).then(function (buffer) {
+          self._append(buffer, mediaBytes);
+        }, function () {
+          // The whole file is decoded at the end instead; what has played
+          // so far stays on the piece timeline.
+          self.failed = true;
+        });
+      });
+    },
+
+    _append: function (buffer, mediaBytes) {
+      var self = this;
+      var howl = self._howl;
+
+      self.chunks.push({ buffer: buffer, start: self.decoded, duration: buffer.duration });
+      self.decoded    += buffer.duration;
+      self._mediaBytes = (self._mediaBytes || 0) + mediaBytes;
+
+      self._setDuration(self._estimate());
+      if (howl._state !== 'loaded') {
+        _initFromBuffer(howl);
+      }
+      _pumpHowlChunks(howl);
+    },
+
+    // Duration as far as it can be known before the download completes.
+    _estimate: function () {
+      var self = this;
+      if (self.exact) return self.exact;
+      var media = self._total - (self._header ? self._header.byteLength : 0);
+      if (media > 0 && self._mediaBytes) {
+        return Math.max(self.decoded, self.decoded * media / self._mediaBytes);
+      }
+      return self.decoded;
+    },
+
+    _setDuration: function (duration) {
+      var self = this;
+      var howl = self._howl;
+
+      howl._duration = duration;
+      if (self._autoSprite === undefined) {
+        self._autoSprite = Object.keys(howl._sprite).length === 0 ||
+                           (Object.keys(howl._sprite).length === 1 && !!howl._sprite.__default);
+      }
+      if (self._autoSprite) {
+        howl._sprite = { __default: [0, duration * 1000] };
+      }
+    },
+
+    // Installs the complete AudioBuffer as if it had been decoded in one go.
+    _finish: function (all) {
+      var self = this;
+      var howl = self._howl;
+
+      var install = function (buffer) {
+        if (howl._prog !== self) return;
+        cacheSet(howl._src, buffer);
+        self._setDuration(buffer.duration);
+        self.done = true;
+
+        howl._sounds.forEach(function (sound) {
+          if (sound._sprite === '__default' && self._autoSprite) sound._stop = buffer.duration;
+        });
+        if (howl._state !== 'loaded') {
+          _initFromBuffer(howl);
+        }
+        _pumpHowlChunks(howl);
+      };
+
+      if (self.failed || !self.chunks.length) {
+        return _decodeBytes(all, howl).then(install, function () {
+          if (howl._prog !== self) return;
+          howl._prog = null;
+          howl._emit('loaderror', null, 'Decoding audio data failed.');
+        });
+      }
+      install(_joinBuffers(self.chunks));
+      return null;
+    }
+  };
+
+  // Offset of the first byte after the RIFF header and the 'data' chunk
+  // header, plus the fmt fields; null until the 'data' chunk is reached.
+  function _parseWavHeader(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var pos  = 12;
+    var wav  = null;
+
+    while (pos + 8 <= bytes.byteLength) {
+      var id   = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+      var size = view.getUint32(pos + 4, true);
+
+      if (id === 'fmt ' && pos + 24 <= bytes.byteLength) {
+        wav = {
+          byteRate:   view.getUint32(pos + 16, true),
+          blockAlign: view.getUint16(pos + 20, true)
+        };
+      } else if (id === 'data') {
+        if (!wav) return null;
+        wav.dataOffset = pos + 8;
+        // 0 / 0xFFFFFFFF: written by a streaming encoder, length unknown.
+        wav.dataSize   = size && size !== 0xFFFFFFFF ? size : 0;
+        return wav;
+      }
+      pos += 8 + size + (size & 1);
+    }
+    return null;
+  }
+
+  // Length of the Ogg page at pos, or 0 if incomplete / not a page.
+  function _oggPageLength(bytes, pos) {
+    if (pos + 27 > bytes.byteLength ||
+        bytes[pos] !== 0x4F || bytes[pos + 1] !== 0x67 || bytes[pos + 2] !== 0x67 || bytes[pos + 3] !== 0x53) {
+      return 0;
+    }
+    var segments = bytes[pos + 26];
+    if (pos + 27 + segments > bytes.byteLength) return 0;
+
+    var length = 27 + segments;
+    for (var i = 0; i < segments; i++) length += bytes[pos + 27 + i];
+    return length;
+  }
+
+  // End of the leading header pages (granule position 0: identification,
+  // comment and setup packets), or -1 until the first audio page arrives.
+  function _oggHeaderEnd(bytes) {
+    var pos = 0;
+    while (pos < bytes.byteLength) {
+      var length = _oggPageLength(bytes, pos);
+      if (!length) return -1;
+      for (var i = 6; i < 14; i++) {
+        if (bytes[pos + i]) return pos;
+      }
+      pos += length;
+    }
+    return -1;
+  }
+
+  // Fields of the MPEG layer III frame header at pos, or null.
+  function _mp3Header(bytes, pos) {
+    if (pos + 4 > bytes.byteLength || bytes[pos] !== 0xFF || (bytes[pos + 1] & 0xE0) !== 0xE0) return null;
+
+    var version = (bytes[pos + 1] >> 3) & 3;
+    var layer   = (bytes[pos + 1] >> 1) & 3;
+    var bitrate = (bytes[pos + 2] >> 4) & 15;
+    var srIndex = (bytes[pos + 2] >> 2) & 3;
+    var padding = (bytes[pos + 2] >> 1) & 1;
+    if (version === 1 || layer !== 1 || bitrate === 0 || bitrate === 15 || srIndex === 3) return null;
+
+    var kbps = MP3_BITRATES[version === 3 ? 1 : 2][bitrate];
+    var rate = MP3_SAMPLE_RATES[version][srIndex];
+    return {
+      length:     Math.floor((version === 3 ? 144000 : 72000) * kbps / rate) + padding,
+      sampleRate: rate,
+      channels:   (bytes[pos + 3] >> 6) === 3 ? 1 : 2,
+      samples:    version === 3 ? 1152 : 576,
+      mpeg1:      version === 3
+    };
+  }
+
+  function _mp3FrameLength(bytes, pos) {
+    var header = _mp3Header(bytes, pos);
+    return header ? header.length : 0;
+  }
+
+  // Bytes to the next cut point at pos: a whole frame, an ID3v2 tag, or
+  // junk up to the next frame sync. 0 if more data is needed.
+  function _mp3Skip(bytes, pos) {
+    var tag = _id3Length(bytes, pos);
+    if (tag) return tag;
+
+    var frame = _mp3FrameLength(bytes, pos);
+    if (frame) return frame;
+
+    for (var i = pos + 1; i + 4 <= bytes.byteLength; i++) {
+      if (_mp3FrameLength(bytes, i)) return i - pos;
+    }
+    return 0;
+  }
+
+  function _joinBuffers(chunks) {
+    var channels = 1;
+    var length   = 0;
+    chunks.forEach(function (chunk) {
+      channels = Math.max(channels, chunk.buffer.numberOfChannels);
+      length  += chunk.buffer.length;
+    });
+
+    var out    = Howler.ctx.createBuffer(channels, length, chunks[0].buffer.sampleRate);
+    var offset = 0;
+    chunks.forEach(function (chunk) {
+      for (var c = 0; c < channels; c++) {
+        var src = chunk.buffer.getChannelData(Math.min(c, chunk.buffer.numberOfChannels - 1));
+        out.getChannelData(c).set(src, offset);
+      }
+      offset += chunk.buffer.length;
+    });
+    return out;
+  }
+
+  // True while a progressive Howl still plays from pieces.
+  function _progressivePending(howl) {
+    return !!(howl._prog && !howl._prog.done);
+  }
+
+  // Starts a sound on the piece timeline at sound._seek, audible at `at`.
+  function _startChunks(howl, sound, at) {
+    var node = sound._node;
+    if (sound._widthStage) _routeWidth(sound);
+    if (sound._effects) _routeEffects(sound._effects, _chainOutput(sound));
+
+    node._chunks = {
+      howl:    howl,
+      sound:   sound,
+      loader:  howl._prog,
+      chunks:  howl._prog.chunks,
+      pos:     sound._seek,     // next media position to schedule
+      at:      at,              // context time at which pos is heard
+      sources: [],
+      stopAt:  0,
+      timer:   null
+    };
+    _pumpChunks(node._chunks);
+  }
+
+  function _pumpHowlChunks(howl) {
+    howl._sounds.forEach(function (sound) {
+      if (sound._node && sound._node._chunks) _pumpChunks(sound._node._chunks);
+    });
+  }
+
+  // Schedules pieces up to PROGRESSIVE_LOOKAHEAD ahead. Re-run by a timer,
+  // and by the loader whenever a piece is decoded.
+  function _pumpChunks(state) {
+    var howl  = state.howl;
+    var sound = state.sound;
+    var node  = sound._node;
+    if (!node || node._chunks !== state || sound._paused) return;
+
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    var now  = Howler.ctx.currentTime;
+    var rate = Math.abs(sound._rate);
+
+    while (state.at < now + PROGRESSIVE_LOOKAHEAD) {
+      if (state.stopAt && state.at >= state.stopAt) return;
+
+      // The auto sprite ends with the data; named sprites at their end.
+      var end = sound._sprite === '__default' && state.loader._autoSprite
+        ? (state.loader.done ? state.loader.decoded : Infinity)
+        : sound._stop;
+
+      if (state.pos >= end - 1e-6) {
+        if (!howl._endTimers[sound._id]) {
+          howl._endTimers[sound._id] = setTimeout(howl._ended.bind(howl, sound),
+            Math.max(0, (state.at - now) * 1000));
+        }
+        if (!sound._loop) return;
+        state.pos = sound._start || 0;
+        continue;
+      }
+
+      var chunk = _chunkAt(state.chunks, state.pos);
+      if (!chunk) return; // caught up with the download
+
+      if (state.at < now) {
+        // Underrun: everything from here on is late by the gap.
+        sound._playStart += now - state.at;
+        state.at = now;
+      }
+
+      var offset = state.pos - chunk.start;
+      var length = Math.min(chunk.start + chunk.duration, end) - state.pos;
+      var source = Howler.ctx.createBufferSource();
+      source.buffer = chunk.buffer;
+      source.playbackRate.setValueAtTime(sound._rate, now);
+      source.connect(_soundInput(sound));
+      source.start(state.at, offset, length);
+      if (state.stopAt) source.stop(state.stopAt);
+      source.onended = _dropChunkSource.bind(null, state, source);
+
+      state.sources.push(source);
+      node.bufferSource = source;
+      state.pos += length;
+      state.at  += length / rate;
+    }
+
+    state.timer = setTimeout(function () {
+      _pumpChunks(state);
+    }, Math.max(0, (state.at - now - PROGRESSIVE_LOOKAHEAD / 2) * 1000));
+  }
+
+  function _dropChunkSource(state, source) {
+    var index = state.sources.indexOf(source);
+    if (index >= 0) state.sources.splice(index, 1);
+    source.disconnect();
+  }
+
+  function _chunkAt(chunks, pos) {
+    for (var i = 0; i < chunks.length; i++) {
+      if (pos < chunks[i].start + chunks[i].duration - 1e-6) {
+        return pos >= chunks[i].start - 1e-6 ? chunks[i] : null;
+      }
+    }
+    return null;
+  }
+
+  // Stops every scheduled piece (at `when`, or now) and drops the state.
+  function _stopChunks(node, when) {
+    var state = node._chunks;
+    if (!state) return;
+
+    if (when) {
+      state.stopAt = when;
+      state.sources.forEach(function (source) { source.stop(when); });
+      return;
+    }
+
+    clearTimeout(state.timer);
+    state.sources.forEach(function (source) {
+      source.onended = null;
+      try { source.stop(0); } catch (e) {}
+      source.disconnect();
+    });
+    node._chunks = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Decoder backends — Howler.registerDecoder(ext, impl)
+  //
+  // _decodeBytes picks the decoder for a Howl's extension: a registered one,
+  // else a built-in WebCodecs AudioDecoder backend (Ogg/Opus, ADTS AAC, MP3)
+  // where the browser has it, else decodeAudioData. The WebCodecs backends
+  // demux in JS, decode off the main thread, keep the file's own sample rate
+  // (the AudioBuffer is resampled on playback instead of at decode time) and
+  // stop when the signal aborts. A decoder that rejects for any reason other
+  // than an abort falls back to decodeAudioData when the browser can play
+  // the format natively.
+  // ---------------------------------------------------------------------------
+  var ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+  function _decodeBytes(bytes, howl, signal) {
+    var ext     = howl._ext;
+    var decoder = ext && (Howler._decoders[ext] || BUILTIN_DECODERS[ext]);
+
+    if (decoder && typeof decoder.test === 'function' && !decoder.test()) decoder = null;
+    if (decoder && typeof decoder.accepts === 'function' && !decoder.accepts(new Uint8Array(bytes))) {
+      decoder = null;
+    }
+    if (!decoder) return Howler.ctx.decodeAudioData(bytes);
+
+    // decodeAudioData detaches its input, and so may a custom decoder.
+    var fallback = Howler._codecs[ext] ? bytes.slice(0) : null;
+
+    return Promise.resolve()
+      .then(function () {
+        return decoder.decode(bytes, {
+          signal:     signal || null,
+          sampleRate: Howler.ctx.sampleRate,
+          src:        howl._src,
+          ext:        ext
+        });
+      })
+      .then(_toAudioBuffer)
+      .catch(function (err) {
+        if ((err && err.name === 'AbortError') || !fallback) throw err;
+        return Howler.ctx.decodeAudioData(fallback);
+      });
+  }
+
+  // Accepts an AudioBuffer or { sampleRate, channelData } from a decoder.
+  function _toAudioBuffer(result) {
+    if (result && typeof result.getChannelData === 'function') return result;
+    if (!result || !result.channelData || !result.channelData.length || !result.sampleRate) {
+      throw new Error('Howler: decoder returned no audio.');
+    }
+
+    var data   = result.channelData;
+    var buffer = Howler.ctx.createBuffer(data.length, data[0].length, result.sampleRate);
+    for (var c = 0; c < data.length; c++) {
+      buffer.getChannelData(c).set(data[c]);
+    }
+    return buffer;
+  }
+
+  // Decoder impl for a demuxer returning { config, packets: [{ data,
+  // duration (µs) }], skip (frames), trim (frames) } or null when it can't
+  // handle the file. `accepts` is an optional cheap check on the first bytes.
+  function _webCodecsDecoder(demux, accepts) {
+    return {
+      test: function () {
+        return typeof AudioDecoder === 'function' && typeof EncodedAudioChunk === 'function';
+      },
+
+      accepts: accepts,
+
+      decode: function (bytes, options) {
+        var track = demux(new Uint8Array(bytes));
+        if (!track || !track.packets.length) {
+          return Promise.reject(new Error('Howler: stream not handled by the WebCodecs demuxer.'));
+        }
+        return AudioDecoder.isConfigSupported(track.config).then(function (support) {
+          if (!support.supported) {
+            throw new Error('Howler: AudioDecoder does not support ' + track.config.codec + '.');
+          }
+          return _runAudioDecoder(track, options.signal);
+        });
+      }
+    };
+  }
+
+  function _runAudioDecoder(track, signal) {
+    return new Promise(function (resolve, reject) {
+      var planes     = [];
+      var length     = 0;
+      var sampleRate = track.config.sampleRate;
+      var settled    = false;
+      var decoder;
+
+      var fail = function (err) {
+        if (settled) return;
+        settled = true;
+        try { decoder.close(); } catch (e) {}
+        reject(err);
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new DOMException('Decode aborted.', 'AbortError'));
+          return;
+        }
+        signal.addEventListener('abort', function () {
+          fail(new DOMException('Decode aborted.', 'AbortError'));
+        });
+      }
+
+      decoder = new AudioDecoder({
+        output: function (data) {
+          // HE-AAC and friends report their real output rate here.
+          sampleRate = data.sampleRate;
+          for (var c = 0; c < data.numberOfChannels; c++) {
+            var plane = new Float32Array(data.numberOfFrames);
+            data.copyTo(plane, { planeIndex: c, format: 'f32-planar' });
+            (planes[c] = planes[c] || []).push(plane);
+          }
+          length += data.numberOfFrames;
+          data.close();
+        },
+        error: fail
+      });
+
+      try {
+        decoder.configure(track.config);
+        var timestamp = 0;
+        track.packets.forEach(function (packet) {
+          decoder.decode(new EncodedAudioChunk({
+            type:      'key',
+            timestamp: timestamp,
+            duration:  packet.duration,
+            data:      packet.data
+          }));
+          timestamp += packet.duration;
+        });
+      } catch (e) {
+        fail(e);
+        return;
+      }
+
+      decoder.flush().then(function () {
+        if (settled) return;
+        settled = true;
+        decoder.close();
+
+        var skip = Math.min(track.skip || 0, length);
+        var end  = Math.max(skip, length - (track.trim || 0));
+        resolve({
+          sampleRate:  sampleRate,
+          channelData: planes.map(function (chunks) {
+            return _concatSamples(chunks, length).subarray(skip, end);
+          })
+        });
+      }, fail);
+    });
+  }
+
+  function _concatSamples(chunks, length) {
+    var out    = new Float32Array(length);
+    var offset = 0;
+    chunks.forEach(function (chunk) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return out;
+  }
+
+  // Size of an ID3v2 tag at pos, or 0.
+  function _id3Length(bytes, pos) {
+    if (pos + 10 > bytes.byteLength ||
+        bytes[pos] !== 0x49 || bytes[pos + 1] !== 0x44 || bytes[pos + 2] !== 0x33) {
+      return 0;
+    }
+    var size = ((bytes[pos + 6] & 0x7F) << 21) | ((bytes[pos + 7] & 0x7F) << 14) |
+               ((bytes[pos + 8] & 0x7F) << 7) | (bytes[pos + 9] & 0x7F);
+    return 10 + size + (bytes[pos + 5] & 0x10 ? 10 : 0);
+  }
+
+  // Is the first packet of the first Ogg page an Opus ID header? Vorbis and
+  // other Ogg codecs go straight to decodeAudioData.
+  function _isOggOpus(bytes) {
+    if (!_oggPageLength(bytes, 0)) return false;
+    var data = 27 + bytes[26];
+    return data + 8 <= bytes.byteLength &&
+      String.fromCharCode.apply(null, bytes.subarray(data, data + 8)) === 'OpusHead';
+  }
+
+  // Ogg Opus: reassembles packets from the page lacing. Vorbis and other
+  // codecs return null (decodeAudioData handles them).
+  function _demuxOggOpus(bytes) {
+    var packets = [];
+    var pending = [];
+    var pos     = 0;
+
+    while (pos < bytes.byteLength) {
+      var length = _oggPageLength(bytes, pos);
+      if (!length || pos + length > bytes.byteLength) break;
+
+      var segments = bytes[pos + 26];
+      var data     = pos + 27 + segments;
+      for (var i = 0; i < segments; i++) {
+        var lace = bytes[pos + 27 + i];
+        pending.push(bytes.subarray(data, data + lace));
+        data += lace;
+        if (lace < 255) {
+          packets.push(_concatBytes(pending));
+          pending = [];
+        }
+      }
+      pos += length;
+    }
+
+    var head = packets[0];
+    if (!head || head.byteLength < 19 || String.fromCharCode.apply(null, head.subarray(0, 8)) !== 'OpusHead') {
+      return null;
+    }
+
+    return {
+      config: {
+        codec:            'opus',
+        sampleRate:       48000,
+        numberOfChannels: head[9],
+        description:      head
+      },
+      skip:    head[10] | (head[11] << 8),  // pre-skip
+      packets: packets.slice(2).filter(function (packet) {
+        return packet.byteLength > 0;
+      }).map(function (packet) {
+        return { data: packet, duration: _opusDuration(packet) };
+      })
+    };
+  }
+
+  // Packet duration (µs) from the Opus TOC byte.
+  function _opusDuration(packet) {
+    var toc    = packet[0];
+    var config = toc >> 3;
+    var frame  = config < 12 ? [10000, 20000, 40000, 60000][config & 3]
+               : config < 16 ? [10000, 20000][config & 1]
+               : [2500, 5000, 10000, 20000][config & 3];
+    var code   = toc & 3;
+    var count  = code === 0 ? 1 : code === 3 ? (packet[1] & 0x3F) : 2;
+    return frame * count;
+  }
+
+  function _demuxAdts(bytes) {
+    var packets = [];
+    var config  = null;
+    var pos     = _id3Length(bytes, 0);
+
+    while (pos + 7 <= bytes.byteLength) {
+      if (bytes[pos] !== 0xFF || (bytes[pos + 1] & 0xF6) !== 0xF0) {
+        pos++;
+        continue;
+      }
+
+      var header  = bytes[pos + 1] & 1 ? 7 : 9;  // protection_absent
+      var profile = (bytes[pos + 2] >> 6) + 1;
+      var srIndex = (bytes[pos + 2] >> 2) & 15;
+      var chanCfg = ((bytes[pos + 2] & 1) << 2) | (bytes[pos + 3] >> 6);
+      var length  = ((bytes[pos + 3] & 3) << 11) | (bytes[pos + 4] << 3) | (bytes[pos + 5] >> 5);
+      var rate    = ADTS_SAMPLE_RATES[srIndex];
+
+      if (!rate || length <= header) {
+        pos++;
+        continue;
+      }
+      if (pos + length > bytes.byteLength) break;
+
+      if (!config) {
+        config = {
+          codec:            'mp4a.40.' + profile,
+          sampleRate:       rate,
+          numberOfChannels: chanCfg || 2,
+          // AudioSpecificConfig
+          description:      new Uint8Array([(profile << 3) | (srIndex >> 1), ((srIndex & 1) << 7) | (chanCfg << 3)])
+        };
+      }
+      packets.push({ data: bytes.subarray(pos + header, pos + length), duration: 1024 * 1e6 / rate });
+      pos += length;
+    }
+
+    return config ? { config: config, packets: packets, skip: 0 } : null;
+  }
+
+  // MP3 decoders add MP3_DECODER_DELAY frames ahead of the encoder delay the
+  // LAME tag records; both go, and the tag's padding is trimmed at the end,
+  // as decodeAudioData does.
+  var MP3_DECODER_DELAY = 529;
+
+  function _demuxMp3(bytes) {
+    var packets = [];
+    var config  = null;
+    var pos     = 0;
+    var skip    = 0;
+    var trim    = 0;
+
+    while (pos < bytes.byteLength) {
+      var header = _mp3Header(bytes, pos);
+      if (!header) {
+        var step = _mp3Skip(bytes, pos);
+        if (!step) break;
+        pos += step;
+        continue;
+      }
+      if (pos + header.length > bytes.byteLength) break;
+
+      if (!config) {
+        config = { codec: 'mp3', sampleRate: header.sampleRate, numberOfChannels: header.channels };
+        // A leading Xing/Info/VBRI frame carries metadata, not audio.
+        var side = header.mpeg1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+        var tag  = String.fromCharCode.apply(null, bytes.subarray(pos + 4 + side, pos + 8 + side));
+        var vbri = String.fromCharCode.apply(null, bytes.subarray(pos + 36, pos + 40));
+        if (tag === 'Xing' || tag === 'Info' || vbri === 'VBRI') {
+          var gapless = vbri === 'VBRI' ? null : _lameGapless(bytes, pos + 4 + side, pos + header.length);
+          if (gapless) {
+            skip = gapless.delay + MP3_DECODER_DELAY;
+            trim = Math.max(0, gapless.padding - MP3_DECODER_DELAY);
+          }
+          pos += header.length;
+          continue;
+        }
+      }
+      packets.push({
+        data:     bytes.subarray(pos, pos + header.length),
+        duration: header.samples * 1e6 / header.sampleRate
+      });
+      pos += header.length;
+    }
+
+    return config ? { config: config, packets: packets, skip: skip, trim: trim } : null;
+  }
+
+  // { delay, padding } (frames) from the LAME tag after a Xing/Info header
+  // at pos, or null when the frame has none.
+  function _lameGapless(bytes, pos, end) {
+    var flags = bytes[pos + 7];
+    var lame  = pos + 8;
+    if (flags & 1) lame += 4;    // frame count
+    if (flags & 2) lame += 4;    // byte count
+    if (flags & 4) lame += 100;  // seek table
+    if (flags & 8) lame += 4;    // quality
+
+    if (lame + 24 > end) return null;
+    var encoder = String.fromCharCode.apply(null, bytes.subarray(lame, lame + 4));
+    if (encoder !== 'LAME' && encoder !== 'Lavc' && encoder !== 'Lavf') return null;
+
+    var at = lame + 21;
+    return {
+      delay:   (bytes[at] << 4) | (bytes[at + 1] >> 4),
+      padding: ((bytes[at + 1] & 0x0F) << 8) | bytes[at + 2]
+    };
+  }
+
+  var BUILTIN_DECODERS = (function () {
+    var ogg  = _webCodecsDecoder(_demuxOggOpus, _isOggOpus);
+    var adts = _webCodecsDecoder(_demuxAdts);
+    var mp3  = _webCodecsDecoder(_demuxMp3);
+    return { opus: ogg, ogg: ogg, oga: ogg, aac: adts, mp3: mp3, mpeg: mp3 };
+  })();
+
+  // ---------------------------------------------------------------------------
+  // Promise helpers for loadAsync / playAsync / fadeAsync / stopAsync
+  //
+  // _awaitEvents(howl, options, setup, start):
+  //   setup(settle) returns an { event: handler } map that is attached with
+  //   on() before start(settle) runs the underlying callback-API call. All
+  //   handlers are detached with off() as soon as the promise settles, so
+  //   nothing is left in the _on* arrays afterwards.
+  //   settle.onAbort(fn) registers extra cancellation work for the signal.
+  // ---------------------------------------------------------------------------
+  function _awaitEvents(howl, options, setup, start) {
+    var signal = (options && options.signal) || null;
+
+    return new Promise(function (resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(_abortReason(signal));
+        return;
+      }
+
+      var settled  = false;
+      var bound    = [];
+      var abortFns = [];
+
+      var cleanup = function () {
+        for (var i = 0; i < bound.length; i++) {
+          howl.off(bound[i].event, bound[i].fn);
+        }
+        bound = [];
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      var settle = {
+        resolve: function (value) {
+          if (settled) return;
+          settled = true;
+          cleanup();
+          resolve(value);
+        },
+        reject: function (err) {
+          if (settled) return;
+          settled = true;
+          cleanup();
+          reject(err);
+        },
+        onAbort: function (fn) {
+          abortFns.push(fn);
+        }
+      };
+
+      var onAbort = function () {
+        if (settled) return;
+        settle.reject(_abortReason(signal));
+        for (var i = 0; i < abortFns.length; i++) {
+          try { abortFns[i](); } catch (e) {}
+        }
+      };
+
+      var handlers = setup(settle) || {};
+      if (!settled) {
+        Object.keys(handlers).forEach(function (event) {
+          bound.push({ event: event, fn: handlers[event] });
+          howl.on(event, handlers[event]);
+        });
+        if (signal) signal.addEventListener('abort', onAbort);
+      }
+
+      if (start) start(settle);
+    });
+  }
+
+  // Snapshot of the sound ids an id-or-group call will target. Unknown ids
+  // are dropped: no event will ever arrive for them.
+  function _pendingIds(howl, id) {
+    return new Set(howl._getSoundIds(id).filter(function (soundId) {
+      return !!howl._soundById(soundId);
+    }));
+  }
+
+  // Runs fn now, or queues it under `event` the way the callback API queues
+  // calls made before load; targets are then snapshotted when it runs. A
+  // queued task can be started again while it waits for its event (play's
+  // _loadQueue()), so fn runs once.
+  function _runQueued(howl, event, fn) {
+    var ran  = false;
+    var once = function () {
+      if (ran) return;
+      ran = true;
+      fn();
+    };
+    if (howl._state !== 'loaded' || howl._playLock) {
+      howl._queue.push({ event: event, action: once });
+    } else {
+      once();
+    }
+  }
+
+  function _abortReason(signal) {
+    if (signal && typeof signal.reason !== 'undefined') return signal.reason;
+    try {
+      return new DOMException('The operation was aborted.', 'AbortError');
+    } catch (e) {
+      var err = new Error('The operation was aborted.');
+      err.name = 'AbortError';
+      return err;
+    }
+  }
+
+  // Wraps the (id, msg) payload of an error event in an Error. msg may be a
+  // string, a MediaError code, or an Error thrown by node.play().
+  function _asyncError(op, msg) {
+    if (msg instanceof Error) return msg;
+    var err = new Error('Howler ' + op + ' failed' +
+                        (msg !== undefined && msg !== null ? ': ' + msg : '.'));
+    err.code = msg;
+    return err;
+  }
+
+  // ---------------------------------------------------------------------------
+  // AudioContext initialisation
   // Uses latencyHint:'playback' for larger internal buffers, reducing glitches
   // under CPU load on mobile. For streaming audio, 'playback' is always more
   // appropriate than the default 'interactive' hint.
@@ -2479,6 +7566,23 @@
       Howler.ctx.currentTime
     );
     Howler.masterGain.connect(Howler.ctx.destination);
+    if (Howler._effects.length || Howler._width !== 1) _applyMasterEffects();
+    if (Howler._analyser) {
+      Howler._analyser._build();
+      Howler._analyser._tap(_masterOutput());
+    }
+
+    // Re-create bus nodes on the new context (Howler.unload(), or the
+    // sample-rate rebuild in _unlockAudio).
+    Object.keys(Howler._buses).forEach(function (name) {
+      Howler._buses[name]._build();
+    });
+
+    // Duck gains belong to the old context too; ducked Howls get a new one.
+    Howler._howls.forEach(function (howl) {
+      howl._duckNode = null;
+      if (howl._webAudio && howl._duckLevel !== 1) _howlDuckNode(howl);
+    });
 
     Howler._setup();
   }
@@ -2574,6 +7678,9 @@
   // Signal path:
   //   <audio> → MediaElementAudioSourceNode → AudioWorkletNode → masterGain
   //
+  // The source comes from _mediaElementSource(), so an analyser on the same
+  // element shares it; it is moved off the destination onto the worklet.
+  //
   // The worklet runs off the main thread (no UI blocking). Messages are
   // forwarded to the main thread via AudioWorkletNode.port and delivered to
   // stream.onWorkletMessage(event).
@@ -2608,25 +7715,880 @@
       // Verify the howl hasn't been unloaded while the module was loading
       if (!howl._stream) return;
 
-      var source  = Howler.ctx.createMediaElementSource(audioNode);
-      var worklet = new AudioWorkletNode(Howler.ctx, 'howler-stream-processor');
+      var source = _mediaElementSource(audioNode);
+      if (!source) {
+        console.warn('Howler [stream]: the <audio> element is already bound to another ' +
+                     'AudioContext - AudioWorklet tap skipped.');
+        return;
+      }
+      var worklet = new AudioWorkletNode(Howler.ctx, 'howler-stream-processor');
+
+      if (cfg.onWorkletMessage) {
+        worklet.port.onmessage = cfg.onWorkletMessage;
+      }
+
+      try { source.disconnect(Howler.ctx.destination); } catch (e) {}
+      source.connect(worklet);
+      worklet.connect(_busInput(howl._bus));
+
+      // Store refs so unload() can disconnect them
+      cfg._workletSource = source;
+      cfg._workletNode   = worklet;
+    }).catch(function (err) {
+      console.warn('Howler [stream]: AudioWorklet module failed to load — ' +
+                   'falling back to direct HTML5 Audio. Error:', err);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // HlsStream — HLS (.m3u8) playback through Media Source Extensions for
+  // stream Howls on browsers without native HLS (Chrome, Firefox, Edge).
+  //
+  // Signal path:
+  //   fetch(playlist) → fetch(segment) → SourceBuffer → MediaSource → <audio>
+  //
+  // The <audio> node is still the stream Howl's Sound node, so volume, stall
+  // detection ('waiting'/'playing'), MediaSession and the AudioWorklet tap
+  // work unchanged. Playlist and segment requests use the Howl's xhr
+  // settings via _fetchOptions().
+  //
+  // The SourceBuffer runs in 'sequence' mode: segments are appended back to
+  // back on one timeline, so playback is gapless across segment boundaries,
+  // discontinuities and variant switches.
+  //
+  // Supported segment containers: fMP4 (#EXT-X-MAP), ADTS AAC and MP3.
+  // MPEG-TS would need transmuxing and is reported as a loaderror, as are
+  // encrypted (#EXT-X-KEY) playlists.
+  //
+  // Failures that outlive the per-segment retries are emitted as 'loaderror',
+  // which the stream-mode handler turns into a _streamReconnect (exponential
+  // backoff + source rotation). Reconnects rebuild the MediaSource via
+  // Sound.create() → attach().
+  // ---------------------------------------------------------------------------
+  var MSE_MAX_BUFFER_AHEAD = 30;  // s of audio to buffer ahead of currentTime
+  var MSE_BACK_BUFFER      = 30;  // s of played audio to keep before evicting
+  var HLS_SEGMENT_RETRIES  = 3;   // per-segment attempts before loaderror
+  var HLS_LIVE_EDGE_SEGS   = 3;   // start this many segments back from the end
+  var HLS_BANDWIDTH_FACTOR = 0.75; // headroom applied to navigator.connection.downlink
+
+  // Rough throughput per effectiveType (bps) when downlink is unavailable.
+  var HLS_EFFECTIVE_TYPE_BPS = {
+    'slow-2g': 40000,
+    '2g':      120000,
+    '3g':      600000
+  };
+
+  var HlsStream = function (howl) {
+    this._howl         = howl;
+    this._node         = null;
+    this._mediaSource  = null;
+    this._sourceBuffer = null;
+    this._controller   = null;
+    this._mime         = null;
+    this._variants     = [];
+    this._variant      = null;
+    this._mediaUrl     = null;
+    this._playlist     = null;
+    this._nextSeq      = null;
+    this._initUri      = null;  // #EXT-X-MAP currently in the SourceBuffer
+    this._pendingInit  = null;  // #EXT-X-MAP still to be appended
+    this._appendQueue  = [];
+    this._loading      = false;
+    this._segmentFails = 0;
+    this._refreshTimer = null;
+    this._bufferTimer  = null;
+    this.attached      = false;
+  };
+
+  HlsStream.isSupported = function () {
+    return typeof MediaSource !== 'undefined' &&
+           typeof MediaSource.isTypeSupported === 'function' &&
+           typeof URL !== 'undefined' &&
+           typeof URL.createObjectURL === 'function';
+  };
+
+  HlsStream.prototype = {
+    type: 'hls',
+
+    // Binds a fresh MediaSource to node and starts fetching from the Howl's
+    // current _src. Any previous session is torn down first.
+    attach: function (node) {
+      var self = this;
+      self.detach();
+
+      var ms  = new MediaSource();
+      var url = URL.createObjectURL(ms);
+
+      self._node        = node;
+      self._mediaSource = ms;
+      self._controller  = new AbortController();
+      self.attached     = true;
+
+      var onOpen = function () {
+        ms.removeEventListener('sourceopen', onOpen);
+        URL.revokeObjectURL(url);
+        if (self._mediaSource !== ms) return; // re-attached meanwhile
+        self._start();
+      };
+      ms.addEventListener('sourceopen', onOpen);
+      node.src = url;
+
+      return self;
+    },
+
+    // Stops all fetching and timers. The node's src is left to the caller
+    // (_clearSound on stop(), a new attach() on reconnect).
+    detach: function () {
+      var self = this;
+      clearTimeout(self._refreshTimer);
+      clearTimeout(self._bufferTimer);
+      self._refreshTimer = null;
+      self._bufferTimer  = null;
+      if (self._controller) {
+        self._controller.abort();
+        self._controller = null;
+      }
+      self._mediaSource  = null;
+      self._sourceBuffer = null;
+      self._mime         = null;
+      self._playlist     = null;
+      self._nextSeq      = null;
+      self._initUri      = null;
+      self._pendingInit  = null;
+      self._appendQueue  = [];
+      self._loading      = false;
+      self._segmentFails = 0;
+      self.attached      = false;
+      return self;
+    },
+
+    // Re-evaluates the bitrate ladder against the latest connection data.
+    // Media sequence numbers are aligned across variants (RFC 8216 §6.2.4),
+    // so loading simply continues from _nextSeq on the new variant.
+    selectVariant: function () {
+      var self = this;
+      if (!self.attached || self._variants.length < 2) return self;
+
+      var variant = self._pickVariant();
+      if (!variant || variant === self._variant) return self;
+
+      self._variant  = variant;
+      self._mediaUrl = variant.uri;
+      clearTimeout(self._refreshTimer);
+      self._refresh();
+      return self;
+    },
+
+    _start: function () {
+      var self   = this;
+      var master = self._howl._src;
+
+      _hlsFetch(self._howl, master, self._controller.signal, 'text')
+        .then(function (text) {
+          var pl = _parseM3u8(text, master);
+          if (!pl.master) {
+            self._variants = [];
+            self._mediaUrl = master;
+            self._onPlaylist(pl);
+            return;
+          }
+          self._variants = _hlsAudioVariants(pl.variants);
+          if (!self._variants.length) {
+            throw new Error('master playlist lists no variants.');
+          }
+          self._variant  = self._pickVariant();
+          self._mediaUrl = self._variant.uri;
+          self._refresh();
+        })
+        .catch(self._fail.bind(self));
+    },
+
+    _refresh: function () {
+      var self = this;
+      if (!self._controller) return;
+      var url = self._mediaUrl;
+
+      _hlsFetch(self._howl, url, self._controller.signal, 'text')
+        .then(function (text) {
+          // A variant switch may have replaced _mediaUrl meanwhile.
+          if (url !== self._mediaUrl) return;
+          self._onPlaylist(_parseM3u8(text, url));
+        })
+        .catch(self._fail.bind(self));
+    },
+
+    _onPlaylist: function (pl) {
+      var self = this;
+      if (!self._mediaSource) return;
+
+      if (pl.encrypted) {
+        throw new Error('encrypted segments are not supported.');
+      }
+
+      self._playlist = pl;
+
+      if (pl.segments.length) {
+        var mime = _hlsMime(pl, self._variant);
+        if (!mime || !MediaSource.isTypeSupported(mime)) {
+          throw new Error('unsupported segment format' + (mime ? ' (' + mime + ')' : '') + '.');
+        }
+
+        if (!self._sourceBuffer) {
+          _mseAddSourceBuffer(self, mime, !pl.endList);
+        } else if (mime !== self._mime) {
+          // Variant switch to a different codec string.
+          self._appendQueue.push({ changeType: mime });
+          self._mime = mime;
+        }
+
+        if (pl.map && pl.map !== self._initUri) {
+          self._pendingInit = pl.map;
+        }
+
+        var first = pl.segments[0].seq;
+        var last  = pl.segments[pl.segments.length - 1].seq;
+        if (self._nextSeq === null || self._nextSeq < first) {
+          // First load, or we fell out of the live window while paused:
+          // (re)join near the live edge per RFC 8216 §6.3.3.
+          self._nextSeq = pl.endList ? first : Math.max(first, last - HLS_LIVE_EDGE_SEGS + 1);
+        }
+
+        self._loadNext();
+      }
+
+      if (!pl.endList) {
+        clearTimeout(self._refreshTimer);
+        self._refreshTimer = setTimeout(function () {
+          self._refreshTimer = null;
+          self._refresh();
+        }, (pl.targetDuration || 6) * 1000);
+      }
+    },
+
+    _loadNext: function () {
+      var self = this;
+      var pl   = self._playlist;
+      if (self._loading || !pl || !self._sourceBuffer || !self._controller) return;
+
+      if (_mseBufferAhead(self) > MSE_MAX_BUFFER_AHEAD) {
+        if (!self._bufferTimer) {
+          self._bufferTimer = setTimeout(function () {
+            self._bufferTimer = null;
+            self._loadNext();
+          }, 1000);
+        }
+        return;
+      }
+
+      var uri, isInit = false;
+      if (self._pendingInit) {
+        uri    = self._pendingInit;
+        isInit = true;
+      } else {
+        var index = self._nextSeq - pl.segments[0].seq;
+        if (index >= pl.segments.length) {
+          if (pl.endList) self._endOfStream();
+          return; // live: wait for the next playlist refresh
+        }
+        uri = pl.segments[index].uri;
+      }
+
+      self._loading = true;
+      _hlsFetch(self._howl, uri, self._controller.signal, 'arraybuffer')
+        .then(function (data) {
+          self._loading      = false;
+          self._segmentFails = 0;
+          if (isInit) {
+            self._initUri     = uri;
+            self._pendingInit = null;
+          } else {
+            self._nextSeq++;
+          }
+          self._appendQueue.push(data);
+          self._pump();
+        })
+        .catch(function (err) {
+          self._loading = false;
+          if (err && err.name === 'AbortError') return;
+          self._segmentFails++;
+          if (self._segmentFails >= HLS_SEGMENT_RETRIES) {
+            self._fail(err);
+            return;
+          }
+          self._bufferTimer = setTimeout(function () {
+            self._bufferTimer = null;
+            self._loadNext();
+          }, 500 * self._segmentFails);
+        });
+    },
+
+    _pump: function () {
+      _mseFeed(this, this._loadNext);
+    },
+
+    _endOfStream: function () {
+      var ms = this._mediaSource;
+      if (ms && ms.readyState === 'open' && !this._appendQueue.length &&
+          this._sourceBuffer && !this._sourceBuffer.updating) {
+        try { ms.endOfStream(); } catch (e) {}
+      }
+    },
+
+    // Picks the highest-bandwidth variant that fits the throughput estimate
+    // maintained by the stream's _networkHandler (navigator.connection).
+    _pickVariant: function () {
+      var self   = this;
+      var cfg    = self._howl._stream || {};
+      var conn   = (typeof navigator !== 'undefined' && navigator.connection) || null;
+      var budget = Infinity;
+
+      if (conn && conn.saveData) {
+        budget = 0;
+      } else if (cfg._lastDownlink) {
+        budget = cfg._lastDownlink * 1e6 * HLS_BANDWIDTH_FACTOR;
+      } else if (cfg._lastEffectiveType && HLS_EFFECTIVE_TYPE_BPS[cfg._lastEffectiveType]) {
+        budget = HLS_EFFECTIVE_TYPE_BPS[cfg._lastEffectiveType];
+      }
+      // High-latency links deliver well below their nominal downlink.
+      if (cfg._lastRtt && cfg._lastRtt > 1000) {
+        budget /= 2;
+      }
+
+      var pick = self._variants[0];
+      for (var i = 1; i < self._variants.length; i++) {
+        if (self._variants[i].bandwidth <= budget) pick = self._variants[i];
+      }
+      return pick;
+    },
+
+    _fail: function (err) {
+      var self = this;
+      if (!self._controller) return; // detached — nothing to report
+      if (err && err.name === 'AbortError') return;
+      self.detach();
+      self._howl._emit('loaderror', null, 'HLS: ' + (err && err.message ? err.message : err));
+    }
+  };
+
+  // ---------------------------------------------------------------------------
+  // IcyStream — in-band ICY (Shoutcast/Icecast) metadata for stream Howls
+  // created with stream.icyMetadata: true.
+  //
+  // Signal path:
+  //   fetch('Icy-MetaData: 1') → ReadableStream → ICY demuxer → SourceBuffer
+  //                                                   ↘ 'metadata' event
+  //
+  // The server interleaves a metadata block after every icy-metaint audio
+  // bytes. Blocks are stripped before the audio reaches the SourceBuffer.
+  // Each new StreamTitle is emitted as 'metadata' with the parsed fields
+  // ({ StreamTitle, StreamUrl, ... }) and pushed to howl.mediaSession(), which
+  // applies the usual 500-char clamping. 'metadata' handlers run after that
+  // call, so an app can still override it (e.g. to add artwork).
+  //
+  // CORS: cross-origin servers must allow the Icy-MetaData request header and
+  // expose icy-metaint (Access-Control-Expose-Headers). Without icy-metaint,
+  // or for a content type MSE cannot take, the feeder hands the URL straight
+  // to the <audio> node and stream mode carries on without metadata.
+  // ---------------------------------------------------------------------------
+  var IcyStream = function (howl) {
+    this._howl         = howl;
+    this._node         = null;
+    this._mediaSource  = null;
+    this._sourceBuffer = null;
+    this._controller   = null;
+    this._mime         = null;
+    this._appendQueue  = [];
+    this._readTimer    = null;
+    this._lastTitle    = null; // kept across reconnects to avoid duplicate events
+    this.attached      = false;
+  };
+
+  IcyStream.isSupported = function () {
+    return HlsStream.isSupported() && typeof ReadableStream !== 'undefined';
+  };
+
+  IcyStream.prototype = {
+    type: 'icy',
+
+    attach: function (node) {
+      var self = this;
+      self.detach();
+
+      var ms  = new MediaSource();
+      var url = URL.createObjectURL(ms);
+
+      self._node        = node;
+      self._mediaSource = ms;
+      self._controller  = new AbortController();
+      self.attached     = true;
+
+      var onOpen = function () {
+        ms.removeEventListener('sourceopen', onOpen);
+        URL.revokeObjectURL(url);
+        if (self._mediaSource !== ms) return; // re-attached meanwhile
+        self._start();
+      };
+      ms.addEventListener('sourceopen', onOpen);
+      node.src = url;
+
+      return self;
+    },
+
+    detach: function () {
+      var self = this;
+      clearTimeout(self._readTimer);
+      self._readTimer = null;
+      if (self._controller) {
+        self._controller.abort();
+        self._controller = null;
+      }
+      self._mediaSource  = null;
+      self._sourceBuffer = null;
+      self._mime         = null;
+      self._appendQueue  = [];
+      self.attached      = false;
+      return self;
+    },
+
+    _start: function () {
+      var self    = this;
+      var howl    = self._howl;
+      var options = _fetchOptions(howl, self._controller.signal);
+      var headers = new Headers(options.headers || {});
+      headers.set('Icy-MetaData', '1');
+      options.headers = headers;
+
+      fetch(howl._src, options)
+        .then(function (response) {
+          if (!self._controller) return;
+          if (response.status < 200 || response.status >= 400) {
+            throw new Error('HTTP ' + response.status);
+          }
+
+          var metaint = parseInt(response.headers.get('icy-metaint'), 10);
+          var mime    = _icyMime(response.headers.get('content-type'));
+          if (!metaint || metaint <= 0 || !response.body) {
+            self._fallback('no icy-metaint header');
+            return;
+          }
+          if (!mime || !MediaSource.isTypeSupported(mime)) {
+            self._fallback('unsupported content type');
+            return;
+          }
+
+          _mseAddSourceBuffer(self, mime, true);
+          self._read(response.body.getReader(), _icyDemuxer(
+            metaint,
+            function (audio) { self._appendQueue.push(audio); },
+            function (block) { self._onMetadata(block); }
+          ));
+        })
+        .catch(self._fail.bind(self));
+    },
+
+    // Reads the body chunk by chunk. Reading pauses while more than
+    // MSE_MAX_BUFFER_AHEAD seconds are buffered (e.g. while paused), which
+    // applies TCP back-pressure to the server instead of growing the buffer.
+    _read: function (reader, demux) {
+      var self = this;
+      if (!self._controller) return;
+
+      if (_mseBufferAhead(self) > MSE_MAX_BUFFER_AHEAD) {
+        self._readTimer = setTimeout(function () {
+          self._readTimer = null;
+          self._read(reader, demux);
+        }, 1000);
+        return;
+      }
+
+      reader.read()
+        .then(function (result) {
+          if (!self._controller) return;
+          if (result.done) throw new Error('stream ended.');
+          demux(result.value);
+          self._pump();
+          self._read(reader, demux);
+        })
+        .catch(self._fail.bind(self));
+    },
+
+    // Chunks arrive far faster than SourceBuffer updates complete, so queued
+    // audio is coalesced into a single append.
+    _pump: function () {
+      var sb = this._sourceBuffer;
+      if (sb && !sb.updating && this._appendQueue.length > 1) {
+        this._appendQueue = [_concatBytes(this._appendQueue)];
+      }
+      _mseFeed(this, null);
+    },
+
+    _onMetadata: function (block) {
+      var self   = this;
+      var howl   = self._howl;
+      var fields = _parseIcyMetadata(block);
+
+      if (typeof fields.StreamTitle !== 'string' || fields.StreamTitle === self._lastTitle) {
+        return;
+      }
+      self._lastTitle = fields.StreamTitle;
+
+      // Conventional "Artist - Title" form.
+      var parts  = fields.StreamTitle.split(' - ');
+      var artist = parts.length > 1 ? parts.shift() : '';
+      howl.mediaSession({ title: parts.join(' - '), artist: artist });
+
+      var soundId = null;
+      for (var i = 0; i < howl._sounds.length; i++) {
+        if (howl._sounds[i]._node === self._node) {
+          soundId = howl._sounds[i]._id;
+          break;
+        }
+      }
+      howl._emit('metadata', soundId, fields);
+    },
+
+    _fallback: function (reason) {
+      var self = this;
+      var node = self._node;
+      var howl = self._howl;
+
+      console.warn('Howler [stream]: ICY metadata unavailable (' + reason + ') — ' +
+                   'playing without it.');
+      self.detach();
+      if (howl._stream) howl._stream._icyUnavailable = true;
+      howl._mseType = null;
+      howl._mse     = null;
+      node.src = howl._src;
+      node.load();
+    },
+
+    _fail: function (err) {
+      var self = this;
+      if (!self._controller) return; // detached — nothing to report
+      if (err && err.name === 'AbortError') return;
+      self.detach();
+      self._howl._emit('loaderror', null, 'ICY: ' + (err && err.message ? err.message : err));
+    }
+  };
+
+  // Returns a function that consumes body chunks, passing audio byte ranges to
+  // onAudio and each complete, non-empty metadata block to onMetadata. State
+  // carries across chunk boundaries. Block length is one byte * 16 (max 4080).
+  function _icyDemuxer(metaint, onAudio, onMetadata) {
+    var audioLeft = metaint;
+    var meta      = null;
+    var metaPos   = 0;
+
+    return function (chunk) {
+      var pos = 0;
+      while (pos < chunk.length) {
+        if (audioLeft > 0) {
+          var n = Math.min(audioLeft, chunk.length - pos);
+          onAudio(chunk.subarray(pos, pos + n));
+          pos       += n;
+          audioLeft -= n;
+        } else if (meta === null) {
+          var length = chunk[pos++] * 16;
+          if (length === 0) {
+            audioLeft = metaint;
+          } else {
+            meta    = new Uint8Array(length);
+            metaPos = 0;
+          }
+        } else {
+          var m = Math.min(meta.length - metaPos, chunk.length - pos);
+          meta.set(chunk.subarray(pos, pos + m), metaPos);
+          metaPos += m;
+          pos     += m;
+          if (metaPos === meta.length) {
+            onMetadata(meta);
+            meta      = null;
+            audioLeft = metaint;
+          }
+        }
+      }
+    };
+  }
+
+  // Parses "StreamTitle='Artist - Title';StreamUrl='...';" into an object.
+  // Values may contain quotes, so a value only ends at "';" followed by the
+  // next key or the end of the block. Decodes as UTF-8, falling back to
+  // Latin-1 which many Shoutcast servers still send.
+  function _parseIcyMetadata(bytes) {
+    var text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+      text = new TextDecoder('iso-8859-1').decode(bytes);
+    }
+    text = text.replace(/\0+$/, '');
+
+    var fields = {};
+    var re     = /([A-Za-z]+)='([\s\S]*?)';(?=[A-Za-z]+=|\s*$)/g;
+    var match;
+    while ((match = re.exec(text)) !== null) {
+      fields[match[1]] = match[2];
+    }
+    return fields;
+  }
+
+  // SourceBuffer MIME type for an ICY Content-Type header.
+  function _icyMime(contentType) {
+    var type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    switch (type) {
+      case 'audio/mpeg':
+      case 'audio/mp3':
+        return 'audio/mpeg';
+      case 'audio/aac':
+      case 'audio/aacp':
+      case 'audio/x-aac':
+        return 'audio/aac';
+      default:
+        return null;
+    }
+  }
+
+  function _concatBytes(chunks) {
+    var total = 0;
+    var i;
+    for (i = 0; i < chunks.length; i++) total += chunks[i].byteLength;
+    var out    = new Uint8Array(total);
+    var offset = 0;
+    for (i = 0; i < chunks.length; i++) {
+      out.set(chunks[i], offset);
+      offset += chunks[i].byteLength;
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shared SourceBuffer plumbing for HlsStream / IcyStream. A feeder exposes
+  // _mediaSource, _sourceBuffer, _node, _appendQueue (ArrayBuffers or
+  // { changeType: mime }), _pump() and _fail(err).
+  //
+  // _mseFeed runs one SourceBuffer operation at a time and is re-entered on
+  // every 'updateend'. Played audio is evicted first so long sessions stay
+  // within the browser's SourceBuffer quota; onDrained runs when the queue
+  // is empty so the feeder can fetch more.
+  // ---------------------------------------------------------------------------
+  function _mseFeed(feeder, onDrained) {
+    var sb = feeder._sourceBuffer;
+    if (!sb || sb.updating) return;
+
+    var node = feeder._node;
+    if (node && sb.buffered.length &&
+        node.currentTime - sb.buffered.start(0) > MSE_BACK_BUFFER * 2) {
+      sb.remove(sb.buffered.start(0), node.currentTime - MSE_BACK_BUFFER);
+      return;
+    }
+
+    if (!feeder._appendQueue.length) {
+      if (onDrained) onDrained.call(feeder);
+      return;
+    }
+
+    var next = feeder._appendQueue[0];
+    try {
+      if (next.changeType) {
+        feeder._appendQueue.shift();
+        if (typeof sb.changeType === 'function') sb.changeType(next.changeType);
+        _mseFeed(feeder, onDrained);
+        return;
+      }
+      sb.appendBuffer(next);
+      feeder._appendQueue.shift();
+    } catch (err) {
+      if (err.name === 'QuotaExceededError' && node && sb.buffered.length &&
+          node.currentTime - sb.buffered.start(0) > 1) {
+        // Drop everything already played and retry on 'updateend'.
+        sb.remove(sb.buffered.start(0), node.currentTime - 1);
+        return;
+      }
+      feeder._fail(err);
+    }
+  }
+
+  // Seconds buffered ahead of the node's playhead.
+  function _mseBufferAhead(feeder) {
+    var sb   = feeder._sourceBuffer;
+    var node = feeder._node;
+    if (!sb || !node || !sb.buffered.length) return 0;
+    return sb.buffered.end(sb.buffered.length - 1) - node.currentTime;
+  }
+
+  // Adds a 'sequence'-mode SourceBuffer to the feeder's MediaSource and wires
+  // 'updateend' back to feeder._pump(). Live sources get an infinite duration,
+  // which also routes stop() through the same _clearSound teardown as
+  // progressive streams.
+  function _mseAddSourceBuffer(feeder, mime, live) {
+    var sb = feeder._mediaSource.addSourceBuffer(mime);
+
+    try { sb.mode = 'sequence'; } catch (e) {}
+
+    if (live) {
+      try { feeder._mediaSource.duration = Infinity; } catch (e) {}
+    }
+
+    sb.addEventListener('updateend', function () {
+      if (feeder._sourceBuffer === sb) feeder._pump();
+    });
+
+    feeder._sourceBuffer = sb;
+    feeder._mime         = mime;
+    return sb;
+  }
+
+  // Fetches a playlist ('text') or segment ('arraybuffer') with the Howl's
+  // xhr settings.
+  function _hlsFetch(howl, url, signal, type) {
+    return fetch(url, _fetchOptions(howl, signal)).then(function (response) {
+      if (response.status < 200 || response.status >= 400) {
+        throw new Error('HTTP ' + response.status + ' for ' + url);
+      }
+      return type === 'text' ? response.text() : response.arrayBuffer();
+    });
+  }
+
+  // Minimal M3U8 parser covering master and media playlists.
+  // Returns { master, variants[], segments[], targetDuration, mediaSequence,
+  //           endList, map, encrypted }.
+  function _parseM3u8(text, baseUrl) {
+    var lines = String(text).split(/\r?\n/);
+    if (!lines.length || lines[0].trim() !== '#EXTM3U') {
+      throw new Error('playlist is missing the #EXTM3U header.');
+    }
+
+    var pl = {
+      master:         false,
+      variants:       [],
+      segments:       [],
+      targetDuration: 0,
+      mediaSequence:  0,
+      endList:        false,
+      map:            null,
+      encrypted:      false
+    };
+    var pending       = null; // attributes from #EXT-X-STREAM-INF / #EXTINF
+    var discontinuity = false;
+
+    for (var i = 1; i < lines.length; i++) {
+      var line = lines[i].trim();
+      if (!line) continue;
+
+      if (line.charAt(0) !== '#') {
+        var uri = _resolveUrl(line, baseUrl);
+        if (pl.master) {
+          if (pending) {
+            pending.uri = uri;
+            pl.variants.push(pending);
+          }
+        } else {
+          pl.segments.push({
+            uri:           uri,
+            duration:      pending ? pending.duration : 0,
+            seq:           pl.mediaSequence + pl.segments.length,
+            discontinuity: discontinuity
+          });
+          discontinuity = false;
+        }
+        pending = null;
+        continue;
+      }
 
-      if (cfg.onWorkletMessage) {
-        worklet.port.onmessage = cfg.onWorkletMessage;
+      var colon = line.indexOf(':');
+      var tag   = colon >= 0 ? line.slice(0, colon) : line;
+      var value = colon >= 0 ? line.slice(colon + 1) : '';
+      var attrs;
+
+      switch (tag) {
+        case '#EXT-X-STREAM-INF':
+          attrs      = _parseM3u8Attrs(value);
+          pl.master  = true;
+          pending    = {
+            bandwidth: parseInt(attrs.BANDWIDTH, 10) || 0,
+            codecs:    attrs.CODECS || ''
+          };
+          break;
+        case '#EXTINF':
+          pending = { duration: parseFloat(value) || 0 };
+          break;
+        case '#EXT-X-TARGETDURATION':
+          pl.targetDuration = parseFloat(value) || 0;
+          break;
+        case '#EXT-X-MEDIA-SEQUENCE':
+          pl.mediaSequence = parseInt(value, 10) || 0;
+          break;
+        case '#EXT-X-ENDLIST':
+          pl.endList = true;
+          break;
+        case '#EXT-X-DISCONTINUITY':
+          discontinuity = true;
+          break;
+        case '#EXT-X-MAP':
+          attrs = _parseM3u8Attrs(value);
+          if (attrs.URI) pl.map = _resolveUrl(attrs.URI, baseUrl);
+          break;
+        case '#EXT-X-KEY':
+          attrs = _parseM3u8Attrs(value);
+          if (attrs.METHOD && attrs.METHOD !== 'NONE') pl.encrypted = true;
+          break;
       }
+    }
 
-      source.connect(worklet);
-      worklet.connect(Howler.masterGain);
+    return pl;
+  }
 
-      // Store refs so unload() can disconnect them
-      cfg._workletSource = source;
-      cfg._workletNode   = worklet;
-    }).catch(function (err) {
-      console.warn('Howler [stream]: AudioWorklet module failed to load — ' +
-                   'falling back to direct HTML5 Audio. Error:', err);
+  // Parses an attribute list: KEY=VALUE,KEY="quoted, value",...
+  function _parseM3u8Attrs(value) {
+    var attrs = {};
+    var re    = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    var match;
+    while ((match = re.exec(value)) !== null) {
+      attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attrs;
+  }
+
+  function _resolveUrl(uri, baseUrl) {
+    try {
+      return new URL(uri, baseUrl).href;
+    } catch (e) {
+      return uri;
+    }
+  }
+
+  // Audio-only renditions sorted by ascending bandwidth. Falls back to all
+  // variants when every rendition carries video.
+  function _hlsAudioVariants(variants) {
+    var video = /(avc1|avc3|hvc1|hev1|vp09|vp8|av01)/i;
+    var audio = variants.filter(function (v) { return !video.test(v.codecs); });
+    return (audio.length ? audio : variants.slice()).sort(function (a, b) {
+      return a.bandwidth - b.bandwidth;
     });
   }
 
+  // SourceBuffer MIME type for a media playlist, or null for containers MSE
+  // cannot take directly (MPEG-TS).
+  function _hlsMime(pl, variant) {
+    var codecs = variant && variant.codecs ? '; codecs="' + variant.codecs + '"' : '';
+    if (pl.map) return 'audio/mp4' + codecs;
+
+    var path = pl.segments[0].uri.split('?', 1)[0];
+    var ext  = /\.([^.\/]+)$/.exec(path);
+    switch (ext ? ext[1].toLowerCase() : '') {
+      case 'aac':
+        return 'audio/aac';
+      case 'mp3':
+        return 'audio/mpeg';
+      case 'mp4':
+      case 'm4a':
+      case 'm4s':
+        return 'audio/mp4' + codecs;
+      default:
+        return null;
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Module export (AMD / CommonJS / global)
   // ---------------------------------------------------------------------------
@@ -2715,6 +8677,7 @@
     if (typeof x !== 'number') return self._pos;
 
     self._pos = [x, y, z];
+    if (self.listener) self.listener._pos = self._pos.slice();
 
     if (typeof self.ctx.listener.positionX !== 'undefined') {
       self.ctx.listener.positionX.setTargetAtTime(x, Howler.ctx.currentTime, 0.1);
@@ -2723,6 +8686,7 @@
     } else {
       self.ctx.listener.setPosition(x, y, z);
     }
+    _moveAmbisonics(self._pos, Howler.ctx.currentTime, 0.1);
 
     return self;
   };
@@ -2741,6 +8705,10 @@
     if (typeof x !== 'number') return o;
 
     self._orientation = [x, y, z, xUp, yUp, zUp];
+    if (self.listener) {
+      self.listener._orientation = [x, y, z];
+      self.listener._up          = [xUp, yUp, zUp];
+    }
 
     if (typeof self.ctx.listener.forwardX !== 'undefined') {
       self.ctx.listener.forwardX.setTargetAtTime(x,   Howler.ctx.currentTime, 0.1);
@@ -2775,6 +8743,9 @@
         rolloffFactor:  options.rolloffFactor  !== undefined ? options.rolloffFactor  : 1
       };
 
+      self._emitter     = options.emitter     || null;  // see Emitter
+      self._ambisonic   = _ambisonicOptions(options.ambisonic);
+
       self._onstereo      = options.onstereo      ? [{ fn: options.onstereo }]      : [];
       self._onpos         = options.onpos         ? [{ fn: options.onpos }]         : [];
       self._onorientation = options.onorientation ? [{ fn: options.onorientation }] : [];
@@ -2785,7 +8756,7 @@
 
   Howl.prototype.stereo = function (pan, id) {
     var self   = this;
-    if (!self._webAudio) return self;
+    if (!self._webAudio || self._ambisonic) return self;
 
     if (self._state !== 'loaded') {
       self._queue.push({ event: 'stereo', action: function () { self.stereo(pan, id); } });
@@ -2836,7 +8807,7 @@
 
   Howl.prototype.pos = function (x, y, z, id) {
     var self = this;
-    if (!self._webAudio) return self;
+    if (!self._webAudio || self._ambisonic) return self;
 
     if (self._state !== 'loaded') {
       self._queue.push({ event: 'pos', action: function () { self.pos(x, y, z, id); } });
@@ -2879,7 +8850,7 @@
 
   Howl.prototype.orientation = function (x, y, z, id) {
     var self = this;
-    if (!self._webAudio) return self;
+    if (!self._webAudio || self._ambisonic) return self;
 
     if (self._state !== 'loaded') {
       self._queue.push({ event: 'orientation', action: function () { self.orientation(x, y, z, id); } });
@@ -2926,7 +8897,7 @@
     var args = arguments;
     var attr, id, sound;
 
-    if (!self._webAudio) return self;
+    if (!self._webAudio || self._ambisonic) return self;
     if (args.length === 0) return self._pannerAttr;
 
     if (args.length === 1) {
@@ -3012,10 +8983,13 @@
       self._stereo      = parent._stereo;
       self._pos         = parent._pos;
       self._pannerAttr  = parent._pannerAttr;
+      _followEmitter(self, parent._emitter);
 
       _super.call(self);
 
-      if (self._stereo) {
+      if (parent._ambisonic && parent._webAudio && Howler.ctx) {
+        _createAmbisonic(self, parent._ambisonic);
+      } else if (self._stereo) {
         parent.stereo(self._stereo);
       } else if (self._pos) {
         parent.pos(self._pos[0], self._pos[1], self._pos[2], self._id);
@@ -3032,14 +9006,18 @@
       self._stereo      = parent._stereo;
       self._pos         = parent._pos;
       self._pannerAttr  = parent._pannerAttr;
+      _followEmitter(self, parent._emitter);
 
-      if (self._stereo) {
+      if (self._ambi) {
+        // The decoder stays in place for the next play.
+      } else if (self._stereo) {
         parent.stereo(self._stereo);
       } else if (self._pos) {
         parent.pos(self._pos[0], self._pos[1], self._pos[2], self._id);
       } else if (self._panner) {
         self._panner.disconnect(0);
         self._panner = undefined;
+        _removeOcclusion(self);
         parent._refreshBuffer(self);
       }
 
@@ -3047,6 +9025,665 @@
     };
   })(Sound.prototype.reset);
 
+  // ---------------------------------------------------------------------------
+  // Scene graph — Howler.createEmitter(options), Howler.listener,
+  // Howler.updateSpatial()
+  //
+  // An Emitter holds a position, orientation, velocity and cone that sounds
+  // follow: emitter.attach(howl) covers every sound of the Howl (also
+  // new Howl({ emitter })), emitter.attach(howl, id) a single one. Setters
+  // only record the change and bump _version; updateSpatial(), called once
+  // per frame, writes the PannerNode params of sounds whose emitter changed
+  // since their last write (and the listener's, if it changed), all with
+  // setTargetAtTime so per-frame steps are smoothed.
+  //
+  // Doppler: with velocities set, each attached sound's playbackRate is its
+  // rate() times (c + vListener) / (c + vEmitter), the velocities projected
+  // on the listener-to-emitter line, c = SPEED_OF_SOUND units per second,
+  // scaled by the emitter's `doppler` factor (0 = off) and clamped to
+  // DOPPLER_RANGE. seek() and end timers do not account for the shift.
+  //
+  // Howler.listener has the same shape plus up(); Howler.pos() and
+  // orientation() still write the AudioListener directly and keep it in step.
+  // ---------------------------------------------------------------------------
+  var SPATIAL_SMOOTHING = 0.02;  // s, setTargetAtTime time constant
+  var SPEED_OF_SOUND    = 343;   // units per second
+  var DOPPLER_RANGE     = [0.5, 2];
+
+  var Emitter = function (options) {
+    this.init(options);
+  };
+
+  Emitter.prototype = {
+    init: function (options) {
+      var self = this;
+      options = options || {};
+
+      self._pos         = options.pos         || [0, 0, 0];
+      self._orientation = options.orientation || [1, 0, 0];
+      self._up          = options.up          || [0, 1, 0];
+      self._velocity    = options.velocity    || [0, 0, 0];
+      self._cone        = options.cone        || null;  // { inner, outer, outerGain }
+      self._doppler     = typeof options.doppler === 'number' ? options.doppler : 1;
+      self._version     = 1;
+      return self;
+    },
+
+    pos: function (x, y, z) {
+      return this._set('_pos', x, y, z);
+    },
+
+    orientation: function (x, y, z) {
+      return this._set('_orientation', x, y, z);
+    },
+
+    // Listener only: sound panners have no up vector.
+    up: function (x, y, z) {
+      return this._set('_up', x, y, z);
+    },
+
+    velocity: function (x, y, z) {
+      return this._set('_velocity', x, y, z);
+    },
+
+    cone: function (cone) {
+      if (typeof cone === 'undefined') return this._cone;
+      this._cone = cone;
+      this._version++;
+      return this;
+    },
+
+    doppler: function (factor) {
+      if (typeof factor !== 'number') return this._doppler;
+      this._doppler = factor;
+      return this;
+    },
+
+    attach: function (howl, id) {
+      var self = this;
+
+      if (typeof id === 'undefined') {
+        howl._emitter = self;
+        howl._sounds.forEach(function (sound) { _followEmitter(sound, self); });
+      } else {
+        var sound = howl._soundById(id);
+        if (sound) _followEmitter(sound, self);
+      }
+      return self;
+    },
+
+    // detach(howl, id), detach(howl) or detach() for everything attached.
+    detach: function (howl, id) {
+      var self  = this;
+      var howls = howl ? [howl] : Howler._howls;
+
+      howls.forEach(function (h) {
+        if (typeof id === 'undefined' && h._emitter === self) h._emitter = null;
+        h._sounds.forEach(function (sound) {
+          if (sound._emitter === self && (typeof id === 'undefined' || sound._id === id)) {
+            sound._emitter = null;
+          }
+        });
+      });
+      return self;
+    },
+
+    _set: function (key, x, y, z) {
+      var self = this;
+      if (typeof x !== 'number') return self[key];
+
+      self[key] = [
+        x,
+        typeof y === 'number' ? y : self[key][1],
+        typeof z === 'number' ? z : self[key][2]
+      ];
+      self._version++;
+      return self;
+    }
+  };
+
+  HowlerGlobal.prototype.listener = new Emitter({ orientation: [0, 0, -1] });
+  HowlerGlobal.prototype._listenerVersion = 0;  // listener version last written
+
+  // ---------------------------------------------------------------------------
+  // createEmitter(options) — additive (v2.6.0)
+  // options: { pos, orientation, velocity, cone: { inner, outer, outerGain },
+  // doppler }. See Emitter.
+  // ---------------------------------------------------------------------------
+  HowlerGlobal.prototype.createEmitter = function (options) {
+    return new Emitter(options);
+  };
+
+  // ---------------------------------------------------------------------------
+  // updateSpatial() — additive (v2.6.0)
+  // Writes the listener and every attached sound's panner and Doppler rate;
+  // call once per frame after moving emitters.
+  // ---------------------------------------------------------------------------
+  HowlerGlobal.prototype.updateSpatial = function () {
+    var self = this;
+    if (!self.ctx || !self.ctx.listener) return self;
+
+    var now      = self.ctx.currentTime;
+    var listener = self.listener;
+
+    if (self._listenerVersion !== listener._version) {
+      self._listenerVersion = listener._version;
+      self._pos         = listener._pos.slice();
+      self._orientation = listener._orientation.concat(listener._up);
+      _writeListener(self.ctx.listener, listener, now);
+      _moveAmbisonics(listener._pos, now, SPATIAL_SMOOTHING);
+    }
+
+    self._howls.forEach(function (howl) {
+      if (!howl._webAudio) return;
+      howl._sounds.forEach(function (sound) {
+        var emitter = sound._emitter;
+        if (!sound._node || sound._paused) return;
+
+        if (sound._ambi) return;  // a bed, not a point source
+        if (emitter) {
+          if (!sound._panner || sound._panner.pan) {
+            _followEmitter(sound, emitter);
+            _createPanner(sound, 'spatial');
+          }
+          if (sound._emitterVersion !== emitter._version) {
+            sound._emitterVersion = emitter._version;
+            _writeEmitter(sound, emitter, now);
+          }
+          _applyDoppler(sound, emitter, listener, now);
+        }
+        if (self._zones.length || sound._occlusion) _applyZones(sound, listener, now);
+      });
+    });
+
+    return self;
+  };
+
+  // Seeds the sound's own spatial state, so a panner created for it starts
+  // where the emitter is; the next updateSpatial() writes the rest.
+  function _followEmitter(sound, emitter) {
+    sound._emitter        = emitter || null;
+    sound._emitterVersion = 0;
+    if (!emitter) return;
+    sound._pos         = emitter._pos.slice();
+    sound._orientation = emitter._orientation.slice();
+    sound._stereo      = null;
+  }
+
+  function _writeListener(node, listener, now) {
+    var p = listener._pos, f = listener._orientation, u = listener._up;
+
+    if (typeof node.positionX === 'undefined') {
+      node.setPosition(p[0], p[1], p[2]);
+      node.setOrientation(f[0], f[1], f[2], u[0], u[1], u[2]);
+      return;
+    }
+    _target([node.positionX, node.positionY, node.positionZ], p, now);
+    _target([node.forwardX, node.forwardY, node.forwardZ], f, now);
+    _target([node.upX, node.upY, node.upZ], u, now);
+  }
+
+  function _writeEmitter(sound, emitter, now) {
+    var panner = sound._panner;
+    var cone   = emitter._cone;
+
+    sound._pos         = emitter._pos.slice();
+    sound._orientation = emitter._orientation.slice();
+
+    if (typeof panner.positionX === 'undefined') {
+      panner.setPosition(sound._pos[0], sound._pos[1], sound._pos[2]);
+      panner.setOrientation(sound._orientation[0], sound._orientation[1], sound._orientation[2]);
+    } else {
+      _target([panner.positionX, panner.positionY, panner.positionZ], sound._pos, now);
+      _target([panner.orientationX, panner.orientationY, panner.orientationZ], sound._orientation, now);
+    }
+
+    if (cone) {
+      if (typeof cone.inner     === 'number') panner.coneInnerAngle = cone.inner;
+      if (typeof cone.outer     === 'number') panner.coneOuterAngle = cone.outer;
+      if (typeof cone.outerGain === 'number') panner.coneOuterGain  = cone.outerGain;
+    }
+  }
+
+  // timeConstant defaults to SPATIAL_SMOOTHING.
+  function _target(params, values, now, timeConstant) {
+    for (var i = 0; i < params.length; i++) {
+      params[i].setTargetAtTime(values[i], now, timeConstant || SPATIAL_SMOOTHING);
+    }
+  }
+
+  function _applyDoppler(sound, emitter, listener, now) {
+    var node    = sound._node;
+    var sources = node._chunks ? node._chunks.sources : (node.bufferSource ? [node.bufferSource] : []);
+    if (node._outroSource) sources = sources.concat(node._outroSource);
+    if (!sources.length) return;
+
+    var ratio = _dopplerRatio(emitter, listener);
+
+    // New sources start at rate(); a write is only needed when that is wrong.
+    var fresh = sources[0] !== sound._dopplerSource;
+    if (fresh ? ratio === 1
+              : Math.abs(ratio - sound._doppler) < 1e-4 && sound._rate === sound._dopplerRate) {
+      return;
+    }
+
+    sound._doppler       = ratio;
+    sound._dopplerRate   = sound._rate;
+    sound._dopplerSource = sources[0];
+    sources.forEach(function (source) {
+      source.playbackRate.setTargetAtTime(sound._rate * ratio, now, SPATIAL_SMOOTHING);
+    });
+  }
+
+  function _dopplerRatio(emitter, listener) {
+    if (!emitter._doppler) return 1;
+
+    var d    = [0, 1, 2].map(function (i) { return emitter._pos[i] - listener._pos[i]; });
+    var dist = Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+    if (dist < 1e-6) return 1;
+
+    var along = function (v) {
+      return emitter._doppler * (v[0] * d[0] + v[1] * d[1] + v[2] * d[2]) / dist;
+    };
+    var c     = SPEED_OF_SOUND;
+    var ratio = (c + along(listener._velocity)) / (c + along(emitter._velocity));
+    if (!isFinite(ratio) || ratio <= 0) return DOPPLER_RANGE[0];
+    return Math.min(DOPPLER_RANGE[1], Math.max(DOPPLER_RANGE[0], ratio));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Zones — Howler.createZone(options), Howler.zoneReverb(options)
+  //
+  // Axis-aligned boxes ({ min: [x, y, z], max: [x, y, z] }) or polygons on the
+  // x/z plane ({ polygon: [[x, z], …], y: [min, max] }, y optional) tagged
+  // with { lowpassHz, gainDb, reverbSend }:
+  //   room (default)  applies lowpassHz / gainDb when exactly one of the
+  //                   emitter and the listener is inside (the sound crosses
+  //                   its walls); reverbSend applies while the emitter is
+  //                   inside
+  //   occluder: true  applies lowpassHz / gainDb when the line from the
+  //                   listener to the emitter passes through it
+  // Overlapping results combine as the lowest cutoff, the summed gain and the
+  // largest send. updateSpatial() tests every spatial sound (one with a
+  // PannerNode) and drives its occlusion nodes, inserted on first use:
+  //   panner → lowpass → gain → sound gain …
+  //   sound gain → send → shared ConvolverNode → masterGain
+  // All changes glide with ZONE_SMOOTHING, so moving between rooms does not
+  // click. The shared reverb uses a generated impulse response unless
+  // zoneReverb({ buffer }) provides one.
+  // ---------------------------------------------------------------------------
+  var ZONE_SMOOTHING = 0.05;  // s, setTargetAtTime time constant
+
+  HowlerGlobal.prototype._zones      = [];
+  HowlerGlobal.prototype._zoneReverb = null;  // { input, convolver }
+
+  var Zone = function (options) {
+    this.init(options);
+  };
+
+  Zone.prototype = {
+    init: function (options) {
+      var self = this;
+      options = options || {};
+
+      self._box      = null;
+      self._polygon  = null;
+      self._y        = null;
+      self._occluder = !!options.occluder;
+
+      // A zone without a usable shape is kept out of Howler._zones (see
+      // createZone) rather than failing inside updateSpatial().
+      if (options.min || options.max) {
+        if (_isPoint(options.min, 3) && _isPoint(options.max, 3)) {
+          self._box = { min: options.min, max: options.max };
+        } else {
+          console.warn('Howler: zone min / max must be [x, y, z] arrays - zone ignored.');
+        }
+      } else if (Array.isArray(options.polygon) && options.polygon.length >= 3 &&
+                 options.polygon.every(function (p) { return _isPoint(p, 2); })) {
+        self._polygon = options.polygon;
+        if (_isPoint(options.y, 2)) {
+          self._y = options.y;
+        } else if (options.y) {
+          console.warn('Howler: zone y must be a [min, max] array - using no height limit.');
+        }
+      } else {
+        console.warn('Howler: a zone needs { min, max } or a polygon of 3+ [x, z] points - zone ignored.');
+      }
+
+      self.set(options);
+      return self;
+    },
+
+    // Updates { lowpassHz, gainDb, reverbSend }; omitted keys are kept.
+    set: function (params) {
+      var self = this;
+      if (typeof params.lowpassHz  === 'number') self._lowpassHz  = params.lowpassHz;
+      if (typeof params.gainDb     === 'number') self._gainDb     = params.gainDb;
+      if (typeof params.reverbSend === 'number') self._reverbSend = params.reverbSend;
+      return self;
+    },
+
+    remove: function () {
+      var zones = Howler._zones;
+      if (zones.indexOf(this) >= 0) zones.splice(zones.indexOf(this), 1);
+      return this;
+    },
+
+    contains: function (p) {
+      var self = this;
+      if (!self._box && !self._polygon) return false;
+      if (self._box) {
+        for (var i = 0; i < 3; i++) {
+          if (p[i] < self._box.min[i] || p[i] > self._box.max[i]) return false;
+        }
+        return true;
+      }
+      if (self._y && (p[1] < self._y[0] || p[1] > self._y[1])) return false;
+      return _inPolygon(self._polygon, p[0], p[2]);
+    },
+
+    // Does the segment a → b pass through the zone?
+    crosses: function (a, b) {
+      var self = this;
+      if (self.contains(a) || self.contains(b)) return true;
+      return self._box ? _segmentHitsBox(self._box, a, b) : _segmentHitsPolygon(self, a, b);
+    }
+  };
+
+  // ---------------------------------------------------------------------------
+  // createZone(options) — additive (v2.6.0)
+  // options: a box { min, max } or { polygon, y }, plus { occluder,
+  // lowpassHz, gainDb, reverbSend }. The zone is active until zone.remove().
+  // Returns null (with a warning) when the shape is missing or malformed.
+  // ---------------------------------------------------------------------------
+  HowlerGlobal.prototype.createZone = function (options) {
+    var zone = new Zone(options);
+    if (!zone._box && !zone._polygon) return null;
+    this._zones.push(zone);
+    return zone;
+  };
+
+  // ---------------------------------------------------------------------------
+  // zoneReverb(options) — additive (v2.6.0)
+  // Impulse response of the shared zone reverb: { buffer } (an AudioBuffer),
+  // or a generated one { seconds: 2, decay: 3 }.
+  // ---------------------------------------------------------------------------
+  HowlerGlobal.prototype.zoneReverb = function (options) {
+    var self = this;
+    if (!self.ctx) return self;
+    options = options || {};
+
+    var reverb = _zoneReverbNodes();
+    reverb.convolver.buffer = options.buffer ||
+      _synthImpulse(self.ctx, options.seconds || 2, options.decay || 3);
+    return self;
+  };
+
+  function _isPoint(p, n) {
+    if (!Array.isArray(p) || p.length !== n) return false;
+    return p.every(function (v) { return typeof v === 'number' && isFinite(v); });
+  }
+
+  function _applyZones(sound, listener, now) {
+    var ctx    = Howler.ctx;
+    var open   = ctx.sampleRate / 2;
+    var target = { hz: open, gain: 1, send: 0 };
+
+    if (sound._panner && !sound._panner.pan && sound._pos) {
+      var gainDb = 0;
+      Howler._zones.forEach(function (zone) {
+        var hit;
+        if (zone._occluder) {
+          hit = zone.crosses(listener._pos, sound._pos);
+        } else {
+          var inside = zone.contains(sound._pos);
+          hit = inside !== zone.contains(listener._pos);
+          if (inside && zone._reverbSend) target.send = Math.max(target.send, zone._reverbSend);
+        }
+        if (!hit) return;
+        if (zone._lowpassHz) target.hz = Math.min(target.hz, zone._lowpassHz);
+        if (zone._gainDb) gainDb += zone._gainDb;
+      });
+      target.gain = Math.pow(10, gainDb / 20);
+    }
+
+    var occ = sound._occlusion;
+    if (!occ) {
+      if (target.hz === open && target.gain === 1 && !target.send) return;
+      occ = _createOcclusion(sound);
+    }
+
+    if (occ.hz !== target.hz) occ.filter.frequency.setTargetAtTime(target.hz, now, ZONE_SMOOTHING);
+    if (occ.gain !== target.gain) occ.gainNode.gain.setTargetAtTime(target.gain, now, ZONE_SMOOTHING);
+    if (occ.send !== target.send) occ.sendNode.gain.setTargetAtTime(target.send, now, ZONE_SMOOTHING);
+    occ.hz   = target.hz;
+    occ.gain = target.gain;
+    occ.send = target.send;
+  }
+
+  // Splices the lowpass and gain in after the panner and taps the send off
+  // the sound's gain node (post-fader, so mute and volume apply). The shared
+  // reverb returns straight to masterGain, so the wet signal bypasses the
+  // Howl's duck node and bus: bus volume, bus mute and ducking do not reach
+  // the reverb tail.
+  function _createOcclusion(sound) {
+    var ctx = Howler.ctx;
+    var occ = {
+      filter:   ctx.createBiquadFilter(),
+      gainNode: ctx.createGain(),
+      sendNode: ctx.createGain(),
+      hz:       ctx.sampleRate / 2,
+      gain:     1,
+      send:     0
+    };
+
+    occ.filter.type = 'lowpass';
+    occ.filter.frequency.setValueAtTime(occ.hz, ctx.currentTime);
+    occ.sendNode.gain.setValueAtTime(0, ctx.currentTime);
+    occ.filter.connect(occ.gainNode);
+    occ.gainNode.connect(sound._node);
+    sound._node.connect(occ.sendNode);
+    occ.sendNode.connect(_zoneReverbNodes().input);
+
+    if (sound._panner) {
+      sound._panner.disconnect(0);
+      sound._panner.connect(occ.filter);
+    }
+    sound._occlusion = occ;
+    return occ;
+  }
+
+  // Detaches the occlusion nodes and the reverb send of a sound that lost
+  // its panner, so a recycled sound does not keep the last send level.
+  function _removeOcclusion(sound) {
+    var occ = sound._occlusion;
+    if (!occ) return;
+
+    try { sound._node.disconnect(occ.sendNode); } catch (e) {}
+    occ.filter.disconnect();
+    occ.gainNode.disconnect();
+    occ.sendNode.disconnect();
+    sound._occlusion = null;
+  }
+
+  function _zoneReverbNodes() {
+    var ctx    = Howler.ctx;
+    var reverb = Howler._zoneReverb;
+
+    if (!reverb || reverb.convolver.context !== ctx) {
+      reverb = Howler._zoneReverb = {
+        input:     ctx.createGain(),
+        convolver: ctx.createConvolver()
+      };
+      reverb.convolver.buffer = _synthImpulse(ctx, 2, 3);
+      reverb.input.connect(reverb.convolver);
+      reverb.convolver.connect(Howler.masterGain);
+    }
+    return reverb;
+  }
+
+  // Stereo noise with a (1 - t)^decay envelope.
+  function _synthImpulse(ctx, seconds, decay) {
+    var length = Math.max(1, Math.round(ctx.sampleRate * seconds));
+    var buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+
+    for (var c = 0; c < 2; c++) {
+      var data = buffer.getChannelData(c);
+      for (var i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+      }
+    }
+    return buffer;
+  }
+
+  // Even-odd rule on the x/z plane.
+  function _inPolygon(points, x, z) {
+    var inside = false;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+      var xi = points[i][0], zi = points[i][1], xj = points[j][0], zj = points[j][1];
+      if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Slab test for the segment a → b.
+  function _segmentHitsBox(box, a, b) {
+    var t0 = 0, t1 = 1;
+    for (var i = 0; i < 3; i++) {
+      var d = b[i] - a[i];
+      if (Math.abs(d) < 1e-9) {
+        if (a[i] < box.min[i] || a[i] > box.max[i]) return false;
+        continue;
+      }
+      var near = (box.min[i] - a[i]) / d;
+      var far  = (box.max[i] - a[i]) / d;
+      if (near > far) { var tmp = near; near = far; far = tmp; }
+      t0 = Math.max(t0, near);
+      t1 = Math.min(t1, far);
+      if (t0 > t1) return false;
+    }
+    return true;
+  }
+
+  // Any polygon edge crossed on the x/z plane, at a height within the zone's y.
+  function _segmentHitsPolygon(zone, a, b) {
+    var points = zone._polygon;
+    var dx = b[0] - a[0], dz = b[2] - a[2];
+
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+      var ex = points[i][0] - points[j][0], ez = points[i][1] - points[j][1];
+      var den = dx * ez - dz * ex;
+      if (Math.abs(den) < 1e-12) continue;
+
+      var ox = points[j][0] - a[0], oz = points[j][1] - a[2];
+      var t  = (ox * ez - oz * ex) / den;   // along a → b
+      var u  = (ox * dz - oz * dx) / den;   // along the edge
+      if (t < 0 || t > 1 || u < 0 || u > 1) continue;
+
+      var y = a[1] + (b[1] - a[1]) * t;
+      if (!zone._y || (y >= zone._y[0] && y <= zone._y[1])) return true;
+    }
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ambisonic beds — new Howl({ ambisonic: { order: 1, format: 'ambix' } })
+  //
+  // First-order B-format files (4 channels; 'ambix': ACN order, SN3D; 'fuma':
+  // W X Y Z with W at -3 dB) are decoded to a cube of eight virtual speakers,
+  // each an HRTF PannerNode one unit from the listener:
+  //   source → ChannelSplitter → 4 weights per speaker → speaker panners
+  //   → sound gain …
+  // The decoder takes the sound's _panner slot, so the core routes the source
+  // (and any effects) into it; point-source setters (stereo, pos,
+  // orientation, pannerAttr), emitters and zones do not apply to these Howls.
+  // The speakers are placed in world space around the listener and moved with
+  // Howler.pos() / updateSpatial(), so the AudioListener orientation set by
+  // Howler.orientation() rotates the soundfield: head tracking needs nothing
+  // else. The field's front is the listener's default forward, -Z.
+  // WebAudio only; html5 Howls play the file as is.
+  // ---------------------------------------------------------------------------
+  var AMBI_SPEAKERS = [
+    [1, 1, 1], [1, 1, -1], [1, -1, 1], [1, -1, -1],
+    [-1, 1, 1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1]
+  ].map(function (d) {
+    // Ambisonic axes (x front, y left, z up), normalised.
+    return d.map(function (v) { return v / Math.sqrt(3); });
+  });
+
+  function _ambisonicOptions(options) {
+    if (!options) return null;
+    options = options === true ? {} : options;
+
+    var order  = options.order || 1;
+    var format = (options.format || 'ambix').toLowerCase();
+    if (order !== 1 || (format !== 'ambix' && format !== 'fuma')) {
+      console.warn('Howler: only first-order "ambix" or "fuma" ambisonics are supported - playing as is.');
+      return null;
+    }
+    return { order: order, format: format };
+  }
+
+  function _createAmbisonic(sound, options) {
+    var ctx      = Howler.ctx;
+    var splitter = ctx.createChannelSplitter(4);
+    var speakers = [];
+    var n        = AMBI_SPEAKERS.length;
+
+    AMBI_SPEAKERS.forEach(function (d) {
+      // Basic (mode-matching) decode for a regular layout, per input channel.
+      var weights = options.format === 'fuma'
+        ? [Math.SQRT2, 3 * d[0], 3 * d[1], 3 * d[2]]   // W X Y Z
+        : [1, 3 * d[1], 3 * d[2], 3 * d[0]];           // W Y Z X (ACN)
+
+      var panner = ctx.createPanner();
+      panner.panningModel  = 'HRTF';
+      panner.distanceModel = 'linear';
+      panner.rolloffFactor = 0;
+
+      weights.forEach(function (weight, channel) {
+        var gain = ctx.createGain();
+        gain.gain.setValueAtTime(weight / n, ctx.currentTime);
+        splitter.connect(gain, channel);
+        gain.connect(panner);
+      });
+      panner.connect(sound._node);
+
+      // Ambisonic (x front, y left, z up) to WebAudio (-z front, x right, y up).
+      speakers.push({ panner: panner, dir: [-d[1], d[2], -d[0]] });
+    });
+
+    sound._panner = splitter;
+    sound._ambi   = { splitter: splitter, speakers: speakers };
+    _placeSpeakers(sound._ambi, Howler._pos, ctx.currentTime, 0);
+  }
+
+  function _moveAmbisonics(pos, now, timeConstant) {
+    Howler._howls.forEach(function (howl) {
+      howl._sounds.forEach(function (sound) {
+        if (sound._ambi) _placeSpeakers(sound._ambi, pos, now, timeConstant);
+      });
+    });
+  }
+
+  function _placeSpeakers(ambi, pos, now, timeConstant) {
+    ambi.speakers.forEach(function (speaker) {
+      var p = [0, 1, 2].map(function (i) { return pos[i] + speaker.dir[i]; });
+      var panner = speaker.panner;
+
+      if (typeof panner.positionX === 'undefined') {
+        panner.setPosition(p[0], p[1], p[2]);
+      } else if (timeConstant) {
+        _target([panner.positionX, panner.positionY, panner.positionZ], p, now, timeConstant);
+      } else {
+        panner.positionX.setValueAtTime(p[0], now);
+        panner.positionY.setValueAtTime(p[1], now);
+        panner.positionZ.setValueAtTime(p[2], now);
+      }
+    });
+  }
+
   function _createPanner(sound, type) {
     type = type || 'spatial';
 
@@ -3081,7 +9718,7 @@
       sound._panner.pan.setValueAtTime(sound._stereo, Howler.ctx.currentTime);
     }
 
-    sound._panner.connect(sound._node);
+    sound._panner.connect(sound._occlusion ? sound._occlusion.filter : sound._node);
 
     if (!sound._paused) {
       sound._parent.pause(sound._id, true).play(sound._id, true);
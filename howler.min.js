@@ -9,4 +9,6 @@
  * (c) 2013-2020 James Simpson of GoldFire Studios
  * MIT License | https://github.com/goldfire/howler.js
  *
- */(function(){"use strict";var k=100,l=new Map;function u(e,t){l.has(e)?l.delete(e):l.size>=k&&l.delete(l.keys().next().value),l.set(e,t)}function _(e){if(l.has(e)){var t=l.get(e);return l.delete(e),l.set(e,t),t}}function v(e){l.delete(e)}function f(e){for(var t=1;t<arguments.length;t++){var n=e.canPlayType(arguments[t]).replace(/^no$/,"");if(n)return!0}return!1}var m=function(){this.init()};m.prototype={init:function(){var e=this||a;return e._counter=1e3,e._html5AudioPool=[],e.html5PoolSize=10,e._codecs={},e._howls=[],e._muted=!1,e._volume=1,e._canPlayEvent="canplaythrough",e._navigator=typeof window<"u"&&window.navigator?window.navigator:null,e.masterGain=null,e.noAudio=!1,e.usingWebAudio=!0,e.autoSuspend=!0,e.autoSuspendDelay=3e4,e.ctx=null,e.autoUnlock=!0,e.autoReroute=!1,e._setup(),e},volume:function(e){var t=this||a;if(e=parseFloat(e),t.ctx||x(),typeof e<"u"&&e>=0&&e<=1){if(t._volume=e,t._muted)return t;t.usingWebAudio&&t.masterGain.gain.setValueAtTime(e,a.ctx.currentTime);for(var n=0;n<t._howls.length;n++)if(!t._howls[n]._webAudio)for(var r=t._howls[n]._getSoundIds(),o=0;o<r.length;o++){var i=t._howls[n]._soundById(r[o]);i&&i._node&&(i._node.volume=i._volume*e)}return t}return t._volume},mute:function(e){var t=this||a;t.ctx||x(),t._muted=e,t.usingWebAudio&&t.masterGain.gain.setValueAtTime(e?0:t._volume,a.ctx.currentTime);for(var n=0;n<t._howls.length;n++)if(!t._howls[n]._webAudio)for(var r=t._howls[n]._getSoundIds(),o=0;o<r.length;o++){var i=t._howls[n]._soundById(r[o]);i&&i._node&&(i._node.muted=!!e||i._muted)}return t},stop:function(){for(var e=this||a,t=0;t<e._howls.length;t++)e._howls[t].stop();return e},unload:function(){for(var e=this||a,t=e._howls.length-1;t>=0;t--)e._howls[t].unload();return e.usingWebAudio&&e.ctx&&typeof e.ctx.close<"u"&&(e.ctx.close(),e.ctx=null,x()),e},codecs:function(e){return(this||a)._codecs[e.replace(/^x-/,"")]},_setup:function(){var e=this||a;if(e.state=e.ctx&&e.ctx.state||"suspended",e._autoSuspend(),!e.usingWebAudio)if(typeof Audio<"u")try{var t=new Audio;typeof t.oncanplaythrough>"u"&&(e._canPlayEvent="canplay")}catch{e.noAudio=!0}else e.noAudio=!0;try{var t=new Audio;t.muted&&(e.noAudio=!0)}catch{}return e.noAudio||e._setupCodecs(),e},_setupCodecs:function(){var e=this||a,t=null;try{t=typeof Audio<"u"?new Audio:null}catch{return e}if(!t||typeof t.canPlayType!="function")return e;var n=t.canPlayType("audio/mpeg;").replace(/^no$/,"");return e._codecs={mp3:!!(n||t.canPlayType("audio/mp3;").replace(/^no$/,"")),mpeg:!!n,opus:!!t.canPlayType('audio/ogg; codecs="opus"').replace(/^no$/,""),ogg:!!t.canPlayType('audio/ogg; codecs="vorbis"').replace(/^no$/,""),oga:!!t.canPlayType('audio/ogg; codecs="vorbis"').replace(/^no$/,""),wav:f(t,'audio/wav; codecs="1"',"audio/wav"),aac:!!t.canPlayType("audio/aac;").replace(/^no$/,""),caf:!!t.canPlayType("audio/x-caf;").replace(/^no$/,""),m4a:f(t,"audio/x-m4a;","audio/m4a;","audio/aac;"),m4b:f(t,"audio/x-m4b;","audio/m4b;","audio/aac;"),mp4:f(t,"audio/x-mp4;","audio/mp4;","audio/aac;"),weba:!!t.canPlayType('audio/webm; codecs="vorbis"').replace(/^no$/,""),webm:!!t.canPlayType('audio/webm; codecs="vorbis"').replace(/^no$/,""),dolby:!!t.canPlayType('audio/mp4; codecs="ec-3"').replace(/^no$/,""),flac:f(t,"audio/x-flac;","audio/flac;")},e},_unlockAudio:function(){var e=this||a;if(!(e._audioUnlocked||!e.ctx)){e._audioUnlocked=!1,e.autoUnlock=!1;var t=e._howls.length>0&&e._howls.every(function(r){return r._html5});!e._mobileUnloaded&&!t&&e.ctx.sampleRate!==44100&&(e._mobileUnloaded=!0,e.unload()),e._scratchBuffer=e.ctx.createBuffer(1,1,22050);var n=function(){var r=e._howls.some(function(g){return!g._stream});if(r)for(;e._html5AudioPool.length<e.html5PoolSize;)try{var o=new Audio;o._unlocked=!0,e._releaseHtml5Audio(o)}catch{e.noAudio=!0;break}for(var i=0;i<e._howls.length;i++)if(!e._howls[i]._webAudio)for(var s=e._howls[i]._getSoundIds(),d=0;d<s.length;d++){var c=e._howls[i]._soundById(s[d]);c&&c._node&&!c._node._unlocked&&(c._node._unlocked=!0,c._node.load())}e._autoResume();var h=e.ctx.createBufferSource();h.buffer=e._scratchBuffer,h.connect(e.ctx.destination),h.start(0),typeof e.ctx.resume=="function"&&e.ctx.resume(),h.onended=function(){h.disconnect(0),e._audioUnlocked=!0,document.removeEventListener("pointerdown",n,!0),document.removeEventListener("click",n,!0),document.removeEventListener("keydown",n,!0);for(var g=0;g<e._howls.length;g++)e._howls[g]._emit("unlock")}};return document.addEventListener("pointerdown",n,!0),document.addEventListener("click",n,!0),document.addEventListener("keydown",n,!0),e}},_obtainHtml5Audio:function(){var e=this||a;if(e._html5AudioPool.length)return e._html5AudioPool.pop();var t=new Audio,n=t.play();return n instanceof Promise&&n.catch(function(){console.warn("HTML5 Audio pool exhausted, returning potentially locked audio object.")}),t},_releaseHtml5Audio:function(e){var t=this||a;return e._unlocked&&t._html5AudioPool.push(e),t},_autoSuspend:function(){var e=this;if(!e.autoSuspend||!e.ctx||typeof e.ctx.suspend>"u"||!a.usingWebAudio)return e;for(var t=0;t<e._howls.length;t++)if(e._howls[t]._webAudio){for(var n=0;n<e._howls[t]._sounds.length;n++)if(!e._howls[t]._sounds[n]._paused)return e}return e._suspendTimer&&clearTimeout(e._suspendTimer),e._suspendTimer=setTimeout(function(){if(e.autoSuspend){e._suspendTimer=null,e.state="suspending";var r=function(){e.state="suspended",e._resumeAfterSuspend&&(delete e._resumeAfterSuspend,e._autoResume())};e.ctx.suspend().then(r,r)}},e.autoSuspendDelay),e},_autoResume:function(){var e=this;return!e.ctx||typeof e.ctx.resume>"u"||!a.usingWebAudio||e.ctx.state==="closed"||(e.state==="running"&&e.ctx.state!=="interrupted"&&e._suspendTimer?(clearTimeout(e._suspendTimer),e._suspendTimer=null):e.state==="suspended"||e.state==="running"&&e.ctx.state==="interrupted"?(e.ctx.resume().then(function(){e.state="running";for(var t=0;t<e._howls.length;t++)e._howls[t]._emit("resume")}),e._suspendTimer&&(clearTimeout(e._suspendTimer),e._suspendTimer=null)):e.state==="suspending"&&(e._resumeAfterSuspend=!0)),e},setSinkId:function(e){var t=this;return!t.ctx||typeof t.ctx.setSinkId!="function"?Promise.resolve():t.ctx.setSinkId(e).then(function(){t._sinkId=e})}};var a=new m,p=function(e){if(!e.src||e.src.length===0){console.error("An array of source files must be passed with any new Howl.");return}this.init(e)};p.prototype={init:function(e){var t=this;if(a.ctx||x(),t._autoplay=e.autoplay||!1,t._format=typeof e.format!="string"?e.format:[e.format],t._html5=e.html5||!1,t._muted=e.mute||!1,t._loop=e.loop||!1,t._pool=e.pool||5,t._preload=typeof e.preload!="boolean"&&e.preload!=="metadata"?!0:e.preload,t._rate=e.rate||1,t._sprite=e.sprite||{},t._src=typeof e.src!="string"?e.src:[e.src],t._srcList=typeof e.src!="string"?e.src.slice():[e.src],t._volume=e.volume!==void 0?e.volume:1,t._xhr={method:e.xhr&&e.xhr.method?e.xhr.method:"GET",headers:e.xhr&&e.xhr.headers?e.xhr.headers:null,withCredentials:e.xhr&&e.xhr.withCredentials?e.xhr.withCredentials:!1},t._stream=null,e.stream!==void 0&&e.stream!==null&&e.stream!==!1){var n=typeof e.stream=="object"?e.stream:{};t._stream={staleTimeout:n.staleTimeout||4e3,maxRetryDelay:n.maxRetryDelay||3e4,maxRetries:n.maxRetries!==void 0?n.maxRetries:1/0,flushInterval:n.flushInterval||72e5,sourceFailThreshold:n.sourceFailThreshold!==void 0?n.sourceFailThreshold:3,onStall:typeof n.onStall=="function"?n.onStall:null,onRecover:typeof n.onRecover=="function"?n.onRecover:null,onPreviousTrack:typeof n.onPreviousTrack=="function"?n.onPreviousTrack:null,onNextTrack:typeof n.onNextTrack=="function"?n.onNextTrack:null,workletUrl:n.workletUrl||null,onWorkletMessage:typeof n.onWorkletMessage=="function"?n.onWorkletMessage:null,_retryDelay:1e3,_retryCount:0,_srcIndex:0,_srcFailCount:0,_staleTimer:null,_healthTimer:null,_reconnecting:!1,_flushTimer:null,_networkHandler:null,_visibilityHandler:null,_playHandler:null,_pauseHandler:null,_stopHandler:null,_loaderrorHandler:null,_unlockHandler:null,_onlineHandler:null,_offlineHandler:null,_lastEffectiveType:null,_lastRtt:null,_offline:!1,_rampInterval:null},t._html5=!0,t._webAudio=!1,e.autoplay&&console.warn("Howler [stream]: autoplay:true on a stream Howl may be blocked by the browser Autoplay Policy. Call howl.play() from a user gesture (click, touchend, keydown) instead. See: https://developer.chrome.com/blog/autoplay/")}return t._duration=0,t._state="unloaded",t._sounds=[],t._soundMap=new Map,t._endTimers={},t._queue=[],t._playLock=!1,t._fetchControllers={},t._onend=e.onend?[{fn:e.onend}]:[],t._onfade=e.onfade?[{fn:e.onfade}]:[],t._onload=e.onload?[{fn:e.onload}]:[],t._onloaderror=e.onloaderror?[{fn:e.onloaderror}]:[],t._onplayerror=e.onplayerror?[{fn:e.onplayerror}]:[],t._onpause=e.onpause?[{fn:e.onpause}]:[],t._onplay=e.onplay?[{fn:e.onplay}]:[],t._onstop=e.onstop?[{fn:e.onstop}]:[],t._onmute=e.onmute?[{fn:e.onmute}]:[],t._onvolume=e.onvolume?[{fn:e.onvolume}]:[],t._onrate=e.onrate?[{fn:e.onrate}]:[],t._onseek=e.onseek?[{fn:e.onseek}]:[],t._onunlock=e.onunlock?[{fn:e.onunlock}]:[],t._onresume=[],t._webAudio=a.usingWebAudio&&!t._html5,typeof a.ctx<"u"&&a.ctx&&a.autoUnlock&&a._unlockAudio(),a._howls.push(t),t._autoplay&&t._queue.push({event:"play",action:function(){t.play()}}),t._preload&&t._preload!=="none"&&t.load(),t._stream&&t._initStreamMode(),t},mediaSession:function(e){if(typeof navigator>"u"||!("mediaSession"in navigator)||!navigator.mediaSession)return this;e=e||{};var t=function(o,i){return typeof o=="string"?o.slice(0,i||500):""},n=/^https?:\/\//i,r=[];Array.isArray(e.artwork)&&(r=e.artwork.map(function(o){var i=t(o.src,2e3);return n.test(i)?{src:i,sizes:t(o.sizes,20),type:t(o.type,50)}:null}).filter(Boolean));try{navigator.mediaSession.metadata=new MediaMetadata({title:t(e.title)||"Live Radio",artist:t(e.artist)||"",album:t(e.album)||"",artwork:r})}catch{}return this},_initStreamMode:function(){var e=this,t=e._stream;R(e),typeof document<"u"&&!t._visibilityHandler&&(t._visibilityHandler=function(){if(document.visibilityState==="visible"){a.ctx&&a.ctx.state!=="closed"&&a.ctx.state!=="running"&&a._autoResume();var n=e._sounds[0];n&&n._node&&n._node.paused&&!n._paused&&n._node.play().catch(function(){})}},document.addEventListener("visibilitychange",t._visibilityHandler,!1)),typeof navigator<"u"&&navigator.connection&&typeof navigator.connection.addEventListener=="function"&&!t._networkHandler&&(t._networkHandler=function(){var n=navigator.connection,r=t._lastEffectiveType,o=t._lastRtt;t._lastEffectiveType=n.effectiveType||null,t._lastRtt=n.rtt||null;var i=r&&r!==t._lastEffectiveType,s=o&&t._lastRtt&&t._lastRtt-o>500;(i||s)&&e.playing()&&e._streamSilentReconnect(!1)},navigator.connection&&(t._lastEffectiveType=navigator.connection.effectiveType||null,t._lastRtt=navigator.connection.rtt||null),navigator.connection.addEventListener("change",t._networkHandler)),e._scheduleFlushReconnect(),t._playHandler=function(){a.autoSuspend=!1,a.ctx&&a.ctx.state==="suspended"&&a.ctx.resume(),typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="playing");try{navigator.mediaSession&&navigator.mediaSession.setPositionState({duration:1/0,playbackRate:1,position:0})}catch{}e._cancelFlushTimer(),e._scheduleFlushReconnect()},e.on("play",t._playHandler),t._pauseHandler=function(){a.autoSuspend=!0,a.autoSuspendDelay=6e4,typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="paused"),e._cancelStaleTimer(),e._cancelFlushTimer(),e._scheduleFlushReconnect()},e.on("pause",t._pauseHandler),t._stopHandler=function(){a.autoSuspend=!0,typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="none"),e._cancelStaleTimer(),e._cancelFlushTimer()},e.on("stop",t._stopHandler),t._loaderrorHandler=function(n,r){typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="none"),e._stream&&t._retryCount<=t.maxRetries&&e._streamReconnect()},e.on("loaderror",t._loaderrorHandler),t._unlockHandler=function(){e._stream&&!e.playing()&&e._state==="loaded"&&e.play()},e.once("unlock",t._unlockHandler),typeof window<"u"&&(t._offlineHandler=function(){t._offline=!0,e._cancelStaleTimer(),clearTimeout(t._healthTimer)},t._onlineHandler=function(){t._offline&&(t._offline=!1,e.playing()&&e._streamSilentReconnect(!1))},window.addEventListener("offline",t._offlineHandler,!1),window.addEventListener("online",t._onlineHandler,!1))},_attachStreamNodeListeners:function(e){var t=this,n=t._stream;e.addEventListener("stalled",function(){t._scheduleStaleTimer(),n.onStall&&n.onStall()},!1),e.addEventListener("waiting",function(){t._scheduleStaleTimer()},!1),e.addEventListener("playing",function(){t._cancelStaleTimer(),n._reconnecting=!1,typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="playing"),clearTimeout(n._healthTimer),n._healthTimer=setTimeout(function(){n._retryDelay=1e3,n._retryCount=0,n._srcFailCount=0,n.onRecover&&n.onRecover()},n.staleTimeout*2)},!1),"preservesPitch"in e&&(e.preservesPitch=!1)},_scheduleStaleTimer:function(){var e=this,t=e._stream;t._staleTimer||t._offline||(t._staleTimer=setTimeout(function(){t._staleTimer=null,t._reconnecting||e._streamReconnect()},t.staleTimeout))},_cancelStaleTimer:function(){var e=this._stream;e&&e._staleTimer&&(clearTimeout(e._staleTimer),e._staleTimer=null)},_scheduleFlushReconnect:function(){var e=this,t=e._stream;!t||!t.flushInterval||(e._cancelFlushTimer(),t._flushTimer=setTimeout(function(){t._flushTimer=null,e._stream&&(e.playing()&&e._streamSilentReconnect(!0),e._scheduleFlushReconnect())},t.flushInterval))},_cancelFlushTimer:function(){var e=this._stream;e&&e._flushTimer&&(clearTimeout(e._flushTimer),e._flushTimer=null)},_streamSilentReconnect:function(e){var t=this,n=t._sounds[0];if(!(!n||!n._node)){var r=n._node,o=t._stream,i=typeof t._src=="string"?t._src:t._src[0],s=i+(i.indexOf("?")>=0?"&":"?")+"_t="+Date.now(),d=r.volume;L(o,r,d,0,40,function(){r.src=s,r.load();var c=r.play();c instanceof Promise?c.then(function(){L(o,r,0,d,40,null)}).catch(function(){r.volume=d,t._stream&&(t._emit("playerror",null,"Stream silent reconnect was blocked by autoplay policy. Call play() from a user gesture."),setTimeout(function(){t._stream&&t._streamReconnect()},500))}):r.volume=d})}},_streamReconnect:function(){var e=this,t=e._stream;if(!t._reconnecting){if(t._retryCount++,t._retryCount>t.maxRetries){e._emit("loaderror",null,"Stream: maximum reconnect attempts ("+t.maxRetries+") reached.");return}t._srcFailCount++,t._srcFailCount>=t.sourceFailThreshold&&e._srcList&&e._srcList.length>1&&(t._srcIndex=(t._srcIndex+1)%e._srcList.length,t._srcFailCount=0,t._retryCount=0,t._retryDelay=1e3,e._src=e._srcList[t._srcIndex],console.warn("Howler [stream]: rotating to source "+e._src)),t._reconnecting=!0,e._cancelStaleTimer(),clearTimeout(t._healthTimer);var n=t._retryDelay+Math.random()*1e3;t._retryDelay=Math.min(t._retryDelay*2,t.maxRetryDelay),setTimeout(function(){if(e._stream){for(var r=Object.keys(e._endTimers),o=0;o<r.length;o++)e._clearTimer(parseInt(r[o],10));e._queue=[],e._state="unloaded",e.load(),e.play()}},n)}},load:function(){var e=this,t=null;if(a.noAudio){e._emit("loaderror",null,"No audio support.");return}typeof e._src=="string"&&(e._src=[e._src]);for(var n=0;n<e._src.length;n++){var r,o;if(e._format&&e._format[n])r=e._format[n];else{if(typeof e._src[n]!="string"){e._emit("loaderror",null,"Non-string found in selected audio sources - ignoring.");continue}o=e._src[n],r=/^data:audio\/([^;,]+);/i.exec(o),r||(r=/\.([^.]+)$/.exec(o.split("?",1)[0])),r&&(r=r[1].toLowerCase())}if(r||console.warn('No file extension was found. Consider using the "format" property or specify an extension.'),r&&a.codecs(r)){t=e._src[n];break}}if(!t){e._emit("loaderror",null,"No codec support for selected audio sources.");return}return e._src=t,e._state="loading",window.location.protocol==="https:"&&t.slice(0,5)==="http:"&&(e._html5=!0,e._webAudio=!1),e._stream&&e._webAudio&&(console.warn("Howler [stream]: forcing html5:true \u2014 the WebAudio fetch path is incompatible with infinite HTTP streams and would deadlock the tab."),e._html5=!0,e._webAudio=!1),new y(e),e._webAudio&&A(e),e},play:function(e,t){var n=this,r=null;if(typeof e=="number")r=e,e=null;else{if(typeof e=="string"&&n._state==="loaded"&&!n._sprite[e])return null;if(typeof e>"u"&&(e="__default",!n._playLock)){for(var o=0,i=0;i<n._sounds.length;i++)n._sounds[i]._paused&&!n._sounds[i]._ended&&(o++,r=n._sounds[i]._id);o===1?e=null:r=null}}var s=r?n._soundById(r):n._inactiveSound();if(!s)return null;if(r&&!e&&(e=s._sprite||"__default"),n._state!=="loaded"){s._sprite=e,s._ended=!1;var d=s._id;return n._queue.push({event:"play",action:function(){n.play(d)}}),d}if(r&&!s._paused)return t||n._loadQueue("play"),s._id;n._webAudio&&a._autoResume();var c=Math.max(0,s._seek>0?s._seek:n._sprite[e][0]/1e3),h=Math.max(0,(n._sprite[e][0]+n._sprite[e][1])/1e3-c),g=h*1e3/Math.abs(s._rate),w=n._sprite[e][0]/1e3,b=(n._sprite[e][0]+n._sprite[e][1])/1e3;s._sprite=e,s._ended=!1;var S=function(){s._paused=!1,s._seek=c,s._start=w,s._stop=b,s._loop=!!(s._loop||n._sprite[e][2])};if(c>=b){n._ended(s);return}var T=s._node;if(n._webAudio){var H=function(){n._playLock=!1,S(),n._refreshBuffer(s);var I=s._muted||n._muted?0:s._volume;T.gain.setValueAtTime(I,a.ctx.currentTime),s._playStart=a.ctx.currentTime,s._loop?T.bufferSource.start(0,c,86400):T.bufferSource.start(0,c,h),g!==1/0&&(n._endTimers[s._id]=setTimeout(n._ended.bind(n,s),g)),t||queueMicrotask(function(){n._emit("play",s._id),n._loadQueue()})};a.state==="running"&&a.ctx.state!=="interrupted"?H():(n._playLock=!0,n.once("resume",H),n._clearTimer(s._id))}else{var E=function(){T.currentTime=c,T.muted=s._muted||n._muted||a._muted||T.muted,T.volume=s._volume*a.volume(),T.playbackRate=s._rate;try{var I=T.play();if(I instanceof Promise?(n._playLock=!0,S(),I.then(function(){n._playLock=!1,T._unlocked=!0,t?n._loadQueue():n._emit("play",s._id)}).catch(function(){n._playLock=!1,n._emit("playerror",s._id,"Playback was unable to start. This is most commonly an issue on mobile devices and Chrome where playback was not within a user interaction."),s._ended=!0,s._paused=!0})):t||(n._playLock=!1,S(),n._emit("play",s._id)),T.playbackRate=s._rate,T.paused){n._emit("playerror",s._id,"Playback was unable to start. This is most commonly an issue on mobile devices and Chrome where playback was not within a user interaction.");return}e!=="__default"||s._loop?n._endTimers[s._id]=setTimeout(n._ended.bind(n,s),g):(n._endTimers[s._id]=function(){n._ended(s),T.removeEventListener("ended",n._endTimers[s._id],!1)},T.addEventListener("ended",n._endTimers[s._id],!1))}catch(B){n._emit("playerror",s._id,B)}},O=T.readyState>=3;if(O)E();else{n._playLock=!0,n._state="loading";var D=function(){n._state="loaded",E(),T.removeEventListener(a._canPlayEvent,D,!1)};T.addEventListener(a._canPlayEvent,D,!1),n._clearTimer(s._id)}}return s._id},pause:function(e){var t=this;if(t._state!=="loaded"||t._playLock)return t._queue.push({event:"pause",action:function(){t.pause(e)}}),t;for(var n=t._getSoundIds(e),r=0;r<n.length;r++){t._clearTimer(n[r]);var o=t._soundById(n[r]);if(o&&!o._paused&&(o._seek=t.seek(n[r]),o._rateSeek=0,o._paused=!0,t._stopFade(n[r]),o._node))if(t._webAudio){if(!o._node.bufferSource)continue;o._node.bufferSource.stop(0),t._cleanBuffer(o._node)}else(!isNaN(o._node.duration)||o._node.duration===1/0)&&o._node.pause();arguments[1]||t._emit("pause",o?o._id:null)}return t},stop:function(e,t){var n=this;if(n._state!=="loaded"||n._playLock)return n._queue.push({event:"stop",action:function(){n.stop(e)}}),n;for(var r=n._getSoundIds(e),o=0;o<r.length;o++){n._clearTimer(r[o]);var i=n._soundById(r[o]);i&&(i._seek=i._start||0,i._rateSeek=0,i._paused=!0,i._ended=!0,n._stopFade(r[o]),i._node&&(n._webAudio?i._node.bufferSource&&(i._node.bufferSource.stop(0),n._cleanBuffer(i._node)):(!isNaN(i._node.duration)||i._node.duration===1/0)&&(i._node.currentTime=i._start||0,i._node.pause(),i._node.duration===1/0&&(i._loadFn&&(i._node.removeEventListener(a._canPlayEvent,i._loadFn,!1),i._loadFn=null),n._clearSound(i._node)))),t||n._emit("stop",i._id))}return n},mute:function(e,t){var n=this;if(n._state!=="loaded"||n._playLock)return n._queue.push({event:"mute",action:function(){n.mute(e,t)}}),n;if(typeof t>"u")if(typeof e=="boolean")n._muted=e;else return n._muted;for(var r=n._getSoundIds(t),o=0;o<r.length;o++){var i=n._soundById(r[o]);i&&(i._muted=e,i._interval&&n._stopFade(i._id),n._webAudio&&i._node?i._node.gain.setValueAtTime(e?0:i._volume,a.ctx.currentTime):i._node&&(i._node.muted=a._muted||e),n._emit("mute",i._id))}return n},volume:function(){var e=this,t=arguments,n,r;if(t.length===0)return e._volume;t.length===1||t.length===2&&typeof t[1]>"u"?e._getSoundIds().indexOf(t[0])>=0?r=parseInt(t[0],10):n=parseFloat(t[0]):t.length>=2&&(n=parseFloat(t[0]),r=parseInt(t[1],10));var o;if(typeof n>"u"||n<0||n>1)return o=r?e._soundById(r):e._sounds[0],o?o._volume:0;if(e._state!=="loaded"||e._playLock)return e._queue.push({event:"volume",action:function(){e.volume.apply(e,t)}}),e;typeof r>"u"&&(e._volume=n);for(var i=e._getSoundIds(r),s=0;s<i.length;s++)o=e._soundById(i[s]),o&&(o._volume=n,t[2]||e._stopFade(i[s]),e._webAudio&&o._node&&!o._muted?o._node.gain.setValueAtTime(n,a.ctx.currentTime):o._node&&!o._muted&&(o._node.volume=n*a.volume()),e._emit("volume",o._id));return e},fade:function(e,t,n,r){var o=this;if(o._state!=="loaded"||o._playLock)return o._queue.push({event:"fade",action:function(){o.fade(e,t,n,r)}}),o;e=Math.min(Math.max(0,parseFloat(e)),1),t=Math.min(Math.max(0,parseFloat(t)),1),n=parseFloat(n),o.volume(e,r);for(var i=o._getSoundIds(r),s=0;s<i.length;s++){var d=o._soundById(i[s]);if(d){if(r||o._stopFade(i[s]),o._webAudio&&!d._muted){var c=a.ctx.currentTime,h=c+n/1e3;d._volume=e,d._node.gain.setValueAtTime(e,c),d._node.gain.linearRampToValueAtTime(t,h)}o._startFadeInterval(d,e,t,n,i[s],typeof r>"u")}}return o},_startFadeInterval:function(e,t,n,r,o,i){var s=this,d=t,c=n-t,h=Math.abs(c/.01),g=Math.max(4,h>0?r/h:r),w=performance.now(),b=!1;e._fadeTo=n,e._fadeDone=!1;var S=function(T){if(!b){var H=Math.min(T-w,100);if(w=T,d+=c*(H/r),d=Math.round(d*100)/100,d=c<0?Math.max(n,d):Math.min(n,d),s._webAudio?e._volume=d:s.volume(d,e._id,!0),i&&(s._volume=d),n<t&&d<=n||n>t&&d>=n){b=!0,e._fadeDone=!0,e._interval=null,e._intervalType=null,e._fadeTo=null,s.volume(n,e._id),s._emit("fade",e._id);return}e._interval=requestAnimationFrame(S),e._intervalType="raf"}};e._intervalType="timeout",e._interval=setTimeout(function(){w=performance.now(),e._intervalType="raf",e._interval=requestAnimationFrame(S)},g)},_stopFade:function(e){var t=this,n=t._soundById(e);return n&&n._interval&&(t._webAudio&&n._node.gain.cancelScheduledValues(a.ctx.currentTime),n._intervalType==="raf"?cancelAnimationFrame(n._interval):clearTimeout(n._interval),n._interval=null,n._intervalType=null,n._fadeDone?n._fadeDone=null:(t.volume(n._fadeTo,e),n._fadeTo=null,n._fadeDone=null,t._emit("fade",e))),t},loop:function(){var e=this,t=arguments,n,r,o;if(t.length===0)return e._loop;if(t.length===1)if(typeof t[0]=="boolean")n=t[0],e._loop=n;else return o=e._soundById(parseInt(t[0],10)),!!(o&&o._loop);else t.length===2&&(n=t[0],r=parseInt(t[1],10));for(var i=e._getSoundIds(r),s=0;s<i.length;s++)o=e._soundById(i[s]),o&&(o._loop=n,e._webAudio&&o._node&&o._node.bufferSource&&(o._node.bufferSource.loop=n,n&&(o._node.bufferSource.loopStart=o._start||0,o._node.bufferSource.loopEnd=o._stop,e.playing(i[s])&&(e.pause(i[s],!0),e.play(i[s],!0)))));return e},rate:function(){var e=this,t=arguments,n,r;if(t.length===0)r=e._sounds[0]._id;else if(t.length===1){var o=e._getSoundIds();o.indexOf(t[0])>=0?r=parseInt(t[0],10):n=parseFloat(t[0])}else t.length===2&&(n=parseFloat(t[0]),r=parseInt(t[1],10));if(typeof n!="number"){var i=e._soundById(r);return i?i._rate:e._rate}if(e._state!=="loaded"||e._playLock)return e._queue.push({event:"rate",action:function(){e.rate.apply(e,t)}}),e;typeof r>"u"&&(e._rate=n);for(var s=e._getSoundIds(r),d=0;d<s.length;d++){var i=e._soundById(s[d]);if(i){e.playing(s[d])&&(i._rateSeek=e.seek(s[d]),i._playStart=e._webAudio?a.ctx.currentTime:i._playStart),i._rate=n,e._webAudio&&i._node&&i._node.bufferSource?i._node.bufferSource.playbackRate.setValueAtTime(n,a.ctx.currentTime):i._node&&(i._node.playbackRate=n);var c=e.seek(s[d]),h=(e._sprite[i._sprite][0]+e._sprite[i._sprite][1])/1e3-c,g=h*1e3/Math.abs(i._rate);(e._endTimers[s[d]]||!i._paused)&&(e._clearTimer(s[d]),e._endTimers[s[d]]=setTimeout(e._ended.bind(e,i),g)),e._emit("rate",i._id)}}return e},seek:function(){var e=this,t=arguments,n,r;if(t.length===0)e._sounds.length&&(r=e._sounds[0]._id);else if(t.length===1){var o=e._getSoundIds();o.indexOf(t[0])>=0?r=parseInt(t[0],10):e._sounds.length&&(r=e._sounds[0]._id,n=parseFloat(t[0]))}else t.length===2&&(n=parseFloat(t[0]),r=parseInt(t[1],10));if(typeof r>"u")return 0;if(typeof n=="number"&&(e._state!=="loaded"||e._playLock))return e._queue.push({event:"seek",action:function(){e.seek.apply(e,t)}}),e;var i=e._soundById(r);if(!i)return e;if(typeof n!="number"||n<0){if(e._webAudio){var s=e.playing(r),d=s?a.ctx.currentTime-i._playStart:0,c=i._rateSeek?i._rateSeek-i._seek:0;return i._seek+(c+d*Math.abs(i._rate))}return i._node.currentTime}var h=e.playing(r);h&&e.pause(r,!0),i._seek=n,i._ended=!1,e._clearTimer(r),!e._webAudio&&i._node&&!isNaN(i._node.duration)&&(i._node.currentTime=n);var g=function(){h&&e.play(r,!0),e._emit("seek",r)};if(h&&!e._webAudio){var w=function(b){e._playLock?b?setTimeout(function(){w(!0)},0):queueMicrotask(function(){w(!0)}):g()};queueMicrotask(function(){w(!1)})}else g();return e},playing:function(e){var t=this;if(typeof e=="number"){var n=t._soundById(e);return!!(n&&!n._paused)}for(var r=0;r<t._sounds.length;r++)if(!t._sounds[r]._paused)return!0;return!1},duration:function(e){var t=this,n=t._duration,r=t._soundById(e);return r&&(n=t._sprite[r._sprite][1]/1e3),n},state:function(){return this._state},unload:function(){var e=this;if(Object.keys(e._fetchControllers).forEach(function(d){e._fetchControllers[d].abort()}),e._fetchControllers={},e._stream){e._cancelStaleTimer(),e._cancelFlushTimer();var t=e._stream;if(clearTimeout(t._healthTimer),t._healthTimer=null,t._networkHandler&&typeof navigator<"u"&&navigator.connection&&typeof navigator.connection.removeEventListener=="function"&&(navigator.connection.removeEventListener("change",t._networkHandler),t._networkHandler=null),t._visibilityHandler&&typeof document<"u"&&(document.removeEventListener("visibilitychange",t._visibilityHandler,!1),t._visibilityHandler=null),t._playHandler&&(e.off("play",t._playHandler),t._playHandler=null),t._pauseHandler&&(e.off("pause",t._pauseHandler),t._pauseHandler=null),t._stopHandler&&(e.off("stop",t._stopHandler),t._stopHandler=null),t._loaderrorHandler&&(e.off("loaderror",t._loaderrorHandler),t._loaderrorHandler=null),t._unlockHandler&&(e.off("unlock",t._unlockHandler),t._unlockHandler=null),t._offlineHandler&&typeof window<"u"&&(window.removeEventListener("offline",t._offlineHandler,!1),t._offlineHandler=null),t._onlineHandler&&typeof window<"u"&&(window.removeEventListener("online",t._onlineHandler,!1),t._onlineHandler=null),t._workletSource){try{t._workletSource.disconnect()}catch{}t._workletSource=null}if(t._workletNode){try{t._workletNode.disconnect()}catch{}if(t._workletNode.port&&typeof t._workletNode.port.close=="function")try{t._workletNode.port.close()}catch{}t._workletNode=null}if(t._rampInterval&&(clearInterval(t._rampInterval),t._rampInterval=null),typeof navigator<"u"&&navigator.mediaSession){try{navigator.mediaSession.metadata=null}catch{}try{navigator.mediaSession.playbackState="none"}catch{}}e._stream=null,a.autoSuspend=!0}for(var n=e._sounds,r=0;r<n.length;r++)n[r]._paused||e.stop(n[r]._id),e._webAudio||(e._clearSound(n[r]._node),n[r]._node.removeEventListener("error",n[r]._errorFn,!1),n[r]._node.removeEventListener(a._canPlayEvent,n[r]._loadFn,!1),n[r]._node.removeEventListener("ended",n[r]._endFn,!1),a._releaseHtml5Audio(n[r]._node)),n[r]._parent=null,delete n[r]._node,e._clearTimer(n[r]._id);var o=a._howls.indexOf(e);o>=0&&a._howls.splice(o,1);for(var i=!0,s=0;s<a._howls.length;s++)if(a._howls[s]._src===e._src||Array.isArray(e._src)&&e._src.indexOf(a._howls[s]._src)>=0){i=!1;break}return i&&v(e._src),a.noAudio=!1,e._state="unloaded",e._sounds=[],e._soundMap=new Map,null},on:function(e,t,n,r){var o=this,i=o["_on"+e];return typeof t=="function"&&i.push(r?{id:n,fn:t,once:r}:{id:n,fn:t}),o},off:function(e,t,n){var r=this,o=r["_on"+e],i=0;if(typeof t=="number"&&(n=t,t=null),t||n){for(i=0;i<o.length;i++)if(t===o[i].fn&&n===o[i].id||!t&&n===o[i].id){o.splice(i,1);break}}else if(e)r["_on"+e]=[];else{var s=Object.keys(r);for(i=0;i<s.length;i++)s[i].indexOf("_on")===0&&Array.isArray(r[s[i]])&&(r[s[i]]=[])}return r},once:function(e,t,n){var r=this;return r.on(e,t,n,1),r},_emit:function(e,t,n){for(var r=this,o=r["_on"+e],i={play:1,pause:1,stop:1,end:1,seek:1,load:1},s=typeof scheduler<"u"&&typeof scheduler.postTask=="function",d=s?function(h,g){var w=i[g]?"user-blocking":"background";scheduler.postTask(h,{priority:w})}:function(h){queueMicrotask(h)},c=o.length-1;c>=0;c--)(!o[c].id||o[c].id===t||e==="load")&&((function(h,g){d(function(){h.call(r,t,n)},g)})(o[c].fn,e),o[c].once&&r.off(e,o[c].fn,o[c].id));return r._loadQueue(e),r},_loadQueue:function(e){var t=this;if(t._queue.length===0)return t;var n=t._queue[0];return e?n.event===e&&(t._queue.shift(),t._loadQueue()):n.action(),t},_ended:function(e){var t=this,n=e._sprite;if(!t._webAudio&&e._node&&!e._node.paused&&!e._node.ended&&e._node.currentTime<e._stop)return setTimeout(t._ended.bind(t,e),100),t;var r=!!(e._loop||t._sprite[n][2]);if(t._emit("end",e._id),!t._webAudio&&r&&t.stop(e._id,!0).play(e._id),t._webAudio&&r){t._emit("play",e._id),e._seek=e._start||0,e._rateSeek=0,e._playStart=a.ctx.currentTime;var o=(e._stop-e._start)*1e3/Math.abs(e._rate);t._endTimers[e._id]=setTimeout(t._ended.bind(t,e),o)}return t._webAudio&&!r&&(e._paused=!0,e._ended=!0,e._seek=e._start||0,e._rateSeek=0,t._clearTimer(e._id),t._cleanBuffer(e._node),a._autoSuspend()),!t._webAudio&&!r&&t.stop(e._id,!0),t},_clearTimer:function(e){var t=this;if(t._endTimers[e]){if(typeof t._endTimers[e]!="function")clearTimeout(t._endTimers[e]);else{var n=t._soundById(e);n&&n._node&&n._node.removeEventListener("ended",t._endTimers[e],!1)}delete t._endTimers[e]}return t},_soundById:function(e){return this._soundMap.get(e)||null},_inactiveSound:function(){var e=this;e._drain();for(var t=0;t<e._sounds.length;t++)if(e._sounds[t]._ended)return e._sounds[t].reset();return new y(e)},_drain:function(){var e=this,t=e._pool,n=0;if(!(e._sounds.length<t)){for(var r=0;r<e._sounds.length;r++)e._sounds[r]._ended&&n++;for(var o=e._sounds.length-1;o>=0&&!(n<=t);o--)e._sounds[o]._ended&&(e._webAudio&&e._sounds[o]._node&&e._sounds[o]._node.disconnect(0),e._soundMap.delete(e._sounds[o]._id),e._sounds.splice(o,1),n--)}},_getSoundIds:function(e){return typeof e>"u"?this._sounds.map(function(t){return t._id}):[e]},_refreshBuffer:function(e){var t=this;return e._node.bufferSource=a.ctx.createBufferSource(),e._node.bufferSource.buffer=_(t._src),e._panner?e._node.bufferSource.connect(e._panner):e._node.bufferSource.connect(e._node),e._node.bufferSource.loop=e._loop,e._loop&&(e._node.bufferSource.loopStart=e._start||0,e._node.bufferSource.loopEnd=e._stop||0),e._node.bufferSource.playbackRate.setValueAtTime(e._rate,a.ctx.currentTime),t},_cleanBuffer:function(e){if(!e.bufferSource)return this;if(a._scratchBuffer&&e.bufferSource){e.bufferSource.onended=null,e.bufferSource.disconnect(0);var t=!!(a._navigator&&a._navigator.vendor&&a._navigator.vendor.indexOf("Apple")>=0);if(t)try{e.bufferSource.buffer=a._scratchBuffer}catch{}}return e.bufferSource=null,this},_clearSound:function(e){e.src="data:audio/wav;base64,UklGRigAAABXQVZFZm10IBIAAAABAAEARKwAAIhYAQACABAAAABkYXRhAgAAAAEA"}};var y=function(e){this._parent=e,this.init()};y.prototype={init:function(){var e=this,t=e._parent;return e._muted=t._muted,e._loop=t._loop,e._volume=t._volume,e._rate=t._rate,e._seek=0,e._paused=!0,e._ended=!0,e._sprite="__default",e._id=++a._counter,t._sounds.push(e),t._soundMap.set(e._id,e),e.create(),e},create:function(){var e=this,t=e._parent,n=a._muted||e._muted||t._muted?0:e._volume;return t._webAudio?(e._node=a.ctx.createGain(),e._node.gain.setValueAtTime(n,a.ctx.currentTime),e._node.paused=!0,e._node.connect(a.masterGain)):a.noAudio||(e._node=a._obtainHtml5Audio(),e._errorFn=e._errorListener.bind(e),e._node.addEventListener("error",e._errorFn,!1),e._loadFn=e._loadListener.bind(e),e._node.addEventListener(a._canPlayEvent,e._loadFn,!1),e._endFn=e._endListener.bind(e),e._node.addEventListener("ended",e._endFn,!1),e._node.src=t._src,e._node.preload=t._preload===!0?"auto":t._preload,e._node.volume=n*a.volume(),t._stream&&(e._node.crossOrigin=t._xhr.withCredentials?"use-credentials":"anonymous"),e._node.load(),t._stream&&(t._attachStreamNodeListeners(e._node),P(t,e._node))),e},reset:function(){var e=this,t=e._parent;e._muted=t._muted,e._loop=t._loop,e._volume=t._volume,e._rate=t._rate,e._seek=0,e._rateSeek=0,e._paused=!0,e._ended=!0,e._sprite="__default";var n=e._id;return e._id=++a._counter,t._soundMap.delete(n),t._soundMap.set(e._id,e),e},_errorListener:function(){var e=this;e._parent._emit("loaderror",e._id,e._node.error?e._node.error.code:0),e._node.removeEventListener("error",e._errorFn,!1)},_loadListener:function(){var e=this,t=e._parent;t._duration=Math.ceil(e._node.duration*10)/10,Object.keys(t._sprite).length===0&&(t._sprite={__default:[0,t._duration*1e3]}),t._state!=="loaded"&&(t._state="loaded",t._emit("load"),t._loadQueue()),e._node.removeEventListener(a._canPlayEvent,e._loadFn,!1)},_endListener:function(){var e=this,t=e._parent;t._duration===1/0&&(t._duration=Math.ceil(e._node.duration*10)/10,t._sprite.__default[1]===1/0&&(t._sprite.__default[1]=t._duration*1e3),t._ended(e)),e._node.removeEventListener("ended",e._endFn,!1)}};function A(e){var t=e._src,n=_(t);if(n){e._duration=n.duration,F(e);return}if(/^data:[^;]+;base64,/.test(t)){var r=t.split(",")[1],o=atob(r),i=Uint8Array.from(o,function(c){return c.charCodeAt(0)});M(i.buffer,e);return}var s={method:e._xhr.method,credentials:e._xhr.withCredentials?"include":"same-origin"};if(e._xhr.headers)try{s.headers=new Headers(e._xhr.headers)}catch(c){console.warn("Howler: Invalid XHR headers - ignoring.",c)}var d=new AbortController;s.signal=d.signal,e._fetchControllers[t]=d,fetch(t,s).then(function(c){if(c.status<200||c.status>=400)throw new Error("HTTP "+c.status);return c.arrayBuffer()}).then(function(c){delete e._fetchControllers[t],M(c,e)}).catch(function(c){delete e._fetchControllers[t],c.name!=="AbortError"&&(e._webAudio=!1,e._html5=!0,e._sounds=[],v(t),e.load())})}function M(e,t){var n=function(){t._emit("loaderror",null,"Decoding audio data failed.")},r=function(o){o&&t._sounds.length>0?(u(t._src,o),F(t,o)):n()};a.ctx.decodeAudioData(e).then(r).catch(n)}function F(e,t){t&&!e._duration&&(e._duration=t.duration),Object.keys(e._sprite).length===0&&(e._sprite={__default:[0,e._duration*1e3]}),e._state!=="loaded"&&(e._state="loaded",e._emit("load"),e._loadQueue())}function x(){if(a.usingWebAudio){try{typeof AudioContext<"u"?a.ctx=new AudioContext({latencyHint:"playback"}):a.usingWebAudio=!1}catch{a.usingWebAudio=!1}if(!a.ctx){a.usingWebAudio=!1;return}a.masterGain=a.ctx.createGain(),a.masterGain.gain.setValueAtTime(a._muted?0:a._volume,a.ctx.currentTime),a.masterGain.connect(a.ctx.destination),a._setup()}}function R(e){if(!(typeof navigator>"u"||!("mediaSession"in navigator))){var t=e._stream,n=function(r,o){try{navigator.mediaSession.setActionHandler(r,o)}catch{}};n("play",function(){e.play()}),n("pause",function(){e.pause()}),n("stop",function(){e.stop()}),n("seekto",function(r){r&&r.fastSeek||e.playing()&&e._streamSilentReconnect(!1)}),n("previoustrack",t.onPreviousTrack||null),n("nexttrack",t.onNextTrack||null)}}function L(e,t,n,r,o,i){if(e._rampInterval&&(clearInterval(e._rampInterval),e._rampInterval=null),!isFinite(n)||!isFinite(r)){t.volume=isFinite(r)?Math.max(0,Math.min(1,r)):0,i&&i();return}var s=8,d=(r-n)/s,c=o/s,h=0;e._rampInterval=setInterval(function(){h++,t.volume=Math.max(0,Math.min(1,n+d*h)),h>=s&&(clearInterval(e._rampInterval),e._rampInterval=null,t.volume=r,i&&i())},c)}function P(e,t){var n=e._stream;if(!(!n||!n.workletUrl)&&!(!a.ctx||!a.ctx.audioWorklet)){var r=String(n.workletUrl);if(!/^https:\/\//i.test(r)&&!/^blob:/i.test(r)){console.warn("Howler [stream]: workletUrl rejected \u2014 only https: and blob: schemes are allowed. Received: "+r);return}a.ctx.audioWorklet.addModule(n.workletUrl).then(function(){if(e._stream){var o=a.ctx.createMediaElementSource(t),i=new AudioWorkletNode(a.ctx,"howler-stream-processor");n.onWorkletMessage&&(i.port.onmessage=n.onWorkletMessage),o.connect(i),i.connect(a.masterGain),n._workletSource=o,n._workletNode=i}}).catch(function(o){console.warn("Howler [stream]: AudioWorklet module failed to load \u2014 falling back to direct HTML5 Audio. Error:",o)})}}typeof define=="function"&&define.amd&&define([],function(){return{Howler:a,Howl:p}}),typeof exports<"u"&&(exports.Howler=a,exports.Howl=p),typeof global<"u"?(global.HowlerGlobal=m,global.Howler=a,global.Howl=p,global.Sound=y):typeof window<"u"&&(window.HowlerGlobal=m,window.Howler=a,window.Howl=p,window.Sound=y),typeof navigator<"u"&&navigator.mediaDevices&&typeof navigator.mediaDevices.addEventListener=="function"&&navigator.mediaDevices.addEventListener("devicechange",function(){a.autoReroute&&(!a.ctx||typeof a.ctx.setSinkId!="function"||navigator.mediaDevices.enumerateDevices().then(function(e){var t=a._sinkId||"";if(t!==""){var n=e.some(function(r){return r.kind==="audiooutput"&&r.deviceId===t});n||a.setSinkId("").then(function(){console.info("Howler [autoReroute]: active output device removed; rerouted to system default.")}).catch(function(r){console.warn("Howler [autoReroute]: setSinkId('') failed:",r)})}}).catch(function(){}))})})(),(function(){"use strict";HowlerGlobal.prototype._pos=[0,0,0],HowlerGlobal.prototype._orientation=[0,0,-1,0,1,0],HowlerGlobal.prototype.stereo=function(l){var u=this;if(!u.ctx||!u.ctx.listener)return u;for(var _=u._howls.length-1;_>=0;_--)u._howls[_].stereo(l);return u},HowlerGlobal.prototype.pos=function(l,u,_){var v=this;return!v.ctx||!v.ctx.listener?v:(u=typeof u!="number"?v._pos[1]:u,_=typeof _!="number"?v._pos[2]:_,typeof l!="number"?v._pos:(v._pos=[l,u,_],typeof v.ctx.listener.positionX<"u"?(v.ctx.listener.positionX.setTargetAtTime(l,Howler.ctx.currentTime,.1),v.ctx.listener.positionY.setTargetAtTime(u,Howler.ctx.currentTime,.1),v.ctx.listener.positionZ.setTargetAtTime(_,Howler.ctx.currentTime,.1)):v.ctx.listener.setPosition(l,u,_),v))},HowlerGlobal.prototype.orientation=function(l,u,_,v,f,m){var a=this;if(!a.ctx||!a.ctx.listener)return a;var p=a._orientation;return u=typeof u!="number"?p[1]:u,_=typeof _!="number"?p[2]:_,v=typeof v!="number"?p[3]:v,f=typeof f!="number"?p[4]:f,m=typeof m!="number"?p[5]:m,typeof l!="number"?p:(a._orientation=[l,u,_,v,f,m],typeof a.ctx.listener.forwardX<"u"?(a.ctx.listener.forwardX.setTargetAtTime(l,Howler.ctx.currentTime,.1),a.ctx.listener.forwardY.setTargetAtTime(u,Howler.ctx.currentTime,.1),a.ctx.listener.forwardZ.setTargetAtTime(_,Howler.ctx.currentTime,.1),a.ctx.listener.upX.setTargetAtTime(v,Howler.ctx.currentTime,.1),a.ctx.listener.upY.setTargetAtTime(f,Howler.ctx.currentTime,.1),a.ctx.listener.upZ.setTargetAtTime(m,Howler.ctx.currentTime,.1)):a.ctx.listener.setOrientation(l,u,_,v,f,m),a)},Howl.prototype.init=(function(l){return function(u){var _=this;return _._orientation=u.orientation||[1,0,0],_._stereo=u.stereo||null,_._pos=u.pos||null,_._pannerAttr={coneInnerAngle:u.coneInnerAngle!==void 0?u.coneInnerAngle:360,coneOuterAngle:u.coneOuterAngle!==void 0?u.coneOuterAngle:360,coneOuterGain:u.coneOuterGain!==void 0?u.coneOuterGain:0,distanceModel:u.distanceModel!==void 0?u.distanceModel:"inverse",maxDistance:u.maxDistance!==void 0?u.maxDistance:1e4,panningModel:u.panningModel!==void 0?u.panningModel:"HRTF",refDistance:u.refDistance!==void 0?u.refDistance:1,rolloffFactor:u.rolloffFactor!==void 0?u.rolloffFactor:1},_._onstereo=u.onstereo?[{fn:u.onstereo}]:[],_._onpos=u.onpos?[{fn:u.onpos}]:[],_._onorientation=u.onorientation?[{fn:u.onorientation}]:[],l.call(_,u)}})(Howl.prototype.init),Howl.prototype.stereo=function(l,u){var _=this;if(!_._webAudio)return _;if(_._state!=="loaded")return _._queue.push({event:"stereo",action:function(){_.stereo(l,u)}}),_;var v=typeof Howler.ctx.createStereoPanner>"u"?"spatial":"stereo";if(typeof u>"u"){if(typeof l!="number")return _._stereo;_._stereo=l,_._pos=[l,0,0]}for(var f=_._getSoundIds(u),m=0;m<f.length;m++){var a=_._soundById(f[m]);if(a){if(typeof l!="number")return a._stereo;a._stereo=l,a._pos=[l,0,0],a._node&&(a._pannerAttr.panningModel="equalpower",(!a._panner||a._panner.pan)&&k(a,v),v==="spatial"?typeof a._panner.positionX<"u"?(a._panner.positionX.setValueAtTime(l,Howler.ctx.currentTime),a._panner.positionY.setValueAtTime(0,Howler.ctx.currentTime),a._panner.positionZ.setValueAtTime(0,Howler.ctx.currentTime)):a._panner.setPosition(l,0,0):a._panner.pan.setValueAtTime(l,Howler.ctx.currentTime)),_._emit("stereo",a._id)}}return _},Howl.prototype.pos=function(l,u,_,v){var f=this;if(!f._webAudio)return f;if(f._state!=="loaded")return f._queue.push({event:"pos",action:function(){f.pos(l,u,_,v)}}),f;if(u=typeof u!="number"?0:u,_=typeof _!="number"?-.5:_,typeof v>"u"){if(typeof l!="number")return f._pos;f._pos=[l,u,_]}for(var m=f._getSoundIds(v),a=0;a<m.length;a++){var p=f._soundById(m[a]);if(p){if(typeof l!="number")return p._pos;p._pos=[l,u,_],p._node&&((!p._panner||p._panner.pan)&&k(p,"spatial"),typeof p._panner.positionX<"u"?(p._panner.positionX.setValueAtTime(l,Howler.ctx.currentTime),p._panner.positionY.setValueAtTime(u,Howler.ctx.currentTime),p._panner.positionZ.setValueAtTime(_,Howler.ctx.currentTime)):p._panner.setPosition(l,u,_)),f._emit("pos",p._id)}}return f},Howl.prototype.orientation=function(l,u,_,v){var f=this;if(!f._webAudio)return f;if(f._state!=="loaded")return f._queue.push({event:"orientation",action:function(){f.orientation(l,u,_,v)}}),f;if(u=typeof u!="number"?f._orientation[1]:u,_=typeof _!="number"?f._orientation[2]:_,typeof v>"u"){if(typeof l!="number")return f._orientation;f._orientation=[l,u,_]}for(var m=f._getSoundIds(v),a=0;a<m.length;a++){var p=f._soundById(m[a]);if(p){if(typeof l!="number")return p._orientation;p._orientation=[l,u,_],p._node&&(p._panner||(p._pos||(p._pos=f._pos||[0,0,-.5]),k(p,"spatial")),typeof p._panner.orientationX<"u"?(p._panner.orientationX.setValueAtTime(l,Howler.ctx.currentTime),p._panner.orientationY.setValueAtTime(u,Howler.ctx.currentTime),p._panner.orientationZ.setValueAtTime(_,Howler.ctx.currentTime)):p._panner.setOrientation(l,u,_)),f._emit("orientation",p._id)}}return f},Howl.prototype.pannerAttr=function(){var l=this,u=arguments,_,v,f;if(!l._webAudio)return l;if(u.length===0)return l._pannerAttr;if(u.length===1)if(typeof u[0]=="object"){_=u[0],_.pannerAttr||(_.pannerAttr={coneInnerAngle:_.coneInnerAngle,coneOuterAngle:_.coneOuterAngle,coneOuterGain:_.coneOuterGain,distanceModel:_.distanceModel,maxDistance:_.maxDistance,refDistance:_.refDistance,rolloffFactor:_.rolloffFactor,panningModel:_.panningModel});var m=_.pannerAttr;l._pannerAttr={coneInnerAngle:m.coneInnerAngle!==void 0?m.coneInnerAngle:l._pannerAttr.coneInnerAngle,coneOuterAngle:m.coneOuterAngle!==void 0?m.coneOuterAngle:l._pannerAttr.coneOuterAngle,coneOuterGain:m.coneOuterGain!==void 0?m.coneOuterGain:l._pannerAttr.coneOuterGain,distanceModel:m.distanceModel!==void 0?m.distanceModel:l._pannerAttr.distanceModel,maxDistance:m.maxDistance!==void 0?m.maxDistance:l._pannerAttr.maxDistance,refDistance:m.refDistance!==void 0?m.refDistance:l._pannerAttr.refDistance,rolloffFactor:m.rolloffFactor!==void 0?m.rolloffFactor:l._pannerAttr.rolloffFactor,panningModel:m.panningModel!==void 0?m.panningModel:l._pannerAttr.panningModel}}else return f=l._soundById(parseInt(u[0],10)),f?f._pannerAttr:l._pannerAttr;else u.length===2&&(_=u[0],v=parseInt(u[1],10));for(var a=l._getSoundIds(v),p=0;p<a.length;p++)if(f=l._soundById(a[p]),!!f){var y=f._pannerAttr;y={coneInnerAngle:_.coneInnerAngle!==void 0?_.coneInnerAngle:y.coneInnerAngle,coneOuterAngle:_.coneOuterAngle!==void 0?_.coneOuterAngle:y.coneOuterAngle,coneOuterGain:_.coneOuterGain!==void 0?_.coneOuterGain:y.coneOuterGain,distanceModel:_.distanceModel!==void 0?_.distanceModel:y.distanceModel,maxDistance:_.maxDistance!==void 0?_.maxDistance:y.maxDistance,refDistance:_.refDistance!==void 0?_.refDistance:y.refDistance,rolloffFactor:_.rolloffFactor!==void 0?_.rolloffFactor:y.rolloffFactor,panningModel:_.panningModel!==void 0?_.panningModel:y.panningModel};var A=f._panner;A||(f._pos||(f._pos=l._pos||[0,0,-.5]),k(f,"spatial"),A=f._panner),A.coneInnerAngle=y.coneInnerAngle,A.coneOuterAngle=y.coneOuterAngle,A.coneOuterGain=y.coneOuterGain,A.distanceModel=y.distanceModel,A.maxDistance=y.maxDistance,A.refDistance=y.refDistance,A.rolloffFactor=y.rolloffFactor,A.panningModel=y.panningModel}return l},Sound.prototype.init=(function(l){return function(){var u=this,_=u._parent;u._orientation=_._orientation,u._stereo=_._stereo,u._pos=_._pos,u._pannerAttr=_._pannerAttr,l.call(u),u._stereo?_.stereo(u._stereo):u._pos&&_.pos(u._pos[0],u._pos[1],u._pos[2],u._id)}})(Sound.prototype.init),Sound.prototype.reset=(function(l){return function(){var u=this,_=u._parent;return u._orientation=_._orientation,u._stereo=_._stereo,u._pos=_._pos,u._pannerAttr=_._pannerAttr,u._stereo?_.stereo(u._stereo):u._pos?_.pos(u._pos[0],u._pos[1],u._pos[2],u._id):u._panner&&(u._panner.disconnect(0),u._panner=void 0,_._refreshBuffer(u)),l.call(u)}})(Sound.prototype.reset);function k(l,u){u=u||"spatial",u==="spatial"?(l._panner=Howler.ctx.createPanner(),l._panner.coneInnerAngle=l._pannerAttr.coneInnerAngle,l._panner.coneOuterAngle=l._pannerAttr.coneOuterAngle,l._panner.coneOuterGain=l._pannerAttr.coneOuterGain,l._panner.distanceModel=l._pannerAttr.distanceModel,l._panner.maxDistance=l._pannerAttr.maxDistance,l._panner.refDistance=l._pannerAttr.refDistance,l._panner.rolloffFactor=l._pannerAttr.rolloffFactor,l._panner.panningModel=l._pannerAttr.panningModel,typeof l._panner.positionX<"u"?(l._panner.positionX.setValueAtTime(l._pos[0],Howler.ctx.currentTime),l._panner.positionY.setValueAtTime(l._pos[1],Howler.ctx.currentTime),l._panner.positionZ.setValueAtTime(l._pos[2],Howler.ctx.currentTime)):l._panner.setPosition(l._pos[0],l._pos[1],l._pos[2]),typeof l._panner.orientationX<"u"?(l._panner.orientationX.setValueAtTime(l._orientation[0],Howler.ctx.currentTime),l._panner.orientationY.setValueAtTime(l._orientation[1],Howler.ctx.currentTime),l._panner.orientationZ.setValueAtTime(l._orientation[2],Howler.ctx.currentTime)):l._panner.setOrientation(l._orientation[0],l._orientation[1],l._orientation[2])):(l._panner=Howler.ctx.createStereoPanner(),l._panner.pan.setValueAtTime(l._stereo,Howler.ctx.currentTime)),l._panner.connect(l._node),l._paused||l._parent.pause(l._id,!0).play(l._id,!0)}})();
+ */(function(){"use strict";var ie=100,Ce=256*1024*1024,M=new Map,B=new Set,E={maxEntries:ie,maxBytes:Ce,bytes:0,hits:0,misses:0,evictions:0,onevict:[]};function z(e){return e&&e.length?e.length*e.numberOfChannels*4:0}function Te(e,t){M.has(e)&&(E.bytes-=z(M.get(e)),M.delete(e)),M.set(e,t),E.bytes+=z(t),J(e)}function D(e,t){if(!M.has(e)){t&&E.misses++;return}var r=M.get(e);return M.delete(e),M.set(e,r),t&&E.hits++,r}function $(e,t){if(M.has(e)){t=t||"manual";var r=z(M.get(e));M.delete(e),E.bytes-=r,(t==="lru"||t==="manual")&&E.evictions++,E.onevict.forEach(function(n){queueMicrotask(function(){n(e,r,t)})})}}function J(e){for(var t=Array.from(M.keys()),r=0;r<t.length;r++){if(M.size<=E.maxEntries&&E.bytes<=E.maxBytes)return;t[r]!==e&&W(t[r])&&$(t[r],"lru")}}function W(e){if(B.has(e))return!1;for(var t=typeof f<"u"&&f._howls||[],r=0;r<t.length;r++)if(t[r]._src===e&&t[r]._webAudio&&t[r]._state==="loaded")return!1;return!0}var I={maxBytes:function(e){return typeof e>"u"?E.maxBytes:(e=parseFloat(e),isNaN(e)||e<0||(E.maxBytes=e,J(null)),I)},maxEntries:function(e){return typeof e>"u"?E.maxEntries:(e=parseInt(e,10),isNaN(e)||e<0||(E.maxEntries=e,J(null)),I)},pin:function(e){return B.add(e),I},unpin:function(e){return B.delete(e),J(null),I},evict:function(e){var t=typeof e>"u"?Array.from(M.keys()):[e],r=0;return t.forEach(function(n){M.has(n)&&W(n)&&($(n,"manual"),r++)}),r},has:function(e){return M.has(e)},stats:function(){var e=[];return M.forEach(function(t,r){e.push({src:r,bytes:z(t),duration:t.duration,pinned:B.has(r),inUse:!B.has(r)&&!W(r)})}),{count:M.size,bytes:E.bytes,maxBytes:E.maxBytes,maxEntries:E.maxEntries,hits:E.hits,misses:E.misses,evictions:E.evictions,entries:e}},on:function(e,t){return e==="evict"&&typeof t=="function"&&E.onevict.push(t),I},off:function(e,t){return e!=="evict"||(E.onevict=t?E.onevict.filter(function(r){return r!==t}):[]),I}},Q={"":0,maybe:1,probably:2};function L(e){for(var t="",r=1;r<arguments.length;r++)t=oe(t,e.canPlayType(arguments[r]).replace(/^no$/,""));return t}function oe(e,t){return(Q[t]||0)>(Q[e]||0)?t:e}function De(e,t){var r=t.mime?L.apply(null,[e].concat(t.mime)):"";if(typeof t.test=="function"){var n=t.test();r=oe(r,n===!0?"probably":typeof n=="string"?n:"")}return r}var q=function(){this.init()};q.prototype={init:function(){var e=this||f;return e._counter=1e3,e._html5AudioPool=[],e.html5PoolSize=10,e._codecs={},e._decoders={},e._codecDefs={},e._howls=[],e._buses={},e._duckRules=[],e._effects=[],e._effectChain=null,e._width=1,e._widthStage=null,e._analyser=null,e._rendering=null,e.cache=I,e.persistentCache=null,e._assets={},e.maxVoices=1/0,e._voiceSeq=0,e._muted=!1,e._volume=1,e._canPlayEvent="canplaythrough",e._navigator=typeof window<"u"&&window.navigator?window.navigator:null,e.masterGain=null,e.noAudio=!1,e.usingWebAudio=!0,e.autoSuspend=!0,e.autoSuspendDelay=3e4,e.ctx=null,e.autoUnlock=!0,e.autoReroute=!1,e._setup(),e},volume:function(e){var t=this||f;if(e=parseFloat(e),t.ctx||P(),typeof e<"u"&&e>=0&&e<=1){if(t._volume=e,t._muted)return t;t.usingWebAudio&&t.masterGain.gain.setValueAtTime(e,f.ctx.currentTime);for(var r=0;r<t._howls.length;r++)if(!t._howls[r]._webAudio)for(var n=t._howls[r]._getSoundIds(),a=0;a<n.length;a++){var i=t._howls[r]._soundById(n[a]);i&&i._node&&(i._node.volume=i._volume*e*ee(t._howls[r]))}return t}return t._volume},mute:function(e){var t=this||f;t.ctx||P(),t._muted=e,t.usingWebAudio&&t.masterGain.gain.setValueAtTime(e?0:t._volume,f.ctx.currentTime);for(var r=0;r<t._howls.length;r++)if(!t._howls[r]._webAudio)for(var n=t._howls[r]._getSoundIds(),a=0;a<n.length;a++){var i=t._howls[r]._soundById(n[a]);i&&i._node&&(i._node.muted=!!e||i._muted)}return t},stop:function(){for(var e=this||f,t=0;t<e._howls.length;t++)e._howls[t].stop();return e},unload:function(){for(var e=this||f,t=e._howls.length-1;t>=0;t--)e._howls[t].unload();return e._analyser&&e._analyser.destroy(),e.usingWebAudio&&e.ctx&&typeof e.ctx.close<"u"&&(e.ctx.close(),e.ctx=null,P()),e},codecs:function(e){var t=this||f;e=e.replace(/^x-/,"");var r=t._codecs[e]===!0?"probably":t._codecs[e]||"",n=t._decoders[e];return r!=="probably"&&n&&t.usingWebAudio&&(typeof n.test!="function"||n.test())?"probably":r},registerCodec:function(e,t){var r=this||f;return t=t||{},[].concat(e).forEach(function(n){n=String(n).toLowerCase().replace(/^\.|^x-/g,""),r._codecDefs[n]=t,t.decoder&&r.registerDecoder(n,t.decoder)}),r.noAudio||r._setupCodecs(),r},registerDecoder:function(e,t){var r=this||f;return t&&typeof t.decode!="function"?(console.warn("Howler: registerDecoder() needs an object with a decode() method - ignoring."),r):([].concat(e).forEach(function(n){n=String(n).toLowerCase().replace(/^\.|^x-/g,""),t?r._decoders[n]=t:delete r._decoders[n]}),r)},createBus:function(e,t){var r=this||f;return r.ctx||P(),r._buses[e]?(console.warn('Howler: bus "'+e+'" already exists.'),r._buses[e]):(r._buses[e]=new y(e,t),r._buses[e])},bus:function(e){return(this||f)._buses[e]||null},duck:function(e){var t=this||f;e=e||{},t.ctx||P();var r=e.trigger instanceof O?e.trigger:T(e.trigger),n=e.target instanceof O?e.target:T(e.target);if(!r||!n)return console.warn("Howler: duck() needs a trigger and a target (Howl, Bus or bus name)."),null;var a={trigger:r,target:n,amount:e.amount!==void 0?Math.min(Math.max(0,parseFloat(e.amount)),1):.3,attack:e.attack!==void 0?parseFloat(e.attack):100,release:e.release!==void 0?parseFloat(e.release):600,_active:new Set};t._duckRules.push(a);for(var i=0;i<t._howls.length;i++){var u=t._howls[i];if(de(r,u))for(var l=0;l<u._sounds.length;l++)u._sounds[l]._paused||a._active.add(u._sounds[l]._id)}return a._active.size&&Se(n,a.attack),a},unduck:function(e){var t=this||f,r=t._duckRules.indexOf(e);return r<0||(t._duckRules.splice(r,1),e._active.size&&(e._active.clear(),Se(e.target,e.release))),t},effects:function(e){var t=this||f;return typeof e>"u"?t._effects.slice():(t._effects=Ne(e),t.ctx||P(),t.ctx&&qe(),t)},width:function(e){var t=this||f;return typeof e!="number"?t._width:(t._width=Math.max(0,e),t.ctx||P(),t.ctx&&(t._widthStage&&t._widthStage.input.context===t.ctx?Me(t._widthStage,t._width):qe()),t)},analyser:function(e){var t=this||f;return t.ctx||P(),t.ctx?(t._analyser||(t._analyser=new Qe(e,t),t._analyser._tap(Ye())),t._analyser):null},preload:function(e,t){return dr(e,t)},get:function(e){var t=(this||f)._assets[e];return t?t.howl:null},renderOffline:function(e,t){var r=this||f;e=e||{};var n=parseFloat(e.duration);if(!(n>0))return Promise.reject(K("renderOffline","options.duration must be > 0 seconds"));if(r._rendering)return Promise.reject(K("renderOffline","called from inside scheduleFn"));if(r.ctx||P(),!r.usingWebAudio||typeof OfflineAudioContext>"u")return Promise.reject(K("renderOffline","OfflineAudioContext is not available"));var a=e.sampleRate||(r.ctx?r.ctx.sampleRate:44100),i=new OfflineAudioContext(e.channels||2,Math.ceil(n*a),a),u=sr(i);try{typeof t=="function"&&t(i)}catch(l){return Tt(u),Promise.reject(l)}return Tt(u),i.startRendering().then(function(l){return{buffer:l,toWav:function(c){return cr(l,c)}}})},rampEffect:function(e,t,r,n){var a=this||f,i=st(a._effects,e);return i<0?(console.warn('Howler: no effect "'+e+'" in the chain.'),a):(a._effects[i][t]=r,a._effectChain&&!Ve(a._effectChain[i],t,r,parseFloat(n)||0)&&console.warn('Howler: effect "'+e+'" has no parameter "'+t+'".'),a)},_setup:function(){var e=this||f;if(e.state=e.ctx&&e.ctx.state||"suspended",e._autoSuspend(),!e.usingWebAudio)if(typeof Audio<"u")try{var t=new Audio;typeof t.oncanplaythrough>"u"&&(e._canPlayEvent="canplay")}catch{e.noAudio=!0}else e.noAudio=!0;try{var t=new Audio;t.muted&&(e.noAudio=!0)}catch{}return e.noAudio||e._setupCodecs(),e},_setupCodecs:function(){var e=this||f,t=null;try{t=typeof Audio<"u"?new Audio:null}catch{return e}return!t||typeof t.canPlayType!="function"||(e._codecs={mp3:L(t,"audio/mpeg;","audio/mp3;"),mpeg:L(t,"audio/mpeg;"),opus:L(t,'audio/ogg; codecs="opus"'),ogg:L(t,'audio/ogg; codecs="vorbis"'),oga:L(t,'audio/ogg; codecs="vorbis"'),wav:L(t,'audio/wav; codecs="1"',"audio/wav"),aac:L(t,"audio/aac;"),caf:L(t,"audio/x-caf;"),m4a:L(t,"audio/x-m4a;","audio/m4a;","audio/aac;"),m4b:L(t,"audio/x-m4b;","audio/m4b;","audio/aac;"),mp4:L(t,"audio/x-mp4;","audio/mp4;","audio/aac;"),weba:L(t,'audio/webm; codecs="vorbis"'),webm:L(t,'audio/webm; codecs="vorbis"'),dolby:L(t,'audio/mp4; codecs="ec-3"'),flac:L(t,"audio/x-flac;","audio/flac;"),m3u8:L(t,"application/vnd.apple.mpegurl","audio/mpegurl")},Object.keys(e._codecDefs).forEach(function(r){e._codecs[r]=oe(e._codecs[r]||"",De(t,e._codecDefs[r]))})),e},_unlockAudio:function(){var e=this||f;if(!(e._audioUnlocked||!e.ctx)){e._audioUnlocked=!1,e.autoUnlock=!1;var t=e._howls.length>0&&e._howls.every(function(n){return n._html5});!e._mobileUnloaded&&!t&&e.ctx.sampleRate!==44100&&(e._mobileUnloaded=!0,e.unload()),e._scratchBuffer=e.ctx.createBuffer(1,1,22050);var r=function(){var n=e._howls.some(function(b){return!b._stream});if(n)for(;e._html5AudioPool.length<e.html5PoolSize;)try{var a=new Audio;a._unlocked=!0,e._releaseHtml5Audio(a)}catch{e.noAudio=!0;break}for(var i=0;i<e._howls.length;i++)if(!e._howls[i]._webAudio)for(var u=e._howls[i]._getSoundIds(),l=0;l<u.length;l++){var c=e._howls[i]._soundById(u[l]);c&&c._node&&!c._node._unlocked&&(c._node._unlocked=!0,c._node.load())}e._autoResume();var d=e.ctx.createBufferSource();d.buffer=e._scratchBuffer,d.connect(e.ctx.destination),d.start(0),typeof e.ctx.resume=="function"&&e.ctx.resume(),d.onended=function(){d.disconnect(0),e._audioUnlocked=!0,document.removeEventListener("pointerdown",r,!0),document.removeEventListener("click",r,!0),document.removeEventListener("keydown",r,!0);for(var b=0;b<e._howls.length;b++)e._howls[b]._emit("unlock")}};return document.addEventListener("pointerdown",r,!0),document.addEventListener("click",r,!0),document.addEventListener("keydown",r,!0),e}},_obtainHtml5Audio:function(){var e=this||f;if(e._html5AudioPool.length)return e._html5AudioPool.pop();var t=new Audio,r=t.play();return r instanceof Promise&&r.catch(function(){console.warn("HTML5 Audio pool exhausted, returning potentially locked audio object.")}),t},_releaseHtml5Audio:function(e){var t=this||f;return e._unlocked&&t._html5AudioPool.push(e),t},_autoSuspend:function(){var e=this;if(!e.autoSuspend||!e.ctx||e._rendering||typeof e.ctx.suspend>"u"||!f.usingWebAudio)return e;for(var t=0;t<e._howls.length;t++)for(var r=e._howls[t],n=0;n<r._sounds.length;n++){var a=r._sounds[n];if(!a._paused&&(r._webAudio||bt(a)))return e}return e._suspendTimer&&clearTimeout(e._suspendTimer),e._suspendTimer=setTimeout(function(){if(e.autoSuspend){e._suspendTimer=null,e.state="suspending";var i=function(){e.state="suspended",e._resumeAfterSuspend&&(delete e._resumeAfterSuspend,e._autoResume())};e.ctx.suspend().then(i,i)}},e.autoSuspendDelay),e},_autoResume:function(){var e=this;return!e.ctx||typeof e.ctx.resume>"u"||!f.usingWebAudio||e.ctx.state==="closed"||e._rendering||(e.state==="running"&&e.ctx.state!=="interrupted"&&e._suspendTimer?(clearTimeout(e._suspendTimer),e._suspendTimer=null):e.state==="suspended"||e.state==="running"&&e.ctx.state==="interrupted"?(e.ctx.resume().then(function(){e.state="running";for(var t=0;t<e._howls.length;t++)e._howls[t]._emit("resume")}),e._suspendTimer&&(clearTimeout(e._suspendTimer),e._suspendTimer=null)):e.state==="suspending"&&(e._resumeAfterSuspend=!0)),e},setSinkId:function(e){var t=this;return!t.ctx||typeof t.ctx.setSinkId!="function"?Promise.resolve():t.ctx.setSinkId(e).then(function(){t._sinkId=e})}};var f=new q,O=function(e){if((!e.src||e.src.length===0)&&!e.spriteSrc){console.error("An array of source files must be passed with any new Howl.");return}this.init(e)};O.prototype={init:function(e){var t=this;if(f.ctx||P(),t._autoplay=e.autoplay||!1,t._format=typeof e.format!="string"?e.format:[e.format],t._html5=e.html5||!1,t._muted=e.mute||!1,t._loop=e.loop||!1,t._pool=e.pool||5,t._preload=typeof e.preload!="boolean"&&e.preload!=="metadata"?!0:e.preload,t._rate=e.rate||1,t._sprite=e.sprite||{},t._sections={},se(t),t._src=typeof e.src!="string"?e.src||[]:[e.src],t._srcList=t._src.slice(),t._volume=e.volume!==void 0?e.volume:1,t._width=typeof e.width=="number"?Math.max(0,e.width):1,t._bus=T(e.bus),t._duckLevel=1,t._duckNode=null,t._xhr={method:e.xhr&&e.xhr.method?e.xhr.method:"GET",headers:e.xhr&&e.xhr.headers?e.xhr.headers:null,withCredentials:e.xhr&&e.xhr.withCredentials?e.xhr.withCredentials:!1},t._stream=null,e.stream!==void 0&&e.stream!==null&&e.stream!==!1){var r=typeof e.stream=="object"?e.stream:{};t._stream={staleTimeout:r.staleTimeout||4e3,maxRetryDelay:r.maxRetryDelay||3e4,maxRetries:r.maxRetries!==void 0?r.maxRetries:1/0,flushInterval:r.flushInterval||72e5,sourceFailThreshold:r.sourceFailThreshold!==void 0?r.sourceFailThreshold:3,onStall:typeof r.onStall=="function"?r.onStall:null,onRecover:typeof r.onRecover=="function"?r.onRecover:null,onPreviousTrack:typeof r.onPreviousTrack=="function"?r.onPreviousTrack:null,onNextTrack:typeof r.onNextTrack=="function"?r.onNextTrack:null,workletUrl:r.workletUrl||null,onWorkletMessage:typeof r.onWorkletMessage=="function"?r.onWorkletMessage:null,icyMetadata:!!r.icyMetadata,_retryDelay:1e3,_retryCount:0,_srcIndex:0,_srcFailCount:0,_staleTimer:null,_healthTimer:null,_reconnecting:!1,_flushTimer:null,_networkHandler:null,_visibilityHandler:null,_playHandler:null,_pauseHandler:null,_stopHandler:null,_loaderrorHandler:null,_unlockHandler:null,_onlineHandler:null,_offlineHandler:null,_lastEffectiveType:null,_lastRtt:null,_lastDownlink:null,_offline:!1,_rampInterval:null,_icyUnavailable:!1},t._html5=!0,t._webAudio=!1,e.autoplay&&console.warn("Howler [stream]: autoplay:true on a stream Howl may be blocked by the browser Autoplay Policy. Call howl.play() from a user gesture (click, touchend, keydown) instead. See: https://developer.chrome.com/blog/autoplay/")}return t._duration=0,t._state="unloaded",t._sounds=[],t._soundMap=new Map,t._endTimers={},t._queue=[],t._playLock=!1,t._fetchControllers={},t._mseType=null,t._mse=null,t._effects=Ne(e.effects),t._analyser=null,t._fetchProgress=null,t._progressive=!!e.progressive,t._prog=null,t._ext=null,t._sniffed={},t._spriteSrc=e.spriteSrc||null,t._spriteFetch=null,t._spriteReady=!1,t._detected=[],t._maxVoices=typeof e.maxVoices=="number"?e.maxVoices:1/0,t._spriteVoices=e.spriteVoices||{},t._steal=e.steal||"oldest",t._onend=e.onend?[{fn:e.onend}]:[],t._onfade=e.onfade?[{fn:e.onfade}]:[],t._onload=e.onload?[{fn:e.onload}]:[],t._onloaderror=e.onloaderror?[{fn:e.onloaderror}]:[],t._onplayerror=e.onplayerror?[{fn:e.onplayerror}]:[],t._onpause=e.onpause?[{fn:e.onpause}]:[],t._onplay=e.onplay?[{fn:e.onplay}]:[],t._onstop=e.onstop?[{fn:e.onstop}]:[],t._onmute=e.onmute?[{fn:e.onmute}]:[],t._onvolume=e.onvolume?[{fn:e.onvolume}]:[],t._onrate=e.onrate?[{fn:e.onrate}]:[],t._onseek=e.onseek?[{fn:e.onseek}]:[],t._onunlock=e.onunlock?[{fn:e.onunlock}]:[],t._onmetadata=e.onmetadata?[{fn:e.onmetadata}]:[],t._onprogress=e.onprogress?[{fn:e.onprogress}]:[],t._onsteal=e.onsteal?[{fn:e.onsteal}]:[],t._onwidth=e.onwidth?[{fn:e.onwidth}]:[],t._onresume=[],t._webAudio=f.usingWebAudio&&!t._html5,typeof f.ctx<"u"&&f.ctx&&f.autoUnlock&&f._unlockAudio(),f._howls.push(t),t._autoplay&&t._queue.push({event:"play",action:function(){t.play()}}),t._preload&&t._preload!=="none"&&t.load(),t._stream&&t._initStreamMode(),t},mediaSession:function(e){if(typeof navigator>"u"||!("mediaSession"in navigator)||!navigator.mediaSession)return this;e=e||{};var t=function(a,i){return typeof a=="string"?a.slice(0,i||500):""},r=/^https?:\/\//i,n=[];Array.isArray(e.artwork)&&(n=e.artwork.map(function(a){var i=t(a.src,2e3);return r.test(i)?{src:i,sizes:t(a.sizes,20),type:t(a.type,50)}:null}).filter(Boolean));try{navigator.mediaSession.metadata=new MediaMetadata({title:t(e.title)||"Live Radio",artist:t(e.artist)||"",album:t(e.album)||"",artwork:n})}catch{}return this},_initStreamMode:function(){var e=this,t=e._stream;nn(e),typeof document<"u"&&!t._visibilityHandler&&(t._visibilityHandler=function(){if(document.visibilityState==="visible"){f.ctx&&f.ctx.state!=="closed"&&f.ctx.state!=="running"&&f._autoResume();var r=e._sounds[0];r&&r._node&&r._node.paused&&!r._paused&&r._node.play().catch(function(){})}},document.addEventListener("visibilitychange",t._visibilityHandler,!1)),typeof navigator<"u"&&navigator.connection&&typeof navigator.connection.addEventListener=="function"&&!t._networkHandler&&(t._networkHandler=function(){var r=navigator.connection,n=t._lastEffectiveType,a=t._lastRtt;if(t._lastEffectiveType=r.effectiveType||null,t._lastRtt=r.rtt||null,t._lastDownlink=r.downlink||null,e._mseType==="hls"&&e._mse){e._mse.selectVariant();return}var i=n&&n!==t._lastEffectiveType,u=a&&t._lastRtt&&t._lastRtt-a>500;(i||u)&&e.playing()&&e._streamSilentReconnect(!1)},navigator.connection&&(t._lastEffectiveType=navigator.connection.effectiveType||null,t._lastRtt=navigator.connection.rtt||null,t._lastDownlink=navigator.connection.downlink||null),navigator.connection.addEventListener("change",t._networkHandler)),e._scheduleFlushReconnect(),t._playHandler=function(){f.autoSuspend=!1,f.ctx&&f.ctx.state==="suspended"&&f.ctx.resume(),typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="playing");try{navigator.mediaSession&&navigator.mediaSession.setPositionState({duration:1/0,playbackRate:1,position:0})}catch{}e._cancelFlushTimer(),e._scheduleFlushReconnect()},e.on("play",t._playHandler),t._pauseHandler=function(){f.autoSuspend=!0,f.autoSuspendDelay=6e4,typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="paused"),e._cancelStaleTimer(),e._cancelFlushTimer(),e._scheduleFlushReconnect()},e.on("pause",t._pauseHandler),t._stopHandler=function(){f.autoSuspend=!0,typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="none"),e._cancelStaleTimer(),e._cancelFlushTimer()},e.on("stop",t._stopHandler),t._loaderrorHandler=function(r,n){typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="none"),e._stream&&t._retryCount<=t.maxRetries&&e._streamReconnect()},e.on("loaderror",t._loaderrorHandler),t._unlockHandler=function(){e._stream&&!e.playing()&&e._state==="loaded"&&e.play()},e.once("unlock",t._unlockHandler),typeof window<"u"&&(t._offlineHandler=function(){t._offline=!0,e._cancelStaleTimer(),clearTimeout(t._healthTimer)},t._onlineHandler=function(){t._offline&&(t._offline=!1,e.playing()&&e._streamSilentReconnect(!1))},window.addEventListener("offline",t._offlineHandler,!1),window.addEventListener("online",t._onlineHandler,!1))},_attachStreamNodeListeners:function(e){var t=this,r=t._stream;e.addEventListener("stalled",function(){t._scheduleStaleTimer(),r.onStall&&r.onStall()},!1),e.addEventListener("waiting",function(){t._scheduleStaleTimer()},!1),e.addEventListener("playing",function(){t._cancelStaleTimer(),r._reconnecting=!1,typeof navigator<"u"&&navigator.mediaSession&&(navigator.mediaSession.playbackState="playing"),clearTimeout(r._healthTimer),r._healthTimer=setTimeout(function(){r._retryDelay=1e3,r._retryCount=0,r._srcFailCount=0,r.onRecover&&r.onRecover()},r.staleTimeout*2)},!1),"preservesPitch"in e&&(e.preservesPitch=!1)},_scheduleStaleTimer:function(){var e=this,t=e._stream;t._staleTimer||t._offline||(t._staleTimer=setTimeout(function(){t._staleTimer=null,t._reconnecting||e._streamReconnect()},t.staleTimeout))},_cancelStaleTimer:function(){var e=this._stream;e&&e._staleTimer&&(clearTimeout(e._staleTimer),e._staleTimer=null)},_scheduleFlushReconnect:function(){var e=this,t=e._stream;!t||!t.flushInterval||(e._cancelFlushTimer(),t._flushTimer=setTimeout(function(){t._flushTimer=null,e._stream&&(e.playing()&&e._streamSilentReconnect(!0),e._scheduleFlushReconnect())},t.flushInterval))},_cancelFlushTimer:function(){var e=this._stream;e&&e._flushTimer&&(clearTimeout(e._flushTimer),e._flushTimer=null)},_streamSilentReconnect:function(e){var t=this,r=t._sounds[0];if(!(!r||!r._node)){var n=r._node,a=t._stream,i=typeof t._src=="string"?t._src:t._src[0],u=i+(i.indexOf("?")>=0?"&":"?")+"_t="+Date.now(),l=n.volume;et(a,n,l,0,40,function(){t._mse?t._mse.attach(n):(n.src=u,n.load());var c=n.play();c instanceof Promise?c.then(function(){et(a,n,0,l,40,null)}).catch(function(){n.volume=l,t._stream&&(t._emit("playerror",null,"Stream silent reconnect was blocked by autoplay policy. Call play() from a user gesture."),setTimeout(function(){t._stream&&t._streamReconnect()},500))}):n.volume=l})}},_streamReconnect:function(){var e=this,t=e._stream;if(!t._reconnecting){if(t._retryCount++,t._retryCount>t.maxRetries){e._emit("loaderror",null,"Stream: maximum reconnect attempts ("+t.maxRetries+") reached.");return}t._srcFailCount++,t._srcFailCount>=t.sourceFailThreshold&&e._srcList&&e._srcList.length>1&&(t._srcIndex=(t._srcIndex+1)%e._srcList.length,t._srcFailCount=0,t._icyUnavailable=!1,t._retryCount=0,t._retryDelay=1e3,e._src=e._srcList[t._srcIndex],console.warn("Howler [stream]: rotating to source "+e._src)),t._reconnecting=!0,e._cancelStaleTimer(),clearTimeout(t._healthTimer);var r=t._retryDelay+Math.random()*1e3;t._retryDelay=Math.min(t._retryDelay*2,t.maxRetryDelay),setTimeout(function(){if(e._stream){for(var n=Object.keys(e._endTimers),a=0;a<n.length;a++)e._clearTimer(parseInt(n[a],10));e._queue=[],e._state="unloaded",e.load(),e.play()}},r)}},load:function(){var e=this,t=null;if(f.noAudio){e._emit("loaderror",null,"No audio support.");return}if(typeof e._src=="string"&&(e._src=[e._src]),e._spriteSrc&&!e._spriteFetch&&(e._spriteFetch=xr(e)),!e._src.length&&e._spriteFetch)return e._state="loading",e._spriteFetch.then(function(d){if(!(!d||e._state==="unloaded")){if(!e._src.length){e._emit("loaderror",null,"The sprite manifest lists no audio sources.");return}e.load()}}),e;var r=!1,n=null,a=[];e._ext=null;for(var i=0;i<e._src.length;i++){var u,l;if(e._format&&e._format[i])u=e._format[i];else{if(typeof e._src[i]!="string"){e._emit("loaderror",null,"Non-string found in selected audio sources - ignoring.");continue}l=e._src[i],u=/^data:audio\/([^;,]+);/i.exec(l),u||(u=/\.([^./]+)$/.exec(l.split("?",1)[0])),u?u=u[1].toLowerCase():e._sniffed[l]&&(u=e._sniffed[l])}if(!u&&l&&e._sniffed[l]===void 0&&typeof fetch=="function"){a.push(l);continue}u||console.warn('No file extension was found. Consider using the "format" property or specify an extension.');var c=u?f.codecs(u):"";if(c==="probably"){t=e._src[i],e._ext=u;break}if(c){n=n||{src:e._src[i],ext:u};continue}if(!n&&u==="m3u8"&&e._stream&&re.isSupported()){t=e._src[i],r=!0;break}}if(!t&&a.length)return hr(e,a),e;if(!t&&n&&(t=n.src,e._ext=n.ext),!t){e._emit("loaderror",null,"No codec support for selected audio sources.");return}return e._src=t,e._state="loading",e._mseType=r?"hls":e._stream&&e._stream.icyMetadata&&!e._stream._icyUnavailable&&be.isSupported()?"icy":null,e._mse&&e._mse.type!==e._mseType&&(e._mse.detach(),e._mse=null),window.location.protocol==="https:"&&t.slice(0,5)==="http:"&&(e._html5=!0,e._webAudio=!1),e._stream&&e._webAudio&&(console.warn("Howler [stream]: forcing html5:true \u2014 the WebAudio fetch path is incompatible with infinite HTTP streams and would deadlock the tab."),e._html5=!0,e._webAudio=!1),!e._webAudio&&!e._stream&&f.usingWebAudio&&e._ext&&!f._codecs[e._ext]&&f._decoders[e._ext]&&(console.warn('Howler: "'+e._ext+'" needs its registered decoder - using WebAudio instead of html5.'),e._html5=!1,e._webAudio=!0),e._sounds.forEach(function(d){!d._node||!d._node._awaitingSrc||(d._node._awaitingSrc=!1,e._mseType?(e._mse||(e._mse=e._mseType==="hls"?new re(e):new be(e)),e._mse.attach(d._node)):(d._node.src=t,d._node.load()))}),new Y(e),e._webAudio&&pr(e),e},play:function(e,t){var r=this,n=null,a=null;t&&typeof t=="object"&&(a=t,t=!1);var i=a&&typeof a.when=="number"?a.when:0;if(f._rendering&&(!r._webAudio||r._state!=="loaded"||Dt(r)))return console.warn("Howler: renderOffline() can only play loaded WebAudio Howls - skipping."),null;if(typeof e=="number")n=e,e=null;else{if(typeof e=="string"&&r._state==="loaded"&&!r._sprite[e])return null;if(typeof e>"u"&&(e="__default",!r._playLock)){for(var u=0,l=0;l<r._sounds.length;l++)r._sounds[l]._paused&&!r._sounds[l]._ended&&(u++,n=r._sounds[l]._id);u===1?e=null:n=null}}var c=n?r._soundById(n):r._inactiveSound();if(!c)return null;if(n&&!e&&(e=c._sprite||"__default"),r._state!=="loaded"){c._sprite=e,c._ended=!1;var d=c._id;return r._queue.push({event:"play",action:function(){r.play(d,a)}}),d}if(n&&!c._paused&&!c._stolen)return t||r._loadQueue("play"),c._id;if(c._stolen&&!c._paused&&(r.pause(c._id,!0),r._webAudio&&c._node.gain.cancelScheduledValues(f.ctx.currentTime)),!t&&!c._keepVoice&&!m(r,c,e,a?a.priority:void 0))return c._seek||(c._ended=!0),r._loadQueue("play"),null;(r._webAudio||bt(c))&&f._autoResume();var b=Math.max(0,c._seek>0?c._seek:r._sprite[e][0]/1e3),h=Math.max(0,(r._sprite[e][0]+r._sprite[e][1])/1e3-b),w=h*1e3/Math.abs(c._rate),A=(r._sections[e]?r._sections[e].loop[0]:r._sprite[e][0])/1e3,x=(r._sprite[e][0]+r._sprite[e][1])/1e3;c._sprite=e,c._ended=!1,U(c);var H=function(){c._paused=!1,c._seek=b,c._start=A,c._stop=x,c._loop=!!(c._loop||r._sprite[e][2]),c._graceful=!1,c._stolen=!1};if(b>=x){r._ended(c);return}var S=c._node;if(r._webAudio){var F=function(){r._playLock=!1,H();var R=Dt(r);R||r._refreshBuffer(c);var X=c._muted||r._muted?0:c._volume,Oe=f.ctx.currentTime;S.gain.setValueAtTime(X,Oe);var ae=i>Oe?i:0,Kt=ae?(ae-Oe)*1e3:0;if(c._playStart=ae||Oe,R?Ur(r,c,c._playStart):c._loop?S.bufferSource.start(ae,b,86400):S.bufferSource.start(ae,b,h),w!==1/0&&!R&&(r._endTimers[c._id]=setTimeout(r._ended.bind(r,c),Kt+w)),!t&&!f._rendering){var zt=function(){r._emit("play",c._id),r._loadQueue()};Kt>0?(c._startAt=ae,fe(c,zt)):queueMicrotask(zt)}};f.state==="running"&&f.ctx.state!=="interrupted"?F():(r._playLock=!0,r.once("resume",F),r._clearTimer(c._id))}else{r._mse&&!r._mse.attached&&r._mse.attach(S);var C=function(){S.currentTime=b,S.muted=c._muted||r._muted||f._muted||S.muted,S.volume=c._volume*f.volume()*ee(r),S.playbackRate=c._rate;try{var R=S.play();if(R instanceof Promise?(r._playLock=!0,H(),R.then(function(){r._playLock=!1,S._unlocked=!0,t?r._loadQueue():r._emit("play",c._id)}).catch(function(){r._playLock=!1,r._emit("playerror",c._id,"Playback was unable to start. This is most commonly an issue on mobile devices and Chrome where playback was not within a user interaction."),c._ended=!0,c._paused=!0})):t||(r._playLock=!1,H(),r._emit("play",c._id)),S.playbackRate=c._rate,S.paused){r._emit("playerror",c._id,"Playback was unable to start. This is most commonly an issue on mobile devices and Chrome where playback was not within a user interaction.");return}e!=="__default"||c._loop?r._endTimers[c._id]=setTimeout(r._ended.bind(r,c),w):(r._endTimers[c._id]=function(){r._ended(c),S.removeEventListener("ended",r._endTimers[c._id],!1)},S.addEventListener("ended",r._endTimers[c._id],!1))}catch(X){r._emit("playerror",c._id,X)}},we=function(){var R=S.readyState>=3;if(R)C();else{r._playLock=!0,r._state="loading";var X=function(){r._state="loaded",C(),S.removeEventListener(f._canPlayEvent,X,!1)};S.addEventListener(f._canPlayEvent,X,!1),r._clearTimer(c._id)}},Re=i&&f.ctx?(i-f.ctx.currentTime)*1e3:0;Re>0?(c._startAt=i,fe(c,we)):we()}return c._id},pause:function(e){var t=this;if(t._state!=="loaded"||t._playLock)return t._queue.push({event:"pause",action:function(){t.pause(e)}}),t;for(var r=t._getSoundIds(e),n=0;n<r.length;n++){t._clearTimer(r[n]);var a=t._soundById(r[n]),i=!!a&&ue(a);if(a&&U(a),a&&!a._paused&&(a._seek=t.seek(r[n]),a._rateSeek=0,a._paused=!0,t._stopFade(r[n]),a._node))if(t._webAudio){if(!a._node.bufferSource)continue;a._node.bufferSource.stop(0),t._cleanBuffer(a._node)}else(!isNaN(a._node.duration)||a._node.duration===1/0)&&a._node.pause();!arguments[1]&&!i&&t._emit("pause",a?a._id:null)}return t},stop:function(e,t){var r=this,n=null;if(t&&typeof t=="object"&&(n=t,t=!1),r._state!=="loaded"||r._playLock)return r._queue.push({event:"stop",action:function(){r.stop(e,n)}}),r;var a=r._getSoundIds(e),i=n&&typeof n.when=="number"?n.when:0;if(f.ctx&&i>f.ctx.currentTime)return r._scheduleStop(a,i),r;for(var u=0;u<a.length;u++){r._clearTimer(a[u]);var l=r._soundById(a[u]);if(l&&U(l),l){var c=r._sprite[l._sprite];l._seek=!t&&c?c[0]/1e3:l._start||0,l._rateSeek=0,l._paused=!0,l._ended=!0,r._stopFade(a[u]),l._node&&(r._webAudio?l._node.bufferSource&&(l._node.bufferSource.stop(0),r._cleanBuffer(l._node)):(!isNaN(l._node.duration)||l._node.duration===1/0)&&(l._node.currentTime=l._start||0,l._node.pause(),l._node.duration===1/0&&(l._loadFn&&(l._node.removeEventListener(f._canPlayEvent,l._loadFn,!1),l._loadFn=null),r._mse&&r._mse.detach(),r._clearSound(l._node)))),t||r._emit("stop",l._id)}}return r},_scheduleStop:function(e,t){var r=this;return e.forEach(function(n){var a=r._soundById(n);!a||a._paused||(r._webAudio&&a._node&&a._node._chunks?Bt(a._node,t):r._webAudio&&a._node&&a._node.bufferSource&&a._node.bufferSource.stop(t),clearTimeout(a._stopTimer),xe(a,t,function(){r.stop(n)}))}),r},stopGracefully:function(e){var t=this;if(t._state!=="loaded"||t._playLock)return t._queue.push({event:"stopGracefully",action:function(){t.stopGracefully(e)}}),t;for(var r=t._getSoundIds(e),n=0;n<r.length;n++){var a=t._soundById(r[n]);if(!(!a||a._graceful)){if(a._paused){t.stop(r[n]);continue}if(a._graceful=!0,!(!a._loop&&!t._sprite[a._sprite][2])){var i=t._sections[a._sprite],u=i?i.outro:null;t._webAudio?j(t,a,u):o(t,a,u)}}}return t},mute:function(e,t){var r=this;if(r._state!=="loaded"||r._playLock)return r._queue.push({event:"mute",action:function(){r.mute(e,t)}}),r;if(typeof t>"u")if(typeof e=="boolean")r._muted=e;else return r._muted;for(var n=r._getSoundIds(t),a=0;a<n.length;a++){var i=r._soundById(n[a]);i&&(i._muted=e,i._interval&&r._stopFade(i._id),r._webAudio&&i._node?i._node.gain.setValueAtTime(e?0:i._volume,f.ctx.currentTime):i._node&&(i._node.muted=f._muted||e),r._emit("mute",i._id))}return r},volume:function(){var e=this,t=arguments,r,n;if(t.length===0)return e._volume;t.length===1||t.length===2&&typeof t[1]>"u"?e._getSoundIds().indexOf(t[0])>=0?n=parseInt(t[0],10):r=parseFloat(t[0]):t.length>=2&&(r=parseFloat(t[0]),n=parseInt(t[1],10));var a;if(typeof r>"u"||r<0||r>1)return a=n?e._soundById(n):e._sounds[0],a?a._volume:0;if(e._state!=="loaded"||e._playLock)return e._queue.push({event:"volume",action:function(){e.volume.apply(e,t)}}),e;typeof n>"u"&&(e._volume=r);for(var i=e._getSoundIds(n),u=0;u<i.length;u++)a=e._soundById(i[u]),a&&(a._volume=r,t[2]||e._stopFade(i[u]),e._webAudio&&a._node&&!a._muted?a._node.gain.setValueAtTime(r,f.ctx.currentTime):a._node&&!a._muted&&(a._node.volume=r*f.volume()*ee(e)),e._emit("volume",a._id));return e},fade:function(e,t,r,n){var a=this;if(a._state!=="loaded"||a._playLock)return a._queue.push({event:"fade",action:function(){a.fade(e,t,r,n)}}),a;e=Math.min(Math.max(0,parseFloat(e)),1),t=Math.min(Math.max(0,parseFloat(t)),1),r=parseFloat(r),a.volume(e,n);for(var i=a._getSoundIds(n),u=0;u<i.length;u++){var l=a._soundById(i[u]);if(l){if(n||a._stopFade(i[u]),a._webAudio&&!l._muted){var c=f.ctx.currentTime,d=c+r/1e3;l._volume=e,l._node.gain.setValueAtTime(e,c),l._node.gain.linearRampToValueAtTime(t,d)}a._startFadeInterval(l,e,t,r,i[u],typeof n>"u")}}return a},_startFadeInterval:function(e,t,r,n,a,i){var u=this,l=t,c=r-t,d=Math.abs(c/.01),b=Math.max(4,d>0?n/d:n),h=performance.now(),w=!1;e._fadeTo=r,e._fadeDone=!1;var A=function(x){if(!w){var H=Math.min(x-h,100);if(h=x,l+=c*(H/n),l=Math.round(l*100)/100,l=c<0?Math.max(r,l):Math.min(r,l),u._webAudio?e._volume=l:u.volume(l,e._id,!0),i&&(u._volume=l),r<t&&l<=r||r>t&&l>=r){w=!0,e._fadeDone=!0,e._interval=null,e._intervalType=null,e._fadeTo=null,u.volume(r,e._id),u._emit("fade",e._id);return}e._interval=requestAnimationFrame(A),e._intervalType="raf"}};e._intervalType="timeout",e._interval=setTimeout(function(){h=performance.now(),e._intervalType="raf",e._interval=requestAnimationFrame(A)},b)},_stopFade:function(e){var t=this,r=t._soundById(e);return r&&r._interval&&(t._webAudio&&r._node.gain.cancelScheduledValues(f.ctx.currentTime),r._intervalType==="raf"?cancelAnimationFrame(r._interval):clearTimeout(r._interval),r._interval=null,r._intervalType=null,r._fadeDone?r._fadeDone=null:(t.volume(r._fadeTo,e),r._fadeTo=null,r._fadeDone=null,t._emit("fade",e))),t},effects:function(e){var t=this;if(typeof e>"u")return t._effects.slice();if(t._effects=Ne(e),t._webAudio)for(var r=0;r<t._sounds.length;r++)_t(t._sounds[r],t._effects);return t},rampEffect:function(e,t,r,n,a){var i=this,u=st(i._effects,e);if(u<0)return console.warn('Howler: no effect "'+e+'" in the chain.'),i;if(typeof a>"u"&&(i._effects[u][t]=r),!i._webAudio)return i;for(var l=i._getSoundIds(a),c=0;c<l.length;c++){var d=i._soundById(l[c]);if(!(!d||!d._effects)&&!Ve(d._effects[u],t,r,parseFloat(n)||0)){console.warn('Howler: effect "'+e+'" has no parameter "'+t+'".');break}}return i},width:function(e,t){var r=this;if(typeof e!="number"){var n=typeof t>"u"?null:r._soundById(t);return n?n._width:r._width}if(!r._webAudio)return r;if(r._state!=="loaded"||r._playLock)return r._queue.push({event:"width",action:function(){r.width(e,t)}}),r;typeof t>"u"&&(r._width=Math.max(0,e));for(var a=r._getSoundIds(t),i=0;i<a.length;i++){var u=r._soundById(a[i]);u&&(u._width=Math.max(0,e),u._node&&We(u),r._emit("width",u._id))}return r},analyser:function(e){var t=this;if(f.ctx||P(),!f.ctx)return null;if(!t._analyser){t._analyser=new Qe(e,t);for(var r=0;r<t._sounds.length;r++)gt(t,t._sounds[r])}return t._analyser},detectSprites:function(e){var t=this,r=t._webAudio&&t._state==="loaded"?D(t._src):null;if(e=e||{},!r)return console.warn("Howler: detectSprites() needs a fully loaded WebAudio Howl."),null;var n=typeof e.thresholdDb=="number"?e.thresholdDb:-50,a=typeof e.minSilenceMs=="number"?e.minSilenceMs:250,i=Mr(r,Math.pow(10,n/20),a),u={};return t._detected.forEach(function(l){delete t._sprite[l]}),t._detected=[],i.forEach(function(l,c){var d="sprite"+(c+1);u[d]=l,t._sprite[d]=l,t._detected.push(d)}),u},loop:function(){var e=this,t=arguments,r,n,a;if(t.length===0)return e._loop;if(t.length===1)if(typeof t[0]=="boolean")r=t[0],e._loop=r;else return a=e._soundById(parseInt(t[0],10)),!!(a&&a._loop);else t.length===2&&(r=t[0],n=parseInt(t[1],10));for(var i=e._getSoundIds(n),u=0;u<i.length;u++)a=e._soundById(i[u]),a&&(a._loop=r,e._webAudio&&a._node&&a._node._chunks?e.playing(i[u])&&(e.pause(i[u],!0),e.play(i[u],!0)):e._webAudio&&a._node&&a._node.bufferSource&&(a._node.bufferSource.loop=r,r&&(a._node.bufferSource.loopStart=a._start||0,a._node.bufferSource.loopEnd=a._stop,e.playing(i[u])&&(e.pause(i[u],!0),e.play(i[u],!0)))));return e},rate:function(){var e=this,t=arguments,r,n;if(t.length===0)n=e._sounds[0]._id;else if(t.length===1){var a=e._getSoundIds();a.indexOf(t[0])>=0?n=parseInt(t[0],10):r=parseFloat(t[0])}else t.length===2&&(r=parseFloat(t[0]),n=parseInt(t[1],10));if(typeof r!="number"){var i=e._soundById(n);return i?i._rate:e._rate}if(e._state!=="loaded"||e._playLock)return e._queue.push({event:"rate",action:function(){e.rate.apply(e,t)}}),e;typeof n>"u"&&(e._rate=r);for(var u=e._getSoundIds(n),l=0;l<u.length;l++){var i=e._soundById(u[l]);if(i&&e._webAudio&&i._node&&i._node._chunks&&e.playing(u[l])){e.pause(u[l],!0),i._rate=r,e.play(u[l],!0),e._emit("rate",i._id);continue}if(i){e.playing(u[l])&&(i._rateSeek=e.seek(u[l]),i._playStart=e._webAudio?f.ctx.currentTime:i._playStart),i._rate=r,e._webAudio&&i._node&&i._node.bufferSource?i._node.bufferSource.playbackRate.setValueAtTime(r,f.ctx.currentTime):i._node&&(i._node.playbackRate=r);var c=e.seek(u[l]),d=(e._sprite[i._sprite][0]+e._sprite[i._sprite][1])/1e3-c,b=d*1e3/Math.abs(i._rate);(e._endTimers[u[l]]||!i._paused)&&(e._clearTimer(u[l]),e._endTimers[u[l]]=setTimeout(e._ended.bind(e,i),b)),e._emit("rate",i._id)}}return e},seek:function(){var e=this,t=arguments,r,n;if(t.length===0)e._sounds.length&&(n=e._sounds[0]._id);else if(t.length===1){var a=e._getSoundIds();a.indexOf(t[0])>=0?n=parseInt(t[0],10):e._sounds.length&&(n=e._sounds[0]._id,r=parseFloat(t[0]))}else t.length===2&&(r=parseFloat(t[0]),n=parseInt(t[1],10));if(typeof n>"u")return 0;if(typeof r=="number"&&(e._state!=="loaded"||e._playLock))return e._queue.push({event:"seek",action:function(){e.seek.apply(e,t)}}),e;var i=e._soundById(n);if(!i)return e;if(typeof r!="number"||r<0){if(e._webAudio){var u=e.playing(n),l=u?Math.max(0,f.ctx.currentTime-i._playStart):0,c=i._rateSeek?i._rateSeek-i._seek:0;return i._seek+(c+l*Math.abs(i._rate))}return i._node.currentTime}var d=e.playing(n),b=ue(i)?i._startAt:0;(d||b)&&e.pause(n,!0),i._seek=r,i._ended=!1,e._clearTimer(n),!e._webAudio&&i._node&&!isNaN(i._node.duration)&&(i._node.currentTime=r);var h=function(){b?e.play(n,{when:b}):d&&e.play(n,!0),e._emit("seek",n)};if(d&&!e._webAudio){var w=function(A){e._playLock?A?setTimeout(function(){w(!0)},0):queueMicrotask(function(){w(!0)}):h()};queueMicrotask(function(){w(!1)})}else h();return e},playing:function(e){var t=this;if(typeof e=="number"){var r=t._soundById(e);return!!(r&&!r._paused&&!le(r))}for(var n=0;n<t._sounds.length;n++)if(!t._sounds[n]._paused&&!le(t._sounds[n]))return!0;return!1},duration:function(e){var t=this,r=t._duration,n=t._soundById(e);return n&&(r=t._sprite[n._sprite][1]/1e3),r},state:function(){return this._state},unload:function(){var e=this;if(Object.keys(e._fetchControllers).forEach(function(l){e._fetchControllers[l].abort()}),e._fetchControllers={},e._prog=null,e._stream){e._cancelStaleTimer(),e._cancelFlushTimer();var t=e._stream;if(clearTimeout(t._healthTimer),t._healthTimer=null,t._networkHandler&&typeof navigator<"u"&&navigator.connection&&typeof navigator.connection.removeEventListener=="function"&&(navigator.connection.removeEventListener("change",t._networkHandler),t._networkHandler=null),t._visibilityHandler&&typeof document<"u"&&(document.removeEventListener("visibilitychange",t._visibilityHandler,!1),t._visibilityHandler=null),t._playHandler&&(e.off("play",t._playHandler),t._playHandler=null),t._pauseHandler&&(e.off("pause",t._pauseHandler),t._pauseHandler=null),t._stopHandler&&(e.off("stop",t._stopHandler),t._stopHandler=null),t._loaderrorHandler&&(e.off("loaderror",t._loaderrorHandler),t._loaderrorHandler=null),t._unlockHandler&&(e.off("unlock",t._unlockHandler),t._unlockHandler=null),t._offlineHandler&&typeof window<"u"&&(window.removeEventListener("offline",t._offlineHandler,!1),t._offlineHandler=null),t._onlineHandler&&typeof window<"u"&&(window.removeEventListener("online",t._onlineHandler,!1),t._onlineHandler=null),t._workletSource){try{t._workletSource.disconnect(t._workletNode),t._workletSource.connect(t._workletSource.context.destination)}catch{}t._workletSource=null}if(t._workletNode){try{t._workletNode.disconnect()}catch{}if(t._workletNode.port&&typeof t._workletNode.port.close=="function")try{t._workletNode.port.close()}catch{}t._workletNode=null}if(e._mse&&(e._mse.detach(),e._mse=null),t._rampInterval&&(clearInterval(t._rampInterval),t._rampInterval=null),typeof navigator<"u"&&navigator.mediaSession){try{navigator.mediaSession.metadata=null}catch{}try{navigator.mediaSession.playbackState="none"}catch{}}e._stream=null,f.autoSuspend=!0}e._analyser&&e._analyser.destroy();for(var r=e._sounds,n=0;n<r.length;n++)r[n]._paused||e.stop(r[n]._id),e._webAudio||(e._clearSound(r[n]._node),r[n]._node.removeEventListener("error",r[n]._errorFn,!1),r[n]._node.removeEventListener(f._canPlayEvent,r[n]._loadFn,!1),r[n]._node.removeEventListener("ended",r[n]._endFn,!1),r[n]._node.removeEventListener("progress",r[n]._progressFn,!1),f._releaseHtml5Audio(r[n]._node)),U(r[n]),ke(r[n]._effects),r[n]._parent=null,delete r[n]._node,e._clearTimer(r[n]._id);var a=f._howls.indexOf(e);a>=0&&f._howls.splice(a,1);for(var i=!0,u=0;u<f._howls.length;u++)if(f._howls[u]._src===e._src||Array.isArray(e._src)&&e._src.indexOf(f._howls[u]._src)>=0){i=!1;break}return i&&!B.has(e._src)&&$(e._src,"unload"),f.noAudio=!1,e._state="unloaded",e._sounds=[],e._soundMap=new Map,null},on:function(e,t,r,n){var a=this,i=a["_on"+e];return typeof t=="function"&&i.push(n?{id:r,fn:t,once:n}:{id:r,fn:t}),a},off:function(e,t,r){var n=this,a=n["_on"+e],i=0;if(typeof t=="number"&&(r=t,t=null),t||r){for(i=0;i<a.length;i++)if(t===a[i].fn&&r===a[i].id||!t&&r===a[i].id){a.splice(i,1);break}}else if(e)n["_on"+e]=[];else{var u=Object.keys(n);for(i=0;i<u.length;i++)u[i].indexOf("_on")===0&&Array.isArray(n[u[i]])&&(n[u[i]]=[])}return n},once:function(e,t,r){var n=this;return n.on(e,t,r,1),n},loadAsync:function(e){var t=this;return Ie(t,e,function(r){return t._state==="loaded"?(r.resolve(t),{}):{load:function(){r.resolve(t)},loaderror:function(n,a){r.reject(K("load",a))}}},function(){t._state==="unloaded"&&t.load()})},playAsync:function(e,t){var r=this,n=null,a=function(i){return n!==null&&i===n};return Ie(r,t,function(i){return{end:function(u){a(u)&&i.resolve(u)},stop:function(u){a(u)&&i.resolve(u)},playerror:function(u,l){a(u)&&i.reject(K("play",l))},loaderror:function(u,l){i.reject(K("load",l))}}},function(i){n=r.play(e),n===null?i.reject(K("play","Unknown sprite or no inactive sound available.")):typeof n>"u"?i.resolve(null):i.onAbort(function(){r.stop(n)})})},fadeAsync:function(e,t,r,n,a){var i=this,u=null;return Ie(i,a,function(l){return{fade:function(c){u&&(u.delete(c),u.size===0&&l.resolve(i))}}},function(l){qt(i,"fade",function(){u=Gt(i,n),i.fade(e,t,r,n),u.size===0&&l.resolve(i)})})},stopAsync:function(e,t){var r=this,n=null;return Ie(r,t,function(a){return{stop:function(i){n&&(n.delete(i),n.size===0&&a.resolve(r))}}},function(a){qt(r,"stop",function(){n=Gt(r,e),r.stop(e),n.size===0&&a.resolve(r)})})},_emit:function(e,t,r){for(var n=this,a=n["_on"+e],i={play:1,pause:1,stop:1,end:1,seek:1,load:1},u=typeof scheduler<"u"&&typeof scheduler.postTask=="function",l=u?function(d,b){var h=i[b]?"user-blocking":"background";scheduler.postTask(d,{priority:h})}:function(d){queueMicrotask(d)},c=a.length-1;c>=0;c--)(!a[c].id||a[c].id===t||e==="load")&&((function(d,b){l(function(){d.call(n,t,r)},b)})(a[c].fn,e),a[c].once&&n.off(e,a[c].fn,a[c].id));return f._duckRules.length&&Ae(n,e,t),n._loadQueue(e),n},_loadQueue:function(e){var t=this;if(t._queue.length===0)return t;var r=t._queue[0];return e?r.event===e&&(t._queue.shift(),t._loadQueue()):r.action(),t},_ended:function(e){var t=this,r=e._sprite;if(!t._webAudio&&e._node&&!e._node.paused&&!e._node.ended&&e._node.currentTime<e._stop)return setTimeout(t._ended.bind(t,e),100),t;var n=!e._graceful&&!!(e._loop||t._sprite[r][2]);if(t._emit("end",e._id),!t._webAudio&&n&&(e._keepVoice=!0,t.stop(e._id,!0).play(e._id),e._keepVoice=!1),t._webAudio&&n){t._emit("play",e._id),e._seek=e._start||0,e._rateSeek=0,e._playStart=f.ctx.currentTime;var a=(e._stop-e._start)*1e3/Math.abs(e._rate);t._endTimers[e._id]=setTimeout(t._ended.bind(t,e),a)}return t._webAudio&&!n&&(e._paused=!0,e._ended=!0,e._seek=e._start||0,e._rateSeek=0,t._clearTimer(e._id),t._cleanBuffer(e._node),f._autoSuspend()),!t._webAudio&&!n&&t.stop(e._id,!0),e._graceful&&(e._seek=0),t},_clearTimer:function(e){var t=this;if(t._endTimers[e]){if(typeof t._endTimers[e]!="function")clearTimeout(t._endTimers[e]);else{var r=t._soundById(e);r&&r._node&&r._node.removeEventListener("ended",t._endTimers[e],!1)}delete t._endTimers[e]}return t},_soundById:function(e){return this._soundMap.get(e)||null},_inactiveSound:function(){var e=this;e._drain();for(var t=0;t<e._sounds.length;t++)if(e._sounds[t]._ended)return e._sounds[t].reset();return new Y(e)},_drain:function(){var e=this,t=e._pool,r=0;if(!(e._sounds.length<t)){for(var n=0;n<e._sounds.length;n++)e._sounds[n]._ended&&r++;for(var a=e._sounds.length-1;a>=0&&!(r<=t);a--)e._sounds[a]._ended&&(fr(e,e._sounds[a]),e._webAudio&&e._sounds[a]._node&&(e._sounds[a]._node.disconnect(0),ke(e._sounds[a]._effects)),e._soundMap.delete(e._sounds[a]._id),e._sounds.splice(a,1),r--)}},_getSoundIds:function(e){return typeof e>"u"?this._sounds.map(function(t){return t._id}):[e]},_refreshBuffer:function(e){var t=this;return e._node.bufferSource=f.ctx.createBufferSource(),e._node.bufferSource.buffer=D(t._src),e._widthStage&&Xe(e),e._effects&&te(e._effects,me(e)),e._node.bufferSource.connect(Ee(e)),e._node.bufferSource.loop=e._loop,e._loop&&(e._node.bufferSource.loopStart=e._start||0,e._node.bufferSource.loopEnd=e._stop||0),e._node.bufferSource.playbackRate.setValueAtTime(e._rate,f.ctx.currentTime),t},_cleanBuffer:function(e){if(Bt(e),e._outroSource&&(e._outroSource.disconnect(0),e._outroSource=null),!e.bufferSource)return this;if(f._scratchBuffer&&e.bufferSource){e.bufferSource.onended=null,e.bufferSource.disconnect(0);var t=!!(f._navigator&&f._navigator.vendor&&f._navigator.vendor.indexOf("Apple")>=0);if(t)try{e.bufferSource.buffer=f._scratchBuffer}catch{}}return e.bufferSource=null,this},_clearSound:function(e){e.src="data:audio/wav;base64,UklGRigAAABXQVZFZm10IBIAAAABAAEARKwAAIhYAQACABAAAABkYXRhAgAAAAEA"}};var Y=function(e){this._parent=e,this.init()};Y.prototype={init:function(){var e=this,t=e._parent;return e._muted=t._muted,e._loop=t._loop,e._volume=t._volume,e._rate=t._rate,e._width=t._width,e._seek=0,e._paused=!0,e._ended=!0,e._sprite="__default",e._id=++f._counter,t._sounds.push(e),t._soundMap.set(e._id,e),e.create(),e},create:function(){var e=this,t=e._parent,r=f._muted||e._muted||t._muted?0:e._volume;return t._webAudio?(e._node=f.ctx.createGain(),e._node.gain.setValueAtTime(r,f.ctx.currentTime),e._node.paused=!0,e._node.connect(Jt(t)),t._effects.length&&_t(e,t._effects),We(e)):f.noAudio||(e._node=f._obtainHtml5Audio(),e._errorFn=e._errorListener.bind(e),e._node.addEventListener("error",e._errorFn,!1),e._loadFn=e._loadListener.bind(e),e._node.addEventListener(f._canPlayEvent,e._loadFn,!1),e._endFn=e._endListener.bind(e),e._node.addEventListener("ended",e._endFn,!1),t._stream||(e._progressFn=e._progressListener.bind(e),e._node.addEventListener("progress",e._progressFn,!1)),t._mseType?(t._mse||(t._mse=t._mseType==="hls"?new re(t):new be(t)),t._mse.attach(e._node)):typeof t._src=="string"?e._node.src=t._src:e._node._awaitingSrc=!0,e._node.preload=t._preload===!0?"auto":t._preload,e._node.volume=r*f.volume()*ee(t),t._stream&&(e._node.crossOrigin=t._xhr.withCredentials?"use-credentials":"anonymous"),!t._mseType&&!e._node._awaitingSrc&&e._node.load(),t._stream&&(t._attachStreamNodeListeners(e._node),an(t,e._node))),t._analyser&&!f._rendering&&gt(t,e),e},reset:function(){var e=this,t=e._parent;e._muted=t._muted,e._loop=t._loop,e._volume=t._volume,e._rate=t._rate,e._width=t._width,e._seek=0,e._rateSeek=0,e._paused=!0,e._ended=!0,e._sprite="__default",e._graceful=!1,e._stolen=!1,e._priority=0,t._webAudio&&e._node&&We(e);var r=e._id;return e._id=++f._counter,t._soundMap.delete(r),t._soundMap.set(e._id,e),e},_errorListener:function(){var e=this;e._parent._emit("loaderror",e._id,e._node.error?e._node.error.code:0),e._node.removeEventListener("error",e._errorFn,!1)},_loadListener:function(){var e=this,t=e._parent;if(t._duration=Math.ceil(e._node.duration*10)/10,t._spriteFetch&&!t._spriteReady){t._spriteFetch.then(function(r){r&&t._state!=="unloaded"&&e._loadListener()});return}Mt(t),Object.keys(t._sprite).length===0&&(t._sprite={__default:[0,t._duration*1e3]}),t._state!=="loaded"&&(t._state="loaded",t._emit("load"),t._loadQueue()),e._node.removeEventListener(f._canPlayEvent,e._loadFn,!1)},_endListener:function(){var e=this,t=e._parent;t._duration===1/0&&(t._duration=Math.ceil(e._node.duration*10)/10,t._sprite.__default[1]===1/0&&(t._sprite.__default[1]=t._duration*1e3),t._ended(e)),e._node.removeEventListener("ended",e._endFn,!1)},_progressListener:function(){var e=this,t=e._parent,r=e._node,n=r.duration,a=0;if(!(!t||!t._onprogress.length||!isFinite(n)||!n)){for(var i=0;i<r.buffered.length;i++)a+=r.buffered.end(i)-r.buffered.start(i);t._emit("progress",e._id,{loaded:Math.min(a,n),total:n}),a>=n&&r.removeEventListener("progress",e._progressFn,!1)}}};function ue(e){return!!e._startTimer}function le(e){return ue(e)&&!!f.ctx&&f.ctx.currentTime<e._startAt}function fe(e,t){var r=f.ctx?e._startAt-f.ctx.currentTime:0;if(r>.001){e._startTimer=setTimeout(function(){fe(e,t)},Math.max(10,r*1e3));return}e._startTimer=null,e._startAt=0,t()}function xe(e,t,r){var n=f.ctx?t-f.ctx.currentTime:0;if(n>.001){e._stopTimer=setTimeout(function(){xe(e,t,r)},Math.max(10,n*1e3));return}e._stopTimer=null,r()}function U(e){e._startTimer&&(clearTimeout(e._startTimer),e._startTimer=null,e._startAt=0),e._stopTimer&&(clearTimeout(e._stopTimer),e._stopTimer=null)}function se(e){Object.keys(e._sprite).forEach(function(t){var r=e._sprite[t];if(!(!r||Array.isArray(r))){if(!Array.isArray(r.loop)){console.warn('Howler: sprite "'+t+'" is an object without a loop section - ignoring it.'),delete e._sprite[t];return}var n=r.loop,a=r.intro||null;a&&Math.abs(a[0]+a[1]-n[0])>1&&(console.warn('Howler: the intro of sprite "'+t+'" must end where its loop starts - ignoring it.'),a=null);var i=a?a[0]:n[0];e._sections[t]={loop:n,outro:r.outro||null},e._sprite[t]=[i,n[0]+n[1]-i,!0]}})}function j(e,t,r){var n=t._node,a=Math.abs(t._rate),i=f.ctx.currentTime,u=e.seek(t._id),l=t._stop-t._start;u>=t._stop&&l>0&&(u=t._start+(u-t._start)%l);var c=Math.max(i,t._playStart)+(t._stop-u)/a;if(n._chunks){e._scheduleStop([t._id],c);return}if(n.bufferSource.stop(c),r){var d=f.ctx.createBufferSource();d.buffer=D(e._src),d.connect(Ee(t)),d.playbackRate.setValueAtTime(t._rate,i),d.start(c,r[0]/1e3,r[1]/1e3),n._outroSource=d}e._clearTimer(t._id),e._endTimers[t._id]=setTimeout(function(){if(!r){e._ended(t);return}n.bufferSource.disconnect(0),n.bufferSource=n._outroSource,n._outroSource=null,s(e,t,r,c)},(c-i)*1e3)}function o(e,t,r){var n=t._node,a=(t._stop-n.currentTime)/Math.abs(t._rate);e._clearTimer(t._id),e._endTimers[t._id]=setTimeout(function(){if(!r){e._ended(t);return}n.currentTime=r[0]/1e3,s(e,t,r,f.ctx?f.ctx.currentTime:0)},Math.max(0,a*1e3))}function s(e,t,r,n){t._start=r[0]/1e3,t._stop=(r[0]+r[1])/1e3,t._seek=t._start,t._rateSeek=0,t._playStart=n,e._endTimers[t._id]=setTimeout(e._ended.bind(e,t),r[1]/Math.abs(t._rate))}var _=.03;function m(e,t,r,n){t._priority=typeof n=="number"?n:t._priority||0;for(var a=[{limit:e._spriteVoices[r],howls:[e],test:function(d){return d._sprite===r}},{limit:e._maxVoices,howls:[e]},{limit:f.maxVoices,howls:f._howls}],i=0;i<a.length;i++){var u=a[i];if(!(typeof u.limit!="number"||u.limit===1/0))for(var l=p(u.howls,t,u.test);l.length>=u.limit;){var c=v(l,e._steal,t._priority);if(!c)return!1;g(c),l.splice(l.indexOf(c),1)}}return t._voiceSeq=++f._voiceSeq,!0}function p(e,t,r){var n=[];return e.forEach(function(a){a._sounds.forEach(function(i){i!==t&&!i._paused&&!i._stolen&&(!r||r(i))&&n.push(i)})}),n}function v(e,t,r){if(t==="reject"||!e.length)return null;var n=function(i){return t==="quietest"?i._muted||i._parent._muted?0:i._volume:t==="lowest-priority"&&i._priority||0},a=e.reduce(function(i,u){var l=n(u)-n(i);return l<0||l===0&&u._voiceSeq<i._voiceSeq?u:i});return t==="lowest-priority"&&n(a)>r?null:a}function g(e){var t=e._parent;if(e._stolen=!0,t._clearTimer(e._id),t._stopFade(e._id),t._emit("steal",e._id),!t._webAudio||!f.ctx){t.stop(e._id);return}var r=e._node.gain,n=f.ctx.currentTime;r.cancelScheduledValues(n),r.setValueAtTime(r.value,n),r.linearRampToValueAtTime(0,n+_),clearTimeout(e._stopTimer),e._stopTimer=setTimeout(function(){e._stopTimer=null,t.stop(e._id)},_*1e3)}var y=function(e,t){this.init(e,t)};y.prototype={init:function(e,t){var r=this;return t=t||{},r.name=e,r._parent=T(t.parent),r._volume=t.volume!==void 0?t.volume:1,r._muted=t.mute||!1,r._stereo=typeof t.stereo=="number"?t.stereo:null,r._ctx=null,r._node=null,r._duck=null,r._duckLevel=1,r._panner=null,r._interval=null,r._build(),r},volume:function(e){var t=this;return e=parseFloat(e),isNaN(e)||e<0||e>1?t._volume:(t._stopFade(),t._volume=e,t._applyGain(),t)},mute:function(e){var t=this;return typeof e!="boolean"?t._muted:(t._stopFade(),t._muted=e,t._applyGain(),t)},fade:function(e,t,r){var n=this;if(e=Math.min(Math.max(0,parseFloat(e)),1),t=Math.min(Math.max(0,parseFloat(t)),1),r=Math.max(0,parseFloat(r)||0),n._stopFade(),n._volume=e,n._node&&!n._muted){var a=f.ctx.currentTime;n._node.gain.cancelScheduledValues(a),n._node.gain.setValueAtTime(e,a),n._node.gain.linearRampToValueAtTime(t,a+r/1e3)}var i=performance.now(),u=function(l){var c=r>0?Math.min(1,(l-i)/r):1;if(n._volume=e+(t-e)*c,n._refreshHtml5(),c>=1){n._interval=null,n._volume=t;return}n._interval=requestAnimationFrame(u)};return n._interval=requestAnimationFrame(u),n},stereo:function(e){var t=this;return typeof e!="number"?t._stereo:(t._stereo=Math.min(Math.max(-1,e),1),!t._node||typeof f.ctx.createStereoPanner>"u"||(t._panner||(t._panner=f.ctx.createStereoPanner(),t._duck.disconnect(),t._duck.connect(t._panner),t._panner.connect(k(t._parent))),t._panner.pan.setValueAtTime(t._stereo,f.ctx.currentTime)),t)},_build:function(){var e=this;return!f.usingWebAudio||!f.ctx||(e._parent&&e._parent._ctx!==f.ctx&&e._parent._build(),e._ctx=f.ctx,e._node=f.ctx.createGain(),e._duck=f.ctx.createGain(),e._panner=null,e._node.gain.setValueAtTime(e._muted?0:e._volume,f.ctx.currentTime),e._duck.gain.setValueAtTime(e._duckLevel,f.ctx.currentTime),e._node.connect(e._duck),e._duck.connect(k(e._parent)),e._stereo!==null&&e.stereo(e._stereo)),e},_applyGain:function(){var e=this;if(e._node){var t=f.ctx.currentTime;e._node.gain.cancelScheduledValues(t),e._node.gain.setValueAtTime(e._muted?0:e._volume,t)}e._refreshHtml5()},_stopFade:function(){var e=this;e._interval&&(cancelAnimationFrame(e._interval),e._interval=null,e._node&&e._node.gain.cancelScheduledValues(f.ctx.currentTime))},_refreshHtml5:function(){for(var e=this,t=0;t<f._howls.length;t++){var r=f._howls[t];if(!(r._webAudio||!V(r._bus,e)))for(var n=f.volume()*ee(r),a=0;a<r._sounds.length;a++){var i=r._sounds[a];i._node&&(i._node.volume=i._volume*n)}}}};function T(e){return e?e instanceof y?e:f._buses[e]?f._buses[e]:(console.warn('Howler: unknown bus "'+e+'" - routing to master.'),null):null}function k(e){return e&&e._node?e._node:f.masterGain}function N(e){for(var t=1;e;e=e._parent)t*=e._muted?0:e._volume*e._duckLevel;return t}function V(e,t){for(;e;e=e._parent)if(e===t)return!0;return!1}function Ae(e,t,r){if(typeof r=="number")for(var n=f._duckRules,a=0;a<n.length;a++){var i=n[a];de(i.trigger,e)&&(t==="play"?i._active.has(r)||(i._active.add(r),i._active.size===1&&Se(i.target,i.attack)):t==="end"?ce(i,e,r):(t==="stop"||t==="pause"||t==="playerror")&&_e(i,r))}}function ce(e,t,r){queueMicrotask(function(){t.playing(r)||_e(e,r)})}function _e(e,t){e._active.delete(t)&&e._active.size===0&&Se(e.target,e.release)}function de(e,t){return e===t||e instanceof y&&V(t._bus,e)}function $t(e){for(var t=1,r=f._duckRules,n=0;n<r.length;n++)r[n].target===e&&r[n]._active.size&&(t=Math.min(t,r[n].amount));return t}function Se(e,t){if(e._duckLevel=$t(e),e instanceof y){e._duck&&Pe(e._duck.gain,e._duckLevel,t);for(var r=0;r<f._howls.length;r++){var n=f._howls[r];!n._webAudio&&V(n._bus,e)&&at(n,t)}}else e._webAudio?Pe(it(e).gain,e._duckLevel,t):at(e,t)}function at(e,t){for(var r=f.volume()*ee(e),n=0;n<e._sounds.length;n++){var a=e._sounds[n];a._node&&(a._duckRamp=a._duckRamp||{_rampInterval:null},et(a._duckRamp,a._node,a._node.volume,a._volume*r,t,null))}}function it(e){if(e._duckNode)return e._duckNode;e._duckNode=f.ctx.createGain(),e._duckNode.gain.setValueAtTime(e._duckLevel,f.ctx.currentTime),e._duckNode.connect(k(e._bus));for(var t=k(e._bus),r=0;r<e._sounds.length;r++){var n=e._sounds[r]._node;if(!(!n||n.context!==f.ctx)){try{n.disconnect(t)}catch{}n.connect(e._duckNode)}}return e._duckNode}function Jt(e){return e._duckNode||k(e._bus)}function ee(e){return e._duckLevel*N(e._bus)}function Pe(e,t,r){var n=f.ctx.currentTime;typeof e.cancelAndHoldAtTime=="function"?e.cancelAndHoldAtTime(n):(e.cancelScheduledValues(n),e.setValueAtTime(e.value,n)),e.linearRampToValueAtTime(t,n+Math.max(0,r)/1e3)}var er=1,tr={title:1,artist:1,album:1,artwork:1},ot={none:1,one:1,all:1},ut=function(e,t){this.init(e,t)};ut.prototype={init:function(e,t){var r=this;return t=t||{},r._items=(e||[]).map(rr),r._howlOptions=t.howl||{},r._crossfade=Math.max(0,parseFloat(t.crossfade)||0),r._gapless=t.gapless!==!1,r._repeat=ot[t.repeat]?t.repeat:"none",r._shuffle=!!t.shuffle,r._mediaSession=t.mediaSession!==!1,r._howls={},r._order=[],r._pos=0,r._id=null,r._next=null,r._fading=[],r._timer=null,r._playing=!1,r._failed=0,r._ontrack=t.ontrack?[{fn:t.ontrack}]:[],r._onend=t.onend?[{fn:t.onend}]:[],r._onloaderror=t.onloaderror?[{fn:t.onloaderror}]:[],r._buildOrder(t.index||0),r},play:function(e){var t=this;if(!t._items.length)return t;if(typeof e=="number"){var r=t._order.indexOf(e);return r<0||(t._playing=!0,t._failed=0,t._go(r)),t}if(t._playing)return t;t._playing=!0,t._failed=0;var n=t._howls[t._order[t._pos]];return n&&t._id!==null?(n.play(t._id),pe(t,"playing")):t._start(t._pos,0),t},pause:function(){var e=this,t=e.howl();return e._playing=!1,e._disarm(),e._stopFading(),t&&e._id!==null&&t.pause(e._id),pe(e,"paused"),e},stop:function(){var e=this,t=e.howl();return e._playing=!1,e._disarm(),e._stopFading(),t&&e._id!==null&&t.stop(e._id),e._id=null,pe(e,"none"),e},next:function(){var e=this,t=e._pos+1;if(t>=e._order.length){if(e._repeat==="none")return e;t=0}return e._go(t),e},prev:function(){var e=this,t=e._pos-1;return t<0&&(t=e._repeat==="none"?0:e._order.length-1),e._go(t),e},index:function(){return this._items.length?this._order[this._pos]:-1},howl:function(){return this._howls[this.index()]||null},playing:function(){return this._playing},shuffle:function(e){var t=this;return typeof e!="boolean"?t._shuffle:(t._shuffle=e,t._buildOrder(t.index()),t._rearm(),t)},repeat:function(e){var t=this;return e===void 0?t._repeat:ot[e]?(t._repeat=e,t._rearm(),t):(console.warn('Howler: unknown playlist repeat mode "'+e+'".'),t)},crossfade:function(e){var t=this;return e===void 0?t._crossfade:(t._crossfade=Math.max(0,parseFloat(e)||0),t._rearm(),t)},unload:function(){var e=this;return e.stop(),Object.keys(e._howls).forEach(function(t){e._howls[t].unload()}),e._howls={},e},on:function(e,t,r){var n=this["_on"+e];return n&&typeof t=="function"&&n.push(r?{fn:t,once:r}:{fn:t}),this},off:function(e,t){var r=this,n=r["_on"+e];if(!n)return r;if(t){for(var a=0;a<n.length;a++)if(n[a].fn===t){n.splice(a,1);break}}else r["_on"+e]=[];return r},once:function(e,t){return this.on(e,t,!0)},_emit:function(e,t,r){for(var n=this,a=n["_on"+e],i=a.length-1;i>=0;i--)(function(u){queueMicrotask(function(){u.call(n,t,r)})})(a[i].fn),a[i].once&&a.splice(i,1)},_buildOrder:function(e){var t=this,r=t._items.map(function(l,c){return c});if(t._shuffle){for(var n=r.length-1;n>0;n--){var a=Math.floor(Math.random()*(n+1)),i=r[n];r[n]=r[a],r[a]=i}var u=r.indexOf(e);u>0&&r.unshift(r.splice(u,1)[0]),t._pos=0}else t._pos=Math.max(0,r.indexOf(e));t._order=r},_nextPos:function(){var e=this;return e._repeat==="one"?e._pos:e._pos+1<e._order.length?e._pos+1:e._repeat==="all"?0:-1},_load:function(e){var t=this;if(t._howls[e])return t._howls[e];var r=Object.assign({},t._howlOptions,t._items[e].options);r.autoplay=!1,r.preload=!0;var n=new O(r);return n.on("load",function(){t._failed=0}),n.on("play",function(a){t._next&&a===t._next.id&&t._promote(),a===t._id&&t._arm()}),n.on("seek",function(a){a===t._id&&t._playing&&t._arm()}),n.on("pause",function(a){a===t._id&&t._disarm()}),n.on("end",function(a){a!==t._id||n.loop(a)||(t._next?t._promote():t._advance())}),n.on("loaderror",function(a,i){if(t._emit("loaderror",e,i),!(!t._playing||e!==t.index())){if(t._failed++,t._failed>=(t._repeat==="one"?1:t._order.length)){t._failed=0,t.stop(),t._emit("loaderror",null,"No playlist item could be loaded.");return}t._advance()}}),t._howls[e]=n,n},_start:function(e,t){var r=this,n=r._order[e],a=r._load(n);r._pos=e,r._id=a.play(),t&&a.fade(0,a.volume(),t,r._id),r._trackChanged()},_go:function(e){var t=this,r=t.howl();if(t._disarm(),!t._playing||t._id===null){r&&t._id!==null&&r.stop(t._id),t._id=null,t._pos=e,t._release(),t._playing&&t._start(e,0);return}t._crossfade?(t._fadeOut(r,t._id,t._crossfade),t._start(e,t._crossfade)):(r.stop(t._id),t._start(e,0)),t._release()},_advance:function(){var e=this,t=e._nextPos();if(e._disarm(),t<0){e._playing=!1,e._id=null,e._pos=0,pe(e,"none"),e._emit("end");return}e._start(t,0),e._release()},_promote:function(){var e=this,t=e._next;e._next=null,e._pos=Math.max(0,e._order.indexOf(t.index)),e._id=t.id,e._trackChanged()},_arm:function(){var e=this,t=e.howl();if(e._disarm(),!(!t||t.loop(e._id))){var r=e._nextPos();if(!(r<0)){e._load(e._order[r]);var n=e._crossfade/1e3;if(!n){if(!e._gapless||!t._webAudio)return;n=er}var a=lt(t,e._id);e._timer=setTimeout(function(){e._timer=null,e._handoff(r)},Math.max(0,a-n)*1e3)}}},_disarm:function(){var e=this;clearTimeout(e._timer),e._timer=null,e._next&&(e._next.howl.stop(e._next.id),e._next=null)},_rearm:function(){var e=this;e._playing&&e._id!==null&&e._arm()},_handoff:function(e){var t=this,r=t.howl(),n=t._load(t._order[e]);if(t._crossfade){t._fadeOut(r,t._id,t._crossfade),t._start(e,t._crossfade),t._release();return}if(n.state()==="loaded"){var a=f.ctx.currentTime+lt(r,t._id);t._next={index:t._order[e],howl:n,id:n.play(void 0,{when:a})},t._release()}},_fadeOut:function(e,t,r){var n=this,a={howl:e,id:t,timer:null};e.fade(e.volume(t),0,r,t),a.timer=setTimeout(function(){n._fading.splice(n._fading.indexOf(a),1),e.stop(t),n._release()},r),n._fading.push(a)},_stopFading:function(){var e=this;e._fading.forEach(function(t){clearTimeout(t.timer),t.howl.stop(t.id)}),e._fading=[],e._release()},_release:function(){var e=this,t=[e.howl()],r=e._nextPos();r>=0&&t.push(e._howls[e._order[r]]),e._fading.forEach(function(n){t.push(n.howl)}),Object.keys(e._howls).forEach(function(n){var a=e._howls[n];t.indexOf(a)<0&&(a.unload(),delete e._howls[n])})},_trackChanged:function(){var e=this,t=e.index();e._mediaSession&&(nr(e),e._items[t].meta.title&&e.howl().mediaSession(e._items[t].meta),pe(e,"playing")),e._emit("track",t,e.howl())}},q.prototype.Playlist=ut;function rr(e){(typeof e=="string"||Array.isArray(e))&&(e={src:e});var t={},r={};return Object.keys(e).forEach(function(n){(tr[n]?r:t)[n]=e[n]}),{options:t,meta:r}}function lt(e,t){var r=Math.abs(e.rate(t))||1;return Math.max(0,e.duration(t)-e.seek(t))/r}function nr(e){if(!(typeof navigator>"u"||!navigator.mediaSession)){var t=function(r,n){try{navigator.mediaSession.setActionHandler(r,n)}catch{}};t("play",function(){e.play()}),t("pause",function(){e.pause()}),t("stop",function(){e.stop()}),t("previoustrack",function(){e.prev()}),t("nexttrack",function(){e.next()})}}function pe(e,t){if(!(!e._mediaSession||typeof navigator>"u"||!navigator.mediaSession))try{navigator.mediaSession.playbackState=t}catch{}}var ar={filter:1,eq:1,compressor:1,reverb:1,delay:1},ft={3:[["low","lowshelf",250],["mid","peaking",1e3],["high","highshelf",4e3]],5:[["low","lowshelf",100],["lowMid","peaking",300],["mid","peaking",1e3],["highMid","peaking",3e3],["high","highshelf",8e3]]},ve={},Be={};function Ne(e){return(e||[]).filter(function(t){return t&&ar[t.type]?!0:(console.warn('Howler: unknown effect type "'+(t&&t.type)+'" - skipping.'),!1)}).map(function(t){return Object.assign({},t)})}function st(e,t){if(typeof t=="number")return t<e.length?t:-1;for(var r=0;r<e.length;r++)if(e[r].name===t)return r;for(r=0;r<e.length;r++)if(e[r].type===t)return r;return-1}function ir(e,t){var r=f.ctx,n={input:null,output:null,params:{},nodes:[]},a=function(h,w,A){(n.params[h]=n.params[h]||[]).push({param:w,map:A||null})},i=function(h){return n.nodes.push(h),h};switch(e.type){case"filter":var u=i(r.createBiquadFilter());u.type=e.filterType||"lowpass",a("frequency",u.frequency),a("Q",u.Q),a("gain",u.gain),a("detune",u.detune),n.input=n.output=u;break;case"eq":(ft[e.bands]||ft[3]).forEach(function(h){var w=i(r.createBiquadFilter());w.type=h[1],w.frequency.setValueAtTime(h[2],r.currentTime),a(h[0],w.gain),n.output&&n.output.connect(w),n.input=n.input||w,n.output=w});break;case"compressor":var l=i(r.createDynamicsCompressor());["threshold","knee","ratio","attack","release"].forEach(function(h){a(h,l[h])}),n.input=n.output=l;break;case"reverb":var c=i(r.createConvolver());ct(r,n,c,c,a),e.buffer?c.buffer=e.buffer:e.src&&or(e.src,t).then(function(h){c.buffer=h}).catch(function(h){console.warn('Howler: impulse response "'+e.src+'" failed to load.',h)}),e.mix===void 0&&(e.mix=.3);break;case"delay":var d=i(r.createDelay(5)),b=i(r.createGain());d.connect(b),b.connect(d),ct(r,n,d,d,a),a("time",d.delayTime),a("feedback",b.gain),e.feedback===void 0&&(e.feedback=.3),e.mix===void 0&&(e.mix=.3);break}return Object.keys(n.params).forEach(function(h){typeof e[h]=="number"&&Ve(n,h,e[h],0)}),n}function ct(e,t,r,n,a){var i=e.createGain(),u=e.createGain(),l=e.createGain(),c=e.createGain();t.nodes.push(i,u,l,c),i.connect(u),i.connect(r),n.connect(l),u.connect(c),l.connect(c),a("mix",l.gain),a("mix",u.gain,function(d){return 1-d}),t.input=i,t.output=c}function Ve(e,t,r,n){var a=e.params[t];return a?(a.forEach(function(i){var u=i.map?i.map(r):r;n>0?Pe(i.param,u,n):i.param.setValueAtTime(u,f.ctx.currentTime)}),!0):!1}function or(e,t){return Be[e]?Promise.resolve(Be[e]):(ve[e]||(ve[e]=fetch(e,t?Z(t):void 0).then(function(r){if(r.status<200||r.status>=400)throw new Error("HTTP "+r.status);return r.arrayBuffer()}).then(function(r){return f.ctx.decodeAudioData(r)}).then(function(r){return delete ve[e],Be[e]=r,r},function(r){throw delete ve[e],r})),ve[e])}function Ge(e,t){if(!e.length)return null;for(var r=e.map(function(a){return ir(a,t||null)}),n=1;n<r.length;n++)r[n-1].output.connect(r[n].input);return r}function te(e,t){var r=e[e.length-1].output;r.disconnect(),r.connect(t)}function ke(e){e&&e.forEach(function(t){t.nodes.forEach(function(r){try{r.disconnect()}catch{}})})}function Ee(e){return e._effects?e._effects[0].input:me(e)}function me(e){return e._widthStage?e._widthStage.input:e._panner||e._node}function _t(e,t){ke(e._effects),e._effects=Ge(t,e._parent),e._effects&&te(e._effects,me(e)),dt(e)}function dt(e){var t=e._node._chunks?e._node._chunks.sources:[e._node.bufferSource];e._node._outroSource&&(t=t.concat(e._node._outroSource)),t.forEach(function(r){r&&(r.disconnect(),r.connect(Ee(e)))})}function qe(){var e=f._effectChain,t=f._widthStage,r=f.ctx.destination;t&&t.input.context!==f.ctx&&(t=null),e&&e[0].input.context===f.ctx?r=e[0].input:t&&(r=t.input);try{f.masterGain.disconnect(r)}catch{}ke(e);var n=f.ctx.destination;!t&&f._width!==1&&(t=Ue(),t.output.connect(n)),f._widthStage=t,t&&(Me(t,f._width),n=t.input),f._effectChain=Ge(f._effects),f._effectChain?(f.masterGain.connect(f._effectChain[0].input),te(f._effectChain,n)):f.masterGain.connect(n),f._analyser&&(f._analyser._untap(),f._analyser._tap(Ye()))}function Ue(){var e=f.ctx,t=e.createGain(),r=e.createChannelSplitter(2),n=e.createChannelMerger(2),a=e.createGain(),i=e.createGain(),u=e.createGain(),l=e.createGain();return t.channelCount=2,t.channelCountMode="explicit",t.channelInterpretation="speakers",a.gain.setValueAtTime(.5,e.currentTime),u.gain.setValueAtTime(-1,e.currentTime),l.gain.setValueAtTime(-1,e.currentTime),t.connect(r),r.connect(a,0),r.connect(a,1),r.connect(i,0),r.connect(u,1),u.connect(i),a.connect(n,0,0),a.connect(n,0,1),i.connect(n,0,0),i.connect(l),l.connect(n,0,1),{input:t,output:n,side:i}}function Me(e,t){var r=e.side.context;e.side.gain.setValueAtTime(t/2,r.currentTime)}function Xe(e){var t=e._widthStage.output;t.disconnect(),t.connect(e._panner||e._node)}function We(e){if(!e._parent._ambisonic){if(!e._widthStage){if(e._width===1)return;e._widthStage=Ue(),Xe(e),e._effects&&te(e._effects,me(e)),dt(e)}Me(e._widthStage,e._width)}}var pt=100,ur=4,vt=30,Qe=function(e,t){this.init(e,t)};Qe.prototype={init:function(e,t){var r=this;return e=e||{},r._owner=t,r._fftSize=e.fftSize||2048,r._smoothing=e.smoothing!==void 0?e.smoothing:.8,r._loudness=!!e.loudness,r._sources=[],r._blocks=[],r._interval=null,r._build(),r},getLevels:function(){var e=this,t=e._buf,r=[],n=[];return e._channels.slice(0,lr(e._owner)).forEach(function(a){a.getFloatTimeDomainData(t);for(var i=0,u=0,l=0;l<t.length;l++){var c=Math.abs(t[l]);c>i&&(i=c),u+=t[l]*t[l]}r.push(i),n.push(Math.sqrt(u/t.length))}),{peak:r,rms:n}},getSpectrum:function(e){var t=this,r=new Float32Array(t._node.frequencyBinCount);if(t._node.getFloatFrequencyData(r),!e||e>=r.length)return r;for(var n=new Float32Array(e),a=r.length/e,i=0;i<e;i++){for(var u=Math.floor(i*a),l=Math.max(u+1,Math.floor((i+1)*a)),c=0,d=u;d<l;d++)c+=r[d];n[i]=c/(l-u)}return n},getWaveform:function(){var e=new Float32Array(this._node.fftSize);return this._node.getFloatTimeDomainData(e),e},getLoudness:function(){var e=this;return e._loudness?{momentary:ht(e._blocks.slice(-ur)),shortTerm:ht(e._blocks.slice(-vt))}:null},destroy:function(){var e=this;return clearInterval(e._interval),e._interval=null,e._untap(),e._blocks=[],e._owner&&e._owner._analyser===e&&(e._owner._analyser=null),e},_build:function(){var e=this,t=f.ctx;clearInterval(e._interval),e._sources=[],e._blocks=[],e._input=t.createGain(),e._node=t.createAnalyser(),e._node.fftSize=e._fftSize,e._node.smoothingTimeConstant=e._smoothing,e._input.connect(e._node),e._channels=mt(t,e._input,e._fftSize),e._buf=new Float32Array(e._fftSize),e._loudness&&e._buildLoudness(t)},_buildLoudness:function(e){var t=this,r=e.createBiquadFilter(),n=e.createBiquadFilter();r.type="highshelf",r.frequency.setValueAtTime(1681.97,e.currentTime),r.gain.setValueAtTime(4,e.currentTime),n.type="highpass",n.frequency.setValueAtTime(38.13,e.currentTime),n.Q.setValueAtTime(.5,e.currentTime),t._input.connect(r),r.connect(n);for(var a=Math.round(e.sampleRate*pt/1e3),i=256;i<a&&i<32768;)i*=2;var u=mt(e,n,i),l=new Float32Array(i),c=i-Math.min(a,i);t._interval=setInterval(function(){var d=0;u.forEach(function(b){b.getFloatTimeDomainData(l);for(var h=0,w=c;w<l.length;w++)h+=l[w]*l[w];d+=h/(l.length-c)}),t._blocks.push(d),t._blocks.length>vt&&t._blocks.shift()},pt)},_tap:function(e){e.connect(this._input),this._sources.push(e)},_untapNode:function(e){var t=this,r=t._sources.indexOf(e);if(!(r<0)){try{e.disconnect(t._input)}catch{}t._sources.splice(r,1)}},_untap:function(){var e=this;e._sources.forEach(function(t){try{t.disconnect(e._input)}catch{}}),e._sources=[]}};function mt(e,t,r){var n=e.createChannelSplitter(2);return t.connect(n),[0,1].map(function(a){var i=e.createAnalyser();return i.fftSize=r,i.smoothingTimeConstant=0,n.connect(i,a),i})}function lr(e){if(!(e instanceof O)||!e._webAudio)return 2;for(var t=M.get(e._src),r=t?Math.min(2,t.numberOfChannels):2,n=0;n<e._sounds.length&&r<2;n++){var a=e._sounds[n];(a._panner||a._effects||a._widthStage)&&(r=2)}return r}function ht(e){if(!e.length)return-1/0;for(var t=0,r=0;r<e.length;r++)t+=e[r];var n=t/e.length;return n>0?-.691+10*Math.log10(n):-1/0}function gt(e,t){if(t._node){var r=e._webAudio?t._node:yt(t._node);r&&e._analyser._tap(r)}}function fr(e,t){!e._analyser||!t._node||e._analyser._untapNode(e._webAudio?t._node:t._node._mediaSource)}function yt(e){if(e._mediaSource)return e._mediaSource.context===f.ctx?e._mediaSource:null;if(!e.crossOrigin&&e.src&&typeof location<"u"&&!/^(blob|data):/.test(e.src))try{new URL(e.src,location.href).origin!==location.origin&&console.warn("Howler: analysing a cross-origin HTML5 sound without crossOrigin - the browser will output silence.")}catch{}try{e._mediaSource=f.ctx.createMediaElementSource(e)}catch{return null}return e._mediaSource.connect(f.ctx.destination),e._mediaSource}function bt(e){return!!(e._node&&e._node._mediaSource)}function Ye(){var e=f._effectChain;return f._widthStage?f._widthStage.output:e?e[e.length-1].output:f.masterGain}var wt=["_volume","_muted","_loop","_rate","_effects","_stereo","_pos","_orientation","_pannerAttr","_width"];function sr(e){var t={ctx:f.ctx,masterGain:f.masterGain,state:f.state,effectChain:f._effectChain,widthStage:f._widthStage,buses:{},howls:[]};f.ctx=e,f.state="running",f.masterGain=e.createGain();var r=e.destination;f._widthStage=null,f._width!==1&&(f._widthStage=Ue(),Me(f._widthStage,f._width),f._widthStage.output.connect(r),r=f._widthStage.input),f._effectChain=Ge(f._effects),f._effectChain?(f.masterGain.connect(f._effectChain[0].input),te(f._effectChain,r)):f.masterGain.connect(r);var n=Object.keys(f._buses);return n.forEach(function(a){var i=f._buses[a];t.buses[a]={_ctx:i._ctx,_node:i._node,_duck:i._duck,_panner:i._panner,_volume:i._volume,_muted:i._muted,_stereo:i._stereo}}),n.forEach(function(a){f._buses[a]._ctx!==e&&f._buses[a]._build()}),f._howls.forEach(function(a){var i={howl:a,sounds:a._sounds,soundMap:a._soundMap,duckNode:a._duckNode};wt.forEach(function(u){i[u]=a[u]}),a._sounds=[],a._soundMap=new Map,a._duckNode=null,t.howls.push(i)}),f._rendering=t,t}function Tt(e){var t=f.ctx;f._howls.forEach(function(r){r._sounds.forEach(function(n){!n._node||n._node.context!==t||(r._clearTimer(n._id),U(n),n._intervalType==="raf"?cancelAnimationFrame(n._interval):n._interval&&clearTimeout(n._interval),n._interval=null)})}),e.howls.forEach(function(r){var n=r.howl;n._sounds=r.sounds,n._soundMap=r.soundMap,n._duckNode=r.duckNode,wt.forEach(function(a){n[a]=r[a]})}),f._howls.forEach(function(r){e.howls.some(function(n){return n.howl===r})||(r._sounds=r._sounds.filter(function(n){return!n._node||n._node.context!==t?!0:(r._soundMap.delete(n._id),!1)}))}),f._rendering=null,f.ctx=e.ctx,f.masterGain=e.masterGain,f.state=e.state,f._effectChain=e.effectChain,f._widthStage=e.widthStage,Object.keys(f._buses).forEach(function(r){var n=f._buses[r];e.buses[r]?Object.assign(n,e.buses[r]):f.ctx&&n._build()})}function cr(e,t){t=t===24?24:16;var r=e.numberOfChannels,n=e.length,a=t/8,i=r*a,u=n*i,l=new DataView(new ArrayBuffer(44+u)),c=function(S,F){for(var C=0;C<F.length;C++)l.setUint8(S+C,F.charCodeAt(C))};c(0,"RIFF"),l.setUint32(4,36+u,!0),c(8,"WAVE"),c(12,"fmt "),l.setUint32(16,16,!0),l.setUint16(20,1,!0),l.setUint16(22,r,!0),l.setUint32(24,e.sampleRate,!0),l.setUint32(28,e.sampleRate*i,!0),l.setUint16(32,i,!0),l.setUint16(34,t,!0),c(36,"data"),l.setUint32(40,u,!0);for(var d=[],b=0;b<r;b++)d.push(e.getChannelData(b));for(var h=t===24?8388607:32767,w=44,A=0;A<n;A++)for(b=0;b<r;b++){var x=Math.max(-1,Math.min(1,d[b][A])),H=Math.round(x<0?x*(h+1):x*h);t===24?(l.setUint8(w,H&255),l.setUint8(w+1,H>>8&255),l.setUint8(w+2,H>>16&255)):l.setInt16(w,H,!0),w+=a}return l.buffer}var _r=6,xt=function(){this._assets={},this.failed=[]};xt.prototype={get:function(e){var t=this._assets[e];return t?t.howl:null},ids:function(e){var t=this;return Object.keys(t._assets).filter(function(r){return typeof e>"u"||t._assets[r].group===e})},unload:function(e){var t=this;return t.ids(e).forEach(function(r){t._assets[r].howl.unload(),delete t._assets[r],f._assets[r]&&f._assets[r].registry===t&&delete f._assets[r]}),t}};function dr(e,t){t=t||{};var r=Array.isArray(e)?e:e&&e.assets||[],n=Math.max(1,parseInt(t.concurrency,10)||_r),a=typeof t.onProgress=="function"?t.onProgress:null,i=new xt,u=[],l={},c=0,d=0;r.forEach(function(h){if(!h||h.id===void 0||!h.src||![].concat(h.src).length){console.warn("Howler: preload() entries need an id and a src - skipping.",h);return}if(i._assets[h.id]){console.warn('Howler: duplicate preload() id "'+h.id+'" - skipping.');return}if(f._assets[h.id]){console.warn('Howler: preload() id "'+h.id+'" is already in use by another batch - skipping.');return}var w=Object.assign({},h);delete w.id,delete w.group,w.preload=!1;var A=new O(w),x={howl:A,group:h.group,registry:i};i._assets[h.id]=x,f._assets[h.id]=x,u.push(h.id)});var b=function(h){if(a){var w=0,A=0;Object.keys(l).forEach(function(x){w+=l[x].loaded,A+=l[x].total}),a({id:h,loadedItems:c,totalItems:u.length,failedItems:i.failed.length,loadedBytes:w,totalBytes:A})}};return new Promise(function(h){var w=0,A=function(){for(;d<n&&w<u.length;)x(u[w++]);c===u.length&&h(i)},x=function(H){var S=i.get(H),F=!1,C=function(R){F||(F=!0,d--,c++,S._fetchProgress=null,S.off("load",we),S.off("loaderror",Re),R||i.failed.push(H),b(H),A())},we=function(){C(!0)},Re=function(){C(!1)};d++,S.once("load",we),S.once("loaderror",Re),S._fetchProgress=function(R,X){l[H]={loaded:R,total:Math.max(X,R)},b(H)},S._preload=!0,S.load()};A()})}function pr(e){var t=e._src,r=D(t,!0);if(r){e._duration=r.duration,ye(e);return}if(/^data:[^;]+;base64,/.test(t)){var n=t.split(",")[1],a=atob(n),i=Uint8Array.from(a,function(l){return l.charCodeAt(0)});Ze(i.buffer,e);return}var u=new AbortController;if(e._fetchControllers[t]=u,!ge()){je(e,t,u);return}Lr(t).then(function(l){if(!u.signal.aborted){if(!l){je(e,t,u);return}delete e._fetchControllers[t],Ze(l,e,function(){e._state!=="unloaded"&&(Fr(t),e._fetchControllers[t]=u,je(e,t,u))})}})}function je(e,t,r){fetch(t,Z(e,r.signal)).then(function(n){if(n.status<200||n.status>=400)throw new Error("HTTP "+n.status);return e._progressive&&n.body&&typeof n.body.getReader=="function"?(e._prog=new Rt(e,n),e._prog.read()):vr(n,e)}).then(function(n){delete e._fetchControllers[t],ge()&&Ir(t,n.slice(0)),e._prog||Ze(n,e)}).catch(function(n){delete e._fetchControllers[t],n.name!=="AbortError"&&(e._prog&&(e._prog=null,e._state==="loaded"&&e.stop()),e._webAudio=!1,e._html5=!0,e._sounds=[],$(t,"error"),e.load())})}function vr(e,t){var r=t._fetchProgress||t._onprogress.length;if(!r||!e.body||typeof e.body.getReader!="function")return e.arrayBuffer().then(function(c){return r&&he(t,c.byteLength,c.byteLength),c});var n=parseInt(e.headers.get("Content-Length"),10)||0,a=e.body.getReader(),i=[],u=0,l=function(){return a.read().then(function(c){return c.done?(u!==n&&he(t,u,u),ne(i).buffer):(i.push(c.value),u+=c.value.byteLength,he(t,u,n),l())})};return l()}function he(e,t,r){e._state!=="unloaded"&&(e._fetchProgress&&e._fetchProgress(t,r),e._onprogress.length&&e._emit("progress",null,{loaded:t,total:r}))}function Z(e,t){var r={method:e._xhr.method,credentials:e._xhr.withCredentials?"include":"same-origin"};if(e._xhr.headers)try{r.headers=new Headers(e._xhr.headers)}catch(n){console.warn("Howler: Invalid XHR headers - ignoring.",n)}return t&&(r.signal=t),r}var At=64,mr={"audio/mpeg":"mp3","audio/mp3":"mp3","audio/opus":"opus","audio/wav":"wav","audio/wave":"wav","audio/x-wav":"wav","audio/vnd.wave":"wav","audio/flac":"flac","audio/x-flac":"flac","audio/aac":"aac","audio/aacp":"aac","audio/x-aac":"aac","audio/mp4":"m4a","audio/m4a":"m4a","audio/x-m4a":"m4a","video/mp4":"mp4","audio/webm":"webm","video/webm":"webm","audio/x-matroska":"mka","audio/x-caf":"caf","application/vnd.apple.mpegurl":"m3u8","application/x-mpegurl":"m3u8","audio/mpegurl":"m3u8","audio/x-mpegurl":"m3u8"};function hr(e,t){e._state="loading",Promise.all(t.map(function(r){return gr(e,r).then(function(n){e._sniffed[r]=n||""})})).then(function(){e._state!=="unloaded"&&e.load()})}function gr(e,t){var r=new AbortController;e._fetchControllers[t]=r;var n=function(i){return e._fetchControllers[t]===r&&delete e._fetchControllers[t],i},a=Z(e,r.signal);return a.method="HEAD",fetch(t,a).then(function(i){return i.status>=200&&i.status<300?St(i.headers.get("Content-Type")):null},function(i){if(i.name==="AbortError")throw i;return null}).then(function(i){return i||yr(e,t,r.signal)}).then(n,function(){return n(null)})}function yr(e,t,r){var n=Z(e,r),a=new Headers(n.headers||{});return a.set("Range","bytes=0-"+(At-1)),n.method="GET",n.headers=a,fetch(t,n).then(function(i){if(i.status<200||i.status>=300)return null;var u=St(i.headers.get("Content-Type"));return u?(i.body&&typeof i.body.cancel=="function"&&i.body.cancel(),u):br(i,At).then(wr)})}function br(e,t){if(!e.body||typeof e.body.getReader!="function")return e.arrayBuffer().then(function(u){return new Uint8Array(u,0,Math.min(t,u.byteLength))});var r=e.body.getReader(),n=[],a=0,i=function(){return r.read().then(function(u){return u.done||(n.push(u.value),a+=u.value.byteLength),u.done||a>=t?(u.done||r.cancel(),ne(n).subarray(0,t)):i()})};return i()}function St(e){var t=String(e||"").split(";")[0].trim().toLowerCase();return t==="audio/ogg"||t==="application/ogg"?/codecs\s*=\s*"?opus/i.test(e)?"opus":"ogg":mr[t]||null}function wr(e){var t=function(r,n){return String.fromCharCode.apply(null,e.subarray(r,n))};return t(0,3)==="ID3"?"mp3":t(0,4)==="OggS"?t(28,36)==="OpusHead"?"opus":"ogg":t(0,4)==="RIFF"&&t(8,12)==="WAVE"?"wav":t(0,4)==="fLaC"?"flac":t(4,8)==="ftyp"?"m4a":t(0,7)==="#EXTM3U"?"m3u8":e[0]===26&&e[1]===69&&e[2]===223&&e[3]===163?t(4,e.byteLength).indexOf("webm")>=0?"webm":"mka":e[0]===255&&(e[1]&224)===224?(e[1]&6)===0?"aac":"mp3":null}var Tr=75;function xr(e){var t=e._spriteSrc,r=new AbortController,n=Z(e,r.signal);n.method="GET",e._fetchControllers[t]=r;var a=function(){e._fetchControllers[t]===r&&delete e._fetchControllers[t]};return fetch(t,n).then(function(i){if(i.status<200||i.status>=300)throw new Error("HTTP "+i.status);return i.text()}).then(function(i){a();var u=Ar(i,t);if(!u)throw new Error("unrecognised format");if(Object.keys(u.sprite).forEach(function(c){e._sprite[c]=u.sprite[c]}),se(e),!e._src.length&&u.src){var l=Fe(t,window.location.href);e._src=u.src.map(function(c){return Fe(c,l)}),e._srcList=e._src.slice()}return e._spriteReady=!0,!0}).catch(function(i){return a(),i.name==="AbortError"||e._state==="unloaded"||e._emit("loaderror",null,"Loading sprite manifest failed: "+i.message),!1})}function Ar(e,t){var r=/\.([^./]+)$/.exec(String(t).split("?",1)[0]),n=e.replace(/^\uFEFF/,"").trim();if(r=r?r[1].toLowerCase():null,r==="json"||!r&&n.charAt(0)==="{")try{return Sr(JSON.parse(n))}catch{return null}return r==="vtt"||!r&&n.indexOf("WEBVTT")===0?kr(n):r==="cue"||!r&&/^\s*TRACK\s/im.test(n)?Er(n):null}function Sr(e){var t={};if(e&&e.spritemap)Object.keys(e.spritemap).forEach(function(n){var a=e.spritemap[n];t[n]=[a.start*1e3,(a.end-a.start)*1e3,!!a.loop]});else if(e&&e.sprite)t=e.sprite;else return null;var r=e.resources||e.urls||null;return{sprite:t,src:typeof r=="string"?[r]:r}}function kr(e){var t={},r=0;return e.replace(/\r\n?/g,`
+`).split(/\n{2,}/).forEach(function(n){var a=n.split(`
+`),i=a[0].indexOf("-->")>=0?0:1;if(!(!a[i]||a[i].indexOf("-->")<0)){var u=a[i].split("-->"),l=kt(u[0]),c=kt(u[1].trim().split(/\s+/)[0]);if(!(isNaN(l)||isNaN(c)||c<l)){var d=(i===1?a[0]:a[i+1]||"").trim();r++,t[Et(t,d||"cue"+r)]=[l,c-l]}}}),r?{sprite:t,src:null}:null}function kt(e){var t=e.trim().split(":");return t.length<2||t.length>3?NaN:t.reduce(function(r,n){return r*60+parseFloat(n)},0)*1e3}function Er(e){var t=[],r=null;if(e.split(/\r\n?|\n/).forEach(function(a){var i;if(a=a.trim(),i=/^TRACK\s+(\d+)/i.exec(a))r={number:parseInt(i[1],10),title:null,pregap:null,start:null},t.push(r);else if(r&&(i=/^TITLE\s+"?(.*?)"?$/i.exec(a)))r.title=i[1];else if(r&&(i=/^INDEX\s+(\d+)\s+(\d+):(\d+):(\d+)/i.exec(a))){var u=(parseInt(i[2],10)*60+parseInt(i[3],10)+parseInt(i[4],10)/Tr)*1e3;parseInt(i[1],10)===0&&(r.pregap=u),parseInt(i[1],10)===1&&(r.start=u)}}),t=t.filter(function(a){return a.start!==null}),!t.length)return null;var n={};return t.forEach(function(a,i){var u=t[i+1],l=u?u.pregap!==null?u.pregap:u.start:null,c=a.title||"track"+(a.number<10?"0":"")+a.number;n[Et(n,c)]=[a.start,l===null?null:Math.max(0,l-a.start)]}),{sprite:n,src:null}}function Et(e,t){for(var r=t,n=2;e[r];n++)r=t+" ("+n+")";return r}function Mt(e){Object.keys(e._sprite).forEach(function(t){var r=e._sprite[t];r&&r[1]===null&&(r[1]=Math.max(0,e._duration*1e3-r[0]))})}function Mr(e,t,r){for(var n=Math.max(1,Math.round(e.sampleRate/100)),a=Math.ceil(e.length/n),i=[],u=[],l=t*t,c=Math.max(1,Math.ceil(r/10)),d=-1,b=-1,h=0;h<e.numberOfChannels;h++)i.push(e.getChannelData(h));for(var w=function(C){return Math.round(Math.min(C*n,e.length)/e.sampleRate*1e3)},A=0;A<a;A++){var x=A*n,H=Math.min(x+n,e.length),S=0;for(h=0;h<i.length;h++)for(var F=x;F<H;F++)S+=i[h][F]*i[h][F];S/((H-x)*i.length)<l||(d>=0&&A-b-1>=c&&(u.push([w(d),w(b+1)-w(d)]),d=-1),d<0&&(d=A),b=A)}return d>=0&&u.push([w(d),w(b+1)-w(d)]),u}var Ht="howler-audio",Hr=100*1024*1024,G=null;function ge(){var e=f.persistentCache;if(!e)return null;if(G&&G.config===e)return G.store?G:null;var t=e.store&&typeof e.store=="object"?e.store:Rr(e.store||"cache-storage");if(G={config:e,store:t},!t)return console.warn('Howler: persistent cache store "'+e.store+'" is not available - disabled.'),null;var r="v"+(e.version!==void 0?e.version:1)+":";return G.prefix=r,G.maxBytes=e.maxBytes||Hr,G.ready=t.entries().then(function(n){return Promise.all(n.filter(function(a){return a.key.indexOf(r)!==0}).map(function(a){return t.delete(a.key)}))}).catch(function(){}),G}function Lt(e){return typeof e=="string"&&!/^(data|blob):/.test(e)}function Lr(e){var t=ge();return!t||!Lt(e)?Promise.resolve(void 0):t.ready.then(function(){return t.store.get(t.prefix+e)}).catch(function(){})}function Ir(e,t){var r=ge();if(!r||!Lt(e)||t.byteLength>r.maxBytes)return Promise.resolve();var n=r.prefix+e;return r.ready.then(function(){return r.store.put(n,t).catch(function(a){if(!a||a.name!=="QuotaExceededError"&&a.code!==22)throw a;return It(r,t.byteLength,n).then(function(){return r.store.put(n,t)})})}).then(function(){return It(r,0,n)}).catch(function(a){console.warn('Howler: persistent cache write failed for "'+e+'".',a)})}function Fr(e){var t=ge();return t?t.store.delete(t.prefix+e).catch(function(){}):Promise.resolve()}function It(e,t,r){return e.store.entries().then(function(n){n.sort(function(c,d){return c.time-d.time});var a=0,i=0,u=[];n.forEach(function(c){a+=c.bytes});for(var l=0;l<n.length&&!(a<=e.maxBytes&&i>=t);l++)n[l].key!==r&&(u.push(e.store.delete(n[l].key)),a-=n[l].bytes,i+=n[l].bytes);return Promise.all(u)})}function Rr(e){return e==="memory"?Or():e==="cache-storage"&&typeof caches<"u"?Cr():e==="indexeddb"&&typeof indexedDB<"u"?Dr():null}function Or(){var e=new Map;return{get:function(t){var r=e.get(t);return r?(r.time=Date.now(),Promise.resolve(r.data.slice(0))):Promise.resolve(void 0)},put:function(t,r){return e.set(t,{data:r,time:Date.now()}),Promise.resolve()},delete:function(t){return e.delete(t),Promise.resolve()},entries:function(){var t=[];return e.forEach(function(r,n){t.push({key:n,bytes:r.data.byteLength,time:r.time})}),Promise.resolve(t)}}}function Cr(){var e="https://howler.invalid/",t=e+".index",r=Promise.resolve(),n=function(){return caches.open(Ht)},a=function(l){return e+encodeURIComponent(l)},i=function(l){return l.match(t).then(function(c){if(c)return c.json();var d={};return l.keys().then(function(b){return Promise.all(b.map(function(h){return l.match(h).then(function(w){d[decodeURIComponent(h.url.slice(e.length))]={bytes:parseInt(w.headers.get("Content-Length"),10)||0,time:0}})}))}).then(function(){return d})})},u=function(l){var c=r.then(n).then(function(d){return i(d).then(function(b){return Promise.resolve(l(d,b)).then(function(){return d.put(t,new Response(JSON.stringify(b),{headers:{"Content-Type":"application/json"}}))})})});return r=c.catch(function(){}),c};return{get:function(l){return n().then(function(c){return c.match(a(l))}).then(function(c){if(c)return c.arrayBuffer().then(function(d){return u(function(b,h){h[l]&&(h[l].time=Date.now())}).catch(function(){}),d})})},put:function(l,c){return u(function(d,b){return d.put(a(l),new Response(c,{headers:{"Content-Length":String(c.byteLength)}})).then(function(){b[l]={bytes:c.byteLength,time:Date.now()}})})},delete:function(l){return u(function(c,d){return delete d[l],c.delete(a(l))})},entries:function(){return r.then(n).then(i).then(function(l){return Object.keys(l).map(function(c){return{key:c,bytes:l[c].bytes,time:l[c].time}})})}}}function Dr(){var e=null,t=function(){return e||(e=new Promise(function(n,a){var i=indexedDB.open(Ht,1);i.onupgradeneeded=function(){i.result.createObjectStore("data"),i.result.createObjectStore("meta")},i.onsuccess=function(){n(i.result)},i.onerror=function(){e=null,a(i.error)}})),e},r=function(n,a){return t().then(function(i){return new Promise(function(u,l){var c=i.transaction(["data","meta"],n),d;a(c.objectStore("data"),c.objectStore("meta"),function(b){d=b}),c.oncomplete=function(){u(d)},c.onerror=c.onabort=function(){l(c.error)}})})};return{get:function(n){return r("readwrite",function(a,i,u){a.get(n).onsuccess=function(l){u(l.target.result)},i.get(n).onsuccess=function(l){var c=l.target.result;c&&(c.time=Date.now(),i.put(c,n))}})},put:function(n,a){return r("readwrite",function(i,u){i.put(a,n),u.put({key:n,bytes:a.byteLength,time:Date.now()},n)})},delete:function(n){return r("readwrite",function(a,i){a.delete(n),i.delete(n)})},entries:function(){return r("readonly",function(n,a,i){a.getAll().onsuccess=function(u){i(u.target.result)}})}}}function Ze(e,t,r){var n=t._src,a=new AbortController;t._fetchControllers[n]=a;var i=function(){t._fetchControllers[n]===a&&delete t._fetchControllers[n]},u=function(c){if(i(),!(c&&c.name==="AbortError")){if(r){r();return}t._emit("loaderror",null,"Decoding audio data failed.")}},l=function(c){i(),c&&t._sounds.length>0?(Te(t._src,c),ye(t,c)):u()};$e(e,t,a.signal).then(l).catch(u)}function ye(e,t){if(t&&!e._duration&&(e._duration=t.duration),e._spriteFetch&&!e._spriteReady){e._spriteFetch.then(function(r){r&&e._state!=="unloaded"&&ye(e)});return}Mt(e),Object.keys(e._sprite).length===0&&(e._sprite={__default:[0,e._duration*1e3]}),e._state!=="loaded"&&(e._state="loaded",e._emit("load"),e._loadQueue())}var Pr=64*1024,He=512*1024,Ft=1,Br={1:[0,32,40,48,56,64,80,96,112,128,160,192,224,256,320],2:[0,8,16,24,32,40,48,56,64,80,96,112,128,144,160]},Nr={3:[44100,48e3,32e3],2:[22050,24e3,16e3],0:[11025,12e3,8e3]},Rt=function(e,t){var r=this;r._howl=e,r._bytes=[],r._pending=new Uint8Array(0),r._received=0,r._consumed=0,r._total=parseInt(t.headers.get("Content-Length"),10)||0,r._format=null,r._header=null,r._wav=null,r._decoding=Promise.resolve(),r._response=t,r.chunks=[],r.decoded=0,r.done=!1,r.failed=!1,r.exact=0};Rt.prototype={read:function(){var e=this,t=e._response.body.getReader(),r=function(){return t.read().then(function(n){if(n.done){var a=ne(e._bytes).buffer;return e._bytes=null,e._received!==e._total&&he(e._howl,e._received,e._received),e._cut(!0),e._queue(function(){return e._finish(a)}),a}return e._bytes.push(n.value),e._received+=n.value.byteLength,he(e._howl,e._received,e._total),e._pending=ne([e._pending,n.value]),e._cut(!1),r()})};return r()},_cut:function(e){var t=this;if(!(!t._format&&!t._sniff(e))&&t._format!=="whole")for(var r=t._consumed?He:Pr;t._pending.byteLength>=r||e&&t._pending.byteLength;){var n=t._boundary(Math.min(r,t._pending.byteLength),e);if(!n)break;var a=t._pending.subarray(0,n);t._pending=t._pending.slice(n),t._consumed+=n,t._decode(t._wrap(a),n),r=He}},_sniff:function(e){var t=this,r=t._pending;if(r.byteLength<12&&!e)return!1;var n=String.fromCharCode(r[0],r[1],r[2],r[3]);if(n==="RIFF"&&String.fromCharCode(r[8],r[9],r[10],r[11])==="WAVE"){var a=Vr(r);if(!a)return(e||r.byteLength>He)&&(t._format="whole"),!!t._format;t._format="wav",t._wav=a,t._header=r.slice(0,a.dataOffset),t._pending=r.slice(a.dataOffset),a.dataSize&&a.byteRate&&(t.exact=a.dataSize/a.byteRate)}else if(n==="OggS"){var i=Gr(r);if(i<0)return(e||r.byteLength>He)&&(t._format="whole"),!!t._format;t._format="ogg",t._header=r.slice(0,i),t._pending=r.slice(i)}else n.slice(0,3)==="ID3"||Ke(r,0)?t._format="mp3":t._format="whole";return!0},_boundary:function(e,t){var r=this,n=r._pending;if(r._format==="wav"){var a=r._wav.blockAlign||1;return t?n.byteLength-n.byteLength%a:e-e%a}for(var i=0,u=0;i<n.byteLength;){var l=r._format==="ogg"?Le(n,i):Ct(n,i);if(!l||i+l>n.byteLength||(i+=l,i>e))break;u=i}return t?n.byteLength:u||i},_wrap:function(e){var t=this;if(!t._header)return e.slice().buffer;var r=new Uint8Array(t._header.byteLength+e.byteLength);if(r.set(t._header,0),r.set(e,t._header.byteLength),t._format==="wav"){var n=new DataView(r.buffer);n.setUint32(4,r.byteLength-8,!0),n.setUint32(t._wav.dataOffset-4,e.byteLength,!0)}return r.buffer},_queue:function(e){var t=this;t._decoding=t._decoding.then(function(){return t._howl._prog!==t?null:e()}).catch(function(r){console.warn("Howler: progressive decode step failed.",r)})},_decode:function(e,t){var r=this;r._queue(function(){return r.failed?null:$e(e,r._howl).then(function(n){r._append(n,t)},function(){r.failed=!0})})},_append:function(e,t){var r=this,n=r._howl;r.chunks.push({buffer:e,start:r.decoded,duration:e.duration}),r.decoded+=e.duration,r._mediaBytes=(r._mediaBytes||0)+t,r._setDuration(r._estimate()),n._state!=="loaded"&&ye(n),Pt(n)},_estimate:function(){var e=this;if(e.exact)return e.exact;var t=e._total-(e._header?e._header.byteLength:0);return t>0&&e._mediaBytes?Math.max(e.decoded,e.decoded*t/e._mediaBytes):e.decoded},_setDuration:function(e){var t=this,r=t._howl;r._duration=e,t._autoSprite===void 0&&(t._autoSprite=Object.keys(r._sprite).length===0||Object.keys(r._sprite).length===1&&!!r._sprite.__default),t._autoSprite&&(r._sprite={__default:[0,e*1e3]})},_finish:function(e){var t=this,r=t._howl,n=function(a){r._prog===t&&(Te(r._src,a),t._setDuration(a.duration),t.done=!0,r._sounds.forEach(function(i){i._sprite==="__default"&&t._autoSprite&&(i._stop=a.duration)}),r._state!=="loaded"&&ye(r),Pt(r))};return t.failed||!t.chunks.length?$e(e,r).then(n,function(){r._prog===t&&(r._prog=null,r._emit("loaderror",null,"Decoding audio data failed."))}):(n(qr(t.chunks)),null)}};function Vr(e){for(var t=new DataView(e.buffer,e.byteOffset,e.byteLength),r=12,n=null;r+8<=e.byteLength;){var a=String.fromCharCode(e[r],e[r+1],e[r+2],e[r+3]),i=t.getUint32(r+4,!0);if(a==="fmt "&&r+24<=e.byteLength)n={byteRate:t.getUint32(r+16,!0),blockAlign:t.getUint16(r+20,!0)};else if(a==="data")return n?(n.dataOffset=r+8,n.dataSize=i&&i!==4294967295?i:0,n):null;r+=8+i+(i&1)}return null}function Le(e,t){if(t+27>e.byteLength||e[t]!==79||e[t+1]!==103||e[t+2]!==103||e[t+3]!==83)return 0;var r=e[t+26];if(t+27+r>e.byteLength)return 0;for(var n=27+r,a=0;a<r;a++)n+=e[t+27+a];return n}function Gr(e){for(var t=0;t<e.byteLength;){var r=Le(e,t);if(!r)return-1;for(var n=6;n<14;n++)if(e[t+n])return t;t+=r}return-1}function Ot(e,t){if(t+4>e.byteLength||e[t]!==255||(e[t+1]&224)!==224)return null;var r=e[t+1]>>3&3,n=e[t+1]>>1&3,a=e[t+2]>>4&15,i=e[t+2]>>2&3,u=e[t+2]>>1&1;if(r===1||n!==1||a===0||a===15||i===3)return null;var l=Br[r===3?1:2][a],c=Nr[r][i];return{length:Math.floor((r===3?144e3:72e3)*l/c)+u,sampleRate:c,channels:e[t+3]>>6===3?1:2,samples:r===3?1152:576,mpeg1:r===3}}function Ke(e,t){var r=Ot(e,t);return r?r.length:0}function Ct(e,t){var r=Nt(e,t);if(r)return r;var n=Ke(e,t);if(n)return n;for(var a=t+1;a+4<=e.byteLength;a++)if(Ke(e,a))return a-t;return 0}function qr(e){var t=1,r=0;e.forEach(function(i){t=Math.max(t,i.buffer.numberOfChannels),r+=i.buffer.length});var n=f.ctx.createBuffer(t,r,e[0].buffer.sampleRate),a=0;return e.forEach(function(i){for(var u=0;u<t;u++){var l=i.buffer.getChannelData(Math.min(u,i.buffer.numberOfChannels-1));n.getChannelData(u).set(l,a)}a+=i.buffer.length}),n}function Dt(e){return!!(e._prog&&!e._prog.done)}function Ur(e,t,r){var n=t._node;t._widthStage&&Xe(t),t._effects&&te(t._effects,me(t)),n._chunks={howl:e,sound:t,loader:e._prog,chunks:e._prog.chunks,pos:t._seek,at:r,sources:[],stopAt:0,timer:null},ze(n._chunks)}function Pt(e){e._sounds.forEach(function(t){t._node&&t._node._chunks&&ze(t._node._chunks)})}function ze(e){var t=e.howl,r=e.sound,n=r._node;if(!(!n||n._chunks!==e||r._paused)){clearTimeout(e.timer),e.timer=null;for(var a=f.ctx.currentTime,i=Math.abs(r._rate);e.at<a+Ft;){if(e.stopAt&&e.at>=e.stopAt)return;var u=r._sprite==="__default"&&e.loader._autoSprite?e.loader.done?e.loader.decoded:1/0:r._stop;if(e.pos>=u-1e-6){if(t._endTimers[r._id]||(t._endTimers[r._id]=setTimeout(t._ended.bind(t,r),Math.max(0,(e.at-a)*1e3))),!r._loop)return;e.pos=r._start||0;continue}var l=Wr(e.chunks,e.pos);if(!l)return;e.at<a&&(r._playStart+=a-e.at,e.at=a);var c=e.pos-l.start,d=Math.min(l.start+l.duration,u)-e.pos,b=f.ctx.createBufferSource();b.buffer=l.buffer,b.playbackRate.setValueAtTime(r._rate,a),b.connect(Ee(r)),b.start(e.at,c,d),e.stopAt&&b.stop(e.stopAt),b.onended=Xr.bind(null,e,b),e.sources.push(b),n.bufferSource=b,e.pos+=d,e.at+=d/i}e.timer=setTimeout(function(){ze(e)},Math.max(0,(e.at-a-Ft/2)*1e3))}}function Xr(e,t){var r=e.sources.indexOf(t);r>=0&&e.sources.splice(r,1),t.disconnect()}function Wr(e,t){for(var r=0;r<e.length;r++)if(t<e[r].start+e[r].duration-1e-6)return t>=e[r].start-1e-6?e[r]:null;return null}function Bt(e,t){var r=e._chunks;if(r){if(t){r.stopAt=t,r.sources.forEach(function(n){n.stop(t)});return}clearTimeout(r.timer),r.sources.forEach(function(n){n.onended=null;try{n.stop(0)}catch{}n.disconnect()}),e._chunks=null}}var Qr=[96e3,88200,64e3,48e3,44100,32e3,24e3,22050,16e3,12e3,11025,8e3,7350];function $e(e,t,r){var n=t._ext,a=n&&(f._decoders[n]||rn[n]);if(a&&typeof a.test=="function"&&!a.test()&&(a=null),a&&typeof a.accepts=="function"&&!a.accepts(new Uint8Array(e))&&(a=null),!a)return f.ctx.decodeAudioData(e);var i=f._codecs[n]?e.slice(0):null;return Promise.resolve().then(function(){return a.decode(e,{signal:r||null,sampleRate:f.ctx.sampleRate,src:t._src,ext:n})}).then(Yr).catch(function(u){if(u&&u.name==="AbortError"||!i)throw u;return f.ctx.decodeAudioData(i)})}function Yr(e){if(e&&typeof e.getChannelData=="function")return e;if(!e||!e.channelData||!e.channelData.length||!e.sampleRate)throw new Error("Howler: decoder returned no audio.");for(var t=e.channelData,r=f.ctx.createBuffer(t.length,t[0].length,e.sampleRate),n=0;n<t.length;n++)r.getChannelData(n).set(t[n]);return r}function Je(e,t){return{test:function(){return typeof AudioDecoder=="function"&&typeof EncodedAudioChunk=="function"},accepts:t,decode:function(r,n){var a=e(new Uint8Array(r));return!a||!a.packets.length?Promise.reject(new Error("Howler: stream not handled by the WebCodecs demuxer.")):AudioDecoder.isConfigSupported(a.config).then(function(i){if(!i.supported)throw new Error("Howler: AudioDecoder does not support "+a.config.codec+".");return jr(a,n.signal)})}}}function jr(e,t){return new Promise(function(r,n){var a=[],i=0,u=e.config.sampleRate,l=!1,c,d=function(h){if(!l){l=!0;try{c.close()}catch{}n(h)}};if(t){if(t.aborted){n(new DOMException("Decode aborted.","AbortError"));return}t.addEventListener("abort",function(){d(new DOMException("Decode aborted.","AbortError"))})}c=new AudioDecoder({output:function(h){u=h.sampleRate;for(var w=0;w<h.numberOfChannels;w++){var A=new Float32Array(h.numberOfFrames);h.copyTo(A,{planeIndex:w,format:"f32-planar"}),(a[w]=a[w]||[]).push(A)}i+=h.numberOfFrames,h.close()},error:d});try{c.configure(e.config);var b=0;e.packets.forEach(function(h){c.decode(new EncodedAudioChunk({type:"key",timestamp:b,duration:h.duration,data:h.data})),b+=h.duration})}catch(h){d(h);return}c.flush().then(function(){if(!l){l=!0,c.close();var h=Math.min(e.skip||0,i),w=Math.max(h,i-(e.trim||0));r({sampleRate:u,channelData:a.map(function(A){return Zr(A,i).subarray(h,w)})})}},d)})}function Zr(e,t){var r=new Float32Array(t),n=0;return e.forEach(function(a){r.set(a,n),n+=a.length}),r}function Nt(e,t){if(t+10>e.byteLength||e[t]!==73||e[t+1]!==68||e[t+2]!==51)return 0;var r=(e[t+6]&127)<<21|(e[t+7]&127)<<14|(e[t+8]&127)<<7|e[t+9]&127;return 10+r+(e[t+5]&16?10:0)}function Kr(e){if(!Le(e,0))return!1;var t=27+e[26];return t+8<=e.byteLength&&String.fromCharCode.apply(null,e.subarray(t,t+8))==="OpusHead"}function zr(e){for(var t=[],r=[],n=0;n<e.byteLength;){var a=Le(e,n);if(!a||n+a>e.byteLength)break;for(var i=e[n+26],u=n+27+i,l=0;l<i;l++){var c=e[n+27+l];r.push(e.subarray(u,u+c)),u+=c,c<255&&(t.push(ne(r)),r=[])}n+=a}var d=t[0];return!d||d.byteLength<19||String.fromCharCode.apply(null,d.subarray(0,8))!=="OpusHead"?null:{config:{codec:"opus",sampleRate:48e3,numberOfChannels:d[9],description:d},skip:d[10]|d[11]<<8,packets:t.slice(2).filter(function(b){return b.byteLength>0}).map(function(b){return{data:b,duration:$r(b)}})}}function $r(e){var t=e[0],r=t>>3,n=r<12?[1e4,2e4,4e4,6e4][r&3]:r<16?[1e4,2e4][r&1]:[2500,5e3,1e4,2e4][r&3],a=t&3,i=a===0?1:a===3?e[1]&63:2;return n*i}function Jr(e){for(var t=[],r=null,n=Nt(e,0);n+7<=e.byteLength;){if(e[n]!==255||(e[n+1]&246)!==240){n++;continue}var a=e[n+1]&1?7:9,i=(e[n+2]>>6)+1,u=e[n+2]>>2&15,l=(e[n+2]&1)<<2|e[n+3]>>6,c=(e[n+3]&3)<<11|e[n+4]<<3|e[n+5]>>5,d=Qr[u];if(!d||c<=a){n++;continue}if(n+c>e.byteLength)break;r||(r={codec:"mp4a.40."+i,sampleRate:d,numberOfChannels:l||2,description:new Uint8Array([i<<3|u>>1,(u&1)<<7|l<<3])}),t.push({data:e.subarray(n+a,n+c),duration:1024*1e6/d}),n+=c}return r?{config:r,packets:t,skip:0}:null}var Vt=529;function en(e){for(var t=[],r=null,n=0,a=0,i=0;n<e.byteLength;){var u=Ot(e,n);if(!u){var l=Ct(e,n);if(!l)break;n+=l;continue}if(n+u.length>e.byteLength)break;if(!r){r={codec:"mp3",sampleRate:u.sampleRate,numberOfChannels:u.channels};var c=u.mpeg1?u.channels===1?17:32:u.channels===1?9:17,d=String.fromCharCode.apply(null,e.subarray(n+4+c,n+8+c)),b=String.fromCharCode.apply(null,e.subarray(n+36,n+40));if(d==="Xing"||d==="Info"||b==="VBRI"){var h=b==="VBRI"?null:tn(e,n+4+c,n+u.length);h&&(a=h.delay+Vt,i=Math.max(0,h.padding-Vt)),n+=u.length;continue}}t.push({data:e.subarray(n,n+u.length),duration:u.samples*1e6/u.sampleRate}),n+=u.length}return r?{config:r,packets:t,skip:a,trim:i}:null}function tn(e,t,r){var n=e[t+7],a=t+8;if(n&1&&(a+=4),n&2&&(a+=4),n&4&&(a+=100),n&8&&(a+=4),a+24>r)return null;var i=String.fromCharCode.apply(null,e.subarray(a,a+4));if(i!=="LAME"&&i!=="Lavc"&&i!=="Lavf")return null;var u=a+21;return{delay:e[u]<<4|e[u+1]>>4,padding:(e[u+1]&15)<<8|e[u+2]}}var rn=(function(){var e=Je(zr,Kr),t=Je(Jr),r=Je(en);return{opus:e,ogg:e,oga:e,aac:t,mp3:r,mpeg:r}})();function Ie(e,t,r,n){var a=t&&t.signal||null;return new Promise(function(i,u){if(a&&a.aborted){u(Ut(a));return}var l=!1,c=[],d=[],b=function(){for(var x=0;x<c.length;x++)e.off(c[x].event,c[x].fn);c=[],a&&a.removeEventListener("abort",w)},h={resolve:function(x){l||(l=!0,b(),i(x))},reject:function(x){l||(l=!0,b(),u(x))},onAbort:function(x){d.push(x)}},w=function(){if(!l){h.reject(Ut(a));for(var x=0;x<d.length;x++)try{d[x]()}catch{}}},A=r(h)||{};l||(Object.keys(A).forEach(function(x){c.push({event:x,fn:A[x]}),e.on(x,A[x])}),a&&a.addEventListener("abort",w)),n&&n(h)})}function Gt(e,t){return new Set(e._getSoundIds(t).filter(function(r){return!!e._soundById(r)}))}function qt(e,t,r){var n=!1,a=function(){n||(n=!0,r())};e._state!=="loaded"||e._playLock?e._queue.push({event:t,action:a}):a()}function Ut(e){if(e&&typeof e.reason<"u")return e.reason;try{return new DOMException("The operation was aborted.","AbortError")}catch{var t=new Error("The operation was aborted.");return t.name="AbortError",t}}function K(e,t){if(t instanceof Error)return t;var r=new Error("Howler "+e+" failed"+(t!=null?": "+t:"."));return r.code=t,r}function P(){if(f.usingWebAudio){try{typeof AudioContext<"u"?f.ctx=new AudioContext({latencyHint:"playback"}):f.usingWebAudio=!1}catch{f.usingWebAudio=!1}if(!f.ctx){f.usingWebAudio=!1;return}f.masterGain=f.ctx.createGain(),f.masterGain.gain.setValueAtTime(f._muted?0:f._volume,f.ctx.currentTime),f.masterGain.connect(f.ctx.destination),(f._effects.length||f._width!==1)&&qe(),f._analyser&&(f._analyser._build(),f._analyser._tap(Ye())),Object.keys(f._buses).forEach(function(e){f._buses[e]._build()}),f._howls.forEach(function(e){e._duckNode=null,e._webAudio&&e._duckLevel!==1&&it(e)}),f._setup()}}function nn(e){if(!(typeof navigator>"u"||!("mediaSession"in navigator))){var t=e._stream,r=function(n,a){try{navigator.mediaSession.setActionHandler(n,a)}catch{}};r("play",function(){e.play()}),r("pause",function(){e.pause()}),r("stop",function(){e.stop()}),r("seekto",function(n){n&&n.fastSeek||e.playing()&&e._streamSilentReconnect(!1)}),r("previoustrack",t.onPreviousTrack||null),r("nexttrack",t.onNextTrack||null)}}function et(e,t,r,n,a,i){if(e._rampInterval&&(clearInterval(e._rampInterval),e._rampInterval=null),!isFinite(r)||!isFinite(n)){t.volume=isFinite(n)?Math.max(0,Math.min(1,n)):0,i&&i();return}var u=8,l=(n-r)/u,c=a/u,d=0;e._rampInterval=setInterval(function(){d++,t.volume=Math.max(0,Math.min(1,r+l*d)),d>=u&&(clearInterval(e._rampInterval),e._rampInterval=null,t.volume=n,i&&i())},c)}function an(e,t){var r=e._stream;if(!(!r||!r.workletUrl)&&!(!f.ctx||!f.ctx.audioWorklet)){var n=String(r.workletUrl);if(!/^https:\/\//i.test(n)&&!/^blob:/i.test(n)){console.warn("Howler [stream]: workletUrl rejected \u2014 only https: and blob: schemes are allowed. Received: "+n);return}f.ctx.audioWorklet.addModule(r.workletUrl).then(function(){if(e._stream){var a=yt(t);if(!a){console.warn("Howler [stream]: the <audio> element is already bound to another AudioContext - AudioWorklet tap skipped.");return}var i=new AudioWorkletNode(f.ctx,"howler-stream-processor");r.onWorkletMessage&&(i.port.onmessage=r.onWorkletMessage);try{a.disconnect(f.ctx.destination)}catch{}a.connect(i),i.connect(k(e._bus)),r._workletSource=a,r._workletNode=i}}).catch(function(a){console.warn("Howler [stream]: AudioWorklet module failed to load \u2014 falling back to direct HTML5 Audio. Error:",a)})}}var Xt=30,Wt=30,on=3,un=3,ln=.75,Qt={"slow-2g":4e4,"2g":12e4,"3g":6e5},re=function(e){this._howl=e,this._node=null,this._mediaSource=null,this._sourceBuffer=null,this._controller=null,this._mime=null,this._variants=[],this._variant=null,this._mediaUrl=null,this._playlist=null,this._nextSeq=null,this._initUri=null,this._pendingInit=null,this._appendQueue=[],this._loading=!1,this._segmentFails=0,this._refreshTimer=null,this._bufferTimer=null,this.attached=!1};re.isSupported=function(){return typeof MediaSource<"u"&&typeof MediaSource.isTypeSupported=="function"&&typeof URL<"u"&&typeof URL.createObjectURL=="function"},re.prototype={type:"hls",attach:function(e){var t=this;t.detach();var r=new MediaSource,n=URL.createObjectURL(r);t._node=e,t._mediaSource=r,t._controller=new AbortController,t.attached=!0;var a=function(){r.removeEventListener("sourceopen",a),URL.revokeObjectURL(n),t._mediaSource===r&&t._start()};return r.addEventListener("sourceopen",a),e.src=n,t},detach:function(){var e=this;return clearTimeout(e._refreshTimer),clearTimeout(e._bufferTimer),e._refreshTimer=null,e._bufferTimer=null,e._controller&&(e._controller.abort(),e._controller=null),e._mediaSource=null,e._sourceBuffer=null,e._mime=null,e._playlist=null,e._nextSeq=null,e._initUri=null,e._pendingInit=null,e._appendQueue=[],e._loading=!1,e._segmentFails=0,e.attached=!1,e},selectVariant:function(){var e=this;if(!e.attached||e._variants.length<2)return e;var t=e._pickVariant();return!t||t===e._variant||(e._variant=t,e._mediaUrl=t.uri,clearTimeout(e._refreshTimer),e._refresh()),e},_start:function(){var e=this,t=e._howl._src;rt(e._howl,t,e._controller.signal,"text").then(function(r){var n=Zt(r,t);if(!n.master){e._variants=[],e._mediaUrl=t,e._onPlaylist(n);return}if(e._variants=_n(n.variants),!e._variants.length)throw new Error("master playlist lists no variants.");e._variant=e._pickVariant(),e._mediaUrl=e._variant.uri,e._refresh()}).catch(e._fail.bind(e))},_refresh:function(){var e=this;if(e._controller){var t=e._mediaUrl;rt(e._howl,t,e._controller.signal,"text").then(function(r){t===e._mediaUrl&&e._onPlaylist(Zt(r,t))}).catch(e._fail.bind(e))}},_onPlaylist:function(e){var t=this;if(t._mediaSource){if(e.encrypted)throw new Error("encrypted segments are not supported.");if(t._playlist=e,e.segments.length){var r=dn(e,t._variant);if(!r||!MediaSource.isTypeSupported(r))throw new Error("unsupported segment format"+(r?" ("+r+")":"")+".");t._sourceBuffer?r!==t._mime&&(t._appendQueue.push({changeType:r}),t._mime=r):jt(t,r,!e.endList),e.map&&e.map!==t._initUri&&(t._pendingInit=e.map);var n=e.segments[0].seq,a=e.segments[e.segments.length-1].seq;(t._nextSeq===null||t._nextSeq<n)&&(t._nextSeq=e.endList?n:Math.max(n,a-un+1)),t._loadNext()}e.endList||(clearTimeout(t._refreshTimer),t._refreshTimer=setTimeout(function(){t._refreshTimer=null,t._refresh()},(e.targetDuration||6)*1e3))}},_loadNext:function(){var e=this,t=e._playlist;if(!(e._loading||!t||!e._sourceBuffer||!e._controller)){if(Yt(e)>Xt){e._bufferTimer||(e._bufferTimer=setTimeout(function(){e._bufferTimer=null,e._loadNext()},1e3));return}var r,n=!1;if(e._pendingInit)r=e._pendingInit,n=!0;else{var a=e._nextSeq-t.segments[0].seq;if(a>=t.segments.length){t.endList&&e._endOfStream();return}r=t.segments[a].uri}e._loading=!0,rt(e._howl,r,e._controller.signal,"arraybuffer").then(function(i){e._loading=!1,e._segmentFails=0,n?(e._initUri=r,e._pendingInit=null):e._nextSeq++,e._appendQueue.push(i),e._pump()}).catch(function(i){if(e._loading=!1,!(i&&i.name==="AbortError")){if(e._segmentFails++,e._segmentFails>=on){e._fail(i);return}e._bufferTimer=setTimeout(function(){e._bufferTimer=null,e._loadNext()},500*e._segmentFails)}})}},_pump:function(){tt(this,this._loadNext)},_endOfStream:function(){var e=this._mediaSource;if(e&&e.readyState==="open"&&!this._appendQueue.length&&this._sourceBuffer&&!this._sourceBuffer.updating)try{e.endOfStream()}catch{}},_pickVariant:function(){var e=this,t=e._howl._stream||{},r=typeof navigator<"u"&&navigator.connection||null,n=1/0;r&&r.saveData?n=0:t._lastDownlink?n=t._lastDownlink*1e6*ln:t._lastEffectiveType&&Qt[t._lastEffectiveType]&&(n=Qt[t._lastEffectiveType]),t._lastRtt&&t._lastRtt>1e3&&(n/=2);for(var a=e._variants[0],i=1;i<e._variants.length;i++)e._variants[i].bandwidth<=n&&(a=e._variants[i]);return a},_fail:function(e){var t=this;t._controller&&(e&&e.name==="AbortError"||(t.detach(),t._howl._emit("loaderror",null,"HLS: "+(e&&e.message?e.message:e))))}};var be=function(e){this._howl=e,this._node=null,this._mediaSource=null,this._sourceBuffer=null,this._controller=null,this._mime=null,this._appendQueue=[],this._readTimer=null,this._lastTitle=null,this.attached=!1};be.isSupported=function(){return re.isSupported()&&typeof ReadableStream<"u"},be.prototype={type:"icy",attach:function(e){var t=this;t.detach();var r=new MediaSource,n=URL.createObjectURL(r);t._node=e,t._mediaSource=r,t._controller=new AbortController,t.attached=!0;var a=function(){r.removeEventListener("sourceopen",a),URL.revokeObjectURL(n),t._mediaSource===r&&t._start()};return r.addEventListener("sourceopen",a),e.src=n,t},detach:function(){var e=this;return clearTimeout(e._readTimer),e._readTimer=null,e._controller&&(e._controller.abort(),e._controller=null),e._mediaSource=null,e._sourceBuffer=null,e._mime=null,e._appendQueue=[],e.attached=!1,e},_start:function(){var e=this,t=e._howl,r=Z(t,e._controller.signal),n=new Headers(r.headers||{});n.set("Icy-MetaData","1"),r.headers=n,fetch(t._src,r).then(function(a){if(e._controller){if(a.status<200||a.status>=400)throw new Error("HTTP "+a.status);var i=parseInt(a.headers.get("icy-metaint"),10),u=cn(a.headers.get("content-type"));if(!i||i<=0||!a.body){e._fallback("no icy-metaint header");return}if(!u||!MediaSource.isTypeSupported(u)){e._fallback("unsupported content type");return}jt(e,u,!0),e._read(a.body.getReader(),fn(i,function(l){e._appendQueue.push(l)},function(l){e._onMetadata(l)}))}}).catch(e._fail.bind(e))},_read:function(e,t){var r=this;if(r._controller){if(Yt(r)>Xt){r._readTimer=setTimeout(function(){r._readTimer=null,r._read(e,t)},1e3);return}e.read().then(function(n){if(r._controller){if(n.done)throw new Error("stream ended.");t(n.value),r._pump(),r._read(e,t)}}).catch(r._fail.bind(r))}},_pump:function(){var e=this._sourceBuffer;e&&!e.updating&&this._appendQueue.length>1&&(this._appendQueue=[ne(this._appendQueue)]),tt(this,null)},_onMetadata:function(e){var t=this,r=t._howl,n=sn(e);if(!(typeof n.StreamTitle!="string"||n.StreamTitle===t._lastTitle)){t._lastTitle=n.StreamTitle;var a=n.StreamTitle.split(" - "),i=a.length>1?a.shift():"";r.mediaSession({title:a.join(" - "),artist:i});for(var u=null,l=0;l<r._sounds.length;l++)if(r._sounds[l]._node===t._node){u=r._sounds[l]._id;break}r._emit("metadata",u,n)}},_fallback:function(e){var t=this,r=t._node,n=t._howl;console.warn("Howler [stream]: ICY metadata unavailable ("+e+") \u2014 playing without it."),t.detach(),n._stream&&(n._stream._icyUnavailable=!0),n._mseType=null,n._mse=null,r.src=n._src,r.load()},_fail:function(e){var t=this;t._controller&&(e&&e.name==="AbortError"||(t.detach(),t._howl._emit("loaderror",null,"ICY: "+(e&&e.message?e.message:e))))}};function fn(e,t,r){var n=e,a=null,i=0;return function(u){for(var l=0;l<u.length;)if(n>0){var c=Math.min(n,u.length-l);t(u.subarray(l,l+c)),l+=c,n-=c}else if(a===null){var d=u[l++]*16;d===0?n=e:(a=new Uint8Array(d),i=0)}else{var b=Math.min(a.length-i,u.length-l);a.set(u.subarray(l,l+b),i),i+=b,l+=b,i===a.length&&(r(a),a=null,n=e)}}}function sn(e){var t;try{t=new TextDecoder("utf-8",{fatal:!0}).decode(e)}catch{t=new TextDecoder("iso-8859-1").decode(e)}t=t.replace(/\0+$/,"");for(var r={},n=/([A-Za-z]+)='([\s\S]*?)';(?=[A-Za-z]+=|\s*$)/g,a;(a=n.exec(t))!==null;)r[a[1]]=a[2];return r}function cn(e){var t=String(e||"").split(";")[0].trim().toLowerCase();switch(t){case"audio/mpeg":case"audio/mp3":return"audio/mpeg";case"audio/aac":case"audio/aacp":case"audio/x-aac":return"audio/aac";default:return null}}function ne(e){var t=0,r;for(r=0;r<e.length;r++)t+=e[r].byteLength;var n=new Uint8Array(t),a=0;for(r=0;r<e.length;r++)n.set(e[r],a),a+=e[r].byteLength;return n}function tt(e,t){var r=e._sourceBuffer;if(!(!r||r.updating)){var n=e._node;if(n&&r.buffered.length&&n.currentTime-r.buffered.start(0)>Wt*2){r.remove(r.buffered.start(0),n.currentTime-Wt);return}if(!e._appendQueue.length){t&&t.call(e);return}var a=e._appendQueue[0];try{if(a.changeType){e._appendQueue.shift(),typeof r.changeType=="function"&&r.changeType(a.changeType),tt(e,t);return}r.appendBuffer(a),e._appendQueue.shift()}catch(i){if(i.name==="QuotaExceededError"&&n&&r.buffered.length&&n.currentTime-r.buffered.start(0)>1){r.remove(r.buffered.start(0),n.currentTime-1);return}e._fail(i)}}}function Yt(e){var t=e._sourceBuffer,r=e._node;return!t||!r||!t.buffered.length?0:t.buffered.end(t.buffered.length-1)-r.currentTime}function jt(e,t,r){var n=e._mediaSource.addSourceBuffer(t);try{n.mode="sequence"}catch{}if(r)try{e._mediaSource.duration=1/0}catch{}return n.addEventListener("updateend",function(){e._sourceBuffer===n&&e._pump()}),e._sourceBuffer=n,e._mime=t,n}function rt(e,t,r,n){return fetch(t,Z(e,r)).then(function(a){if(a.status<200||a.status>=400)throw new Error("HTTP "+a.status+" for "+t);return n==="text"?a.text():a.arrayBuffer()})}function Zt(e,t){var r=String(e).split(/\r?\n/);if(!r.length||r[0].trim()!=="#EXTM3U")throw new Error("playlist is missing the #EXTM3U header.");for(var n={master:!1,variants:[],segments:[],targetDuration:0,mediaSequence:0,endList:!1,map:null,encrypted:!1},a=null,i=!1,u=1;u<r.length;u++){var l=r[u].trim();if(l){if(l.charAt(0)!=="#"){var c=Fe(l,t);n.master?a&&(a.uri=c,n.variants.push(a)):(n.segments.push({uri:c,duration:a?a.duration:0,seq:n.mediaSequence+n.segments.length,discontinuity:i}),i=!1),a=null;continue}var d=l.indexOf(":"),b=d>=0?l.slice(0,d):l,h=d>=0?l.slice(d+1):"",w;switch(b){case"#EXT-X-STREAM-INF":w=nt(h),n.master=!0,a={bandwidth:parseInt(w.BANDWIDTH,10)||0,codecs:w.CODECS||""};break;case"#EXTINF":a={duration:parseFloat(h)||0};break;case"#EXT-X-TARGETDURATION":n.targetDuration=parseFloat(h)||0;break;case"#EXT-X-MEDIA-SEQUENCE":n.mediaSequence=parseInt(h,10)||0;break;case"#EXT-X-ENDLIST":n.endList=!0;break;case"#EXT-X-DISCONTINUITY":i=!0;break;case"#EXT-X-MAP":w=nt(h),w.URI&&(n.map=Fe(w.URI,t));break;case"#EXT-X-KEY":w=nt(h),w.METHOD&&w.METHOD!=="NONE"&&(n.encrypted=!0);break}}}return n}function nt(e){for(var t={},r=/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g,n;(n=r.exec(e))!==null;)t[n[1]]=n[2].replace(/^"|"$/g,"");return t}function Fe(e,t){try{return new URL(e,t).href}catch{return e}}function _n(e){var t=/(avc1|avc3|hvc1|hev1|vp09|vp8|av01)/i,r=e.filter(function(n){return!t.test(n.codecs)});return(r.length?r:e.slice()).sort(function(n,a){return n.bandwidth-a.bandwidth})}function dn(e,t){var r=t&&t.codecs?'; codecs="'+t.codecs+'"':"";if(e.map)return"audio/mp4"+r;var n=e.segments[0].uri.split("?",1)[0],a=/\.([^.\/]+)$/.exec(n);switch(a?a[1].toLowerCase():""){case"aac":return"audio/aac";case"mp3":return"audio/mpeg";case"mp4":case"m4a":case"m4s":return"audio/mp4"+r;default:return null}}typeof define=="function"&&define.amd&&define([],function(){return{Howler:f,Howl:O}}),typeof exports<"u"&&(exports.Howler=f,exports.Howl=O),typeof global<"u"?(global.HowlerGlobal=q,global.Howler=f,global.Howl=O,global.Sound=Y):typeof window<"u"&&(window.HowlerGlobal=q,window.Howler=f,window.Howl=O,window.Sound=Y),typeof navigator<"u"&&navigator.mediaDevices&&typeof navigator.mediaDevices.addEventListener=="function"&&navigator.mediaDevices.addEventListener("devicechange",function(){f.autoReroute&&(!f.ctx||typeof f.ctx.setSinkId!="function"||navigator.mediaDevices.enumerateDevices().then(function(e){var t=f._sinkId||"";if(t!==""){var r=e.some(function(n){return n.kind==="audiooutput"&&n.deviceId===t});r||f.setSinkId("").then(function(){console.info("Howler [autoReroute]: active output device removed; rerouted to system default.")}).catch(function(n){console.warn("Howler [autoReroute]: setSinkId('') failed:",n)})}}).catch(function(){}))})})(),(function(){"use strict";HowlerGlobal.prototype._pos=[0,0,0],HowlerGlobal.prototype._orientation=[0,0,-1,0,1,0],HowlerGlobal.prototype.stereo=function(o){var s=this;if(!s.ctx||!s.ctx.listener)return s;for(var _=s._howls.length-1;_>=0;_--)s._howls[_].stereo(o);return s},HowlerGlobal.prototype.pos=function(o,s,_){var m=this;return!m.ctx||!m.ctx.listener?m:(s=typeof s!="number"?m._pos[1]:s,_=typeof _!="number"?m._pos[2]:_,typeof o!="number"?m._pos:(m._pos=[o,s,_],m.listener&&(m.listener._pos=m._pos.slice()),typeof m.ctx.listener.positionX<"u"?(m.ctx.listener.positionX.setTargetAtTime(o,Howler.ctx.currentTime,.1),m.ctx.listener.positionY.setTargetAtTime(s,Howler.ctx.currentTime,.1),m.ctx.listener.positionZ.setTargetAtTime(_,Howler.ctx.currentTime,.1)):m.ctx.listener.setPosition(o,s,_),U(m._pos,Howler.ctx.currentTime,.1),m))},HowlerGlobal.prototype.orientation=function(o,s,_,m,p,v){var g=this;if(!g.ctx||!g.ctx.listener)return g;var y=g._orientation;return s=typeof s!="number"?y[1]:s,_=typeof _!="number"?y[2]:_,m=typeof m!="number"?y[3]:m,p=typeof p!="number"?y[4]:p,v=typeof v!="number"?y[5]:v,typeof o!="number"?y:(g._orientation=[o,s,_,m,p,v],g.listener&&(g.listener._orientation=[o,s,_],g.listener._up=[m,p,v]),typeof g.ctx.listener.forwardX<"u"?(g.ctx.listener.forwardX.setTargetAtTime(o,Howler.ctx.currentTime,.1),g.ctx.listener.forwardY.setTargetAtTime(s,Howler.ctx.currentTime,.1),g.ctx.listener.forwardZ.setTargetAtTime(_,Howler.ctx.currentTime,.1),g.ctx.listener.upX.setTargetAtTime(m,Howler.ctx.currentTime,.1),g.ctx.listener.upY.setTargetAtTime(p,Howler.ctx.currentTime,.1),g.ctx.listener.upZ.setTargetAtTime(v,Howler.ctx.currentTime,.1)):g.ctx.listener.setOrientation(o,s,_,m,p,v),g)},Howl.prototype.init=(function(o){return function(s){var _=this;return _._orientation=s.orientation||[1,0,0],_._stereo=s.stereo||null,_._pos=s.pos||null,_._pannerAttr={coneInnerAngle:s.coneInnerAngle!==void 0?s.coneInnerAngle:360,coneOuterAngle:s.coneOuterAngle!==void 0?s.coneOuterAngle:360,coneOuterGain:s.coneOuterGain!==void 0?s.coneOuterGain:0,distanceModel:s.distanceModel!==void 0?s.distanceModel:"inverse",maxDistance:s.maxDistance!==void 0?s.maxDistance:1e4,panningModel:s.panningModel!==void 0?s.panningModel:"HRTF",refDistance:s.refDistance!==void 0?s.refDistance:1,rolloffFactor:s.rolloffFactor!==void 0?s.rolloffFactor:1},_._emitter=s.emitter||null,_._ambisonic=fe(s.ambisonic),_._onstereo=s.onstereo?[{fn:s.onstereo}]:[],_._onpos=s.onpos?[{fn:s.onpos}]:[],_._onorientation=s.onorientation?[{fn:s.onorientation}]:[],o.call(_,s)}})(Howl.prototype.init),Howl.prototype.stereo=function(o,s){var _=this;if(!_._webAudio||_._ambisonic)return _;if(_._state!=="loaded")return _._queue.push({event:"stereo",action:function(){_.stereo(o,s)}}),_;var m=typeof Howler.ctx.createStereoPanner>"u"?"spatial":"stereo";if(typeof s>"u"){if(typeof o!="number")return _._stereo;_._stereo=o,_._pos=[o,0,0]}for(var p=_._getSoundIds(s),v=0;v<p.length;v++){var g=_._soundById(p[v]);if(g){if(typeof o!="number")return g._stereo;g._stereo=o,g._pos=[o,0,0],g._node&&(g._pannerAttr.panningModel="equalpower",(!g._panner||g._panner.pan)&&j(g,m),m==="spatial"?typeof g._panner.positionX<"u"?(g._panner.positionX.setValueAtTime(o,Howler.ctx.currentTime),g._panner.positionY.setValueAtTime(0,Howler.ctx.currentTime),g._panner.positionZ.setValueAtTime(0,Howler.ctx.currentTime)):g._panner.setPosition(o,0,0):g._panner.pan.setValueAtTime(o,Howler.ctx.currentTime)),_._emit("stereo",g._id)}}return _},Howl.prototype.pos=function(o,s,_,m){var p=this;if(!p._webAudio||p._ambisonic)return p;if(p._state!=="loaded")return p._queue.push({event:"pos",action:function(){p.pos(o,s,_,m)}}),p;if(s=typeof s!="number"?0:s,_=typeof _!="number"?-.5:_,typeof m>"u"){if(typeof o!="number")return p._pos;p._pos=[o,s,_]}for(var v=p._getSoundIds(m),g=0;g<v.length;g++){var y=p._soundById(v[g]);if(y){if(typeof o!="number")return y._pos;y._pos=[o,s,_],y._node&&((!y._panner||y._panner.pan)&&j(y,"spatial"),typeof y._panner.positionX<"u"?(y._panner.positionX.setValueAtTime(o,Howler.ctx.currentTime),y._panner.positionY.setValueAtTime(s,Howler.ctx.currentTime),y._panner.positionZ.setValueAtTime(_,Howler.ctx.currentTime)):y._panner.setPosition(o,s,_)),p._emit("pos",y._id)}}return p},Howl.prototype.orientation=function(o,s,_,m){var p=this;if(!p._webAudio||p._ambisonic)return p;if(p._state!=="loaded")return p._queue.push({event:"orientation",action:function(){p.orientation(o,s,_,m)}}),p;if(s=typeof s!="number"?p._orientation[1]:s,_=typeof _!="number"?p._orientation[2]:_,typeof m>"u"){if(typeof o!="number")return p._orientation;p._orientation=[o,s,_]}for(var v=p._getSoundIds(m),g=0;g<v.length;g++){var y=p._soundById(v[g]);if(y){if(typeof o!="number")return y._orientation;y._orientation=[o,s,_],y._node&&(y._panner||(y._pos||(y._pos=p._pos||[0,0,-.5]),j(y,"spatial")),typeof y._panner.orientationX<"u"?(y._panner.orientationX.setValueAtTime(o,Howler.ctx.currentTime),y._panner.orientationY.setValueAtTime(s,Howler.ctx.currentTime),y._panner.orientationZ.setValueAtTime(_,Howler.ctx.currentTime)):y._panner.setOrientation(o,s,_)),p._emit("orientation",y._id)}}return p},Howl.prototype.pannerAttr=function(){var o=this,s=arguments,_,m,p;if(!o._webAudio||o._ambisonic)return o;if(s.length===0)return o._pannerAttr;if(s.length===1)if(typeof s[0]=="object"){_=s[0],_.pannerAttr||(_.pannerAttr={coneInnerAngle:_.coneInnerAngle,coneOuterAngle:_.coneOuterAngle,coneOuterGain:_.coneOuterGain,distanceModel:_.distanceModel,maxDistance:_.maxDistance,refDistance:_.refDistance,rolloffFactor:_.rolloffFactor,panningModel:_.panningModel});var v=_.pannerAttr;o._pannerAttr={coneInnerAngle:v.coneInnerAngle!==void 0?v.coneInnerAngle:o._pannerAttr.coneInnerAngle,coneOuterAngle:v.coneOuterAngle!==void 0?v.coneOuterAngle:o._pannerAttr.coneOuterAngle,coneOuterGain:v.coneOuterGain!==void 0?v.coneOuterGain:o._pannerAttr.coneOuterGain,distanceModel:v.distanceModel!==void 0?v.distanceModel:o._pannerAttr.distanceModel,maxDistance:v.maxDistance!==void 0?v.maxDistance:o._pannerAttr.maxDistance,refDistance:v.refDistance!==void 0?v.refDistance:o._pannerAttr.refDistance,rolloffFactor:v.rolloffFactor!==void 0?v.rolloffFactor:o._pannerAttr.rolloffFactor,panningModel:v.panningModel!==void 0?v.panningModel:o._pannerAttr.panningModel}}else return p=o._soundById(parseInt(s[0],10)),p?p._pannerAttr:o._pannerAttr;else s.length===2&&(_=s[0],m=parseInt(s[1],10));for(var g=o._getSoundIds(m),y=0;y<g.length;y++)if(p=o._soundById(g[y]),!!p){var T=p._pannerAttr;T={coneInnerAngle:_.coneInnerAngle!==void 0?_.coneInnerAngle:T.coneInnerAngle,coneOuterAngle:_.coneOuterAngle!==void 0?_.coneOuterAngle:T.coneOuterAngle,coneOuterGain:_.coneOuterGain!==void 0?_.coneOuterGain:T.coneOuterGain,distanceModel:_.distanceModel!==void 0?_.distanceModel:T.distanceModel,maxDistance:_.maxDistance!==void 0?_.maxDistance:T.maxDistance,refDistance:_.refDistance!==void 0?_.refDistance:T.refDistance,rolloffFactor:_.rolloffFactor!==void 0?_.rolloffFactor:T.rolloffFactor,panningModel:_.panningModel!==void 0?_.panningModel:T.panningModel};var k=p._panner;k||(p._pos||(p._pos=o._pos||[0,0,-.5]),j(p,"spatial"),k=p._panner),k.coneInnerAngle=T.coneInnerAngle,k.coneOuterAngle=T.coneOuterAngle,k.coneOuterGain=T.coneOuterGain,k.distanceModel=T.distanceModel,k.maxDistance=T.maxDistance,k.refDistance=T.refDistance,k.rolloffFactor=T.rolloffFactor,k.panningModel=T.panningModel}return o},Sound.prototype.init=(function(o){return function(){var s=this,_=s._parent;s._orientation=_._orientation,s._stereo=_._stereo,s._pos=_._pos,s._pannerAttr=_._pannerAttr,E(s,_._emitter),o.call(s),_._ambisonic&&_._webAudio&&Howler.ctx?xe(s,_._ambisonic):s._stereo?_.stereo(s._stereo):s._pos&&_.pos(s._pos[0],s._pos[1],s._pos[2],s._id)}})(Sound.prototype.init),Sound.prototype.reset=(function(o){return function(){var s=this,_=s._parent;return s._orientation=_._orientation,s._stereo=_._stereo,s._pos=_._pos,s._pannerAttr=_._pannerAttr,E(s,_._emitter),s._ambi||(s._stereo?_.stereo(s._stereo):s._pos?_.pos(s._pos[0],s._pos[1],s._pos[2],s._id):s._panner&&(s._panner.disconnect(0),s._panner=void 0,De(s),_._refreshBuffer(s))),o.call(s)}})(Sound.prototype.reset);var ie=.02,Ce=343,M=[.5,2],B=function(o){this.init(o)};B.prototype={init:function(o){var s=this;return o=o||{},s._pos=o.pos||[0,0,0],s._orientation=o.orientation||[1,0,0],s._up=o.up||[0,1,0],s._velocity=o.velocity||[0,0,0],s._cone=o.cone||null,s._doppler=typeof o.doppler=="number"?o.doppler:1,s._version=1,s},pos:function(o,s,_){return this._set("_pos",o,s,_)},orientation:function(o,s,_){return this._set("_orientation",o,s,_)},up:function(o,s,_){return this._set("_up",o,s,_)},velocity:function(o,s,_){return this._set("_velocity",o,s,_)},cone:function(o){return typeof o>"u"?this._cone:(this._cone=o,this._version++,this)},doppler:function(o){return typeof o!="number"?this._doppler:(this._doppler=o,this)},attach:function(o,s){var _=this;if(typeof s>"u")o._emitter=_,o._sounds.forEach(function(p){E(p,_)});else{var m=o._soundById(s);m&&E(m,_)}return _},detach:function(o,s){var _=this,m=o?[o]:Howler._howls;return m.forEach(function(p){typeof s>"u"&&p._emitter===_&&(p._emitter=null),p._sounds.forEach(function(v){v._emitter===_&&(typeof s>"u"||v._id===s)&&(v._emitter=null)})}),_},_set:function(o,s,_,m){var p=this;return typeof s!="number"?p[o]:(p[o]=[s,typeof _=="number"?_:p[o][1],typeof m=="number"?m:p[o][2]],p._version++,p)}},HowlerGlobal.prototype.listener=new B({orientation:[0,0,-1]}),HowlerGlobal.prototype._listenerVersion=0,HowlerGlobal.prototype.createEmitter=function(o){return new B(o)},HowlerGlobal.prototype.updateSpatial=function(){var o=this;if(!o.ctx||!o.ctx.listener)return o;var s=o.ctx.currentTime,_=o.listener;return o._listenerVersion!==_._version&&(o._listenerVersion=_._version,o._pos=_._pos.slice(),o._orientation=_._orientation.concat(_._up),z(o.ctx.listener,_,s),U(_._pos,s,ie)),o._howls.forEach(function(m){m._webAudio&&m._sounds.forEach(function(p){var v=p._emitter;!p._node||p._paused||p._ambi||(v&&((!p._panner||p._panner.pan)&&(E(p,v),j(p,"spatial")),p._emitterVersion!==v._version&&(p._emitterVersion=v._version,Te(p,v,s)),$(p,v,_,s)),(o._zones.length||p._occlusion)&&L(p,_,s))})}),o};function E(o,s){o._emitter=s||null,o._emitterVersion=0,s&&(o._pos=s._pos.slice(),o._orientation=s._orientation.slice(),o._stereo=null)}function z(o,s,_){var m=s._pos,p=s._orientation,v=s._up;if(typeof o.positionX>"u"){o.setPosition(m[0],m[1],m[2]),o.setOrientation(p[0],p[1],p[2],v[0],v[1],v[2]);return}D([o.positionX,o.positionY,o.positionZ],m,_),D([o.forwardX,o.forwardY,o.forwardZ],p,_),D([o.upX,o.upY,o.upZ],v,_)}function Te(o,s,_){var m=o._panner,p=s._cone;o._pos=s._pos.slice(),o._orientation=s._orientation.slice(),typeof m.positionX>"u"?(m.setPosition(o._pos[0],o._pos[1],o._pos[2]),m.setOrientation(o._orientation[0],o._orientation[1],o._orientation[2])):(D([m.positionX,m.positionY,m.positionZ],o._pos,_),D([m.orientationX,m.orientationY,m.orientationZ],o._orientation,_)),p&&(typeof p.inner=="number"&&(m.coneInnerAngle=p.inner),typeof p.outer=="number"&&(m.coneOuterAngle=p.outer),typeof p.outerGain=="number"&&(m.coneOuterGain=p.outerGain))}function D(o,s,_,m){for(var p=0;p<o.length;p++)o[p].setTargetAtTime(s[p],_,m||ie)}function $(o,s,_,m){var p=o._node,v=p._chunks?p._chunks.sources:p.bufferSource?[p.bufferSource]:[];if(p._outroSource&&(v=v.concat(p._outroSource)),!!v.length){var g=J(s,_),y=v[0]!==o._dopplerSource;(y?g===1:Math.abs(g-o._doppler)<1e-4&&o._rate===o._dopplerRate)||(o._doppler=g,o._dopplerRate=o._rate,o._dopplerSource=v[0],v.forEach(function(T){T.playbackRate.setTargetAtTime(o._rate*g,m,ie)}))}}function J(o,s){if(!o._doppler)return 1;var _=[0,1,2].map(function(y){return o._pos[y]-s._pos[y]}),m=Math.sqrt(_[0]*_[0]+_[1]*_[1]+_[2]*_[2]);if(m<1e-6)return 1;var p=function(y){return o._doppler*(y[0]*_[0]+y[1]*_[1]+y[2]*_[2])/m},v=Ce,g=(v+p(s._velocity))/(v+p(o._velocity));return!isFinite(g)||g<=0?M[0]:Math.min(M[1],Math.max(M[0],g))}var W=.05;HowlerGlobal.prototype._zones=[],HowlerGlobal.prototype._zoneReverb=null;var I=function(o){this.init(o)};I.prototype={init:function(o){var s=this;return o=o||{},s._box=null,s._polygon=null,s._y=null,s._occluder=!!o.occluder,o.min||o.max?Q(o.min,3)&&Q(o.max,3)?s._box={min:o.min,max:o.max}:console.warn("Howler: zone min / max must be [x, y, z] arrays - zone ignored."):Array.isArray(o.polygon)&&o.polygon.length>=3&&o.polygon.every(function(_){return Q(_,2)})?(s._polygon=o.polygon,Q(o.y,2)?s._y=o.y:o.y&&console.warn("Howler: zone y must be a [min, max] array - using no height limit.")):console.warn("Howler: a zone needs { min, max } or a polygon of 3+ [x, z] points - zone ignored."),s.set(o),s},set:function(o){var s=this;return typeof o.lowpassHz=="number"&&(s._lowpassHz=o.lowpassHz),typeof o.gainDb=="number"&&(s._gainDb=o.gainDb),typeof o.reverbSend=="number"&&(s._reverbSend=o.reverbSend),s},remove:function(){var o=Howler._zones;return o.indexOf(this)>=0&&o.splice(o.indexOf(this),1),this},contains:function(o){var s=this;if(!s._box&&!s._polygon)return!1;if(s._box){for(var _=0;_<3;_++)if(o[_]<s._box.min[_]||o[_]>s._box.max[_])return!1;return!0}return s._y&&(o[1]<s._y[0]||o[1]>s._y[1])?!1:O(s._polygon,o[0],o[2])},crosses:function(o,s){var _=this;return _.contains(o)||_.contains(s)?!0:_._box?Y(_._box,o,s):ue(_,o,s)}},HowlerGlobal.prototype.createZone=function(o){var s=new I(o);return!s._box&&!s._polygon?null:(this._zones.push(s),s)},HowlerGlobal.prototype.zoneReverb=function(o){var s=this;if(!s.ctx)return s;o=o||{};var _=q();return _.convolver.buffer=o.buffer||f(s.ctx,o.seconds||2,o.decay||3),s};function Q(o,s){return!Array.isArray(o)||o.length!==s?!1:o.every(function(_){return typeof _=="number"&&isFinite(_)})}function L(o,s,_){var m=Howler.ctx,p=m.sampleRate/2,v={hz:p,gain:1,send:0};if(o._panner&&!o._panner.pan&&o._pos){var g=0;Howler._zones.forEach(function(T){var k;if(T._occluder)k=T.crosses(s._pos,o._pos);else{var N=T.contains(o._pos);k=N!==T.contains(s._pos),N&&T._reverbSend&&(v.send=Math.max(v.send,T._reverbSend))}k&&(T._lowpassHz&&(v.hz=Math.min(v.hz,T._lowpassHz)),T._gainDb&&(g+=T._gainDb))}),v.gain=Math.pow(10,g/20)}var y=o._occlusion;if(!y){if(v.hz===p&&v.gain===1&&!v.send)return;y=oe(o)}y.hz!==v.hz&&y.filter.frequency.setTargetAtTime(v.hz,_,W),y.gain!==v.gain&&y.gainNode.gain.setTargetAtTime(v.gain,_,W),y.send!==v.send&&y.sendNode.gain.setTargetAtTime(v.send,_,W),y.hz=v.hz,y.gain=v.gain,y.send=v.send}function oe(o){var s=Howler.ctx,_={filter:s.createBiquadFilter(),gainNode:s.createGain(),sendNode:s.createGain(),hz:s.sampleRate/2,gain:1,send:0};return _.filter.type="lowpass",_.filter.frequency.setValueAtTime(_.hz,s.currentTime),_.sendNode.gain.setValueAtTime(0,s.currentTime),_.filter.connect(_.gainNode),_.gainNode.connect(o._node),o._node.connect(_.sendNode),_.sendNode.connect(q().input),o._panner&&(o._panner.disconnect(0),o._panner.connect(_.filter)),o._occlusion=_,_}function De(o){var s=o._occlusion;if(s){try{o._node.disconnect(s.sendNode)}catch{}s.filter.disconnect(),s.gainNode.disconnect(),s.sendNode.disconnect(),o._occlusion=null}}function q(){var o=Howler.ctx,s=Howler._zoneReverb;return(!s||s.convolver.context!==o)&&(s=Howler._zoneReverb={input:o.createGain(),convolver:o.createConvolver()},s.convolver.buffer=f(o,2,3),s.input.connect(s.convolver),s.convolver.connect(Howler.masterGain)),s}function f(o,s,_){for(var m=Math.max(1,Math.round(o.sampleRate*s)),p=o.createBuffer(2,m,o.sampleRate),v=0;v<2;v++)for(var g=p.getChannelData(v),y=0;y<m;y++)g[y]=(Math.random()*2-1)*Math.pow(1-y/m,_);return p}function O(o,s,_){for(var m=!1,p=0,v=o.length-1;p<o.length;v=p++){var g=o[p][0],y=o[p][1],T=o[v][0],k=o[v][1];y>_!=k>_&&s<(T-g)*(_-y)/(k-y)+g&&(m=!m)}return m}function Y(o,s,_){for(var m=0,p=1,v=0;v<3;v++){var g=_[v]-s[v];if(Math.abs(g)<1e-9){if(s[v]<o.min[v]||s[v]>o.max[v])return!1;continue}var y=(o.min[v]-s[v])/g,T=(o.max[v]-s[v])/g;if(y>T){var k=y;y=T,T=k}if(m=Math.max(m,y),p=Math.min(p,T),m>p)return!1}return!0}function ue(o,s,_){for(var m=o._polygon,p=_[0]-s[0],v=_[2]-s[2],g=0,y=m.length-1;g<m.length;y=g++){var T=m[g][0]-m[y][0],k=m[g][1]-m[y][1],N=p*k-v*T;if(!(Math.abs(N)<1e-12)){var V=m[y][0]-s[0],Ae=m[y][1]-s[2],ce=(V*k-Ae*T)/N,_e=(V*v-Ae*p)/N;if(!(ce<0||ce>1||_e<0||_e>1)){var de=s[1]+(_[1]-s[1])*ce;if(!o._y||de>=o._y[0]&&de<=o._y[1])return!0}}}return!1}var le=[[1,1,1],[1,1,-1],[1,-1,1],[1,-1,-1],[-1,1,1],[-1,1,-1],[-1,-1,1],[-1,-1,-1]].map(function(o){return o.map(function(s){return s/Math.sqrt(3)})});function fe(o){if(!o)return null;o=o===!0?{}:o;var s=o.order||1,_=(o.format||"ambix").toLowerCase();return s!==1||_!=="ambix"&&_!=="fuma"?(console.warn('Howler: only first-order "ambix" or "fuma" ambisonics are supported - playing as is.'),null):{order:s,format:_}}function xe(o,s){var _=Howler.ctx,m=_.createChannelSplitter(4),p=[],v=le.length;le.forEach(function(g){var y=s.format==="fuma"?[Math.SQRT2,3*g[0],3*g[1],3*g[2]]:[1,3*g[1],3*g[2],3*g[0]],T=_.createPanner();T.panningModel="HRTF",T.distanceModel="linear",T.rolloffFactor=0,y.forEach(function(k,N){var V=_.createGain();V.gain.setValueAtTime(k/v,_.currentTime),m.connect(V,N),V.connect(T)}),T.connect(o._node),p.push({panner:T,dir:[-g[1],g[2],-g[0]]})}),o._panner=m,o._ambi={splitter:m,speakers:p},se(o._ambi,Howler._pos,_.currentTime,0)}function U(o,s,_){Howler._howls.forEach(function(m){m._sounds.forEach(function(p){p._ambi&&se(p._ambi,o,s,_)})})}function se(o,s,_,m){o.speakers.forEach(function(p){var v=[0,1,2].map(function(y){return s[y]+p.dir[y]}),g=p.panner;typeof g.positionX>"u"?g.setPosition(v[0],v[1],v[2]):m?D([g.positionX,g.positionY,g.positionZ],v,_,m):(g.positionX.setValueAtTime(v[0],_),g.positionY.setValueAtTime(v[1],_),g.positionZ.setValueAtTime(v[2],_))})}function j(o,s){s=s||"spatial",s==="spatial"?(o._panner=Howler.ctx.createPanner(),o._panner.coneInnerAngle=o._pannerAttr.coneInnerAngle,o._panner.coneOuterAngle=o._pannerAttr.coneOuterAngle,o._panner.coneOuterGain=o._pannerAttr.coneOuterGain,o._panner.distanceModel=o._pannerAttr.distanceModel,o._panner.maxDistance=o._pannerAttr.maxDistance,o._panner.refDistance=o._pannerAttr.refDistance,o._panner.rolloffFactor=o._pannerAttr.rolloffFactor,o._panner.panningModel=o._pannerAttr.panningModel,typeof o._panner.positionX<"u"?(o._panner.positionX.setValueAtTime(o._pos[0],Howler.ctx.currentTime),o._panner.positionY.setValueAtTime(o._pos[1],Howler.ctx.currentTime),o._panner.positionZ.setValueAtTime(o._pos[2],Howler.ctx.currentTime)):o._panner.setPosition(o._pos[0],o._pos[1],o._pos[2]),typeof o._panner.orientationX<"u"?(o._panner.orientationX.setValueAtTime(o._orientation[0],Howler.ctx.currentTime),o._panner.orientationY.setValueAtTime(o._orientation[1],Howler.ctx.currentTime),o._panner.orientationZ.setValueAtTime(o._orientation[2],Howler.ctx.currentTime)):o._panner.setOrientation(o._orientation[0],o._orientation[1],o._orientation[2])):(o._panner=Howler.ctx.createStereoPanner(),o._panner.pan.setValueAtTime(o._stereo,Howler.ctx.currentTime)),o._panner.connect(o._occlusion?o._occlusion.filter:o._node),o._paused||o._parent.pause(o._id,!0).play(o._id,!0)}})();